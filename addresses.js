@@ -0,0 +1,298 @@
+// addresses.js
+//
+// Shipping addresses for a customer profile. A customer can keep several;
+// at most one is the default, which /auth/me reports and /auth/update edits.
+const express = require("express");
+const { withTransaction, httpError, sendError } = require("./db-helpers");
+const { isStaff } = require("./sessions");
+
+const ADDRESS_FIELDS = ["label", "address_line1", "address_line2", "city", "state", "zip_code"];
+
+function createAddressesRouter(db, sessions) {
+  const router = express.Router({ mergeParams: true });
+
+  // Normalize an address row for API responses
+  function toAddress(row) {
+    return {
+      addressId: row.address_id,
+      customerId: row.customer_id,
+      label: row.label,
+      address_line1: row.address_line1,
+      address_line2: row.address_line2,
+      city: row.city,
+      state: row.state,
+      zip_code: row.zip_code,
+      isDefault: !!row.is_default,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  // Customers manage their own addresses; staff can manage anyone's
+  function canManage(req, res, next) {
+    const customerId = Number(req.params.customerId);
+    if (customerId !== req.user.customerId && !isStaff(req.user)) {
+      return res
+        .status(403)
+        .json({ error: "You can only manage your own addresses." });
+    }
+
+    db.get(
+      "SELECT customer_id FROM customers WHERE customer_id = ?",
+      [customerId],
+      (err, row) => {
+        if (err) {
+          console.error("DB read error in /customers/:customerId/addresses:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        if (!row) return res.status(404).json({ error: "Customer not found." });
+
+        req.customerId = customerId;
+        next();
+      }
+    );
+  }
+
+  router.use(sessions.requireAuth, canManage);
+
+  function loadAddress(customerId, addressId, cb) {
+    db.get(
+      "SELECT * FROM customer_addresses WHERE address_id = ? AND customer_id = ?",
+      [addressId, customerId],
+      cb
+    );
+  }
+
+  // ==================================
+  //  GET /customers/:customerId/addresses
+  //  Default address first
+  // ==================================
+  router.get("/", (req, res) => {
+    db.all(
+      `
+      SELECT *
+      FROM customer_addresses
+      WHERE customer_id = ?
+      ORDER BY is_default DESC, created_at ASC, address_id ASC
+    `,
+      [req.customerId],
+      (err, rows) => {
+        if (err) {
+          console.error("DB read error in GET /customers/:customerId/addresses:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        res.json(rows.map(toAddress));
+      }
+    );
+  });
+
+  // ==================================
+  //  POST /customers/:customerId/addresses
+  //  The first address always becomes the default
+  // ==================================
+  router.post("/", (req, res) => {
+    const body = req.body || {};
+    if (!body.address_line1 || !body.zip_code) {
+      return res
+        .status(400)
+        .json({ error: "Missing one or more required fields: address_line1, zip_code." });
+    }
+
+    const values = ADDRESS_FIELDS.map((field) =>
+      body[field] ? String(body[field]).trim() : null
+    );
+
+    withTransaction(
+      db,
+      (done) => {
+        db.get(
+          "SELECT COUNT(*) AS total FROM customer_addresses WHERE customer_id = ?",
+          [req.customerId],
+          (err, row) => {
+            if (err) return done(err);
+            const makeDefault = row.total === 0 || body.isDefault === true;
+
+            const insert = () => {
+              db.run(
+                `
+                INSERT INTO customer_addresses (
+                  customer_id, ${ADDRESS_FIELDS.join(", ")}, is_default
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+              `,
+                [req.customerId, ...values, makeDefault ? 1 : 0],
+                function (insertErr) {
+                  if (insertErr) return done(insertErr);
+                  loadAddress(req.customerId, this.lastID, done);
+                }
+              );
+            };
+
+            if (!makeDefault) return insert();
+            clearDefault(req.customerId, (clearErr) => {
+              if (clearErr) return done(clearErr);
+              insert();
+            });
+          }
+        );
+      },
+      (err, address) => {
+        if (err) return sendError(res, "POST /customers/:customerId/addresses", err);
+        res.status(201).json(toAddress(address));
+      }
+    );
+  });
+
+  // Only one default per customer (enforced by a partial unique index)
+  function clearDefault(customerId, cb) {
+    db.run(
+      `
+      UPDATE customer_addresses
+      SET is_default = 0, updated_at = CURRENT_TIMESTAMP
+      WHERE customer_id = ? AND is_default = 1
+    `,
+      [customerId],
+      cb
+    );
+  }
+
+  // ==================================
+  //  PATCH /customers/:customerId/addresses/:addressId
+  //  isDefault: true moves the default here. The default can only be
+  //  moved, not unset, so isDefault: false on it is rejected.
+  // ==================================
+  router.patch("/:addressId", (req, res) => {
+    const body = req.body || {};
+    const addressId = Number(req.params.addressId);
+
+    const updates = [];
+    const params = [];
+    for (const field of ADDRESS_FIELDS) {
+      if (body[field] === undefined) continue;
+      const value = body[field] ? String(body[field]).trim() : null;
+      if (!value && (field === "address_line1" || field === "zip_code")) {
+        return res.status(400).json({ error: `${field} cannot be empty.` });
+      }
+      updates.push(`${field} = ?`);
+      params.push(value);
+    }
+    const makeDefault = body.isDefault === true;
+
+    if (updates.length === 0 && body.isDefault === undefined) {
+      return res.status(400).json({ error: "No fields to update." });
+    }
+
+    withTransaction(
+      db,
+      (done) => {
+        loadAddress(req.customerId, addressId, (err, address) => {
+          if (err) return done(err);
+          if (!address) return done(httpError(404, "Address not found."));
+          if (body.isDefault === false && address.is_default) {
+            return done(
+              httpError(400, "Choose another address as the default instead of clearing it.")
+            );
+          }
+
+          const applyFields = () => {
+            if (!updates.length) return loadAddress(req.customerId, addressId, done);
+            db.run(
+              `
+              UPDATE customer_addresses
+              SET ${updates.join(", ")}, updated_at = CURRENT_TIMESTAMP
+              WHERE address_id = ?
+            `,
+              [...params, addressId],
+              (updateErr) => {
+                if (updateErr) return done(updateErr);
+                loadAddress(req.customerId, addressId, done);
+              }
+            );
+          };
+
+          if (!makeDefault || address.is_default) return applyFields();
+          clearDefault(req.customerId, (clearErr) => {
+            if (clearErr) return done(clearErr);
+            db.run(
+              "UPDATE customer_addresses SET is_default = 1 WHERE address_id = ?",
+              [addressId],
+              (defaultErr) => {
+                if (defaultErr) return done(defaultErr);
+                applyFields();
+              }
+            );
+          });
+        });
+      },
+      (err, address) => {
+        if (err) {
+          return sendError(res, "PATCH /customers/:customerId/addresses/:addressId", err);
+        }
+        res.json(toAddress(address));
+      }
+    );
+  });
+
+  // ==================================
+  //  DELETE /customers/:customerId/addresses/:addressId
+  //  Deleting the default promotes the newest remaining address
+  // ==================================
+  router.delete("/:addressId", (req, res) => {
+    const addressId = Number(req.params.addressId);
+
+    withTransaction(
+      db,
+      (done) => {
+        loadAddress(req.customerId, addressId, (err, address) => {
+          if (err) return done(err);
+          if (!address) return done(httpError(404, "Address not found."));
+
+          const readDefault = () => {
+            db.get(
+              "SELECT address_id FROM customer_addresses WHERE customer_id = ? AND is_default = 1",
+              [req.customerId],
+              (readErr, row) => done(readErr, row ? row.address_id : null)
+            );
+          };
+
+          db.run(
+            "DELETE FROM customer_addresses WHERE address_id = ?",
+            [addressId],
+            (deleteErr) => {
+              if (deleteErr) return done(deleteErr);
+              if (!address.is_default) return readDefault();
+
+              db.run(
+                `
+                UPDATE customer_addresses
+                SET is_default = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE address_id = (
+                  SELECT address_id FROM customer_addresses
+                  WHERE customer_id = ?
+                  ORDER BY created_at DESC, address_id DESC
+                  LIMIT 1
+                )
+              `,
+                [req.customerId],
+                (promoteErr) => {
+                  if (promoteErr) return done(promoteErr);
+                  readDefault();
+                }
+              );
+            }
+          );
+        });
+      },
+      (err, defaultAddressId) => {
+        if (err) {
+          return sendError(res, "DELETE /customers/:customerId/addresses/:addressId", err);
+        }
+        res.json({ ok: true, addressId, defaultAddressId });
+      }
+    );
+  });
+
+  return router;
+}
+
+module.exports = createAddressesRouter;
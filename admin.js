@@ -7,6 +7,110 @@ function backendUrl() {
   return document.getElementById("baseUrl").value.replace(/\/+$/, "");
 }
 
+// -------------------------------------------
+// STAFF SESSION
+// -------------------------------------------
+// The access token lives for this tab only
+const TOKEN_KEY = "adminAccessToken";
+
+// fetch() with the staff access token attached
+function apiFetch(path, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  const token = sessionStorage.getItem(TOKEN_KEY);
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return fetch(backendUrl() + path, { ...options, headers });
+}
+
+function renderLoginState() {
+  const msgBox = document.getElementById("loginMsg");
+  const who = sessionStorage.getItem("adminUser");
+  msgBox.innerHTML = who
+    ? `<div class="success">Signed in as ${who}.</div>`
+    : "";
+}
+
+async function submitLogin() {
+  const identifier = document.getElementById("loginUser").value.trim();
+  const password = document.getElementById("loginPassword").value;
+  const msgBox = document.getElementById("loginMsg");
+
+  msgBox.innerHTML = "";
+
+  if (!identifier || !password) {
+    msgBox.innerHTML = `<div class="error">Please enter username and password.</div>`;
+    return;
+  }
+
+  try {
+    const res = await fetch(backendUrl() + "/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ usernameOrEmail: identifier, password })
+    });
+
+    let data = await res.json();
+
+    if (!res.ok) {
+      msgBox.innerHTML = `<div class="error">${data.error}</div>`;
+      return;
+    }
+
+    // Second step for accounts with two-factor sign-in
+    if (data.twoFactorRequired) {
+      const code = document.getElementById("loginCode").value.trim();
+      if (!code) {
+        msgBox.innerHTML = `<div class="error">Enter the code from your authenticator app (or a recovery code) and sign in again.</div>`;
+        return;
+      }
+
+      const res2 = await fetch(backendUrl() + "/auth/login/2fa", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(
+          /^\d{6}$/.test(code)
+            ? { challengeToken: data.challengeToken, code }
+            : { challengeToken: data.challengeToken, recoveryCode: code }
+        )
+      });
+      data = await res2.json();
+
+      if (!res2.ok) {
+        msgBox.innerHTML = `<div class="error">${data.error}</div>`;
+        return;
+      }
+    }
+
+    if (data.user.role === "customer") {
+      msgBox.innerHTML = `<div class="error">This account does not have staff access.</div>`;
+      return;
+    }
+
+    sessionStorage.setItem(TOKEN_KEY, data.accessToken);
+    sessionStorage.setItem("adminUser", `${data.user.username} (${data.user.role})`);
+    document.getElementById("loginPassword").value = "";
+    document.getElementById("loginCode").value = "";
+    renderLoginState();
+    if (data.twoFactorSetupRequired) {
+      msgBox.innerHTML += `<div class="error">Your role requires two-factor authentication. Set it up before using staff actions.</div>`;
+    }
+    applyFilters();
+  } catch (err) {
+    msgBox.innerHTML = `<div class="error">Error: ${err.message}</div>`;
+  }
+}
+
+async function submitLogout() {
+  try {
+    await apiFetch("/auth/logout", { method: "POST" });
+  } catch {
+    // signing out locally is enough if the server is unreachable
+  }
+  sessionStorage.removeItem(TOKEN_KEY);
+  sessionStorage.removeItem("adminUser");
+  renderLoginState();
+  document.getElementById("orderTable").innerHTML = "";
+}
+
 // -------------------------------------------
 // SUBMIT SETTLEMENT
 // -------------------------------------------
@@ -23,7 +127,7 @@ async function submitSettlement() {
   }
 
   try {
-    const res = await fetch(backendUrl() + "/payments/settle", {
+    const res = await apiFetch("/payments/settle", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({ orderId, amount })
@@ -34,7 +138,82 @@ async function submitSettlement() {
     if (!res.ok) {
       msgBox.innerHTML = `<div class="error">${data.error}</div>`;
     } else {
-      msgBox.innerHTML = `<div class="success">Order ${orderId} settled successfully.</div>`;
+      msgBox.innerHTML =
+        data.paymentStatus === "PARTIALLY_SETTLED"
+          ? `<div class="success">Captured $${data.amount.toFixed(2)} on order ${orderId}; $${data.remaining.toFixed(2)} still authorized.</div>`
+          : `<div class="success">Order ${orderId} settled successfully.</div>`;
+    }
+  } catch (err) {
+    msgBox.innerHTML = `<div class="error">Error: ${err.message}</div>`;
+  }
+}
+
+// -------------------------------------------
+// VOID AUTHORIZATION
+// -------------------------------------------
+async function submitVoid() {
+  const orderId = document.getElementById("settleOrderId").value.trim();
+  const msgBox = document.getElementById("settleMsg");
+
+  msgBox.innerHTML = "";
+
+  if (!orderId) {
+    msgBox.innerHTML = `<div class="error">Please enter Order ID.</div>`;
+    return;
+  }
+
+  try {
+    const res = await apiFetch("/payments/void", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ orderId })
+    });
+
+    const data = await res.json();
+
+    if (!res.ok) {
+      msgBox.innerHTML = `<div class="error">${data.error}</div>`;
+    } else {
+      msgBox.innerHTML = `<div class="success">Authorization for order ${orderId} voided.</div>`;
+    }
+  } catch (err) {
+    msgBox.innerHTML = `<div class="error">Error: ${err.message}</div>`;
+  }
+}
+
+// -------------------------------------------
+// SUBMIT REFUND
+// -------------------------------------------
+async function submitRefund() {
+  const orderId = document.getElementById("refundOrderId").value.trim();
+  const amountValue = document.getElementById("refundAmount").value;
+  const reason = document.getElementById("refundReason").value.trim();
+  const msgBox = document.getElementById("refundMsg");
+
+  msgBox.innerHTML = "";
+
+  if (!orderId) {
+    msgBox.innerHTML = `<div class="error">Please enter Order ID.</div>`;
+    return;
+  }
+
+  const body = { orderId };
+  if (amountValue) body.amount = Number(amountValue);
+  if (reason) body.reason = reason;
+
+  try {
+    const res = await apiFetch("/payments/refund", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+
+    const data = await res.json();
+
+    if (!res.ok) {
+      msgBox.innerHTML = `<div class="error">${data.error}</div>`;
+    } else {
+      msgBox.innerHTML = `<div class="success">Refunded $${data.amount.toFixed(2)} on order ${orderId} (${data.paymentStatus}).</div>`;
     }
   } catch (err) {
     msgBox.innerHTML = `<div class="error">Error: ${err.message}</div>`;
@@ -44,28 +223,72 @@ async function submitSettlement() {
 // -------------------------------------------
 // LOAD ORDERS
 // -------------------------------------------
-async function loadOrders() {
+const PAGE_SIZE = 25;
+
+// cursors of the pages we have visited, so "Previous" can go back
+let pageCursors = [null];
+let nextCursor = null;
+
+async function loadOrders(cursor = null) {
   const status = document.getElementById("filterStatus").value;
   const customerId = document.getElementById("filterCustomerId").value;
 
   let query = new URLSearchParams();
   if (status) query.append("status", status);
   if (customerId) query.append("customerId", customerId);
-
-  const url =
-    backendUrl() + "/orders" + (query.toString() ? "?" + query.toString() : "");
+  query.append("limit", PAGE_SIZE);
+  if (cursor) query.append("cursor", cursor);
 
   try {
-    const res = await fetch(url);
+    const res = await apiFetch("/orders?" + query.toString());
     const data = await res.json();
 
+    if (!res.ok) {
+      document.getElementById("orderTable").innerHTML =
+        `<p class='error'>${data.error}</p>`;
+      return;
+    }
+
+    nextCursor = res.headers.get("X-Next-Cursor");
     renderOrderTable(data);
+    renderPager(Number(res.headers.get("X-Total-Count")) || 0);
   } catch {
     document.getElementById("orderTable").innerHTML =
       "<p class='error'>Unable to load orders.</p>";
   }
 }
 
+// New filters start again from the first page
+function applyFilters() {
+  pageCursors = [null];
+  loadOrders();
+}
+
+function nextPage() {
+  if (!nextCursor) return;
+  pageCursors.push(nextCursor);
+  loadOrders(nextCursor);
+}
+
+function prevPage() {
+  if (pageCursors.length < 2) return;
+  pageCursors.pop();
+  loadOrders(pageCursors[pageCursors.length - 1]);
+}
+
+// -------------------------------------------
+// RENDER PAGER
+// -------------------------------------------
+function renderPager(total) {
+  const page = pageCursors.length;
+  const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  document.getElementById("pageInfo").textContent =
+    `Page ${page} of ${pages} (${total} orders)`;
+  document.getElementById("prevPageBtn").disabled = page < 2;
+  document.getElementById("nextPageBtn").disabled = !nextCursor;
+}
+
 // -------------------------------------------
 // RENDER TABLE
 // -------------------------------------------
@@ -104,16 +327,33 @@ function renderOrderTable(rows) {
 // ---------------------- WIRE UP EVENTS ----------------------
 document.addEventListener("DOMContentLoaded", () => {
   const settleBtn = document.getElementById("settleBtn");
+  const voidBtn = document.getElementById("voidBtn");
+  const refundBtn = document.getElementById("refundBtn");
   const filterBtn = document.getElementById("filterBtn");
 
+  document.getElementById("loginBtn").addEventListener("click", submitLogin);
+  document.getElementById("logoutBtn").addEventListener("click", submitLogout);
+  renderLoginState();
+
   if (settleBtn) {
     settleBtn.addEventListener("click", submitSettlement);
   }
 
+  if (voidBtn) {
+    voidBtn.addEventListener("click", submitVoid);
+  }
+
+  if (refundBtn) {
+    refundBtn.addEventListener("click", submitRefund);
+  }
+
   if (filterBtn) {
-    filterBtn.addEventListener("click", loadOrders);
+    filterBtn.addEventListener("click", applyFilters);
   }
 
+  document.getElementById("prevPageBtn").addEventListener("click", prevPage);
+  document.getElementById("nextPageBtn").addEventListener("click", nextPage);
+
   // Initial load of orders
-  loadOrders();
+  applyFilters();
 });
\ No newline at end of file
@@ -0,0 +1,383 @@
+// audit.js
+//
+// Append-only audit trail of payment and account state changes. Each entry
+// records who did it (actor user id and role, source IP), the order and/or
+// customer it concerns, the status before and after, and a JSON detail
+// payload.
+//
+// Entries form a hash chain: entry_hash is the SHA-256 of the entry's
+// contents together with prev_hash, the previous entry's entry_hash. Editing
+// or deleting any entry breaks the link to the one after it, which
+// GET /audit/verify reports.
+const crypto = require("crypto");
+const express = require("express");
+const { withTransaction, pageParams } = require("./db-helpers");
+
+// prev_hash of the first entry in the chain
+const GENESIS_HASH = "0".repeat(64);
+
+// Rows are verified in batches so a long log is never held in memory at once
+const VERIFY_BATCH_SIZE = 500;
+
+// Values as SQLite keeps them in audit_logs' TEXT and INTEGER columns. The
+// hash is taken before the insert and checked against the stored row, so a
+// value SQLite would convert (a numeric order ID kept as text) is converted
+// here first.
+function asText(value) {
+  return value == null ? null : String(value);
+}
+
+function asInteger(value) {
+  if (typeof value === "string" && /^-?\d+$/.test(value.trim())) return Number(value);
+  return value == null ? null : value;
+}
+
+// Hash of an audit row's contents and its link to the previous entry
+function entryHash(row, prevHash) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        prevHash,
+        row.event_type,
+        row.order_id,
+        row.customer_id,
+        row.actor_id,
+        row.actor_role,
+        row.ip_address,
+        row.before_status,
+        row.after_status,
+        row.details,
+        row.created_at
+      ])
+    )
+    .digest("hex");
+}
+
+// Hash of the newest entry, or the genesis hash for an empty chain
+function chainHead(db, cb) {
+  db.get(
+    `
+    SELECT entry_hash
+    FROM audit_logs
+    WHERE entry_hash IS NOT NULL
+    ORDER BY audit_id DESC
+    LIMIT 1
+  `,
+    (err, row) => cb(err, row ? row.entry_hash : GENESIS_HASH)
+  );
+}
+
+function createAuditLog(db) {
+  // Append an entry. Use inside a withTransaction() work function so the
+  // entry commits or rolls back together with the change it describes.
+  // `req` is null for changes the server makes on its own (e.g. the expiry
+  // sweeper); they are recorded with actor_role "system".
+  // Every caller holds a transaction, so reading the chain head and
+  // appending after it cannot interleave with another append.
+  function recordInTransaction(req, entry, cb) {
+    const user = req && req.user;
+
+    const row = {
+      event_type: asText(entry.eventType),
+      order_id: asText(entry.orderId || null),
+      customer_id: asInteger(entry.customerId),
+      actor_id: asInteger(user ? user.userId : entry.actorId),
+      actor_role: asText(user ? user.role : entry.actorRole || (req ? "anonymous" : "system")),
+      ip_address: asText(req ? req.ip || null : null),
+      before_status: asText(entry.beforeStatus || null),
+      after_status: asText(entry.afterStatus || null),
+      details: JSON.stringify(entry.details || {}),
+      // same "YYYY-MM-DD HH:MM:SS" form as CURRENT_TIMESTAMP, set here so it
+      // is covered by the hash
+      created_at: new Date().toISOString().replace("T", " ").slice(0, 19)
+    };
+
+    chainHead(db, (headErr, prevHash) => {
+      if (headErr) return cb(headErr);
+
+      db.run(
+        `
+        INSERT INTO audit_logs (
+          event_type,
+          order_id,
+          customer_id,
+          actor_id,
+          actor_role,
+          ip_address,
+          before_status,
+          after_status,
+          details,
+          created_at,
+          prev_hash,
+          entry_hash
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        [
+          row.event_type,
+          row.order_id,
+          row.customer_id,
+          row.actor_id,
+          row.actor_role,
+          row.ip_address,
+          row.before_status,
+          row.after_status,
+          row.details,
+          row.created_at,
+          prevHash,
+          entryHash(row, prevHash)
+        ],
+        (err) => cb(err || null)
+      );
+    });
+  }
+
+  // Append an entry on its own, outside any other transaction. Failures are
+  // logged rather than failing the request that triggered them.
+  function record(req, entry, cb = () => {}) {
+    withTransaction(
+      db,
+      (done) => recordInTransaction(req, entry, done),
+      (err) => {
+        if (err) console.error(`DB write error recording ${entry.eventType} audit:`, err);
+        cb(err || null);
+      }
+    );
+  }
+
+  // Chain entries written before hashing existed (seed rows, older
+  // deployments), oldest first, so the whole log is covered. Runs at
+  // startup, and only while the chain is empty: once it has started, an
+  // unhashed row can only have been slipped in by hand, and sealing it would
+  // hide that from GET /audit/verify.
+  function sealUnhashedEntries(cb = () => {}) {
+    withTransaction(
+      db,
+      (done) => {
+        db.all(
+          `
+          SELECT *
+          FROM audit_logs
+          WHERE NOT EXISTS (SELECT 1 FROM audit_logs WHERE entry_hash IS NOT NULL)
+          ORDER BY audit_id ASC
+        `,
+          (err, rows) => {
+            if (err) return done(err);
+            if (!rows.length) return done(null, 0);
+
+            let prevHash = GENESIS_HASH;
+            let index = 0;
+            const sealNext = (stepErr) => {
+              if (stepErr) return done(stepErr);
+              if (index >= rows.length) return done(null, rows.length);
+
+              const row = rows[index++];
+              const hash = entryHash(row, prevHash);
+              db.run(
+                "UPDATE audit_logs SET prev_hash = ?, entry_hash = ? WHERE audit_id = ?",
+                [prevHash, hash, row.audit_id],
+                (updateErr) => {
+                  prevHash = hash;
+                  sealNext(updateErr);
+                }
+              );
+            };
+            sealNext();
+          }
+        );
+      },
+      (err, sealed) => {
+        if (err) {
+          console.error("⚠️ Could not hash existing audit entries:", err.message);
+        }
+        cb(err || null, sealed);
+      }
+    );
+  }
+
+  return { record, recordInTransaction, sealUnhashedEntries };
+}
+
+// Walk the chain oldest first. cb(err, report) where report.ok is false and
+// report.firstBrokenLink describes the first entry whose hash or link does
+// not match.
+function verifyChain(db, cb) {
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+
+  const nextBatch = (afterId) => {
+    db.all(
+      "SELECT * FROM audit_logs WHERE audit_id > ? ORDER BY audit_id ASC LIMIT ?",
+      [afterId, VERIFY_BATCH_SIZE],
+      (err, rows) => {
+        if (err) return cb(err);
+
+        for (const row of rows) {
+          let reason = null;
+          if (!row.entry_hash) {
+            reason = "Entry has no hash";
+          } else if (row.prev_hash !== prevHash) {
+            reason = "Previous entry was changed, removed or reordered";
+          } else if (entryHash(row, prevHash) !== row.entry_hash) {
+            reason = "Entry contents were changed";
+          }
+
+          if (reason) {
+            return cb(null, {
+              ok: false,
+              checked,
+              firstBrokenLink: {
+                auditId: row.audit_id,
+                reason,
+                expectedPrevHash: prevHash,
+                storedPrevHash: row.prev_hash
+              }
+            });
+          }
+
+          prevHash = row.entry_hash;
+          checked++;
+        }
+
+        if (rows.length < VERIFY_BATCH_SIZE) {
+          return cb(null, { ok: true, checked, headHash: prevHash });
+        }
+        nextBatch(rows[rows.length - 1].audit_id);
+      }
+    );
+  };
+  nextBatch(0);
+}
+
+// Normalize an audit row for API responses. Older rows hold plain text
+// details rather than JSON.
+function toAuditEntry(row) {
+  let details = row.details;
+  try {
+    details = JSON.parse(row.details);
+  } catch {
+    // keep the original text
+  }
+
+  return {
+    auditId: row.audit_id,
+    eventType: row.event_type,
+    orderId: row.order_id,
+    customerId: row.customer_id,
+    actorId: row.actor_id,
+    actorRole: row.actor_role,
+    ipAddress: row.ip_address,
+    beforeStatus: row.before_status,
+    afterStatus: row.after_status,
+    details,
+    created_at: row.created_at,
+    entryHash: row.entry_hash
+  };
+}
+
+function createAuditRouter(db, sessions) {
+  const router = express.Router();
+
+  // ==================================
+  //        GET /audit/verify
+  //  Admin only: check the hash chain end to end
+  // ==================================
+  router.get("/verify", sessions.requireRole("admin"), (req, res) => {
+    verifyChain(db, (err, report) => {
+      if (err) {
+        console.error("DB read error in GET /audit/verify:", err);
+        return res.status(500).json({ error: "Database read error" });
+      }
+      res.json(report);
+    });
+  });
+
+  // ==================================
+  //        GET /audit
+  //  ?orderId=&eventType=&actorId=&customerId=&from=&to=&limit=&offset=
+  //  Newest first; managers and admins only
+  // ==================================
+  router.get("/", sessions.requireRole("manager", "admin"), (req, res) => {
+    const { limit, offset } = pageParams(req.query, 100, 200);
+
+    const where = [];
+    const params = [];
+
+    if (req.query.orderId) {
+      where.push("order_id = ?");
+      params.push(String(req.query.orderId));
+    }
+
+    // eventType=PAYMENT_SETTLED,PAYMENT_REFUNDED or repeated
+    if (req.query.eventType) {
+      const types = []
+        .concat(req.query.eventType)
+        .flatMap((v) => String(v).split(","))
+        .map((v) => v.trim().toUpperCase())
+        .filter(Boolean);
+      if (types.length) {
+        where.push(`event_type IN (${types.map(() => "?").join(", ")})`);
+        params.push(...types);
+      }
+    }
+
+    for (const key of ["actorId", "customerId"]) {
+      if (!req.query[key]) continue;
+      const id = Number(req.query[key]);
+      if (!Number.isInteger(id)) {
+        return res.status(400).json({ error: `Invalid ${key}` });
+      }
+      where.push(`${key === "actorId" ? "actor_id" : "customer_id"} = ?`);
+      params.push(id);
+    }
+
+    // created_at is stored as "YYYY-MM-DD HH:MM:SS" (UTC)
+    for (const [key, op] of [["from", ">="], ["to", "<="]]) {
+      if (!req.query[key]) continue;
+      const date = new Date(String(req.query[key]));
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ error: `Invalid ${key}` });
+      }
+      where.push(`created_at ${op} ?`);
+      params.push(date.toISOString().replace("T", " ").slice(0, 19));
+    }
+
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    db.get(
+      `SELECT COUNT(*) AS total FROM audit_logs ${whereSql}`,
+      params,
+      (err, countRow) => {
+        if (err) {
+          console.error("DB read error in GET /audit:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+
+        db.all(
+          `
+          SELECT *
+          FROM audit_logs
+          ${whereSql}
+          ORDER BY audit_id DESC
+          LIMIT ? OFFSET ?
+        `,
+          [...params, limit, offset],
+          (err2, rows) => {
+            if (err2) {
+              console.error("DB read error in GET /audit:", err2);
+              return res.status(500).json({ error: "Database read error" });
+            }
+
+            res.set("X-Total-Count", String(countRow ? countRow.total : 0));
+            res.json(rows.map(toAuditEntry));
+          }
+        );
+      }
+    );
+  });
+
+  return router;
+}
+
+module.exports = { createAuditLog, createAuditRouter };
@@ -2,57 +2,123 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
-const sgMail = require("@sendgrid/mail");
+const rateLimit = require("express-rate-limit");
+const { ROLES } = require("./sessions");
+const { createLoginGuard, throttleKeys } = require("./login-guard");
+const { createTwoFactor, createTwoFactorRouter } = require("./two-factor");
+const { withTransaction, runQueued, runSeries, httpError } = require("./db-helpers");
+const { verificationEmail, passwordResetEmail } = require("./email-templates");
 
-function createAuthRouter(db) {
+// Password reset links stay valid for an hour by default
+const PASSWORD_RESET_TTL_MINUTES =
+  Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Email verification links stay valid for a day by default
+const VERIFY_TOKEN_TTL_HOURS = Number(process.env.VERIFY_TOKEN_TTL_HOURS) || 24;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function createAuthRouter(db, sessions, audit, mailer) {
   const router = express.Router();
+  const { requireAuth, requireRole } = sessions;
+  const loginGuard = createLoginGuard(db);
+  const twoFactor = createTwoFactor(db);
 
   const {
-    SENDGRID_API_KEY,
-    FROM_EMAIL,
-    APP_BASE_URL = "https://storefrontsolutions.shop"
+    APP_BASE_URL = "https://storefrontsolutions.shop",
+    PASSWORD_RESET_URL = "https://storefrontsolutions.shop/reset-password.html",
+    VERIFY_REDIRECT_URL = "https://storefrontsolutions.shop/verified.html"
   } = process.env;
 
-  // Init SendGrid
-  if (SENDGRID_API_KEY) {
-    sgMail.setApiKey(SENDGRID_API_KEY);
-    console.log("📧 SendGrid API key configured in auth.js");
-  } else {
-    console.warn(
-      "⚠️ SENDGRID_API_KEY not set; auth.js will not be able to send verification emails."
-    );
+  // Resending is cheap to ask for and sends real email, so it gets a much
+  // tighter limit than the API as a whole
+  const resendVerificationLimit = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: Number(process.env.RESEND_VERIFICATION_MAX) || 3,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: "Too many verification emails requested. Try again later." }
+  });
+
+  // New verification token; only its hash is stored
+  function newVerifyToken() {
+    const token = crypto.randomBytes(32).toString("hex");
+    return {
+      token,
+      hash: hashToken(token),
+      expiresIn: `+${VERIFY_TOKEN_TTL_HOURS} hours`
+    };
   }
 
   async function sendVerificationEmail(toEmail, token) {
-    if (!SENDGRID_API_KEY) {
-      console.warn(
-        "⚠️ sendVerificationEmail called but SENDGRID_API_KEY is not configured."
-      );
-      return;
-    }
-
     const verifyUrl = `${APP_BASE_URL}/auth/verify-email?token=${encodeURIComponent(
       token
     )}`;
 
-    const fromEmail = FROM_EMAIL || "no-reply@storefrontsolutions.shop";
-
-    const msg = {
+    await mailer.send({
       to: toEmail,
-      from: {
-        email: fromEmail,
-        name: "Storefront Solutions"
-      },
-      subject: "Verify your email address",
-      html: `
-        <p>Thanks for signing up with Storefront Solutions!</p>
-        <p>Click the link below to verify your email address:</p>
-        <p><a href="${verifyUrl}">${verifyUrl}</a></p>
-        <p>If you did not request this, you can ignore this email.</p>
-      `
-    };
+      ...verificationEmail({ verifyUrl, expiresInHours: VERIFY_TOKEN_TTL_HOURS })
+    });
+  }
+
+  // Issue the session for a fully signed-in account and answer the login
+  // request. `details` goes into the LOGIN_SUCCEEDED audit entry. Only now,
+  // with every factor answered, do the account's earlier failures stop
+  // counting.
+  function completeLogin(req, res, user, details) {
+    loginGuard.clear(throttleKeys(req, user).account);
+
+    twoFactor.requiredRoles((policyErr, requiredRoles) => {
+      if (policyErr) {
+        console.error("DB read error in /auth/login:", policyErr);
+        return res.status(500).json({ error: "Database read error" });
+      }
+
+      sessions.issue(user.user_id, req, (sessionErr, tokens) => {
+        if (sessionErr) {
+          console.error("DB write error in /auth/login:", sessionErr);
+          return res.status(500).json({ error: "Database write error" });
+        }
 
-    await sgMail.send(msg);
+        audit.record(req, {
+          eventType: "LOGIN_SUCCEEDED",
+          customerId: user.customer_id,
+          actorId: user.user_id,
+          actorRole: user.role,
+          details
+        });
+
+        return res.json({
+          ok: true,
+          user: {
+            userId: user.user_id,
+            customerId: user.customer_id,
+            full_name: user.full_name,
+            email: user.email,
+            username: user.username,
+            role: user.role
+          },
+          // staff the 2FA policy covers must enroll before using their role
+          twoFactorSetupRequired:
+            !user.totp_enabled && requiredRoles.includes(user.role),
+          ...tokens
+        });
+      });
+    });
+  }
+
+  async function sendPasswordResetEmail(toEmail, token) {
+    const resetUrl = `${PASSWORD_RESET_URL}?token=${encodeURIComponent(token)}`;
+
+    await mailer.send({
+      to: toEmail,
+      ...passwordResetEmail({
+        resetUrl,
+        expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+      })
+    });
   }
 
   // ==================================
@@ -91,102 +157,146 @@ function createAuthRouter(db) {
     const cleanEmail = String(email).trim().toLowerCase();
     const cleanUsername = String(username).trim().toLowerCase();
     const passwordHash = bcrypt.hashSync(password, 10);
-    const verifyToken = crypto.randomBytes(32).toString("hex");
-
-    // Check for duplicate email/username first
-    db.get(
-      `
-      SELECT customer_id
-      FROM customers
-      WHERE LOWER(email) = ? OR LOWER(username) = ?
-    `,
-      [cleanEmail, cleanUsername],
-      (err, existing) => {
-        if (err) {
-          console.error("DB read error in /auth/register:", err);
-          return res.status(500).json({ error: "Database read error" });
-        }
-        if (existing) {
-          return res.status(409).json({
-            error:
-              "An account with that email or username already exists. Use a different email/username."
-          });
-        }
+    const verify = newVerifyToken();
 
-        // Insert new customer with login fields
-        const sql = `
-          INSERT INTO customers (
-            full_name,
-            address_line1,
-            address_line2,
-            city,
-            state,
-            zip_code,
-            email,
-            username,
-            password_hash,
-            verify_token
-          )
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-
-        db.run(
-          sql,
-          [
-            full_name,
-            address_line1,
-            address_line2 || null,
-            city || null,
-            state || null,
-            zip_code,
-            cleanEmail,
-            cleanUsername,
-            passwordHash,
-            verifyToken
-          ],
-          function (insertErr) {
-            if (insertErr) {
-              console.error("DB write error in /auth/register:", insertErr);
-              return res.status(500).json({ error: "Database write error" });
+    // The login, its customer profile and the first shipping address are
+    // created together
+    withTransaction(
+      db,
+      (done) => {
+        db.get(
+          `
+          SELECT user_id
+          FROM users
+          WHERE LOWER(email) = ? OR LOWER(username) = ?
+        `,
+          [cleanEmail, cleanUsername],
+          (err, existing) => {
+            if (err) return done(err);
+            if (existing) {
+              return done(
+                httpError(
+                  409,
+                  "An account with that email or username already exists. Use a different email/username."
+                )
+              );
             }
 
-            const customerId = this.lastID;
-
-            // Try to send verification email
-            sendVerificationEmail(cleanEmail, verifyToken)
-              .then(() => {
-                res.status(201).json({
-                  ok: true,
-                  customerId,
-                  email: cleanEmail,
-                  username: cleanUsername,
-                  message:
-                    "Account created. Check your email to verify your address."
-                });
-              })
-              .catch((mailErr) => {
-                console.error(
-                  "Email send error in /auth/register (continuing):",
-                  mailErr
+            db.run(
+              "INSERT INTO customers (full_name) VALUES (?)",
+              [full_name],
+              function (customerErr) {
+                if (customerErr) return done(customerErr);
+                const customerId = this.lastID;
+
+                db.run(
+                  `
+                  INSERT INTO customer_addresses (
+                    customer_id,
+                    label,
+                    address_line1,
+                    address_line2,
+                    city,
+                    state,
+                    zip_code,
+                    is_default
+                  )
+                  VALUES (?, 'Primary', ?, ?, ?, ?, ?, 1)
+                `,
+                  [
+                    customerId,
+                    address_line1,
+                    address_line2 || null,
+                    city || null,
+                    state || null,
+                    zip_code
+                  ],
+                  (addressErr) => {
+                    if (addressErr) return done(addressErr);
+
+                    db.run(
+                      `
+                      INSERT INTO users (
+                        customer_id,
+                        email,
+                        username,
+                        password_hash,
+                        verification_token,
+                        verification_token_expires_at
+                      )
+                      VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+                    `,
+                      [
+                        customerId,
+                        cleanEmail,
+                        cleanUsername,
+                        passwordHash,
+                        verify.hash,
+                        verify.expiresIn
+                      ],
+                      function (userErr) {
+                        if (userErr) return done(userErr);
+                        const userId = this.lastID;
+
+                        audit.recordInTransaction(
+                          req,
+                          {
+                            eventType: "ACCOUNT_REGISTERED",
+                            customerId,
+                            actorId: userId,
+                            actorRole: "customer",
+                            afterStatus: "UNVERIFIED",
+                            details: { email: cleanEmail, username: cleanUsername }
+                          },
+                          (auditErr) => done(auditErr, { userId, customerId })
+                        );
+                      }
+                    );
+                  }
                 );
-                if (mailErr.response && mailErr.response.body) {
-                  console.error(
-                    "SendGrid response body in /auth/register:",
-                    mailErr.response.body
-                  );
-                }
-                // Still succeed account creation for project
-                res.status(201).json({
-                  ok: true,
-                  customerId,
-                  email: cleanEmail,
-                  username: cleanUsername,
-                  warning:
-                    "Account created, but verification email could not be sent in this environment."
-                });
-              });
+              }
+            );
           }
         );
+      },
+      (err, ids) => {
+        if (err && err.status) {
+          return res.status(err.status).json({ error: err.message });
+        }
+        if (err) {
+          console.error("DB write error in /auth/register:", err);
+          return res.status(500).json({ error: "Database write error" });
+        }
+
+        // Try to send verification email
+        sendVerificationEmail(cleanEmail, verify.token)
+          .then(() => {
+            res.status(201).json({
+              ok: true,
+              ...ids,
+              email: cleanEmail,
+              username: cleanUsername,
+              message: "Account created. Check your email to verify your address."
+            });
+          })
+          .catch((mailErr) => {
+            console.error("Email send error in /auth/register (continuing):", mailErr);
+            if (mailErr.response && mailErr.response.body) {
+              console.error(
+                "Mail provider response body in /auth/register:",
+                mailErr.response.body
+              );
+            }
+            // Still succeed account creation for project
+            res.status(201).json({
+              ok: true,
+              ...ids,
+              email: cleanEmail,
+              username: cleanUsername,
+              warning:
+                "Account created, but the verification email could not be sent. Request a new one from /auth/resend-verification."
+            });
+          });
       }
     );
   });
@@ -206,14 +316,18 @@ function createAuthRouter(db) {
 
     db.get(
       `
-      SELECT customer_id,
-             full_name,
-             email,
-             username,
-             password_hash,
-             is_verified
-      FROM customers
-      WHERE LOWER(email) = ? OR LOWER(username) = ?
+      SELECT u.user_id,
+             u.customer_id,
+             c.full_name,
+             u.email,
+             u.username,
+             u.password_hash,
+             u.email_verified,
+             u.role,
+             u.totp_enabled
+      FROM users u
+      LEFT JOIN customers c ON c.customer_id = u.customer_id
+      WHERE LOWER(u.email) = ? OR LOWER(u.username) = ?
     `,
       [lookup, lookup],
       (err, user) => {
@@ -221,37 +335,426 @@ function createAuthRouter(db) {
           console.error("DB read error in /auth/login:", err);
           return res.status(500).json({ error: "Database read error" });
         }
-        if (!user || !user.password_hash) {
-          return res.status(401).json({ error: "Invalid credentials." });
+        // Failed attempts are audited against the account when it exists
+        const loginFailed = (reason) =>
+          audit.record(req, {
+            eventType: "LOGIN_FAILED",
+            customerId: user ? user.customer_id : null,
+            details: { identifier: lookup, reason }
+          });
+
+        const keys = throttleKeys(req, user, lookup);
+
+        // Count the failure, audit any lockout it triggers, then answer
+        const rejectCredentials = (reason) => {
+          loginFailed(reason);
+          loginGuard.recordFailure(keys, (recordErr, newlyLocked) => {
+            if (recordErr) {
+              console.error("DB write error in /auth/login (throttle):", recordErr);
+            }
+            (newlyLocked || []).forEach((lock) =>
+              audit.record(req, {
+                eventType: "LOGIN_LOCKED",
+                customerId: lock.key === keys.account && user ? user.customer_id : null,
+                afterStatus: "LOCKED",
+                details: {
+                  identifier: lookup,
+                  scope: lock.key === keys.ip ? "ip" : "account",
+                  failures: lock.failures,
+                  lockedUntil: lock.lockedUntil
+                }
+              })
+            );
+            return res.status(401).json({ error: "Invalid credentials." });
+          });
+        };
+
+        // With 2FA on, the password only earns a challenge for the second step
+        const startTwoFactor = () => {
+          twoFactor.startChallenge(user.user_id, (challengeErr, challenge) => {
+            if (challengeErr) {
+              console.error("DB write error in /auth/login:", challengeErr);
+              return res.status(500).json({ error: "Database write error" });
+            }
+            return res.json({ ok: true, twoFactorRequired: true, ...challenge });
+          });
+        };
+
+        const checkPassword = () => {
+          if (!user || !user.password_hash) {
+            return rejectCredentials("UNKNOWN_ACCOUNT");
+          }
+
+          const ok = bcrypt.compareSync(password, user.password_hash);
+          if (!ok) return rejectCredentials("BAD_PASSWORD");
+
+          if (!user.email_verified) {
+            loginFailed("EMAIL_NOT_VERIFIED");
+            return res.status(403).json({
+              error: "Email not verified. Check your inbox.",
+              needsVerification: true
+            });
+          }
+
+          if (user.totp_enabled) return startTwoFactor();
+          completeLogin(req, res, user, { identifier: lookup });
+        };
+
+        loginGuard.status(keys, (guardErr, guard) => {
+          if (guardErr) {
+            console.error("DB read error in /auth/login (throttle):", guardErr);
+            return res.status(500).json({ error: "Database read error" });
+          }
+
+          if (guard.lockedKey) {
+            loginFailed("LOCKED_OUT");
+            res.set("Retry-After", String(guard.retryAfterSeconds));
+            return res.status(429).json({
+              error: `Too many failed sign-in attempts. Try again in ${Math.ceil(
+                guard.retryAfterSeconds / 60
+              )} minute(s).`,
+              retryAfterSeconds: guard.retryAfterSeconds
+            });
+          }
+
+          // slow down repeated guessing before even looking at the password
+          setTimeout(checkPassword, loginGuard.delayFor(guard.failures));
+        });
+      }
+    );
+  });
+
+  // ==================================
+  //        POST /auth/login/2fa
+  //  Second sign-in step: { challengeToken, code } or
+  //  { challengeToken, recoveryCode }
+  // ==================================
+  router.post("/login/2fa", (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res
+        .status(400)
+        .json({ error: "Missing challengeToken and code or recoveryCode." });
+    }
+
+    twoFactor.answerChallenge(
+      String(challengeToken),
+      { code, recoveryCode },
+      (err, outcome) => {
+        if (err) {
+          console.error("DB write error in /auth/login/2fa:", err);
+          return res.status(500).json({ error: "Database write error" });
         }
 
-        const ok = bcrypt.compareSync(password, user.password_hash);
-        if (!ok) return res.status(401).json({ error: "Invalid credentials." });
+        if (outcome.failure === "INVALID_CHALLENGE") {
+          return res
+            .status(401)
+            .json({ error: "Sign-in challenge is invalid or expired. Sign in again." });
+        }
 
-        if (!user.is_verified) {
-          return res.status(403).json({
-            error: "Email not verified. Check your inbox.",
-            needsVerification: true
+        // bad codes count towards the same lockout as bad passwords
+        if (outcome.failure) {
+          audit.record(req, {
+            eventType: "LOGIN_FAILED",
+            customerId: outcome.customerId,
+            details: { reason: "BAD_2FA_CODE" }
           });
+          return loginGuard.recordFailure(
+            throttleKeys(req, { user_id: outcome.userId }),
+            (recordErr) => {
+              if (recordErr) {
+                console.error("DB write error in /auth/login/2fa (throttle):", recordErr);
+              }
+              return res.status(401).json({ error: "Invalid code." });
+            }
+          );
+        }
+
+        db.get(
+          `
+          SELECT u.user_id, u.customer_id, c.full_name, u.email, u.username, u.role, u.totp_enabled
+          FROM users u
+          LEFT JOIN customers c ON c.customer_id = u.customer_id
+          WHERE u.user_id = ?
+        `,
+          [outcome.userId],
+          (readErr, user) => {
+            if (readErr || !user) {
+              console.error("DB read error in /auth/login/2fa:", readErr);
+              return res.status(500).json({ error: "Database read error" });
+            }
+
+            completeLogin(req, res, user, {
+              twoFactorMethod: outcome.method,
+              recoveryCodesRemaining: outcome.recoveryCodesRemaining
+            });
+          }
+        );
+      }
+    );
+  });
+
+  router.use("/2fa", createTwoFactorRouter(db, sessions, audit, twoFactor));
+
+  // ==================================
+  //        POST /auth/refresh
+  //  Trade a refresh token for new tokens
+  // ==================================
+  router.post("/refresh", (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Missing refreshToken." });
+    }
+
+    sessions.rotate(refreshToken, req, (err, tokens) => {
+      if (err) {
+        console.error("DB write error in /auth/refresh:", err);
+        return res.status(500).json({ error: "Database write error" });
+      }
+      if (!tokens) {
+        return res
+          .status(401)
+          .json({ error: "Invalid or expired refresh token." });
+      }
+      return res.json({ ok: true, ...tokens });
+    });
+  });
+
+  // ==================================
+  //        POST /auth/logout
+  // ==================================
+  router.post("/logout", requireAuth, (req, res) => {
+    sessions.revoke(req.user.sessionId, (err) => {
+      if (err) {
+        console.error("DB write error in /auth/logout:", err);
+        return res.status(500).json({ error: "Database write error" });
+      }
+
+      audit.record(req, {
+        eventType: "LOGOUT",
+        customerId: req.user.customerId,
+        details: { sessionId: req.user.sessionId }
+      });
+      return res.json({ ok: true, message: "Logged out." });
+    });
+  });
+
+  // ==================================
+  //    POST /auth/forgot-password
+  //    Email a single-use reset link. The response is the same whether or
+  //    not the account exists, and is sent before any lookup so its timing
+  //    gives nothing away either.
+  // ==================================
+  router.post("/forgot-password", (req, res) => {
+    const { email } = req.body || {};
+    if (!email) {
+      return res.status(400).json({ error: "Missing email." });
+    }
+
+    const cleanEmail = String(email).trim().toLowerCase();
+
+    res.json({
+      ok: true,
+      message:
+        "If an account exists for that email, a password reset link has been sent."
+    });
+
+    db.get(
+      "SELECT user_id, customer_id, email FROM users WHERE LOWER(email) = ?",
+      [cleanEmail],
+      (err, user) => {
+        if (err) {
+          console.error("DB read error in /auth/forgot-password:", err);
+          return;
+        }
+        if (!user) return;
+
+        const token = crypto.randomBytes(32).toString("base64url");
+
+        withTransaction(
+          db,
+          (done) => {
+            // only the newest link works
+            runSeries(
+              db,
+              [
+                [
+                  "UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL",
+                  [user.user_id]
+                ],
+                [
+                  `
+                  INSERT INTO password_resets (user_id, token_hash, expires_at, ip_address)
+                  VALUES (?, ?, datetime('now', ?), ?)
+                `,
+                  [
+                    user.user_id,
+                    hashToken(token),
+                    `+${PASSWORD_RESET_TTL_MINUTES} minutes`,
+                    req.ip || null
+                  ]
+                ]
+              ],
+              (writeErr) => {
+                if (writeErr) return done(writeErr);
+                audit.recordInTransaction(
+                  req,
+                  {
+                    eventType: "PASSWORD_RESET_REQUESTED",
+                    customerId: user.customer_id
+                  },
+                  done
+                );
+              }
+            );
+          },
+          (writeErr) => {
+            if (writeErr) {
+              console.error("DB write error in /auth/forgot-password:", writeErr);
+              return;
+            }
+
+            sendPasswordResetEmail(user.email, token).catch((mailErr) => {
+              console.error("Email send error in /auth/forgot-password:", mailErr);
+            });
+          }
+        );
+      }
+    );
+  });
+
+  // ==================================
+  //    POST /auth/reset-password
+  //    Consume a reset token and set a new password
+  // ==================================
+  router.post("/reset-password", (req, res) => {
+    const { token, password } = req.body || {};
+    if (!token || !password) {
+      return res.status(400).json({ error: "Missing token or password." });
+    }
+    if (String(password).length < 8) {
+      return res.status(400).json({
+        error: "Password must be at least 8 characters long."
+      });
+    }
+
+    const passwordHash = bcrypt.hashSync(String(password), 10);
+
+    withTransaction(
+      db,
+      (done) => {
+        db.get(
+          `
+          SELECT r.reset_id, r.user_id, u.customer_id
+          FROM password_resets r
+          JOIN users u ON u.user_id = r.user_id
+          WHERE r.token_hash = ?
+            AND r.used_at IS NULL
+            AND r.expires_at > datetime('now')
+        `,
+          [hashToken(token)],
+          (err, reset) => {
+            if (err) return done(err);
+            if (!reset) {
+              return done(httpError(400, "Invalid or expired reset token."));
+            }
+
+            runSeries(
+              db,
+              [
+                [
+                  "UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE reset_id = ?",
+                  [reset.reset_id]
+                ],
+                [
+                  "UPDATE users SET password_hash = ? WHERE user_id = ?",
+                  [passwordHash, reset.user_id]
+                ]
+              ],
+              (writeErr) => {
+                if (writeErr) return done(writeErr);
+
+                // whoever had the old password is signed out everywhere
+                sessions.revokeAll(reset.user_id, (revokeErr) => {
+                  if (revokeErr) return done(revokeErr);
+                  audit.recordInTransaction(
+                    req,
+                    {
+                      eventType: "PASSWORD_RESET_COMPLETED",
+                      customerId: reset.customer_id,
+                      actorId: reset.user_id
+                    },
+                    done
+                  );
+                });
+              }
+            );
+          }
+        );
+      },
+      (err) => {
+        if (err && err.status) {
+          return res.status(err.status).json({ error: err.message });
         }
+        if (err) {
+          console.error("DB write error in /auth/reset-password:", err);
+          return res.status(500).json({ error: "Database write error" });
+        }
+
         return res.json({
           ok: true,
-          user: {
-            customerId: user.customer_id,
-            full_name: user.full_name,
-            email: user.email,
-            username: user.username
-          }
+          message: "Password has been reset. Please sign in with your new password."
         });
       }
     );
   });
 
-    // ==================================
+  // ==================================
+  //        GET /auth/me
+  //  The address fields are the default shipping address; see
+  //  /customers/:customerId/addresses for all of them
+  // ==================================
+  router.get("/me", requireAuth, (req, res) => {
+    db.get(
+      `
+      SELECT u.user_id,
+             u.customer_id,
+             c.full_name,
+             u.email,
+             u.username,
+             u.role,
+             a.address_line1,
+             a.address_line2,
+             a.city,
+             a.state,
+             a.zip_code
+      FROM users u
+      LEFT JOIN customers c ON c.customer_id = u.customer_id
+      LEFT JOIN customer_addresses a ON a.customer_id = u.customer_id AND a.is_default = 1
+      WHERE u.user_id = ?
+    `,
+      [req.user.userId],
+      (err, user) => {
+        if (err) {
+          console.error("DB read error in /auth/me:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        if (!user) return res.status(404).json({ error: "Account not found." });
+
+        const { user_id, customer_id, ...profile } = user;
+        return res.json({
+          ok: true,
+          user: { userId: user_id, customerId: customer_id, ...profile }
+        });
+      }
+    );
+  });
+
+  // ==================================
   //    POST /auth/update
-  //    Update account details by email
+  //    Update the signed-in account's details
   // ==================================
-  router.post("/update", (req, res) => {
+  router.post("/update", requireAuth, (req, res) => {
     const {
       email,
       full_name,
@@ -260,91 +763,422 @@ function createAuthRouter(db) {
       city,
       state,
       zip_code,
-      password
+      password,
+      currentPassword
     } = req.body || {};
 
-    // Email to know which account to update
-    if (!email) {
+    // Email is optional now, but must not point at someone else's account
+    if (email && String(email).trim().toLowerCase() !== req.user.email) {
       return res
-        .status(400)
-        .json({ error: "Email is required to update account details." });
+        .status(403)
+        .json({ error: "You can only update your own account." });
     }
 
-    const updates = [];
-    const params = [];
+    // Each field lives on the login (users), the profile (customers) or the
+    // default shipping address (customer_addresses)
+    const userUpdates = [];
+    const userParams = [];
+    const profileUpdates = [];
+    const profileParams = [];
+    const addressUpdates = [];
+    const addressParams = [];
 
     if (full_name) {
-      updates.push("full_name = ?");
-      params.push(full_name);
+      profileUpdates.push("full_name = ?");
+      profileParams.push(full_name);
     }
     if (address_line1) {
-      updates.push("address_line1 = ?");
-      params.push(address_line1);
+      addressUpdates.push("address_line1 = ?");
+      addressParams.push(address_line1);
     }
     if (address_line2 !== undefined) {
-      updates.push("address_line2 = ?");
-      params.push(address_line2 || null);
+      addressUpdates.push("address_line2 = ?");
+      addressParams.push(address_line2 || null);
     }
     if (city !== undefined) {
-      updates.push("city = ?");
-      params.push(city || null);
+      addressUpdates.push("city = ?");
+      addressParams.push(city || null);
     }
     if (state !== undefined) {
-      updates.push("state = ?");
-      params.push(state || null);
+      addressUpdates.push("state = ?");
+      addressParams.push(state || null);
     }
     if (zip_code) {
-      updates.push("zip_code = ?");
-      params.push(zip_code);
+      addressUpdates.push("zip_code = ?");
+      addressParams.push(zip_code);
     }
 
-    // Optional password change
+    // Optional password change (needs the current password)
     if (password) {
+      if (typeof password !== "string") {
+        return res.status(400).json({ error: "password must be a string." });
+      }
       if (password.length < 8) {
         return res.status(400).json({
           error: "Password must be at least 8 characters long."
         });
       }
+      if (!currentPassword) {
+        return res.status(400).json({
+          error: "currentPassword is required to change the password."
+        });
+      }
       const passwordHash = bcrypt.hashSync(password, 10);
-      updates.push("password_hash = ?");
-      params.push(passwordHash);
+      userUpdates.push("password_hash = ?");
+      userParams.push(passwordHash);
     }
 
+    const updates = [...userUpdates, ...profileUpdates, ...addressUpdates];
     if (updates.length === 0) {
       return res.status(400).json({ error: "No fields to update." });
     }
 
-    // Match email case-insensitively
-    params.push(email.toLowerCase());
+    const { userId, customerId } = req.user;
+    if (!customerId && (profileUpdates.length || addressUpdates.length)) {
+      return res
+        .status(400)
+        .json({ error: "This login has no customer profile to update." });
+    }
 
-    const sql = `
-      UPDATE customers
-      SET ${updates.join(", ")}
-      WHERE LOWER(email) = ?
-    `;
+    // Without a default address yet, the update creates one
+    const saveAddress = (done) => {
+      if (!addressUpdates.length) return done();
 
-    db.run(sql, params, function (err) {
-      if (err) {
-        console.error("DB write error in /auth/update:", err);
-        return res.status(500).json({ error: "Database write error" });
+      db.run(
+        `
+        UPDATE customer_addresses
+        SET ${addressUpdates.join(", ")}, updated_at = CURRENT_TIMESTAMP
+        WHERE customer_id = ? AND is_default = 1
+      `,
+        [...addressParams, customerId],
+        function (err) {
+          if (err || this.changes) return done(err);
+          if (!address_line1 || !zip_code) {
+            return done(
+              httpError(400, "address_line1 and zip_code are required to add an address.")
+            );
+          }
+
+          db.run(
+            `
+            INSERT INTO customer_addresses (
+              customer_id, label, address_line1, address_line2, city, state, zip_code, is_default
+            )
+            VALUES (?, 'Primary', ?, ?, ?, ?, ?, 1)
+          `,
+            [customerId, address_line1, address_line2 || null, city || null, state || null, zip_code],
+            done
+          );
+        }
+      );
+    };
+
+    const applyUpdate = () => {
+      withTransaction(
+        db,
+        (done) => {
+          const statements = [];
+          if (userUpdates.length) {
+            statements.push([
+              `UPDATE users SET ${userUpdates.join(", ")} WHERE user_id = ?`,
+              [...userParams, userId]
+            ]);
+          }
+          if (profileUpdates.length) {
+            statements.push([
+              `UPDATE customers SET ${profileUpdates.join(", ")} WHERE customer_id = ?`,
+              [...profileParams, customerId]
+            ]);
+          }
+
+          // A new password signs out every other session, as a reset does
+          const revokeOtherSessions = (cb) =>
+            password ? sessions.revokeOthers(userId, req.user.sessionId, cb) : cb();
+
+          runSeries(db, statements, (err) => {
+            if (err) return done(err);
+            saveAddress((addressErr) => {
+              if (addressErr) return done(addressErr);
+              revokeOtherSessions((revokeErr) => {
+                if (revokeErr) return done(revokeErr);
+
+                // record which fields changed, not their values
+                audit.recordInTransaction(
+                  req,
+                  {
+                    eventType: "ACCOUNT_UPDATED",
+                    customerId,
+                    details: {
+                      fields: updates.map((u) =>
+                        u.split(" = ")[0].replace("password_hash", "password")
+                      ),
+                      passwordChanged: !!password
+                    }
+                  },
+                  done
+                );
+              });
+            });
+          });
+        },
+        (err) => {
+          if (err && err.status) {
+            return res.status(err.status).json({ error: err.message });
+          }
+          if (err) {
+            console.error("DB write error in /auth/update:", err);
+            return res.status(500).json({ error: "Database write error" });
+          }
+
+          return res.json({
+            ok: true,
+            message: "Account details updated successfully."
+          });
+        }
+      );
+    };
+
+    if (!password) return applyUpdate();
+
+    db.get(
+      "SELECT password_hash FROM users WHERE user_id = ?",
+      [userId],
+      (err, row) => {
+        if (err) {
+          console.error("DB read error in /auth/update:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        if (
+          !row ||
+          !row.password_hash ||
+          !bcrypt.compareSync(String(currentPassword), row.password_hash)
+        ) {
+          return res.status(401).json({ error: "Current password is incorrect." });
+        }
+        applyUpdate();
       }
+    );
+  });
 
-      if (this.changes === 0) {
-        return res
-          .status(404)
-          .json({ error: "No account found with that email." });
+  // ==================================
+  //    PUT /auth/accounts/:userId/role
+  //    Admin only: assign an account's role
+  // ==================================
+  router.put("/accounts/:userId/role", requireRole("admin"), (req, res) => {
+    const { role } = req.body || {};
+    const userId = Number(req.params.userId);
+
+    if (!ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: `Role must be one of: ${ROLES.join(", ")}.` });
+    }
+    if (userId === req.user.userId) {
+      return res
+        .status(400)
+        .json({ error: "Admins cannot change their own role." });
+    }
+
+    db.get(
+      "SELECT role, customer_id FROM users WHERE user_id = ?",
+      [userId],
+      (err, account) => {
+        if (err) {
+          console.error("DB read error in /auth/accounts/:userId/role:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        if (!account) {
+          return res.status(404).json({ error: "Account not found." });
+        }
+
+        runQueued(
+          db,
+          "UPDATE users SET role = ? WHERE user_id = ?",
+          [role, userId],
+          (updateErr) => {
+            if (updateErr) {
+              console.error(
+                "DB write error in /auth/accounts/:userId/role:",
+                updateErr
+              );
+              return res.status(500).json({ error: "Database write error" });
+            }
+
+            audit.record(req, {
+              eventType: "ROLE_CHANGED",
+              customerId: account.customer_id,
+              beforeStatus: account.role,
+              afterStatus: role,
+              details: { userId }
+            });
+
+            return res.json({ ok: true, userId, role });
+          }
+        );
       }
+    );
+  });
 
-      return res.json({
-        ok: true,
-        message: "Account details updated successfully."
-      });
+  // ==================================
+  //    POST /auth/resend-verification
+  //    Send a fresh verification link; older links stop working. Like
+  //    forgot-password, the answer does not reveal whether the account
+  //    exists or is already verified.
+  // ==================================
+  router.post("/resend-verification", resendVerificationLimit, (req, res) => {
+    const { email } = req.body || {};
+    if (!email) {
+      return res.status(400).json({ error: "Missing email." });
+    }
+
+    const cleanEmail = String(email).trim().toLowerCase();
+
+    res.json({
+      ok: true,
+      message:
+        "If that email belongs to an unverified account, a new verification link has been sent."
     });
+
+    db.get(
+      "SELECT user_id, customer_id, email FROM users WHERE LOWER(email) = ? AND email_verified = 0",
+      [cleanEmail],
+      (err, user) => {
+        if (err) {
+          console.error("DB read error in /auth/resend-verification:", err);
+          return;
+        }
+        if (!user) return;
+
+        const verify = newVerifyToken();
+
+        runQueued(
+          db,
+          `
+          UPDATE users
+          SET verification_token = ?,
+              verification_token_expires_at = datetime('now', ?)
+          WHERE user_id = ? AND email_verified = 0
+        `,
+          [verify.hash, verify.expiresIn, user.user_id],
+          (updateErr) => {
+            if (updateErr) {
+              console.error("DB write error in /auth/resend-verification:", updateErr);
+              return;
+            }
+
+            audit.record(req, {
+              eventType: "VERIFICATION_RESENT",
+              customerId: user.customer_id
+            });
+
+            sendVerificationEmail(user.email, verify.token).catch((mailErr) => {
+              console.error("Email send error in /auth/resend-verification:", mailErr);
+            });
+          }
+        );
+      }
+    );
   });
 
+  // ==================================
+  //    POST /auth/accounts/:userId/unlock
+  //    Admin only: lift a sign-in lockout early
+  // ==================================
+  router.post("/accounts/:userId/unlock", requireRole("admin"), (req, res) => {
+    const userId = Number(req.params.userId);
+
+    db.get(
+      "SELECT customer_id FROM users WHERE user_id = ?",
+      [userId],
+      (err, account) => {
+        if (err) {
+          console.error("DB read error in /auth/accounts/:userId/unlock:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        if (!account) {
+          return res.status(404).json({ error: "Account not found." });
+        }
+
+        loginGuard.clear(`account:${userId}`, (clearErr, cleared) => {
+          if (clearErr) {
+            console.error(
+              "DB write error in /auth/accounts/:userId/unlock:",
+              clearErr
+            );
+            return res.status(500).json({ error: "Database write error" });
+          }
+
+          audit.record(req, {
+            eventType: "ACCOUNT_UNLOCKED",
+            customerId: account.customer_id,
+            afterStatus: "UNLOCKED",
+            details: { userId, hadFailures: cleared }
+          });
+
+          return res.json({ ok: true, userId, cleared });
+        });
+      }
+    );
+  });
+
+  // ==================================
+  //    POST /auth/accounts/:userId/2fa/reset
+  //    Admin only: remove 2FA from an account that lost its device and
+  //    recovery codes, so it can enroll again
+  // ==================================
+  router.post(
+    "/accounts/:userId/2fa/reset",
+    requireRole("admin"),
+    (req, res) => {
+      const userId = Number(req.params.userId);
+
+      withTransaction(
+        db,
+        (done) => {
+          db.get(
+            "SELECT totp_enabled, customer_id FROM users WHERE user_id = ?",
+            [userId],
+            (err, account) => {
+              if (err) return done(err);
+              if (!account) {
+                return done(httpError(404, "Account not found."));
+              }
+
+              twoFactor.removeInTransaction(userId, (removeErr) => {
+                if (removeErr) return done(removeErr);
+                audit.recordInTransaction(
+                  req,
+                  {
+                    eventType: "TWO_FACTOR_RESET",
+                    customerId: account.customer_id,
+                    beforeStatus: account.totp_enabled ? "ENABLED" : "DISABLED",
+                    afterStatus: "DISABLED",
+                    details: { userId }
+                  },
+                  done
+                );
+              });
+            }
+          );
+        },
+        (err) => {
+          if (err && err.status) {
+            return res.status(err.status).json({ error: err.message });
+          }
+          if (err) {
+            console.error("DB write error in /auth/accounts/:userId/2fa/reset:", err);
+            return res.status(500).json({ error: "Database write error" });
+          }
+          return res.json({ ok: true, userId, twoFactorEnabled: false });
+        }
+      );
+    }
+  );
 
   // ==================================
   //    GET /auth/verify-email?token=
+  //    Redirects to VERIFY_REDIRECT_URL, or answers with JSON for API
+  //    clients (?format=json or Accept: application/json)
   // ==================================
   router.get("/verify-email", (req, res) => {
     const { token } = req.query;
@@ -352,9 +1186,16 @@ function createAuthRouter(db) {
       return res.status(400).json({ error: "Missing verification token." });
     }
 
+    const wantsJson =
+      req.query.format === "json" || req.accepts(["html", "json"]) === "json";
+
     db.get(
-      "SELECT customer_id FROM customers WHERE verify_token = ?",
-      [token],
+      `
+      SELECT user_id, customer_id
+      FROM users
+      WHERE verification_token = ? AND verification_token_expires_at > datetime('now')
+    `,
+      [hashToken(token)],
       (err, row) => {
         if (err) {
           console.error("DB read error in /auth/verify-email:", err);
@@ -367,14 +1208,16 @@ function createAuthRouter(db) {
             .json({ error: "Invalid or expired verification token." });
         }
 
-        db.run(
+        runQueued(
+          db,
           `
-          UPDATE customers
-          SET is_verified = 1,
-              verify_token = NULL
-          WHERE customer_id = ?
+          UPDATE users
+          SET email_verified = 1,
+              verification_token = NULL,
+              verification_token_expires_at = NULL
+          WHERE user_id = ?
         `,
-          [row.customer_id],
+          [row.user_id],
           (updateErr) => {
             if (updateErr) {
               console.error(
@@ -384,7 +1227,23 @@ function createAuthRouter(db) {
               return res.status(500).json({ error: "Database write error" });
             }
 
-            return res.redirect("https://storefrontsolutions.shop/verified.html");
+            audit.record(req, {
+              eventType: "EMAIL_VERIFIED",
+              customerId: row.customer_id,
+              actorId: row.user_id,
+              beforeStatus: "UNVERIFIED",
+              afterStatus: "VERIFIED"
+            });
+
+            if (wantsJson) {
+              return res.json({
+                ok: true,
+                userId: row.user_id,
+                customerId: row.customer_id,
+                message: "Email verified. You can now sign in."
+              });
+            }
+            return res.redirect(VERIFY_REDIRECT_URL);
           }
         );
       }
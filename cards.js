@@ -0,0 +1,337 @@
+// cards.js
+//
+// Saved payment methods for the signed-in user. A card is stored as the
+// payment gateway's token plus brand, last4 and expiry; the card number
+// goes to the gateway once, when the card is added, and is never stored.
+// Removed cards are kept (without their token) so past authorizations
+// still show which card paid.
+const express = require("express");
+const { withTransaction, httpError, sendError } = require("./db-helpers");
+
+// { month, year } from user input, or null when it is not a valid expiry.
+// Two-digit years are taken as 20xx.
+function parseExpiry(expMonth, expYear) {
+  const month = Number(expMonth);
+  let year = Number(expYear);
+  if (!Number.isInteger(month) || month < 1 || month > 12) return null;
+  if (!Number.isInteger(year)) return null;
+  if (year < 100) year += 2000;
+  if (year < 2000 || year > 2100) return null;
+  return { month, year };
+}
+
+// A card is good through the last day of its expiry month
+function isExpired(month, year, now = new Date()) {
+  if (!month || !year) return false;
+  const currentYear = now.getFullYear();
+  return year < currentYear || (year === currentYear && month < now.getMonth() + 1);
+}
+
+function createSavedCards(db) {
+  // The saved card a checkout charges. Only the signed-in user's own cards
+  // can be charged, staff checking out for a customer included.
+  // cb(err, card, cardError) where cardError explains a card that cannot
+  // be used.
+  function forCheckout(userId, cardId, cb) {
+    db.get(
+      "SELECT * FROM user_cards WHERE user_id = ? AND card_id = ? AND removed_at IS NULL",
+      [userId, Number(cardId)],
+      (err, card) => {
+        if (err) return cb(err);
+        if (!card) return cb(null, null, "Card not found.");
+        if (!card.gateway_token) {
+          return cb(null, null, "That card can no longer be charged. Add it again.");
+        }
+        if (isExpired(card.exp_month, card.exp_year)) {
+          return cb(null, null, "That card has expired.");
+        }
+        cb(null, card);
+      }
+    );
+  }
+
+  return { forCheckout };
+}
+
+function createCardsRouter(db, sessions, audit, gateway) {
+  const router = express.Router();
+
+  router.use(sessions.requireAuth);
+
+  // Normalize a card row for API responses; the token never leaves the server
+  function toCard(row) {
+    return {
+      cardId: row.card_id,
+      brand: row.brand,
+      last4: row.last4,
+      expMonth: row.exp_month,
+      expYear: row.exp_year,
+      isDefault: !!row.is_default,
+      expired: isExpired(row.exp_month, row.exp_year),
+      created_at: row.created_at
+    };
+  }
+
+  function loadCard(userId, cardId, cb) {
+    db.get(
+      "SELECT * FROM user_cards WHERE card_id = ? AND user_id = ? AND removed_at IS NULL",
+      [cardId, userId],
+      cb
+    );
+  }
+
+  // One default per user
+  function clearDefault(userId, cb) {
+    db.run(
+      "UPDATE user_cards SET is_default = 0 WHERE user_id = ? AND is_default = 1",
+      [userId],
+      cb
+    );
+  }
+
+  // ==================================
+  //        GET /cards
+  //  Saved cards, default first
+  // ==================================
+  router.get("/", (req, res) => {
+    db.all(
+      `
+      SELECT *
+      FROM user_cards
+      WHERE user_id = ? AND removed_at IS NULL
+      ORDER BY is_default DESC, created_at DESC, card_id DESC
+    `,
+      [req.user.userId],
+      (err, rows) => {
+        if (err) {
+          console.error("DB read error in GET /cards:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        res.json(rows.map(toCard));
+      }
+    );
+  });
+
+  // ==================================
+  //        POST /cards
+  //  Tokenizes the card with the payment gateway and saves the token.
+  //  The first card always becomes the default.
+  // ==================================
+  router.post("/", (req, res) => {
+    const { cardNumber, expMonth, expYear, isDefault } = req.body || {};
+
+    if (!cardNumber || expMonth == null || expYear == null) {
+      return res
+        .status(400)
+        .json({ error: "Missing one or more required fields: cardNumber, expMonth, expYear." });
+    }
+
+    const expiry = parseExpiry(expMonth, expYear);
+    if (!expiry) {
+      return res.status(400).json({ error: "Invalid expiry date." });
+    }
+    if (isExpired(expiry.month, expiry.year)) {
+      return res.status(400).json({ error: "That card has expired." });
+    }
+
+    gateway
+      .tokenize({ cardNumber, expMonth: expiry.month, expYear: expiry.year })
+      .catch((gatewayErr) => {
+        console.error("Gateway error in POST /cards:", gatewayErr);
+        return { ok: false };
+      })
+      .then((tokenized) => {
+        if (!tokenized.ok) {
+          // "XX" (or no code at all) means the gateway itself failed
+          if (!tokenized.code || tokenized.code === "XX") {
+            return res.status(502).json({
+              error: "The payment gateway could not save the card. Try again later."
+            });
+          }
+          return res.status(400).json({
+            error: "The card was not accepted. Check the number and try again."
+          });
+        }
+
+        const { userId } = req.user;
+
+        withTransaction(
+          db,
+          (done) => {
+            db.get(
+              "SELECT COUNT(*) AS total FROM user_cards WHERE user_id = ? AND removed_at IS NULL",
+              [userId],
+              (err, row) => {
+                if (err) return done(err);
+                const makeDefault = row.total === 0 || isDefault === true;
+
+                const insert = () => {
+                  db.run(
+                    `
+                    INSERT INTO user_cards (
+                      user_id, gateway_token, brand, last4, exp_month, exp_year, is_default
+                    )
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                  `,
+                    [
+                      userId,
+                      tokenized.token,
+                      tokenized.brand,
+                      tokenized.last4,
+                      expiry.month,
+                      expiry.year,
+                      makeDefault ? 1 : 0
+                    ],
+                    function (insertErr) {
+                      if (insertErr) return done(insertErr);
+                      const cardId = this.lastID;
+
+                      audit.recordInTransaction(
+                        req,
+                        {
+                          eventType: "CARD_ADDED",
+                          customerId: req.user.customerId,
+                          details: { cardId, brand: tokenized.brand, last4: tokenized.last4 }
+                        },
+                        (auditErr) => {
+                          if (auditErr) return done(auditErr);
+                          loadCard(userId, cardId, done);
+                        }
+                      );
+                    }
+                  );
+                };
+
+                if (!makeDefault) return insert();
+                clearDefault(userId, (clearErr) => {
+                  if (clearErr) return done(clearErr);
+                  insert();
+                });
+              }
+            );
+          },
+          (err, card) => {
+            if (err) return sendError(res, "POST /cards", err);
+            res.status(201).json(toCard(card));
+          }
+        );
+      });
+  });
+
+  // ==================================
+  //    POST /cards/:cardId/default
+  //  Make this the card listed first
+  // ==================================
+  router.post("/:cardId/default", (req, res) => {
+    const cardId = Number(req.params.cardId);
+    const { userId } = req.user;
+
+    withTransaction(
+      db,
+      (done) => {
+        loadCard(userId, cardId, (err, card) => {
+          if (err) return done(err);
+          if (!card) return done(httpError(404, "Card not found."));
+          if (card.is_default) return done(null, card);
+
+          clearDefault(userId, (clearErr) => {
+            if (clearErr) return done(clearErr);
+            db.run(
+              "UPDATE user_cards SET is_default = 1 WHERE card_id = ?",
+              [cardId],
+              (updateErr) => {
+                if (updateErr) return done(updateErr);
+                loadCard(userId, cardId, done);
+              }
+            );
+          });
+        });
+      },
+      (err, card) => {
+        if (err) return sendError(res, "POST /cards/:cardId/default", err);
+        res.json(toCard(card));
+      }
+    );
+  });
+
+  // ==================================
+  //    DELETE /cards/:cardId
+  //  Forgets the token; removing the default promotes the newest
+  //  remaining card
+  // ==================================
+  router.delete("/:cardId", (req, res) => {
+    const cardId = Number(req.params.cardId);
+    const { userId } = req.user;
+
+    withTransaction(
+      db,
+      (done) => {
+        loadCard(userId, cardId, (err, card) => {
+          if (err) return done(err);
+          if (!card) return done(httpError(404, "Card not found."));
+
+          const readDefault = () => {
+            db.get(
+              "SELECT card_id FROM user_cards WHERE user_id = ? AND is_default = 1 AND removed_at IS NULL",
+              [userId],
+              (readErr, row) => done(readErr, row ? row.card_id : null)
+            );
+          };
+
+          db.run(
+            `
+            UPDATE user_cards
+            SET removed_at = CURRENT_TIMESTAMP,
+                gateway_token = NULL,
+                is_default = 0
+            WHERE card_id = ?
+          `,
+            [cardId],
+            (removeErr) => {
+              if (removeErr) return done(removeErr);
+
+              audit.recordInTransaction(
+                req,
+                {
+                  eventType: "CARD_REMOVED",
+                  customerId: req.user.customerId,
+                  details: { cardId, brand: card.brand, last4: card.last4 }
+                },
+                (auditErr) => {
+                  if (auditErr) return done(auditErr);
+                  if (!card.is_default) return readDefault();
+
+                  db.run(
+                    `
+                    UPDATE user_cards
+                    SET is_default = 1
+                    WHERE card_id = (
+                      SELECT card_id FROM user_cards
+                      WHERE user_id = ? AND removed_at IS NULL
+                      ORDER BY created_at DESC, card_id DESC
+                      LIMIT 1
+                    )
+                  `,
+                    [userId],
+                    (promoteErr) => {
+                      if (promoteErr) return done(promoteErr);
+                      readDefault();
+                    }
+                  );
+                }
+              );
+            }
+          );
+        });
+      },
+      (err, defaultCardId) => {
+        if (err) return sendError(res, "DELETE /cards/:cardId", err);
+        res.json({ ok: true, cardId, defaultCardId });
+      }
+    );
+  });
+
+  return router;
+}
+
+module.exports = { createSavedCards, createCardsRouter };
@@ -0,0 +1,111 @@
+// db-helpers.js
+// Shared helpers for routes that need more than one statement per request.
+
+// Pending work per connection. node-sqlite3 shares one connection between
+// all requests, so a second BEGIN would fail while another request is still
+// inside its transaction, and a plain write sent meanwhile would join that
+// transaction and be rolled back with it; we queue them instead.
+const transactionQueues = new WeakMap();
+
+// Run `task(release)` once the work queued before it on `db` has called
+// its release()
+function enqueue(db, task) {
+  const previous = transactionQueues.get(db) || Promise.resolve();
+  const current = previous.then(() => new Promise(task));
+  transactionQueues.set(db, current);
+}
+
+// Run `work(done)` between BEGIN IMMEDIATE and COMMIT.
+// Calling done(err) rolls back; done(null, result) commits and hands
+// `result` to cb.
+function withTransaction(db, work, cb) {
+  enqueue(db, (release) => {
+    const finish = (err, result) => {
+      release();
+      cb(err, result);
+    };
+
+    db.run("BEGIN IMMEDIATE", (beginErr) => {
+      if (beginErr) return finish(beginErr);
+
+      let completed = false;
+      work((err, result) => {
+        if (completed) return;
+        completed = true;
+
+        if (err) {
+          return db.run("ROLLBACK", () => finish(err));
+        }
+        db.run("COMMIT", (commitErr) => {
+          if (commitErr) {
+            return db.run("ROLLBACK", () => finish(commitErr));
+          }
+          finish(null, result);
+        });
+      });
+    });
+  });
+}
+
+// Run a single write that is not part of a transaction, in its turn
+// behind the queued transactions. cb is called as db.run calls it, with
+// this.lastID and this.changes. Never call it from inside withTransaction
+// work: it would wait for the transaction it is part of.
+function runQueued(db, sql, params, cb = () => {}) {
+  enqueue(db, (release) => {
+    db.run(sql, params || [], function (err) {
+      release();
+      cb.call(this, err || null);
+    });
+  });
+}
+
+// Run [sql, params] pairs one after another, stopping at the first error
+function runSeries(db, statements, cb) {
+  let index = 0;
+  const next = (err) => {
+    if (err || index >= statements.length) return cb(err || null);
+    const [sql, params] = statements[index++];
+    db.run(sql, params || [], next);
+  };
+  next();
+}
+
+// Round a currency amount to cents
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+// limit/offset from a list route's query string, clamped so a negative
+// value can never reach SQLite (LIMIT -1 means no limit at all)
+function pageParams(query, defaultLimit, maxLimit) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  return { limit, offset };
+}
+
+// Error carrying the HTTP status to answer with, for failures raised
+// inside withTransaction work
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Answer a failed write: errors from httpError() with their own status,
+// anything else is a database problem
+function sendError(res, route, err) {
+  if (err.status) return res.status(err.status).json({ error: err.message });
+  console.error(`DB write error in ${route}:`, err);
+  return res.status(500).json({ error: "Database write error" });
+}
+
+module.exports = {
+  withTransaction,
+  runQueued,
+  runSeries,
+  roundMoney,
+  pageParams,
+  httpError,
+  sendError
+};
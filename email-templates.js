@@ -0,0 +1,147 @@
+// email-templates.js
+//
+// Each template returns { template, subject, text, html }, ready to hand to a
+// mail transport's send() together with `to`. The plain-text part carries the
+// same content for clients that do not render HTML.
+
+// Escape a value for use in HTML text or attributes
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function money(value) {
+  return `$${Number(value || 0).toFixed(2)}`;
+}
+
+// Shared HTML frame around each message body
+function layout(title, bodyHtml) {
+  return `<!doctype html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">
+    <h2 style="margin-bottom: 16px;">${escapeHtml(title)}</h2>
+    ${bodyHtml}
+    <p style="color: #777; font-size: 12px; margin-top: 32px;">Storefront Solutions</p>
+  </body>
+</html>`;
+}
+
+// ==================================
+//   Email verification
+// ==================================
+function verificationEmail({ verifyUrl, expiresInHours }) {
+  return {
+    template: "verification",
+    subject: "Verify your email address",
+    text: [
+      "Thanks for signing up with Storefront Solutions!",
+      "",
+      `Open the link below to verify your email address. It expires in ${expiresInHours} hours:`,
+      verifyUrl,
+      "",
+      "If you did not request this, you can ignore this email."
+    ].join("\n"),
+    html: layout(
+      "Verify your email address",
+      `
+    <p>Thanks for signing up with Storefront Solutions!</p>
+    <p>Click the link below to verify your email address. It expires in ${escapeHtml(expiresInHours)} hours:</p>
+    <p><a href="${escapeHtml(verifyUrl)}">${escapeHtml(verifyUrl)}</a></p>
+    <p>If you did not request this, you can ignore this email.</p>`
+    )
+  };
+}
+
+// ==================================
+//   Password reset
+// ==================================
+function passwordResetEmail({ resetUrl, expiresInMinutes }) {
+  return {
+    template: "password_reset",
+    subject: "Reset your password",
+    text: [
+      "We received a request to reset your Storefront Solutions password.",
+      "",
+      `Open the link below to choose a new one. It expires in ${expiresInMinutes} minutes and can only be used once:`,
+      resetUrl,
+      "",
+      "If you did not request this, you can ignore this email; your password has not changed."
+    ].join("\n"),
+    html: layout(
+      "Reset your password",
+      `
+    <p>We received a request to reset your Storefront Solutions password.</p>
+    <p>Click the link below to choose a new one. It expires in ${escapeHtml(expiresInMinutes)} minutes and can only be used once:</p>
+    <p><a href="${escapeHtml(resetUrl)}">${escapeHtml(resetUrl)}</a></p>
+    <p>If you did not request this, you can ignore this email; your password has not changed.</p>`
+    )
+  };
+}
+
+// ==================================
+//   Order receipt
+// ==================================
+// items are checkout cart lines: { sku, name, unitPrice, quantity, lineTotal }
+function receiptEmail({ customerName, orderId, items, subtotal, tax, total }) {
+  const greeting = customerName ? `Hi ${customerName},` : "Hi,";
+
+  const textLines = items.map(
+    (item) =>
+      `  ${item.quantity} x ${item.name} (${item.sku}) @ ${money(item.unitPrice)} = ${money(item.lineTotal)}`
+  );
+
+  const htmlRows = items
+    .map(
+      (item) => `
+        <tr>
+          <td>${escapeHtml(item.name)} <span style="color: #777;">(${escapeHtml(item.sku)})</span></td>
+          <td style="text-align: right;">${escapeHtml(item.quantity)}</td>
+          <td style="text-align: right;">${money(item.unitPrice)}</td>
+          <td style="text-align: right;">${money(item.lineTotal)}</td>
+        </tr>`
+    )
+    .join("");
+
+  return {
+    template: "receipt",
+    subject: `Your receipt for order ${orderId}`,
+    text: [
+      greeting,
+      "",
+      `Thanks for your order. Payment for order ${orderId} has been approved.`,
+      "",
+      ...textLines,
+      "",
+      `  Subtotal: ${money(subtotal)}`,
+      `  Tax:      ${money(tax)}`,
+      `  Total:    ${money(total)}`
+    ].join("\n"),
+    html: layout(
+      `Receipt for order ${orderId}`,
+      `
+    <p>${escapeHtml(greeting)}</p>
+    <p>Thanks for your order. Payment for order ${escapeHtml(orderId)} has been approved.</p>
+    <table cellpadding="6" style="border-collapse: collapse; width: 100%;">
+      <tr style="border-bottom: 1px solid #ddd;">
+        <th style="text-align: left;">Item</th>
+        <th style="text-align: right;">Qty</th>
+        <th style="text-align: right;">Price</th>
+        <th style="text-align: right;">Total</th>
+      </tr>${htmlRows}
+      <tr><td colspan="3" style="text-align: right;">Subtotal</td><td style="text-align: right;">${money(subtotal)}</td></tr>
+      <tr><td colspan="3" style="text-align: right;">Tax</td><td style="text-align: right;">${money(tax)}</td></tr>
+      <tr><td colspan="3" style="text-align: right;"><strong>Total</strong></td><td style="text-align: right;"><strong>${money(total)}</strong></td></tr>
+    </table>`
+    )
+  };
+}
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail,
+  receiptEmail
+};
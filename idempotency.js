@@ -0,0 +1,158 @@
+// idempotency.js
+//
+// Idempotency-Key support for POST routes that move money. The first request
+// with a key stores a fingerprint of the request and, once it finishes, its
+// response. Retries with the same key and body get that response replayed;
+// reusing the key with a different body is rejected.
+const crypto = require("crypto");
+const { runQueued } = require("./db-helpers");
+
+// Keys are kept for 24 hours
+const KEY_TTL = "-1 day";
+
+// JSON.stringify with sorted object keys, so property order in the body
+// does not change the fingerprint
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function createIdempotencyMiddleware(db) {
+  return function idempotent(req, res, next) {
+    const key = req.get("Idempotency-Key");
+    if (!key) return next();
+
+    if (key.length > 255) {
+      return res
+        .status(400)
+        .json({ error: "Idempotency-Key must be at most 255 characters." });
+    }
+
+    // keys are per caller, so two customers can never collide on one
+    const caller = req.user ? `customer:${req.user.customerId}` : "anonymous";
+    const scope = `${caller} ${req.method} ${req.originalUrl.split("?")[0]}`;
+    const fingerprint = crypto
+      .createHash("sha256")
+      .update(`${scope}\n${canonicalJson(req.body || {})}`)
+      .digest("hex");
+
+    runQueued(
+      db,
+      `DELETE FROM idempotency_keys WHERE created_at < datetime('now', '${KEY_TTL}')`,
+      [],
+      (cleanupErr) => {
+        if (cleanupErr) {
+          console.error("DB write error in idempotency cleanup:", cleanupErr);
+        }
+
+        runQueued(
+          db,
+          `
+          INSERT OR IGNORE INTO idempotency_keys (scope, idem_key, request_hash)
+          VALUES (?, ?, ?)
+        `,
+          [scope, key, fingerprint],
+          function (insertErr) {
+            if (insertErr) {
+              console.error("DB write error in idempotency check:", insertErr);
+              return res.status(500).json({ error: "Database write error" });
+            }
+
+            if (this.changes === 1) {
+              return runAndStore();
+            }
+            replayExisting();
+          }
+        );
+      }
+    );
+
+    // First request with this key: run it and remember the response. A
+    // request that failed with a server error runs again here, with the
+    // same req.requestKey as every earlier attempt.
+    function runAndStore() {
+      req.requestKey = crypto
+        .createHash("sha256")
+        .update(`${fingerprint}\n${key}`)
+        .digest("hex");
+
+      const originalJson = res.json.bind(res);
+
+      res.json = (body) => {
+        const status = res.statusCode;
+
+        // Server errors are not final; let the client retry with the same key
+        const sql =
+          status >= 500
+            ? ["DELETE FROM idempotency_keys WHERE scope = ? AND idem_key = ?", [scope, key]]
+            : [
+                `
+                UPDATE idempotency_keys
+                SET response_status = ?,
+                    response_body = ?,
+                    completed_at = CURRENT_TIMESTAMP
+                WHERE scope = ? AND idem_key = ?
+              `,
+                [status, JSON.stringify(body), scope, key]
+              ];
+
+        runQueued(db, sql[0], sql[1], (err) => {
+          if (err) console.error("DB write error storing idempotent response:", err);
+        });
+
+        return originalJson(body);
+      };
+
+      next();
+    }
+
+    // Key seen before: replay, or explain why we cannot
+    function replayExisting() {
+      db.get(
+        `
+        SELECT request_hash, response_status, response_body
+        FROM idempotency_keys
+        WHERE scope = ? AND idem_key = ?
+      `,
+        [scope, key],
+        (err, row) => {
+          if (err) {
+            console.error("DB read error in idempotency check:", err);
+            return res.status(500).json({ error: "Database read error" });
+          }
+          if (!row) {
+            // expired or released between our insert and this read
+            return res
+              .status(409)
+              .json({ error: "Idempotency-Key conflict, please retry." });
+          }
+
+          if (row.request_hash !== fingerprint) {
+            return res.status(422).json({
+              error: "Idempotency-Key was already used with a different request."
+            });
+          }
+
+          if (row.response_status == null) {
+            return res.status(409).json({
+              error: "A request with this Idempotency-Key is still in progress."
+            });
+          }
+
+          res.set("Idempotent-Replayed", "true");
+          res.status(row.response_status).json(JSON.parse(row.response_body));
+        }
+      );
+    }
+  };
+}
+
+module.exports = createIdempotencyMiddleware;
@@ -0,0 +1,716 @@
+// inventory.js
+//
+// Warehouse stock: how many units of each product sit in each bin, and a
+// movement record for every change. Stock only changes through move(), so
+// the movements always explain the quantities on hand.
+//
+// Checkout reserves units per product (not per bin); a product's available
+// stock is what its bins hold minus what is reserved. Settling the order
+// turns the reservation into SALE movements out of specific bins.
+const express = require("express");
+const { withTransaction, pageParams, httpError, sendError } = require("./db-helpers");
+const { STAFF_ROLES } = require("./sessions");
+
+const MOVEMENT_TYPES = ["RECEIVE", "ADJUST", "TRANSFER", "SALE"];
+const BIN_CODE = /^[A-Z0-9][A-Z0-9-]{0,15}$/;
+
+// ?sort= values for GET /inventory
+const SORT_COLUMNS = {
+  item: "p.name",
+  sku: "p.sku",
+  category: "p.category",
+  quantity: "s.quantity",
+  location: "b.code"
+};
+
+function createInventory(db) {
+  // cb(err, bin). With create, an unknown code becomes a new bin.
+  function findBin(code, { create = false } = {}, cb) {
+    const clean = String(code || "").trim().toUpperCase();
+    if (!BIN_CODE.test(clean)) return cb(httpError(400, `Invalid bin location "${code}".`));
+
+    db.get("SELECT * FROM warehouse_bins WHERE code = ?", [clean], (err, bin) => {
+      if (err) return cb(err);
+      if (bin) return cb(null, bin);
+      if (!create) return cb(httpError(404, `Bin ${clean} not found.`));
+
+      db.run("INSERT INTO warehouse_bins (code) VALUES (?)", [clean], function (insertErr) {
+        if (insertErr) return cb(insertErr);
+        cb(null, { bin_id: this.lastID, code: clean });
+      });
+    });
+  }
+
+  function takeFrom(productId, binId, quantity, cb) {
+    db.run(
+      `
+      UPDATE inventory_stock
+      SET quantity = quantity - ?, updated_at = CURRENT_TIMESTAMP
+      WHERE product_id = ? AND bin_id = ? AND quantity >= ?
+    `,
+      [quantity, productId, binId, quantity],
+      function (err) {
+        if (err) return cb(err);
+        if (this.changes) return cb();
+
+        db.get(
+          `
+          SELECT p.sku, b.code, COALESCE(s.quantity, 0) AS on_hand
+          FROM products p
+          JOIN warehouse_bins b ON b.bin_id = ?
+          LEFT JOIN inventory_stock s ON s.product_id = p.product_id AND s.bin_id = b.bin_id
+          WHERE p.product_id = ?
+        `,
+          [binId, productId],
+          (readErr, row) => {
+            if (readErr) return cb(readErr);
+            cb(
+              httpError(
+                409,
+                `Not enough stock of ${row.sku} in ${row.code} (${row.on_hand} on hand).`
+              )
+            );
+          }
+        );
+      }
+    );
+  }
+
+  function putInto(productId, binId, quantity, cb) {
+    db.run(
+      `
+      INSERT INTO inventory_stock (product_id, bin_id, quantity)
+      VALUES (?, ?, ?)
+      ON CONFLICT (product_id, bin_id) DO UPDATE
+      SET quantity = quantity + excluded.quantity,
+          updated_at = CURRENT_TIMESTAMP
+    `,
+      [productId, binId, quantity],
+      cb
+    );
+  }
+
+  // Units on hand minus units reserved, per product.
+  // cb(err, Map productId -> available)
+  function availability(productIds, cb) {
+    if (!productIds.length) return cb(null, new Map());
+    db.all(
+      `
+      SELECT p.product_id,
+             COALESCE((SELECT SUM(s.quantity) FROM inventory_stock s
+                       WHERE s.product_id = p.product_id), 0)
+           - COALESCE((SELECT SUM(r.quantity) FROM stock_reservations r
+                       WHERE r.product_id = p.product_id AND r.status = 'HELD'), 0)
+             AS available
+      FROM products p
+      WHERE p.product_id IN (${productIds.map(() => "?").join(", ")})
+    `,
+      productIds,
+      (err, rows) => {
+        if (err) return cb(err);
+        cb(null, new Map(rows.map((row) => [row.product_id, row.available])));
+      }
+    );
+  }
+
+  // Hold units for an order's lines ({ productId, sku, name, quantity }).
+  // Must run inside a transaction, so two checkouts cannot both take the
+  // last unit. cb(err); 409 with err.outOfStock listing the short lines.
+  function reserve(orderId, lines, cb) {
+    availability(
+      lines.map((line) => line.productId),
+      (err, available) => {
+        if (err) return cb(err);
+
+        const short = lines
+          .filter((line) => (available.get(line.productId) || 0) < line.quantity)
+          .map((line) => ({
+            sku: line.sku,
+            name: line.name,
+            requested: line.quantity,
+            available: Math.max(available.get(line.productId) || 0, 0)
+          }));
+        if (short.length) {
+          const summary = short
+            .map((line) => `${line.name} (${line.available} left, ${line.requested} wanted)`)
+            .join(", ");
+          const outErr = httpError(409, `Out of stock: ${summary}`);
+          outErr.outOfStock = short;
+          return cb(outErr);
+        }
+
+        let index = 0;
+        const next = (insertErr) => {
+          if (insertErr) return cb(insertErr);
+          if (index >= lines.length) return cb();
+          const line = lines[index++];
+          db.run(
+            "INSERT INTO stock_reservations (order_id, product_id, quantity) VALUES (?, ?, ?)",
+            [orderId, line.productId, line.quantity],
+            next
+          );
+        };
+        next();
+      }
+    );
+  }
+
+  // Give an order's held units back. cb(err, reservationsReleased)
+  function release(orderId, cb) {
+    db.run(
+      `
+      UPDATE stock_reservations
+      SET status = 'RELEASED', resolved_at = CURRENT_TIMESTAMP
+      WHERE order_id = ? AND status = 'HELD'
+    `,
+      [orderId],
+      function (err) {
+        cb(err, err ? undefined : this.changes);
+      }
+    );
+  }
+
+  // Turn an order's held units into SALE movements, emptying the fullest
+  // bins first. Must run inside a transaction. cb(err, unitsSold)
+  function commit(orderId, actorId, cb) {
+    db.all(
+      `
+      SELECT r.reservation_id, r.product_id, r.quantity, p.sku
+      FROM stock_reservations r
+      JOIN products p ON p.product_id = r.product_id
+      WHERE r.order_id = ? AND r.status = 'HELD'
+    `,
+      [orderId],
+      (err, held) => {
+        if (err) return cb(err);
+
+        let sold = 0;
+        let index = 0;
+        const nextReservation = (stepErr) => {
+          if (stepErr) return cb(stepErr);
+          if (index >= held.length) return cb(null, sold);
+          const reservation = held[index++];
+
+          db.all(
+            `
+            SELECT s.bin_id, s.quantity
+            FROM inventory_stock s
+            JOIN warehouse_bins b ON b.bin_id = s.bin_id
+            WHERE s.product_id = ? AND s.quantity > 0
+            ORDER BY s.quantity DESC, b.code ASC
+          `,
+            [reservation.product_id],
+            (binsErr, bins) => {
+              if (binsErr) return cb(binsErr);
+
+              let remaining = reservation.quantity;
+              const nextBin = (moveErr) => {
+                if (moveErr) return cb(moveErr);
+                if (remaining === 0) {
+                  sold += reservation.quantity;
+                  return db.run(
+                    `
+                    UPDATE stock_reservations
+                    SET status = 'COMMITTED', resolved_at = CURRENT_TIMESTAMP
+                    WHERE reservation_id = ?
+                  `,
+                    [reservation.reservation_id],
+                    nextReservation
+                  );
+                }
+                const bin = bins.shift();
+                if (!bin) {
+                  return cb(
+                    httpError(409, `Not enough ${reservation.sku} on hand to fill order ${orderId}.`)
+                  );
+                }
+
+                const quantity = Math.min(bin.quantity, remaining);
+                remaining -= quantity;
+                move(
+                  {
+                    type: "SALE",
+                    productId: reservation.product_id,
+                    quantity,
+                    fromBinId: bin.bin_id,
+                    orderId,
+                    actorId,
+                    reserved: true
+                  },
+                  nextBin
+                );
+              };
+              nextBin();
+            }
+          );
+        };
+        nextReservation();
+      }
+    );
+  }
+
+  // Apply one movement and record it. Must run inside a transaction.
+  // { type, productId, quantity (> 0), fromBinId, toBinId, orderId, poId,
+  //   reason, actorId, reserved }. cb(err, movementId); 409 when the
+  // source bin does not hold enough, or when units leaving the warehouse
+  // are needed for reservations (unless they are that reservation).
+  function move(movement, cb) {
+    const { type, productId, quantity, fromBinId = null, toBinId = null } = movement;
+
+    const record = () => {
+      db.run(
+        `
+        INSERT INTO stock_movements (
+          product_id, movement_type, quantity, from_bin_id, to_bin_id,
+          order_id, po_id, reason, actor_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        [
+          productId,
+          type,
+          quantity,
+          fromBinId,
+          toBinId,
+          movement.orderId || null,
+          movement.poId || null,
+          movement.reason || null,
+          movement.actorId || null
+        ],
+        function (err) {
+          cb(err, err ? undefined : this.lastID);
+        }
+      );
+    };
+
+    const arrive = () => {
+      if (toBinId == null) return record();
+      putInto(productId, toBinId, quantity, (err) => {
+        if (err) return cb(err);
+        record();
+      });
+    };
+
+    const depart = () => {
+      takeFrom(productId, fromBinId, quantity, (err) => {
+        if (err) return cb(err);
+        arrive();
+      });
+    };
+
+    if (fromBinId == null) return arrive();
+    if (toBinId != null || movement.reserved) return depart();
+
+    availability([productId], (err, available) => {
+      if (err) return cb(err);
+      const free = available.get(productId) || 0;
+      if (free < quantity) {
+        return cb(
+          httpError(
+            409,
+            `Only ${Math.max(free, 0)} unit(s) are not reserved for open orders.`
+          )
+        );
+      }
+      depart();
+    });
+  }
+
+  return { findBin, availability, reserve, release, commit, move };
+}
+
+function createInventoryRouter(db, sessions) {
+  const router = express.Router();
+  const inventory = createInventory(db);
+
+  // Any staff member can look stock up; only managers move it by hand
+  const staffOnly = sessions.requireRole(...STAFF_ROLES);
+  const canMoveStock = sessions.requireRole("manager", "admin");
+
+  function toStockRow(row) {
+    return {
+      productId: row.product_id,
+      sku: row.sku,
+      name: row.name,
+      category: row.category,
+      location: row.code,
+      quantity: row.quantity,
+      updated_at: row.updated_at
+    };
+  }
+
+  function toMovement(row) {
+    return {
+      movementId: row.movement_id,
+      type: row.movement_type,
+      productId: row.product_id,
+      sku: row.sku,
+      name: row.name,
+      quantity: row.quantity,
+      fromLocation: row.from_code,
+      toLocation: row.to_code,
+      orderId: row.order_id,
+      purchaseOrderId: row.po_id,
+      reason: row.reason,
+      actorId: row.actor_id,
+      created_at: row.created_at
+    };
+  }
+
+  const MOVEMENT_SELECT = `
+    SELECT m.*, p.sku, p.name, fb.code AS from_code, tb.code AS to_code
+    FROM stock_movements m
+    JOIN products p ON p.product_id = m.product_id
+    LEFT JOIN warehouse_bins fb ON fb.bin_id = m.from_bin_id
+    LEFT JOIN warehouse_bins tb ON tb.bin_id = m.to_bin_id
+  `;
+
+  // ==================================
+  //        GET /inventory
+  //  One row per product per bin
+  //  ?q=&category=&location=&includeEmpty=&sort=&order=&limit=&offset=
+  //  sort: item | sku | category | quantity | location
+  // ==================================
+  router.get("/", staffOnly, (req, res) => {
+    const { q, category, location, includeEmpty } = req.query;
+    const sort = SORT_COLUMNS[req.query.sort] ? req.query.sort : "item";
+    const order = String(req.query.order).toLowerCase() === "desc" ? "DESC" : "ASC";
+    const { limit, offset } = pageParams(req.query, 100, 500);
+
+    const where = [];
+    const params = [];
+
+    if (includeEmpty !== "true") {
+      where.push("s.quantity > 0");
+    }
+    if (q) {
+      where.push("(LOWER(p.name) LIKE ? OR LOWER(p.sku) LIKE ? OR LOWER(b.code) LIKE ?)");
+      const pattern = `%${String(q).trim().toLowerCase()}%`;
+      params.push(pattern, pattern, pattern);
+    }
+    if (category) {
+      where.push("LOWER(p.category) = ?");
+      params.push(String(category).trim().toLowerCase());
+    }
+    if (location) {
+      where.push("b.code = ?");
+      params.push(String(location).trim().toUpperCase());
+    }
+
+    const fromSql = `
+      FROM inventory_stock s
+      JOIN products p ON p.product_id = s.product_id
+      JOIN warehouse_bins b ON b.bin_id = s.bin_id
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    `;
+
+    db.get(`SELECT COUNT(*) AS total ${fromSql}`, params, (err, countRow) => {
+      if (err) {
+        console.error("DB read error in GET /inventory:", err);
+        return res.status(500).json({ error: "Database read error" });
+      }
+
+      db.all(
+        `
+        SELECT s.product_id, s.quantity, s.updated_at, p.sku, p.name, p.category, b.code
+        ${fromSql}
+        ORDER BY ${SORT_COLUMNS[sort]} ${order}, p.name ASC, b.code ASC
+        LIMIT ? OFFSET ?
+      `,
+        [...params, limit, offset],
+        (err2, rows) => {
+          if (err2) {
+            console.error("DB read error in GET /inventory:", err2);
+            return res.status(500).json({ error: "Database read error" });
+          }
+
+          res.set("X-Total-Count", String(countRow ? countRow.total : 0));
+          res.json(rows.map(toStockRow));
+        }
+      );
+    });
+  });
+
+  // ==================================
+  //        GET /inventory/low-stock
+  //  Products with a reorder point whose available stock (on hand minus
+  //  reserved) is at or below it, most urgent first. onOrder counts units
+  //  still to come on open purchase orders.
+  //  ?category=
+  // ==================================
+  router.get("/low-stock", staffOnly, (req, res) => {
+    const params = [];
+    let categorySql = "";
+    if (req.query.category) {
+      categorySql = "AND LOWER(p.category) = ?";
+      params.push(String(req.query.category).trim().toLowerCase());
+    }
+
+    db.all(
+      `
+      SELECT *
+      FROM (
+        SELECT p.product_id, p.sku, p.name, p.category,
+               p.reorder_point, p.reorder_quantity,
+               COALESCE((SELECT SUM(s.quantity) FROM inventory_stock s
+                         WHERE s.product_id = p.product_id), 0) AS on_hand,
+               COALESCE((SELECT SUM(r.quantity) FROM stock_reservations r
+                         WHERE r.product_id = p.product_id AND r.status = 'HELD'), 0) AS reserved,
+               COALESCE((SELECT SUM(l.quantity_ordered - l.quantity_received)
+                         FROM purchase_order_lines l
+                         JOIN purchase_orders po ON po.po_id = l.po_id
+                         WHERE l.product_id = p.product_id
+                           AND po.status IN ('OPEN', 'PARTIALLY_RECEIVED')), 0) AS on_order
+        FROM products p
+        WHERE p.is_active = 1
+          AND p.reorder_point IS NOT NULL
+          ${categorySql}
+      )
+      WHERE on_hand - reserved <= reorder_point
+      ORDER BY (on_hand - reserved) - reorder_point ASC, name ASC
+    `,
+      params,
+      (err, rows) => {
+        if (err) {
+          console.error("DB read error in GET /inventory/low-stock:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        res.json(
+          rows.map((row) => {
+            const available = row.on_hand - row.reserved;
+            return {
+              productId: row.product_id,
+              sku: row.sku,
+              name: row.name,
+              category: row.category,
+              onHand: row.on_hand,
+              reserved: row.reserved,
+              available,
+              reorderPoint: row.reorder_point,
+              reorderQuantity: row.reorder_quantity,
+              onOrder: row.on_order,
+              // what is left to order once open POs arrive
+              suggestedOrder: row.reorder_quantity
+                ? Math.max(row.reorder_quantity - row.on_order, 0)
+                : null
+            };
+          })
+        );
+      }
+    );
+  });
+
+  // ==================================
+  //        GET /inventory/bins
+  //  Bin locations with the units they hold
+  // ==================================
+  router.get("/bins", staffOnly, (req, res) => {
+    db.all(
+      `
+      SELECT b.bin_id, b.code, b.description,
+             COUNT(CASE WHEN s.quantity > 0 THEN 1 END) AS products,
+             COALESCE(SUM(s.quantity), 0) AS units
+      FROM warehouse_bins b
+      LEFT JOIN inventory_stock s ON s.bin_id = b.bin_id
+      GROUP BY b.bin_id
+      ORDER BY b.code ASC
+    `,
+      (err, rows) => {
+        if (err) {
+          console.error("DB read error in GET /inventory/bins:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        res.json(
+          rows.map((row) => ({
+            binId: row.bin_id,
+            location: row.code,
+            description: row.description,
+            products: row.products,
+            units: row.units
+          }))
+        );
+      }
+    );
+  });
+
+  // ==================================
+  //        GET /inventory/movements
+  //  Newest first
+  //  ?sku=&productId=&type=&location=&orderId=&purchaseOrderId=&limit=&offset=
+  // ==================================
+  router.get("/movements", staffOnly, (req, res) => {
+    const { sku, productId, type, location, orderId, purchaseOrderId } = req.query;
+    const { limit, offset } = pageParams(req.query, 50, 200);
+
+    const where = [];
+    const params = [];
+
+    if (sku) {
+      where.push("p.sku = ?");
+      params.push(String(sku).trim().toUpperCase());
+    }
+    if (productId) {
+      where.push("m.product_id = ?");
+      params.push(Number(productId));
+    }
+    if (type) {
+      where.push("m.movement_type = ?");
+      params.push(String(type).trim().toUpperCase());
+    }
+    if (location) {
+      where.push("(fb.code = ? OR tb.code = ?)");
+      const code = String(location).trim().toUpperCase();
+      params.push(code, code);
+    }
+    if (orderId) {
+      where.push("m.order_id = ?");
+      params.push(String(orderId));
+    }
+    if (purchaseOrderId) {
+      where.push("m.po_id = ?");
+      params.push(Number(purchaseOrderId));
+    }
+
+    db.all(
+      `
+      ${MOVEMENT_SELECT}
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY m.created_at DESC, m.movement_id DESC
+      LIMIT ? OFFSET ?
+    `,
+      [...params, limit, offset],
+      (err, rows) => {
+        if (err) {
+          console.error("DB read error in GET /inventory/movements:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        res.json(rows.map(toMovement));
+      }
+    );
+  });
+
+  // ==================================
+  //        POST /inventory/movements
+  //  { type, sku | productId, quantity, reason, orderId, ... }
+  //    receive:  location           (unknown bins are created)
+  //    adjust:   location, reason   (quantity may be negative)
+  //    transfer: fromLocation, toLocation
+  //    sale:     location
+  // ==================================
+  router.post("/movements", canMoveStock, (req, res) => {
+    const body = req.body || {};
+    const type = String(body.type || "").trim().toUpperCase();
+    const quantity = Number(body.quantity);
+
+    if (!MOVEMENT_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ error: "type must be one of receive, adjust, transfer, sale." });
+    }
+    if (!body.sku && body.productId == null) {
+      return res.status(400).json({ error: "Missing sku or productId." });
+    }
+    if (!Number.isInteger(quantity) || quantity === 0 || (quantity < 0 && type !== "ADJUST")) {
+      return res.status(400).json({
+        error:
+          type === "ADJUST"
+            ? "quantity must be a non-zero whole number."
+            : "quantity must be a positive whole number."
+      });
+    }
+    if (type === "ADJUST" && !body.reason) {
+      return res.status(400).json({ error: "Adjustments need a reason." });
+    }
+    if (type === "TRANSFER") {
+      if (!body.fromLocation || !body.toLocation) {
+        return res
+          .status(400)
+          .json({ error: "Missing one or more required fields: fromLocation, toLocation." });
+      }
+      const sameBin =
+        String(body.fromLocation).trim().toUpperCase() ===
+        String(body.toLocation).trim().toUpperCase();
+      if (sameBin) {
+        return res.status(400).json({ error: "fromLocation and toLocation must differ." });
+      }
+    } else if (!body.location) {
+      return res.status(400).json({ error: "Missing location." });
+    }
+
+    // Source and destination bin codes
+    let from = null;
+    let to = null;
+    if (type === "RECEIVE") to = body.location;
+    else if (type === "SALE") from = body.location;
+    else if (type === "TRANSFER") [from, to] = [body.fromLocation, body.toLocation];
+    else if (quantity > 0) to = body.location;
+    else from = body.location;
+
+    // Receiving or transferring into an unknown bin creates it
+    const resolveBin = (code, create, cb) =>
+      code == null ? cb(null, null) : inventory.findBin(code, { create }, cb);
+
+    const checkOrder = (cb) => {
+      if (!body.orderId) return cb();
+      db.get(
+        "SELECT order_id FROM orders WHERE order_id = ?",
+        [String(body.orderId)],
+        (err, order) => {
+          if (err) return cb(err);
+          if (!order) return cb(httpError(404, "Order not found"));
+          cb();
+        }
+      );
+    };
+
+    withTransaction(
+      db,
+      (done) => {
+        const byId = body.productId != null;
+        db.get(
+          `SELECT product_id FROM products WHERE ${byId ? "product_id" : "sku"} = ?`,
+          [byId ? Number(body.productId) : String(body.sku).trim().toUpperCase()],
+          (err, product) => {
+            if (err) return done(err);
+            if (!product) return done(httpError(404, "Product not found"));
+
+            checkOrder((orderErr) => {
+              if (orderErr) return done(orderErr);
+              resolveBin(from, false, (fromErr, fromBin) => {
+                if (fromErr) return done(fromErr);
+                resolveBin(to, type !== "ADJUST", (toErr, toBin) => {
+                  if (toErr) return done(toErr);
+
+                  inventory.move(
+                    {
+                      type,
+                      productId: product.product_id,
+                      quantity: Math.abs(quantity),
+                      fromBinId: fromBin && fromBin.bin_id,
+                      toBinId: toBin && toBin.bin_id,
+                      orderId: body.orderId ? String(body.orderId) : null,
+                      reason: body.reason ? String(body.reason).trim() : null,
+                      actorId: req.user.userId
+                    },
+                    (moveErr, movementId) => {
+                      if (moveErr) return done(moveErr);
+                      db.get(`${MOVEMENT_SELECT} WHERE m.movement_id = ?`, [movementId], done);
+                    }
+                  );
+                });
+              });
+            });
+          }
+        );
+      },
+      (err, movement) => {
+        if (err) return sendError(res, "POST /inventory/movements", err);
+        res.status(201).json(toMovement(movement));
+      }
+    );
+  });
+
+  return router;
+}
+
+module.exports = { createInventory, createInventoryRouter, MOVEMENT_TYPES };
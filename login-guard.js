@@ -0,0 +1,174 @@
+// login-guard.js
+//
+// Brute-force protection for /auth/login. Failed attempts are counted per
+// account and per source IP in login_throttle. Once either has failed
+// before, each further attempt is slowed down (doubling up to a cap), and
+// after enough failures inside the window the account or IP is locked out
+// for a while. Unknown identifiers are tracked like accounts, so responses
+// do not reveal which accounts exist.
+const { withTransaction, runQueued } = require("./db-helpers");
+
+const {
+  LOGIN_MAX_FAILURES = "5",
+  LOGIN_IP_MAX_FAILURES = "20",
+  LOGIN_FAILURE_WINDOW_MINUTES = "15",
+  LOGIN_LOCKOUT_MINUTES = "15",
+  LOGIN_DELAY_BASE_MS = "500",
+  LOGIN_DELAY_MAX_MS = "8000"
+} = process.env;
+
+const MAX_FAILURES = Number(LOGIN_MAX_FAILURES) || 5;
+const IP_MAX_FAILURES = Number(LOGIN_IP_MAX_FAILURES) || 20;
+const FAILURE_WINDOW = `-${Number(LOGIN_FAILURE_WINDOW_MINUTES) || 15} minutes`;
+const LOCKOUT_MINUTES = Number(LOGIN_LOCKOUT_MINUTES) || 15;
+const DELAY_BASE_MS = Number(LOGIN_DELAY_BASE_MS);
+const DELAY_MAX_MS = Number(LOGIN_DELAY_MAX_MS) || 8000;
+
+// Throttle keys for one login attempt
+function throttleKeys(req, user, identifier) {
+  return {
+    account: user ? `account:${user.user_id}` : `identifier:${identifier}`,
+    ip: `ip:${req.ip || "unknown"}`
+  };
+}
+
+function maxFailuresFor(key) {
+  return key.startsWith("ip:") ? IP_MAX_FAILURES : MAX_FAILURES;
+}
+
+function createLoginGuard(db) {
+  // cb(err, { failures, lockedKey, retryAfterSeconds }) for the attempt's
+  // keys: the highest recent failure count and, if locked, which key and
+  // for how long
+  function status(keys, cb) {
+    db.all(
+      `
+      SELECT throttle_key,
+             CASE WHEN last_failed_at >= datetime('now', ?) THEN failures ELSE 0 END AS failures,
+             CASE WHEN locked_until > datetime('now')
+                  THEN CAST(strftime('%s', locked_until) - strftime('%s', 'now') AS INTEGER)
+                  ELSE 0 END AS locked_seconds
+      FROM login_throttle
+      WHERE throttle_key IN (?, ?)
+    `,
+      [FAILURE_WINDOW, keys.account, keys.ip],
+      (err, rows) => {
+        if (err) return cb(err);
+
+        const locked = rows.find((row) => row.locked_seconds > 0);
+        cb(null, {
+          failures: Math.max(0, ...rows.map((row) => row.failures)),
+          lockedKey: locked ? locked.throttle_key : null,
+          retryAfterSeconds: locked ? locked.locked_seconds : 0
+        });
+      }
+    );
+  }
+
+  // Delay before checking the password, given earlier failures
+  function delayFor(failures) {
+    if (failures < 1 || !DELAY_BASE_MS) return 0;
+    return Math.min(DELAY_BASE_MS * 2 ** (failures - 1), DELAY_MAX_MS);
+  }
+
+  // Count a failure against each key. cb(err, newlyLocked) lists the keys
+  // this failure locked, as [{ key, failures, lockedUntil }].
+  function recordFailure(keys, cb) {
+    // in a transaction of its own, so the count is never rolled back with
+    // another request's work
+    withTransaction(
+      db,
+      (done) => {
+        const newlyLocked = [];
+        const pending = [keys.account, keys.ip];
+
+        const next = (err) => {
+          if (err || !pending.length) return done(err || null, newlyLocked);
+          const key = pending.shift();
+
+          // a failure outside the window, or after a lockout ended, starts a
+          // fresh count
+          db.run(
+            `
+            INSERT INTO login_throttle (throttle_key, failures, last_failed_at)
+            VALUES (?, 1, datetime('now'))
+            ON CONFLICT(throttle_key) DO UPDATE SET
+              failures = CASE
+                WHEN last_failed_at < datetime('now', ?)
+                  OR locked_until <= datetime('now') THEN 1
+                ELSE failures + 1
+              END,
+              locked_until = CASE
+                WHEN locked_until <= datetime('now') THEN NULL
+                ELSE locked_until
+              END,
+              last_failed_at = datetime('now')
+          `,
+            [key, FAILURE_WINDOW],
+            (upsertErr) => {
+              if (upsertErr) return next(upsertErr);
+
+              db.run(
+                `
+                UPDATE login_throttle
+                SET locked_until = datetime('now', ?)
+                WHERE throttle_key = ?
+                  AND failures >= ?
+                  AND locked_until IS NULL
+              `,
+                [`+${LOCKOUT_MINUTES} minutes`, key, maxFailuresFor(key)],
+                function (lockErr) {
+                  if (lockErr) return next(lockErr);
+                  if (!this.changes) return next();
+
+                  db.get(
+                    "SELECT failures, locked_until FROM login_throttle WHERE throttle_key = ?",
+                    [key],
+                    (readErr, row) => {
+                      if (readErr) return next(readErr);
+                      newlyLocked.push({
+                        key,
+                        failures: row.failures,
+                        lockedUntil: row.locked_until
+                      });
+                      next();
+                    }
+                  );
+                }
+              );
+            }
+          );
+        };
+
+        // drop counters that have aged out, so guessed identifiers do not pile up
+        db.run(
+          `
+          DELETE FROM login_throttle
+          WHERE last_failed_at < datetime('now', ?)
+            AND (locked_until IS NULL OR locked_until <= datetime('now'))
+        `,
+          [FAILURE_WINDOW],
+          (cleanupErr) => {
+            if (cleanupErr) {
+              console.error("DB write error in login throttle cleanup:", cleanupErr);
+            }
+            next();
+          }
+        );
+      },
+      cb
+    );
+  }
+
+  // Forget failures for one key (successful login, admin unlock).
+  // cb(err, cleared) where cleared is true when there was anything to clear.
+  function clear(key, cb = () => {}) {
+    runQueued(db, "DELETE FROM login_throttle WHERE throttle_key = ?", [key], function (err) {
+      cb(err || null, !err && this.changes > 0);
+    });
+  }
+
+  return { status, delayFor, recordFailure, clear };
+}
+
+module.exports = { createLoginGuard, throttleKeys };
@@ -0,0 +1,132 @@
+// mailer.js
+//
+// Every mail transport exposes the same async method:
+//
+//   send({ to, subject, text, html, template? })
+//
+// `template` names the template the message was built from (see
+// email-templates.js) and is kept by the outbox.
+//
+// Select one with MAIL_TRANSPORT=sendgrid, smtp or outbox. Without it,
+// SendGrid is used when SENDGRID_API_KEY is set and the outbox otherwise, so
+// development and test runs never try to reach a real mail server.
+const sgMail = require("@sendgrid/mail");
+const nodemailer = require("nodemailer");
+const { runQueued } = require("./db-helpers");
+
+const FROM_NAME = "Storefront Solutions";
+const DEFAULT_FROM_EMAIL = "no-reply@storefrontsolutions.shop";
+
+// ==================================
+//   SendGrid
+// ==================================
+function createSendGridTransport({ apiKey, fromEmail }) {
+  if (!apiKey) {
+    throw new Error("SendGrid mail transport needs SENDGRID_API_KEY");
+  }
+  sgMail.setApiKey(apiKey);
+
+  return {
+    name: "sendgrid",
+
+    async send({ to, subject, text, html }) {
+      await sgMail.send({
+        to,
+        from: { email: fromEmail, name: FROM_NAME },
+        subject,
+        text,
+        html
+      });
+    }
+  };
+}
+
+// ==================================
+//   SMTP
+// ==================================
+function createSmtpTransport({ host, port, secure, user, pass, fromEmail }) {
+  if (!host) {
+    throw new Error("SMTP mail transport needs SMTP_HOST");
+  }
+
+  const smtp = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: "smtp",
+
+    async send({ to, subject, text, html }) {
+      await smtp.sendMail({
+        from: { address: fromEmail, name: FROM_NAME },
+        to,
+        subject,
+        text,
+        html
+      });
+    }
+  };
+}
+
+// ==================================
+//   Outbox
+// ==================================
+//
+// Writes each message to the email_outbox table instead of sending it, so
+// local runs and tests can read what would have gone out.
+function createOutboxTransport(db, { fromEmail }) {
+  return {
+    name: "outbox",
+
+    send({ to, subject, text, html, template }) {
+      return new Promise((resolve, reject) => {
+        runQueued(
+          db,
+          `
+          INSERT INTO email_outbox (
+            template, to_address, from_address, subject, text_body, html_body
+          )
+          VALUES (?, ?, ?, ?, ?, ?)
+        `,
+          [template || null, to, fromEmail, subject, text || null, html || null],
+          (err) => (err ? reject(err) : resolve())
+        );
+      });
+    }
+  };
+}
+
+// Build the transport selected by the environment
+function createMailTransport(db, env = process.env) {
+  const fromEmail = env.FROM_EMAIL || DEFAULT_FROM_EMAIL;
+  const kind = (
+    env.MAIL_TRANSPORT || (env.SENDGRID_API_KEY ? "sendgrid" : "outbox")
+  ).toLowerCase();
+
+  if (kind === "sendgrid") {
+    return createSendGridTransport({ apiKey: env.SENDGRID_API_KEY, fromEmail });
+  }
+  if (kind === "smtp") {
+    const port = Number(env.SMTP_PORT) || 587;
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port,
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === "true" : port === 465,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      fromEmail
+    });
+  }
+  if (kind === "outbox") return createOutboxTransport(db, { fromEmail });
+  throw new Error(`Unknown MAIL_TRANSPORT "${kind}" (use sendgrid, smtp or outbox)`);
+}
+
+module.exports = {
+  createMailTransport,
+  createSendGridTransport,
+  createSmtpTransport,
+  createOutboxTransport
+};
@@ -0,0 +1,124 @@
+// migrate.js
+//
+// Schema migration CLI (see migrator.js):
+//
+//   node migrate.js up [--to N]          apply pending migrations (default)
+//   node migrate.js down [--steps N]     roll back the last N (default 1)
+//   node migrate.js down --to N          roll back everything after version N
+//   node migrate.js status               list applied and pending migrations
+//   node migrate.js create <name>        add an empty numbered migration
+//
+// Uses DB_FILE like the server does.
+require("dotenv").config({ quiet: true });
+
+const fs = require("fs");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const { createMigrator, listMigrations, MIGRATIONS_DIR } = require("./migrator");
+
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, "ecommerce.db");
+
+const label = (m) => `${String(m.version).padStart(3, "0")}_${m.name}`;
+
+function option(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} needs a whole number`);
+  }
+  return value;
+}
+
+function create(name) {
+  if (!name || !/^[a-z0-9_]+$/.test(name)) {
+    throw new Error("Usage: node migrate.js create <name> (lowercase letters, digits, _)");
+  }
+  const last = listMigrations().pop();
+  const version = String((last ? last.version : 0) + 1).padStart(3, "0");
+  const file = path.join(MIGRATIONS_DIR, `${version}_${name}.js`);
+
+  fs.writeFileSync(
+    file,
+    `// migrations/${version}_${name}.js
+module.exports = {
+  up: \`
+  \`,
+
+  down: \`
+  \`
+};
+`
+  );
+  console.log(`📝 Created ${path.relative(process.cwd(), file)}`);
+}
+
+function run(command, args, done) {
+  if (command === "create") {
+    create(args[0]);
+    return done();
+  }
+
+  const db = new sqlite3.Database(DB_FILE);
+  db.configure("busyTimeout", 5000);
+  const migrator = createMigrator(db);
+  const finish = (err) => db.close(() => done(err));
+
+  if (command === "status") {
+    return migrator.status((err, state) => {
+      if (err) return finish(err);
+      console.log(`📦 ${DB_FILE}`);
+      state.applied.forEach((m) =>
+        console.log(`  ✅ ${label(m)}  (applied ${m.applied_at})`)
+      );
+      state.pending.forEach((m) => console.log(`  ⏳ ${label(m)}  (pending)`));
+      state.missing.forEach((m) =>
+        console.log(`  ❓ ${label(m)}  (applied, but no file in migrations/)`)
+      );
+      if (!state.applied.length && !state.pending.length) console.log("  (no migrations)");
+      finish();
+    });
+  }
+
+  if (command === "up") {
+    return migrator.migrate(
+      {
+        to: option(args, "to"),
+        onApplied: (m) => console.log(`⬆️  ${label(m)}`)
+      },
+      (err, applied) => {
+        if (!err && !applied.length) console.log("✅ Already up to date.");
+        finish(err);
+      }
+    );
+  }
+
+  if (command === "down") {
+    return migrator.rollback(
+      {
+        steps: option(args, "steps"),
+        to: option(args, "to"),
+        onApplied: (m) => console.log(`⬇️  ${label(m)}`)
+      },
+      (err, rolledBack) => {
+        if (!err && !rolledBack.length) console.log("✅ Nothing to roll back.");
+        finish(err);
+      }
+    );
+  }
+
+  finish(new Error(`Unknown command "${command}" (use up, down, status or create)`));
+}
+
+const [command = "up", ...args] = process.argv.slice(2);
+try {
+  run(command, args, (err) => {
+    if (err) {
+      console.error("❌ Migration failed:", err.message);
+      process.exitCode = 1;
+    }
+  });
+} catch (err) {
+  console.error("❌", err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,54 @@
+// migrations/001_baseline.js
+//
+// The schema as it stood when versioned migrations were introduced. A new
+// database gets 001_baseline.sql (schema and sample data); a database the
+// server used to patch on start is brought to the same schema in place.
+const fs = require("fs");
+const path = require("path");
+const { upgradeLegacySchema } = require("./legacy-schema");
+
+const BASELINE_SQL = path.join(__dirname, "001_baseline.sql");
+
+// Child tables first
+const TABLES = [
+  "refunds",
+  "settlements",
+  "order_items",
+  "authorizations",
+  "orders",
+  "audit_logs",
+  "email_outbox",
+  "idempotency_keys",
+  "password_resets",
+  "login_throttle",
+  "two_factor_challenges",
+  "two_factor_recovery_codes",
+  "app_settings",
+  "sessions",
+  "user_cards",
+  "users",
+  "customer_addresses",
+  "customers",
+  "products"
+];
+
+module.exports = {
+  up(db, cb) {
+    db.get(
+      `
+      SELECT COUNT(*) AS n
+      FROM sqlite_master
+      WHERE type = 'table' AND name IN (${TABLES.map(() => "?").join(", ")})
+    `,
+      TABLES,
+      (err, row) => {
+        if (err) return cb(err);
+        if (row.n > 0) return upgradeLegacySchema(db, cb);
+        db.exec(fs.readFileSync(BASELINE_SQL, "utf8"), cb);
+      }
+    );
+  },
+
+  // Drops every table, data included
+  down: TABLES.map((table) => `DROP TABLE IF EXISTS ${table};`).join("\n")
+};
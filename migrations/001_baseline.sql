@@ -0,0 +1,360 @@
+-- Schema and sample data for a new database, applied by
+-- migrations/001_baseline.js. Later changes go in their own numbered
+-- migrations rather than here.
+
+-- =====================
+-- Customers (the shopper profile orders belong to)
+-- =====================
+CREATE TABLE IF NOT EXISTS customers (
+  customer_id     INTEGER PRIMARY KEY AUTOINCREMENT,
+  full_name       TEXT NOT NULL,
+  created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================
+-- Customer Addresses (shipping addresses; at most one default per customer)
+-- =====================
+CREATE TABLE IF NOT EXISTS customer_addresses (
+  address_id      INTEGER PRIMARY KEY AUTOINCREMENT,
+  customer_id     INTEGER NOT NULL,
+  label           TEXT,
+  address_line1   TEXT NOT NULL,
+  address_line2   TEXT,
+  city            TEXT,
+  state           TEXT,
+  zip_code        TEXT NOT NULL,
+  is_default      INTEGER NOT NULL DEFAULT 0,
+  created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_addresses_customer ON customer_addresses(customer_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_default
+  ON customer_addresses(customer_id) WHERE is_default = 1;
+
+-- =====================
+-- Users (login identity; staff logins may have no customer profile)
+-- =====================
+CREATE TABLE IF NOT EXISTS users (
+  user_id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  customer_id     INTEGER UNIQUE,
+  email           TEXT UNIQUE NOT NULL,
+  username        TEXT UNIQUE NOT NULL,
+  password_hash   TEXT NOT NULL,
+  email_verified  INTEGER NOT NULL DEFAULT 0,
+  verification_token TEXT,         -- SHA-256 of the emailed token
+  verification_token_expires_at DATETIME,
+  role            TEXT NOT NULL DEFAULT 'customer' CHECK (role IN ('customer','cashier','manager','admin')),
+  totp_secret     TEXT,            -- base32 TOTP secret; set at enrollment
+  totp_enabled    INTEGER NOT NULL DEFAULT 0,
+  totp_last_step  INTEGER,         -- last accepted time step, so a code works once
+  created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE SET NULL
+);
+
+-- =====================
+-- Saved Cards (gateway token + display details; never the card number)
+-- =====================
+CREATE TABLE IF NOT EXISTS user_cards (
+  card_id        INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id        INTEGER NOT NULL,
+  gateway_token  TEXT,             -- cleared when the card is removed
+  last4          TEXT NOT NULL,
+  brand          TEXT,
+  exp_month      INTEGER,
+  exp_year       INTEGER,
+  is_default     INTEGER NOT NULL DEFAULT 0,
+  removed_at     DATETIME,         -- kept for authorizations that used it
+  created_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- =====================
+-- Sessions (hashed access/refresh tokens issued by /auth/login)
+-- =====================
+CREATE TABLE IF NOT EXISTS sessions (
+  session_id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id            INTEGER NOT NULL,
+  access_token_hash  TEXT NOT NULL UNIQUE,
+  refresh_token_hash TEXT NOT NULL UNIQUE,
+  access_expires_at  DATETIME NOT NULL,
+  refresh_expires_at DATETIME NOT NULL,
+  ip_address         TEXT,
+  user_agent         TEXT,
+  created_at         DATETIME DEFAULT CURRENT_TIMESTAMP,
+  revoked_at         DATETIME,
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- =====================
+-- Password Resets (hashed single-use tokens from /auth/forgot-password)
+-- =====================
+CREATE TABLE IF NOT EXISTS password_resets (
+  reset_id     INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id      INTEGER NOT NULL,
+  token_hash   TEXT NOT NULL UNIQUE,
+  expires_at   DATETIME NOT NULL,
+  used_at      DATETIME,
+  ip_address   TEXT,
+  created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- =====================
+-- Login Throttle (failed sign-ins per "account:<id>", "identifier:<name>" or "ip:<addr>")
+-- =====================
+CREATE TABLE IF NOT EXISTS login_throttle (
+  throttle_key    TEXT PRIMARY KEY,
+  failures        INTEGER NOT NULL DEFAULT 0,
+  last_failed_at  DATETIME,
+  locked_until    DATETIME
+);
+
+-- =====================
+-- Two-Factor Recovery Codes (hashed single-use codes issued at TOTP enrollment)
+-- =====================
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+  code_id      INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id      INTEGER NOT NULL,
+  code_hash    TEXT NOT NULL,
+  used_at      DATETIME,
+  created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- =====================
+-- Two-Factor Challenges (hashed tokens linking a password check to its second step)
+-- =====================
+CREATE TABLE IF NOT EXISTS two_factor_challenges (
+  challenge_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id      INTEGER NOT NULL,
+  token_hash   TEXT NOT NULL UNIQUE,
+  expires_at   DATETIME NOT NULL,
+  attempts     INTEGER NOT NULL DEFAULT 0,
+  used_at      DATETIME,
+  created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- =====================
+-- App Settings (admin-managed policy, e.g. which roles must use 2FA)
+-- =====================
+CREATE TABLE IF NOT EXISTS app_settings (
+  setting_key    TEXT PRIMARY KEY,
+  setting_value  TEXT NOT NULL,
+  updated_by     INTEGER,
+  updated_at     DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================
+-- Products
+-- =====================
+CREATE TABLE IF NOT EXISTS products (
+  product_id     INTEGER PRIMARY KEY AUTOINCREMENT,
+  sku            TEXT NOT NULL UNIQUE,
+  name           TEXT NOT NULL,
+  category       TEXT,
+  price          REAL NOT NULL CHECK (price >= 0),
+  is_active      INTEGER NOT NULL DEFAULT 1,
+  created_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at     DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
+
+-- =====================
+-- Orders
+-- =====================
+CREATE TABLE IF NOT EXISTS orders (
+  order_id       TEXT PRIMARY KEY,
+  customer_id    INTEGER NOT NULL,
+  status         TEXT NOT NULL CHECK (status IN ('PENDING','AUTHORIZED','DECLINED','ERROR','SETTLED','PARTIALLY_SETTLED','PARTIALLY_REFUNDED','REFUNDED','VOIDED','EXPIRED')),
+  subtotal_amount REAL,
+  tax_amount     REAL NOT NULL DEFAULT 0,
+  total_amount   REAL NOT NULL,
+  created_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE CASCADE
+);
+
+-- =====================
+-- Order Items (prices captured at checkout)
+-- =====================
+CREATE TABLE IF NOT EXISTS order_items (
+  order_item_id  INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id       TEXT NOT NULL,
+  product_id     INTEGER,
+  sku            TEXT NOT NULL,
+  name           TEXT NOT NULL,
+  unit_price     REAL NOT NULL,
+  quantity       INTEGER NOT NULL CHECK (quantity > 0),
+  line_total     REAL NOT NULL,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id);
+
+-- =====================
+-- Authorizations
+-- =====================
+CREATE TABLE IF NOT EXISTS authorizations (
+  auth_id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id        TEXT NOT NULL,
+  outcome         TEXT NOT NULL CHECK (outcome IN ('SUCCESS','DECLINED','ERROR')),
+  gateway_code    TEXT,
+  gateway_message TEXT,
+  amount          REAL NOT NULL,
+  auth_token      TEXT,
+  auth_expires_at DATETIME,
+  voided_at       DATETIME,
+  card_id         INTEGER,         -- saved card charged, if any
+
+  created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  FOREIGN KEY (card_id) REFERENCES user_cards(card_id)
+);
+
+
+-- =====================
+-- Settlements
+-- =====================
+CREATE TABLE IF NOT EXISTS settlements (
+  settlement_id  INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id       TEXT NOT NULL,
+  auth_id        INTEGER,
+  amount         REAL NOT NULL,
+  settled_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  FOREIGN KEY (auth_id) REFERENCES authorizations(auth_id)
+);
+
+-- =====================
+-- Refunds (each against one settlement)
+-- =====================
+CREATE TABLE IF NOT EXISTS refunds (
+  refund_id      INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id       TEXT NOT NULL,
+  settlement_id  INTEGER NOT NULL,
+  amount         REAL NOT NULL CHECK (amount > 0),
+  reason         TEXT,
+  refunded_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  FOREIGN KEY (settlement_id) REFERENCES settlements(settlement_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id);
+
+-- =====================
+-- Idempotency Keys (stored responses for retried POSTs)
+-- =====================
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  scope           TEXT NOT NULL,
+  idem_key        TEXT NOT NULL,
+  request_hash    TEXT NOT NULL,
+  response_status INTEGER,
+  response_body   TEXT,
+  created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+  completed_at    DATETIME,
+  PRIMARY KEY (scope, idem_key)
+);
+
+-- =====================
+-- Audit Logs
+-- =====================
+CREATE TABLE IF NOT EXISTS audit_logs (
+  audit_id       INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_type     TEXT NOT NULL,
+  order_id       TEXT,
+  customer_id    INTEGER,
+  actor_id       INTEGER,
+  actor_role     TEXT,
+  ip_address     TEXT,
+  before_status  TEXT,
+  after_status   TEXT,
+  details        TEXT,
+  created_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+  prev_hash      TEXT,
+  entry_hash     TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_order ON audit_logs(order_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_event ON audit_logs(event_type, created_at);
+
+-- =====================
+-- Email Outbox (MAIL_TRANSPORT=outbox stores messages here instead of sending)
+-- =====================
+CREATE TABLE IF NOT EXISTS email_outbox (
+  email_id      INTEGER PRIMARY KEY AUTOINCREMENT,
+  template      TEXT,
+  to_address    TEXT NOT NULL,
+  from_address  TEXT NOT NULL,
+  subject       TEXT NOT NULL,
+  text_body     TEXT,
+  html_body     TEXT,
+  created_at    DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================
+-- Seed Customers (no login info – fine, login uses only new signups)
+-- =====================
+INSERT OR IGNORE INTO customers (customer_id, full_name)
+VALUES
+  (1, 'Alice Johnson'),
+  (2, 'Bob Smith'),
+  (3, 'Carol Lee');
+
+INSERT OR IGNORE INTO customer_addresses (customer_id, label, address_line1, address_line2, city, state, zip_code, is_default)
+VALUES
+  (1, 'Primary', '123 Main St', 'Apt 4B', 'Atlanta', 'GA', '30301', 1),
+  (2, 'Primary', '456 Oak Ave', NULL, 'Marietta', 'GA', '30060', 1),
+  (3, 'Primary', '789 Pine Rd', 'Unit 12', 'Kennesaw', 'GA', '30144', 1);
+
+-- =====================
+-- Seed Products
+-- =====================
+INSERT OR IGNORE INTO products (sku, name, category, price)
+VALUES
+  ('SONY-PS5-STD',  'PlayStation 5',     'Electronics', 499.00),
+  ('ELEC-LAPTOP',   'Laptop',            'Electronics', 899.99),
+  ('ELEC-MONITOR',  'Monitor',           'Electronics', 189.50),
+  ('FURN-SOFA',     'Sofa',              'Furniture',   649.00),
+  ('FURN-TABLE',    'Table',             'Furniture',   229.00),
+  ('CLTH-SHIRT',    'Shirt',             'Clothing',     24.99);
+
+-- =====================
+-- Seed Orders
+-- =====================
+INSERT OR IGNORE INTO orders (order_id, customer_id, status, total_amount)
+VALUES
+  ('ORD1001', 1, 'PENDING',    75.50),
+  ('ORD1002', 1, 'AUTHORIZED', 49.99),
+  ('ORD1003', 2, 'DECLINED',   120.00),
+  ('ORD1004', 3, 'SETTLED',    200.00);
+
+-- =====================
+-- Seed Authorizations
+-- =====================
+INSERT OR IGNORE INTO authorizations (order_id, outcome, gateway_code, gateway_message, amount)
+VALUES
+  ('ORD1002', 'SUCCESS', '00', 'Approved',     49.99),
+  ('ORD1003', 'DECLINED','05', 'Do not honor',120.00),
+  ('ORD1004', 'SUCCESS', '00', 'Approved',    200.00);
+
+-- =====================
+-- Seed Settlements
+-- =====================
+INSERT OR IGNORE INTO settlements (order_id, amount)
+VALUES
+  ('ORD1004', 200.00);
+
+-- =====================
+-- Seed Audit Logs
+-- =====================
+INSERT OR IGNORE INTO audit_logs (event_type, order_id, details)
+VALUES
+  ('ORDER_CREATED',    'ORD1001', 'Order created, pending checkout'),
+  ('ORDER_AUTHORIZED', 'ORD1002', 'Authorization successful'),
+  ('ORDER_DECLINED',   'ORD1003', 'Authorization declined'),
+  ('ORDER_SETTLED',    'ORD1004', 'Settlement completed');
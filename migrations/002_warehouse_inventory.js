@@ -0,0 +1,83 @@
+// migrations/002_warehouse_inventory.js
+//
+// Stock on hand per product per warehouse bin, and the movements that
+// changed it. Opening stock for the sample products is recorded as
+// RECEIVE movements so the ledger adds up to what is on hand.
+module.exports = {
+  up: `
+    CREATE TABLE warehouse_bins (
+      bin_id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      code           TEXT NOT NULL UNIQUE,   -- shelf location, e.g. A1, B2
+      description    TEXT,
+      created_at     DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE inventory_stock (
+      product_id     INTEGER NOT NULL,
+      bin_id         INTEGER NOT NULL,
+      quantity       INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+      updated_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (product_id, bin_id),
+      FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE,
+      FOREIGN KEY (bin_id) REFERENCES warehouse_bins(bin_id)
+    );
+
+    CREATE INDEX idx_inventory_stock_bin ON inventory_stock(bin_id);
+
+    -- quantity is always positive: stock leaves from_bin_id and arrives in
+    -- to_bin_id (RECEIVE has no source, SALE no destination, ADJUST one of
+    -- the two depending on direction)
+    CREATE TABLE stock_movements (
+      movement_id    INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id     INTEGER NOT NULL,
+      movement_type  TEXT NOT NULL CHECK (movement_type IN ('RECEIVE','ADJUST','TRANSFER','SALE')),
+      quantity       INTEGER NOT NULL CHECK (quantity > 0),
+      from_bin_id    INTEGER,
+      to_bin_id      INTEGER,
+      order_id       TEXT,
+      reason         TEXT,
+      actor_id       INTEGER,
+      created_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+      CHECK (from_bin_id IS NOT NULL OR to_bin_id IS NOT NULL),
+      FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE,
+      FOREIGN KEY (from_bin_id) REFERENCES warehouse_bins(bin_id),
+      FOREIGN KEY (to_bin_id) REFERENCES warehouse_bins(bin_id),
+      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE SET NULL,
+      FOREIGN KEY (actor_id) REFERENCES users(user_id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX idx_stock_movements_product ON stock_movements(product_id, created_at);
+    CREATE INDEX idx_stock_movements_order ON stock_movements(order_id);
+
+    INSERT INTO warehouse_bins (code)
+    VALUES ('A1'), ('A2'), ('B1'), ('B2'), ('C3');
+
+    CREATE TEMP TABLE opening_stock (sku TEXT, code TEXT, quantity INTEGER);
+    INSERT INTO opening_stock
+    VALUES
+      ('ELEC-LAPTOP',  'A1', 25),
+      ('ELEC-MONITOR', 'A2', 40),
+      ('SONY-PS5-STD', 'A2', 12),
+      ('FURN-TABLE',   'B1', 15),
+      ('FURN-SOFA',    'B2', 10),
+      ('CLTH-SHIRT',   'C3', 50);
+
+    INSERT INTO inventory_stock (product_id, bin_id, quantity)
+    SELECT p.product_id, b.bin_id, o.quantity
+    FROM opening_stock o
+    JOIN products p ON p.sku = o.sku
+    JOIN warehouse_bins b ON b.code = o.code;
+
+    INSERT INTO stock_movements (product_id, movement_type, quantity, to_bin_id, reason)
+    SELECT product_id, 'RECEIVE', quantity, bin_id, 'Opening stock'
+    FROM inventory_stock;
+
+    DROP TABLE opening_stock;
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS stock_movements;
+    DROP TABLE IF EXISTS inventory_stock;
+    DROP TABLE IF EXISTS warehouse_bins;
+  `
+};
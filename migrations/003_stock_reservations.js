@@ -0,0 +1,28 @@
+// migrations/003_stock_reservations.js
+//
+// Units held for authorized orders. A reservation is HELD from checkout
+// until the order is settled (COMMITTED, with SALE movements taking the
+// units out of their bins) or declined, voided or expired (RELEASED).
+module.exports = {
+  up: `
+    CREATE TABLE stock_reservations (
+      reservation_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id       TEXT NOT NULL,
+      product_id     INTEGER NOT NULL,
+      quantity       INTEGER NOT NULL CHECK (quantity > 0),
+      status         TEXT NOT NULL DEFAULT 'HELD' CHECK (status IN ('HELD','COMMITTED','RELEASED')),
+      created_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+      resolved_at    DATETIME,
+      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_stock_reservations_order ON stock_reservations(order_id);
+    CREATE INDEX idx_stock_reservations_held
+      ON stock_reservations(product_id) WHERE status = 'HELD';
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS stock_reservations;
+  `
+};
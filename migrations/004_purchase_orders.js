@@ -0,0 +1,94 @@
+// migrations/004_purchase_orders.js
+//
+// Reorder points on products, suppliers, and purchase orders whose
+// received quantities post into stock as RECEIVE movements.
+module.exports = {
+  up: `
+    -- NULL reorder_point: the product is left out of the low-stock report
+    ALTER TABLE products ADD COLUMN reorder_point INTEGER CHECK (reorder_point >= 0);
+    ALTER TABLE products ADD COLUMN reorder_quantity INTEGER CHECK (reorder_quantity > 0);
+
+    CREATE TABLE suppliers (
+      supplier_id    INTEGER PRIMARY KEY AUTOINCREMENT,
+      name           TEXT NOT NULL UNIQUE,
+      email          TEXT,
+      phone          TEXT,
+      created_at     DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE purchase_orders (
+      po_id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      supplier_id    INTEGER NOT NULL,
+      status         TEXT NOT NULL DEFAULT 'OPEN'
+                     CHECK (status IN ('OPEN','PARTIALLY_RECEIVED','RECEIVED','CANCELLED')),
+      notes          TEXT,
+      expected_at    DATE,
+      created_by     INTEGER,
+      created_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (supplier_id) REFERENCES suppliers(supplier_id),
+      FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX idx_purchase_orders_status ON purchase_orders(status);
+
+    CREATE TABLE purchase_order_lines (
+      line_id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      po_id              INTEGER NOT NULL,
+      product_id         INTEGER NOT NULL,
+      quantity_ordered   INTEGER NOT NULL CHECK (quantity_ordered > 0),
+      quantity_received  INTEGER NOT NULL DEFAULT 0
+                         CHECK (quantity_received BETWEEN 0 AND quantity_ordered),
+      unit_cost          REAL CHECK (unit_cost >= 0),
+      UNIQUE (po_id, product_id),
+      FOREIGN KEY (po_id) REFERENCES purchase_orders(po_id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(product_id)
+    );
+
+    CREATE INDEX idx_purchase_order_lines_product ON purchase_order_lines(product_id);
+
+    ALTER TABLE stock_movements
+      ADD COLUMN po_id INTEGER REFERENCES purchase_orders(po_id) ON DELETE SET NULL;
+
+    CREATE INDEX idx_stock_movements_po ON stock_movements(po_id);
+  `,
+
+  // SQLite cannot drop a column that references another table, so
+  // stock_movements is rebuilt as 002 created it
+  down: `
+    CREATE TABLE stock_movements_rebuild (
+      movement_id    INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id     INTEGER NOT NULL,
+      movement_type  TEXT NOT NULL CHECK (movement_type IN ('RECEIVE','ADJUST','TRANSFER','SALE')),
+      quantity       INTEGER NOT NULL CHECK (quantity > 0),
+      from_bin_id    INTEGER,
+      to_bin_id      INTEGER,
+      order_id       TEXT,
+      reason         TEXT,
+      actor_id       INTEGER,
+      created_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+      CHECK (from_bin_id IS NOT NULL OR to_bin_id IS NOT NULL),
+      FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE,
+      FOREIGN KEY (from_bin_id) REFERENCES warehouse_bins(bin_id),
+      FOREIGN KEY (to_bin_id) REFERENCES warehouse_bins(bin_id),
+      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE SET NULL,
+      FOREIGN KEY (actor_id) REFERENCES users(user_id) ON DELETE SET NULL
+    );
+
+    INSERT INTO stock_movements_rebuild
+    SELECT movement_id, product_id, movement_type, quantity, from_bin_id, to_bin_id,
+           order_id, reason, actor_id, created_at
+    FROM stock_movements;
+
+    DROP TABLE stock_movements;
+    ALTER TABLE stock_movements_rebuild RENAME TO stock_movements;
+    CREATE INDEX idx_stock_movements_product ON stock_movements(product_id, created_at);
+    CREATE INDEX idx_stock_movements_order ON stock_movements(order_id);
+
+    DROP TABLE IF EXISTS purchase_order_lines;
+    DROP TABLE IF EXISTS purchase_orders;
+    DROP TABLE IF EXISTS suppliers;
+    ALTER TABLE products DROP COLUMN reorder_quantity;
+    ALTER TABLE products DROP COLUMN reorder_point;
+  `
+};
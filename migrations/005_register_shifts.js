@@ -0,0 +1,111 @@
+// migrations/005_register_shifts.js
+//
+// Registers (terminals), the cashier shifts worked on them and the cash
+// taken out of the drawer during a shift. Orders record the terminal and
+// shift they were checked out on, settlements the shift that captured them.
+module.exports = {
+  up: `
+    CREATE TABLE terminals (
+      terminal_id    INTEGER PRIMARY KEY AUTOINCREMENT,
+      code           TEXT NOT NULL UNIQUE,   -- label on the register, e.g. POS1
+      name           TEXT,
+      active         INTEGER NOT NULL DEFAULT 1,
+      created_at     DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE shifts (
+      shift_id       INTEGER PRIMARY KEY AUTOINCREMENT,
+      terminal_id    INTEGER NOT NULL,
+      opened_by      INTEGER NOT NULL,
+      opening_float  REAL NOT NULL CHECK (opening_float >= 0),
+      status         TEXT NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN','CLOSED')),
+      opened_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+      closed_by      INTEGER,
+      closed_at      DATETIME,
+      expected_cash  REAL,                   -- set when the shift is closed
+      counted_cash   REAL CHECK (counted_cash >= 0),
+      variance       REAL,                   -- counted minus expected
+      notes          TEXT,
+      FOREIGN KEY (terminal_id) REFERENCES terminals(terminal_id),
+      FOREIGN KEY (opened_by) REFERENCES users(user_id),
+      FOREIGN KEY (closed_by) REFERENCES users(user_id)
+    );
+
+    -- One open shift per register, and per cashier
+    CREATE UNIQUE INDEX idx_shifts_open_terminal ON shifts(terminal_id) WHERE status = 'OPEN';
+    CREATE UNIQUE INDEX idx_shifts_open_user ON shifts(opened_by) WHERE status = 'OPEN';
+
+    CREATE TABLE cash_movements (
+      cash_movement_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shift_id         INTEGER NOT NULL,
+      movement_type    TEXT NOT NULL CHECK (movement_type IN ('DROP','PAYOUT')),
+      amount           REAL NOT NULL CHECK (amount > 0),
+      reason           TEXT,
+      actor_id         INTEGER,
+      created_at       DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (shift_id) REFERENCES shifts(shift_id) ON DELETE CASCADE,
+      FOREIGN KEY (actor_id) REFERENCES users(user_id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX idx_cash_movements_shift ON cash_movements(shift_id);
+
+    ALTER TABLE orders
+      ADD COLUMN terminal_id INTEGER REFERENCES terminals(terminal_id);
+    ALTER TABLE orders
+      ADD COLUMN shift_id INTEGER REFERENCES shifts(shift_id);
+    ALTER TABLE settlements
+      ADD COLUMN shift_id INTEGER REFERENCES shifts(shift_id);
+
+    CREATE INDEX idx_orders_shift ON orders(shift_id);
+    CREATE INDEX idx_settlements_shift ON settlements(shift_id);
+
+    INSERT INTO terminals (code, name) VALUES
+      ('POS1', 'Front counter'),
+      ('POS2', 'Back counter');
+  `,
+
+  // SQLite cannot drop a column that references another table, so orders
+  // and settlements are rebuilt as the baseline created them
+  down: `
+    CREATE TABLE orders_rebuild (
+      order_id       TEXT PRIMARY KEY,
+      customer_id    INTEGER NOT NULL,
+      status         TEXT NOT NULL CHECK (status IN ('PENDING','AUTHORIZED','DECLINED','ERROR','SETTLED','PARTIALLY_SETTLED','PARTIALLY_REFUNDED','REFUNDED','VOIDED','EXPIRED')),
+      subtotal_amount REAL,
+      tax_amount     REAL NOT NULL DEFAULT 0,
+      total_amount   REAL NOT NULL,
+      created_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE CASCADE
+    );
+
+    INSERT INTO orders_rebuild
+    SELECT order_id, customer_id, status, subtotal_amount, tax_amount, total_amount,
+           created_at, updated_at
+    FROM orders;
+
+    DROP TABLE orders;
+    ALTER TABLE orders_rebuild RENAME TO orders;
+
+    CREATE TABLE settlements_rebuild (
+      settlement_id  INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id       TEXT NOT NULL,
+      auth_id        INTEGER,
+      amount         REAL NOT NULL,
+      settled_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+      FOREIGN KEY (auth_id) REFERENCES authorizations(auth_id)
+    );
+
+    INSERT INTO settlements_rebuild
+    SELECT settlement_id, order_id, auth_id, amount, settled_at
+    FROM settlements;
+
+    DROP TABLE settlements;
+    ALTER TABLE settlements_rebuild RENAME TO settlements;
+
+    DROP TABLE IF EXISTS cash_movements;
+    DROP TABLE IF EXISTS shifts;
+    DROP TABLE IF EXISTS terminals;
+  `
+};
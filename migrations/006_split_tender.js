@@ -0,0 +1,84 @@
+// migrations/006_split_tender.js
+//
+// An order can be paid with several tenders (cards, gift cards, cash), each
+// its own authorizations row. Cash tenders record what was handed over and
+// the change given; cash tenders and refunds record the shift whose drawer
+// the money went into or came out of.
+module.exports = {
+  up: `
+    ALTER TABLE authorizations
+      ADD COLUMN tender_type TEXT NOT NULL DEFAULT 'CARD'
+      CHECK (tender_type IN ('CARD','GIFT_CARD','CASH'));
+    ALTER TABLE authorizations ADD COLUMN cash_tendered REAL;
+    ALTER TABLE authorizations ADD COLUMN change_due REAL;
+    ALTER TABLE authorizations
+      ADD COLUMN shift_id INTEGER REFERENCES shifts(shift_id);
+    ALTER TABLE refunds
+      ADD COLUMN shift_id INTEGER REFERENCES shifts(shift_id);
+
+    CREATE INDEX idx_authorizations_order ON authorizations(order_id);
+    CREATE INDEX idx_authorizations_shift ON authorizations(shift_id);
+    CREATE INDEX idx_refunds_shift ON refunds(shift_id);
+
+    -- Checking an order out again used to leave the earlier approval open
+    -- and only ever use the newest one. Every open approval now counts
+    -- towards the order, so close the ones that were superseded.
+    UPDATE authorizations
+    SET voided_at = CURRENT_TIMESTAMP
+    WHERE outcome = 'SUCCESS'
+      AND voided_at IS NULL
+      AND auth_id < (SELECT MAX(a2.auth_id) FROM authorizations a2
+                     WHERE a2.order_id = authorizations.order_id);
+  `,
+
+  // SQLite cannot drop a column that references another table, so
+  // authorizations and refunds are rebuilt as the baseline created them.
+  // The superseded approvals closed on the way up stay voided: nothing
+  // tells them apart from approvals voided since, and reopening them would
+  // leave orders with two open approvals, which the old code never expected.
+  down: `
+    CREATE TABLE authorizations_rebuild (
+      auth_id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id        TEXT NOT NULL,
+      outcome         TEXT NOT NULL CHECK (outcome IN ('SUCCESS','DECLINED','ERROR')),
+      gateway_code    TEXT,
+      gateway_message TEXT,
+      amount          REAL NOT NULL,
+      auth_token      TEXT,
+      auth_expires_at DATETIME,
+      voided_at       DATETIME,
+      card_id         INTEGER,
+
+      created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+      FOREIGN KEY (card_id) REFERENCES user_cards(card_id)
+    );
+
+    INSERT INTO authorizations_rebuild
+    SELECT auth_id, order_id, outcome, gateway_code, gateway_message, amount,
+           auth_token, auth_expires_at, voided_at, card_id, created_at
+    FROM authorizations;
+
+    DROP TABLE authorizations;
+    ALTER TABLE authorizations_rebuild RENAME TO authorizations;
+
+    CREATE TABLE refunds_rebuild (
+      refund_id      INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id       TEXT NOT NULL,
+      settlement_id  INTEGER NOT NULL,
+      amount         REAL NOT NULL CHECK (amount > 0),
+      reason         TEXT,
+      refunded_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+      FOREIGN KEY (settlement_id) REFERENCES settlements(settlement_id) ON DELETE CASCADE
+    );
+
+    INSERT INTO refunds_rebuild
+    SELECT refund_id, order_id, settlement_id, amount, reason, refunded_at
+    FROM refunds;
+
+    DROP TABLE refunds;
+    ALTER TABLE refunds_rebuild RENAME TO refunds;
+    CREATE INDEX idx_refunds_order ON refunds(order_id);
+  `
+};
@@ -0,0 +1,50 @@
+// migrations/007_hash_verification_tokens.js
+//
+// Verification tokens issued before they were hashed are still stored as
+// sent and never expire. Store their SHA-256 instead, as for every newer
+// token, with a fresh expiry so links already emailed keep working for one
+// more verification window.
+const crypto = require("crypto");
+
+const VERIFY_TOKEN_TTL_HOURS = Number(process.env.VERIFY_TOKEN_TTL_HOURS) || 24;
+
+module.exports = {
+  up(db, cb) {
+    db.all(
+      `
+      SELECT user_id, verification_token
+      FROM users
+      WHERE verification_token IS NOT NULL
+        AND verification_token_expires_at IS NULL
+    `,
+      (err, rows) => {
+        if (err) return cb(err);
+
+        let index = 0;
+        const next = (stepErr) => {
+          if (stepErr || index >= rows.length) return cb(stepErr || null);
+          const row = rows[index++];
+          db.run(
+            `
+            UPDATE users
+            SET verification_token = ?,
+                verification_token_expires_at = datetime('now', ?)
+            WHERE user_id = ?
+          `,
+            [
+              crypto.createHash("sha256").update(String(row.verification_token)).digest("hex"),
+              `+${VERIFY_TOKEN_TTL_HOURS} hours`,
+              row.user_id
+            ],
+            next
+          );
+        };
+        next();
+      }
+    );
+  },
+
+  // A hash cannot be turned back into the token; hashed tokens with an
+  // expiry are what the older code issues too, so there is nothing to undo
+  down: ""
+};
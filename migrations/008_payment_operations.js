@@ -0,0 +1,37 @@
+// migrations/008_payment_operations.js
+//
+// Captures, refunds and voids sent to the payment gateway, one row per
+// tender. A row is written PENDING and committed before the gateway is
+// called, and stays PENDING until the gateway's answer is written as DONE
+// or FAILED, so no gateway call is made inside a transaction and one the
+// gateway may have carried out is never lost when a request fails part way.
+module.exports = {
+  up: `
+    CREATE TABLE payment_operations (
+      operation_id      INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id          TEXT NOT NULL,
+      auth_id           INTEGER,           -- NULL for settlements older than tenders
+      kind              TEXT NOT NULL CHECK (kind IN ('CAPTURE','REFUND','VOID')),
+      amount            REAL NOT NULL,
+      settlement_id     INTEGER,           -- REFUND: the settlement refunded; CAPTURE: the one made
+      refund_id         INTEGER,           -- REFUND: the refund made
+      request_key       TEXT NOT NULL,     -- the settle/refund/void request that planned it
+      status            TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING','DONE','FAILED')),
+      gateway_reference TEXT,
+      gateway_message   TEXT,
+      created_at        DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at      DATETIME,
+      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+      FOREIGN KEY (auth_id) REFERENCES authorizations(auth_id),
+      FOREIGN KEY (settlement_id) REFERENCES settlements(settlement_id),
+      FOREIGN KEY (refund_id) REFERENCES refunds(refund_id)
+    );
+
+    CREATE INDEX idx_payment_operations_order ON payment_operations(order_id);
+    CREATE INDEX idx_payment_operations_request ON payment_operations(request_key);
+  `,
+
+  down: `
+    DROP TABLE payment_operations;
+  `
+};
@@ -0,0 +1,384 @@
+// migrations/legacy-identity.js
+//
+// Moves databases from the original account layout, where `customers` held
+// both the profile and the login (email, username, password_hash,
+// is_verified, verify_token, role, totp_*) next to an unused `users` table,
+// to the current one:
+//
+//   users               login identity: credentials, verification, role, 2FA
+//   customers           profile, linked from users.customer_id
+//   customer_addresses  any number of shipping addresses per customer
+//
+// The login-owned tables (sessions, password_resets, two_factor_*) are
+// re-keyed from customer_id to user_id. Accounts moved off `customers` keep
+// user_id = customer_id, so existing audit entries and login throttle keys
+// still name the right account. Rows already in the old `users` table are
+// carried over too (merged into the matching account when the email or
+// username is already taken), and their saved cards follow them.
+//
+// Runs inside the baseline migration's transaction, which only commits when
+// the rebuilt tables pass PRAGMA foreign_key_check.
+const { runSeries } = require("../db-helpers");
+
+const ROLE_CHECK = "CHECK (role IN ('customer','cashier','manager','admin'))";
+
+function usersTableSql(name) {
+  return `CREATE TABLE ${name} (
+    user_id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    customer_id     INTEGER UNIQUE,
+    email           TEXT UNIQUE NOT NULL,
+    username        TEXT UNIQUE NOT NULL,
+    password_hash   TEXT NOT NULL,
+    email_verified  INTEGER NOT NULL DEFAULT 0,
+    verification_token TEXT,
+    verification_token_expires_at DATETIME,
+    role            TEXT NOT NULL DEFAULT 'customer' ${ROLE_CHECK},
+    totp_secret     TEXT,
+    totp_enabled    INTEGER NOT NULL DEFAULT 0,
+    totp_last_step  INTEGER,
+    created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE SET NULL
+  )`;
+}
+
+function customersTableSql(name) {
+  return `CREATE TABLE ${name} (
+    customer_id     INTEGER PRIMARY KEY AUTOINCREMENT,
+    full_name       TEXT NOT NULL,
+    created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`;
+}
+
+const CUSTOMER_ADDRESSES_SQL = [
+  `CREATE TABLE IF NOT EXISTS customer_addresses (
+    address_id      INTEGER PRIMARY KEY AUTOINCREMENT,
+    customer_id     INTEGER NOT NULL,
+    label           TEXT,
+    address_line1   TEXT NOT NULL,
+    address_line2   TEXT,
+    city            TEXT,
+    state           TEXT,
+    zip_code        TEXT NOT NULL,
+    is_default      INTEGER NOT NULL DEFAULT 0,
+    created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE CASCADE
+  )`,
+  "CREATE INDEX IF NOT EXISTS idx_customer_addresses_customer ON customer_addresses(customer_id)",
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_default
+    ON customer_addresses(customer_id) WHERE is_default = 1`
+];
+
+// Login-owned tables that move from customer_id to user_id, with the rest
+// of their columns
+const USER_KEYED_TABLES = {
+  sessions: {
+    columns: [
+      "session_id",
+      "access_token_hash",
+      "refresh_token_hash",
+      "access_expires_at",
+      "refresh_expires_at",
+      "ip_address",
+      "user_agent",
+      "created_at",
+      "revoked_at"
+    ],
+    sql: (name) => `CREATE TABLE ${name} (
+      session_id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id            INTEGER NOT NULL,
+      access_token_hash  TEXT NOT NULL UNIQUE,
+      refresh_token_hash TEXT NOT NULL UNIQUE,
+      access_expires_at  DATETIME NOT NULL,
+      refresh_expires_at DATETIME NOT NULL,
+      ip_address         TEXT,
+      user_agent         TEXT,
+      created_at         DATETIME DEFAULT CURRENT_TIMESTAMP,
+      revoked_at         DATETIME,
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )`
+  },
+  password_resets: {
+    columns: ["reset_id", "token_hash", "expires_at", "used_at", "ip_address", "created_at"],
+    sql: (name) => `CREATE TABLE ${name} (
+      reset_id     INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id      INTEGER NOT NULL,
+      token_hash   TEXT NOT NULL UNIQUE,
+      expires_at   DATETIME NOT NULL,
+      used_at      DATETIME,
+      ip_address   TEXT,
+      created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )`
+  },
+  two_factor_recovery_codes: {
+    columns: ["code_id", "code_hash", "used_at", "created_at"],
+    sql: (name) => `CREATE TABLE ${name} (
+      code_id      INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id      INTEGER NOT NULL,
+      code_hash    TEXT NOT NULL,
+      used_at      DATETIME,
+      created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )`
+  },
+  two_factor_challenges: {
+    columns: ["challenge_id", "token_hash", "expires_at", "attempts", "used_at", "created_at"],
+    sql: (name) => `CREATE TABLE ${name} (
+      challenge_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id      INTEGER NOT NULL,
+      token_hash   TEXT NOT NULL UNIQUE,
+      expires_at   DATETIME NOT NULL,
+      attempts     INTEGER NOT NULL DEFAULT 0,
+      used_at      DATETIME,
+      created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+    )`
+  }
+};
+
+// cb(err, { table: [column names] }); missing tables have no columns
+function inspectTables(db, tables, cb) {
+  const columns = {};
+  let pending = tables.length;
+  let failed = false;
+
+  tables.forEach((table) => {
+    db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+      if (failed) return;
+      if (err) {
+        failed = true;
+        return cb(err);
+      }
+      columns[table] = rows.map((r) => r.name);
+      if (--pending === 0) cb(null, columns);
+    });
+  });
+}
+
+// Statements that move login columns from customers (and rows from the old
+// users table) into users_rebuild
+function buildUsersStatements(columns) {
+  const customerCols = columns.customers;
+  const pick = (name, fallback) => (customerCols.includes(name) ? name : fallback);
+  const statements = [[usersTableSql("users_rebuild")]];
+
+  if (customerCols.includes("password_hash")) {
+    statements.push([
+      `
+      INSERT INTO users_rebuild (
+        user_id, customer_id, email, username, password_hash, email_verified,
+        verification_token, verification_token_expires_at, role,
+        totp_secret, totp_enabled, totp_last_step, created_at
+      )
+      SELECT customer_id, customer_id, email, username, password_hash,
+             COALESCE(${pick("is_verified", "0")}, 0),
+             ${pick("verify_token", "NULL")},
+             ${pick("verify_token_expires_at", "NULL")},
+             ${pick("role", "'customer'")},
+             ${pick("totp_secret", "NULL")},
+             ${pick("totp_enabled", "0")},
+             ${pick("totp_last_step", "NULL")},
+             created_at
+      FROM customers
+      WHERE password_hash IS NOT NULL
+    `
+    ]);
+  }
+
+  // The old users table: new ids after the moved accounts, unless the
+  // email or username already belongs to one of them
+  if (columns.users.length) {
+    statements.push(
+      [
+        `
+        CREATE TEMP TABLE legacy_user_ids (
+          old_user_id INTEGER PRIMARY KEY,
+          new_user_id INTEGER NOT NULL,
+          merged      INTEGER NOT NULL
+        )
+      `
+      ],
+      [
+        `
+        INSERT INTO legacy_user_ids (old_user_id, new_user_id, merged)
+        SELECT lu.user_id,
+               COALESCE(
+                 (SELECT u.user_id FROM users_rebuild u
+                  WHERE LOWER(u.email) = LOWER(lu.email) OR LOWER(u.username) = LOWER(lu.username)
+                  LIMIT 1),
+                 (SELECT COALESCE(MAX(user_id), 0) FROM users_rebuild)
+                   + ROW_NUMBER() OVER (ORDER BY lu.user_id)
+               ),
+               EXISTS (SELECT 1 FROM users_rebuild u
+                       WHERE LOWER(u.email) = LOWER(lu.email) OR LOWER(u.username) = LOWER(lu.username))
+        FROM users lu
+      `
+      ],
+      [
+        `
+        INSERT INTO users_rebuild (
+          user_id, customer_id, email, username, password_hash,
+          email_verified, verification_token, created_at
+        )
+        SELECT m.new_user_id,
+               CASE
+                 WHEN lu.customer_id IN (SELECT customer_id FROM customers)
+                  AND lu.customer_id NOT IN (SELECT customer_id FROM users_rebuild WHERE customer_id IS NOT NULL)
+                  AND lu.user_id = (SELECT MIN(l2.user_id) FROM users l2 WHERE l2.customer_id = lu.customer_id)
+                 THEN lu.customer_id
+               END,
+               lu.email, lu.username, lu.password_hash,
+               lu.email_verified, lu.verification_token, lu.created_at
+        FROM users lu
+        JOIN legacy_user_ids m ON m.old_user_id = lu.user_id
+        WHERE m.merged = 0
+      `
+      ]
+    );
+  }
+
+  return statements;
+}
+
+// Statements that move addresses out of customers and slim it down to the
+// profile
+function buildCustomersStatements() {
+  return [
+    ...CUSTOMER_ADDRESSES_SQL.map((sql) => [sql]),
+    [
+      `
+      INSERT INTO customer_addresses (
+        customer_id, label, address_line1, address_line2, city, state,
+        zip_code, is_default, created_at
+      )
+      SELECT customer_id, 'Primary', address_line1, address_line2, city, state,
+             COALESCE(zip_code, ''), 1, created_at
+      FROM customers
+      WHERE address_line1 IS NOT NULL
+    `
+    ],
+    [customersTableSql("customers_rebuild")],
+    [
+      `
+      INSERT INTO customers_rebuild (customer_id, full_name, created_at)
+      SELECT customer_id, full_name, created_at FROM customers
+    `
+    ],
+    ["DROP TABLE customers"],
+    ["ALTER TABLE customers_rebuild RENAME TO customers"]
+  ];
+}
+
+// Every account gets a profile: old users rows without one get a new
+// customer named after the username
+function buildProfileStatements() {
+  return [
+    [
+      `
+      CREATE TEMP TABLE new_profiles AS
+      SELECT user_id,
+             (SELECT COALESCE(MAX(customer_id), 0) FROM customers)
+               + ROW_NUMBER() OVER (ORDER BY user_id) AS customer_id,
+             username,
+             created_at
+      FROM users_rebuild
+      WHERE customer_id IS NULL
+    `
+    ],
+    [
+      `
+      INSERT INTO customers (customer_id, full_name, created_at)
+      SELECT customer_id, username, created_at FROM new_profiles
+    `
+    ],
+    [
+      `
+      UPDATE users_rebuild
+      SET customer_id = (SELECT p.customer_id FROM new_profiles p WHERE p.user_id = users_rebuild.user_id)
+      WHERE customer_id IS NULL
+    `
+    ],
+    ["DROP TABLE temp.new_profiles"]
+  ];
+}
+
+function buildUserKeyedStatements(table) {
+  const { columns, sql } = USER_KEYED_TABLES[table];
+  const list = columns.join(", ");
+  const selectList = columns.map((c) => `t.${c}`).join(", ");
+
+  return [
+    [sql(`${table}_rebuild`)],
+    [
+      `
+      INSERT INTO ${table}_rebuild (user_id, ${list})
+      SELECT u.user_id, ${selectList}
+      FROM ${table} t
+      JOIN users u ON u.customer_id = t.customer_id
+    `
+    ],
+    [`DROP TABLE ${table}`],
+    [`ALTER TABLE ${table}_rebuild RENAME TO ${table}`]
+  ];
+}
+
+// cb(err, migrated) where migrated is true when anything changed
+function migrateIdentityModel(db, cb) {
+  const userKeyed = Object.keys(USER_KEYED_TABLES);
+
+  inspectTables(db, ["customers", "users", "user_cards", ...userKeyed], (err, columns) => {
+    if (err) return cb(err);
+
+    const moveLogins =
+      columns.customers.includes("password_hash") ||
+      (columns.users.length > 0 && !columns.users.includes("role"));
+    const moveAddresses = columns.customers.includes("address_line1");
+    const rekey = userKeyed.filter((table) => columns[table].includes("customer_id"));
+
+    if (!moveLogins && !moveAddresses && !rekey.length) return cb(null, false);
+
+    const statements = [];
+    if (moveLogins) statements.push(...buildUsersStatements(columns));
+    if (moveAddresses) statements.push(...buildCustomersStatements());
+    if (moveLogins) {
+      statements.push(...buildProfileStatements());
+      if (columns.users.length) {
+        if (columns.user_cards.length) {
+          statements.push([
+            `
+            UPDATE user_cards
+            SET user_id = (SELECT m.new_user_id FROM legacy_user_ids m WHERE m.old_user_id = user_cards.user_id)
+            WHERE user_id IN (SELECT old_user_id FROM legacy_user_ids)
+          `
+          ]);
+        }
+        statements.push(["DROP TABLE temp.legacy_user_ids"], ["DROP TABLE users"]);
+      }
+      statements.push(["ALTER TABLE users_rebuild RENAME TO users"]);
+    }
+    rekey.forEach((table) => statements.push(...buildUserKeyedStatements(table)));
+
+    // a login without a password cannot become a users row; stop rather
+    // than drop its email and username
+    const partialLogins = columns.customers.includes("password_hash")
+      ? `SELECT COUNT(*) AS n FROM customers
+         WHERE password_hash IS NULL AND (email IS NOT NULL OR username IS NOT NULL)
+            OR password_hash IS NOT NULL AND (email IS NULL OR username IS NULL)`
+      : "SELECT 0 AS n";
+
+    db.get(partialLogins, (partialErr, partial) => {
+      if (partialErr) return cb(partialErr);
+      if (partial.n > 0) {
+        return cb(
+          new Error(
+            `${partial.n} customer(s) have an incomplete login (email, username and password must all be set); fix them and migrate again`
+          )
+        );
+      }
+      runSeries(db, statements, (runErr) => cb(runErr || null, !runErr));
+    });
+  });
+}
+
+module.exports = { migrateIdentityModel };
@@ -0,0 +1,281 @@
+// migrations/legacy-schema.js
+//
+// Brings a database created before versioned migrations up to the baseline
+// schema. Until then the server patched the schema on every start: missing
+// tables and columns were added, the orders status CHECK was rebuilt and
+// accounts were moved to the users/customers layout. This replays those
+// steps once, in order, for databases that may have had some or all of
+// them. Runs inside the baseline migration's transaction with foreign keys
+// off.
+const { runSeries } = require("../db-helpers");
+const { migrateIdentityModel } = require("./legacy-identity");
+
+// Tables added after the original schema
+const SCHEMA_ADDITIONS = [
+  `CREATE TABLE IF NOT EXISTS products (
+    product_id     INTEGER PRIMARY KEY AUTOINCREMENT,
+    sku            TEXT NOT NULL UNIQUE,
+    name           TEXT NOT NULL,
+    category       TEXT,
+    price          REAL NOT NULL CHECK (price >= 0),
+    is_active      INTEGER NOT NULL DEFAULT 1,
+    created_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at     DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  "CREATE INDEX IF NOT EXISTS idx_products_category ON products(category)",
+  "CREATE INDEX IF NOT EXISTS idx_audit_logs_order ON audit_logs(order_id)",
+  "CREATE INDEX IF NOT EXISTS idx_audit_logs_event ON audit_logs(event_type, created_at)",
+  `CREATE TABLE IF NOT EXISTS order_items (
+    order_item_id  INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id       TEXT NOT NULL,
+    product_id     INTEGER,
+    sku            TEXT NOT NULL,
+    name           TEXT NOT NULL,
+    unit_price     REAL NOT NULL,
+    quantity       INTEGER NOT NULL CHECK (quantity > 0),
+    line_total     REAL NOT NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE SET NULL
+  )`,
+  "CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id)",
+  `CREATE TABLE IF NOT EXISTS refunds (
+    refund_id      INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id       TEXT NOT NULL,
+    settlement_id  INTEGER NOT NULL,
+    amount         REAL NOT NULL CHECK (amount > 0),
+    reason         TEXT,
+    refunded_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+    FOREIGN KEY (settlement_id) REFERENCES settlements(settlement_id) ON DELETE CASCADE
+  )`,
+  "CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id)",
+  `CREATE TABLE IF NOT EXISTS idempotency_keys (
+    scope           TEXT NOT NULL,
+    idem_key        TEXT NOT NULL,
+    request_hash    TEXT NOT NULL,
+    response_status INTEGER,
+    response_body   TEXT,
+    created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at    DATETIME,
+    PRIMARY KEY (scope, idem_key)
+  )`,
+  `CREATE TABLE IF NOT EXISTS users (
+    user_id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    customer_id     INTEGER UNIQUE,
+    email           TEXT UNIQUE NOT NULL,
+    username        TEXT UNIQUE NOT NULL,
+    password_hash   TEXT NOT NULL,
+    email_verified  INTEGER NOT NULL DEFAULT 0,
+    verification_token TEXT,
+    verification_token_expires_at DATETIME,
+    role            TEXT NOT NULL DEFAULT 'customer' CHECK (role IN ('customer','cashier','manager','admin')),
+    totp_secret     TEXT,
+    totp_enabled    INTEGER NOT NULL DEFAULT 0,
+    totp_last_step  INTEGER,
+    created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE SET NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS customer_addresses (
+    address_id      INTEGER PRIMARY KEY AUTOINCREMENT,
+    customer_id     INTEGER NOT NULL,
+    label           TEXT,
+    address_line1   TEXT NOT NULL,
+    address_line2   TEXT,
+    city            TEXT,
+    state           TEXT,
+    zip_code        TEXT NOT NULL,
+    is_default      INTEGER NOT NULL DEFAULT 0,
+    created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE CASCADE
+  )`,
+  "CREATE INDEX IF NOT EXISTS idx_customer_addresses_customer ON customer_addresses(customer_id)",
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_default
+    ON customer_addresses(customer_id) WHERE is_default = 1`,
+  `CREATE TABLE IF NOT EXISTS sessions (
+    session_id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id            INTEGER NOT NULL,
+    access_token_hash  TEXT NOT NULL UNIQUE,
+    refresh_token_hash TEXT NOT NULL UNIQUE,
+    access_expires_at  DATETIME NOT NULL,
+    refresh_expires_at DATETIME NOT NULL,
+    ip_address         TEXT,
+    user_agent         TEXT,
+    created_at         DATETIME DEFAULT CURRENT_TIMESTAMP,
+    revoked_at         DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS password_resets (
+    reset_id     INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id      INTEGER NOT NULL,
+    token_hash   TEXT NOT NULL UNIQUE,
+    expires_at   DATETIME NOT NULL,
+    used_at      DATETIME,
+    ip_address   TEXT,
+    created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS email_outbox (
+    email_id      INTEGER PRIMARY KEY AUTOINCREMENT,
+    template      TEXT,
+    to_address    TEXT NOT NULL,
+    from_address  TEXT NOT NULL,
+    subject       TEXT NOT NULL,
+    text_body     TEXT,
+    html_body     TEXT,
+    created_at    DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS login_throttle (
+    throttle_key    TEXT PRIMARY KEY,
+    failures        INTEGER NOT NULL DEFAULT 0,
+    last_failed_at  DATETIME,
+    locked_until    DATETIME
+  )`,
+  `CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    code_id      INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id      INTEGER NOT NULL,
+    code_hash    TEXT NOT NULL,
+    used_at      DATETIME,
+    created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS two_factor_challenges (
+    challenge_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id      INTEGER NOT NULL,
+    token_hash   TEXT NOT NULL UNIQUE,
+    expires_at   DATETIME NOT NULL,
+    attempts     INTEGER NOT NULL DEFAULT 0,
+    used_at      DATETIME,
+    created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS app_settings (
+    setting_key    TEXT PRIMARY KEY,
+    setting_value  TEXT NOT NULL,
+    updated_by     INTEGER,
+    updated_at     DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`
+];
+
+// Columns added to original tables, as [name, type] per table
+const COLUMN_ADDITIONS = {
+  orders: [
+    ["subtotal_amount", "REAL"],
+    ["tax_amount", "REAL NOT NULL DEFAULT 0"]
+  ],
+  authorizations: [
+    ["auth_token", "TEXT"],
+    ["auth_expires_at", "DATETIME"],
+    ["voided_at", "DATETIME"],
+    ["card_id", "INTEGER REFERENCES user_cards(card_id)"]
+  ],
+  user_cards: [
+    ["gateway_token", "TEXT"],
+    ["is_default", "INTEGER NOT NULL DEFAULT 0"],
+    ["removed_at", "DATETIME"]
+  ],
+  settlements: [["auth_id", "INTEGER REFERENCES authorizations(auth_id)"]],
+  audit_logs: [
+    ["customer_id", "INTEGER"],
+    ["actor_id", "INTEGER"],
+    ["actor_role", "TEXT"],
+    ["ip_address", "TEXT"],
+    ["before_status", "TEXT"],
+    ["after_status", "TEXT"],
+    ["prev_hash", "TEXT"],
+    ["entry_hash", "TEXT"]
+  ]
+};
+
+// Statuses allowed by the orders.status CHECK constraint
+const ORDER_STATUSES = [
+  "PENDING",
+  "AUTHORIZED",
+  "DECLINED",
+  "ERROR",
+  "SETTLED",
+  "PARTIALLY_SETTLED",
+  "PARTIALLY_REFUNDED",
+  "REFUNDED",
+  "VOIDED",
+  "EXPIRED"
+];
+
+function ordersTableSql(name) {
+  const statuses = ORDER_STATUSES.map((st) => `'${st}'`).join(",");
+  return `CREATE TABLE ${name} (
+    order_id        TEXT PRIMARY KEY,
+    customer_id     INTEGER NOT NULL,
+    status          TEXT NOT NULL CHECK (status IN (${statuses})),
+    subtotal_amount REAL,
+    tax_amount      REAL NOT NULL DEFAULT 0,
+    total_amount    REAL NOT NULL,
+    created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE CASCADE
+  )`;
+}
+
+function addMissingColumns(db, cb) {
+  const tables = Object.keys(COLUMN_ADDITIONS);
+
+  const next = (err) => {
+    if (err || !tables.length) return cb(err || null);
+    const table = tables.shift();
+
+    db.all(`PRAGMA table_info(${table})`, (inspectErr, rows) => {
+      if (inspectErr) return next(inspectErr);
+      if (!rows.length) return next(); // table not created yet in this database
+
+      const names = rows.map((r) => r.name);
+      const statements = COLUMN_ADDITIONS[table]
+        .filter(([name]) => !names.includes(name))
+        .map(([name, type]) => [`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`]);
+      runSeries(db, statements, next);
+    });
+  };
+  next();
+}
+
+// SQLite cannot alter a CHECK constraint, so an orders table created with
+// an older status list is rebuilt (copy, drop, rename)
+function rebuildOrdersStatusCheck(db, cb) {
+  db.get(
+    "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'orders'",
+    (err, row) => {
+      if (err || !row) return cb(err || null);
+      if (ORDER_STATUSES.every((st) => row.sql.includes(`'${st}'`))) return cb(null);
+
+      db.all("PRAGMA table_info(orders)", (err2, cols) => {
+        if (err2) return cb(err2);
+
+        const columns = cols.map((c) => c.name).join(", ");
+        runSeries(
+          db,
+          [
+            [ordersTableSql("orders_rebuild")],
+            [`INSERT INTO orders_rebuild (${columns}) SELECT ${columns} FROM orders`],
+            ["DROP TABLE orders"],
+            ["ALTER TABLE orders_rebuild RENAME TO orders"]
+          ],
+          cb
+        );
+      });
+    }
+  );
+}
+
+function upgradeLegacySchema(db, cb) {
+  db.exec(SCHEMA_ADDITIONS.join(";\n"), (err) => {
+    if (err) return cb(err);
+    addMissingColumns(db, (columnsErr) => {
+      if (columnsErr) return cb(columnsErr);
+      migrateIdentityModel(db, (identityErr) => {
+        if (identityErr) return cb(identityErr);
+        rebuildOrdersStatusCheck(db, cb);
+      });
+    });
+  });
+}
+
+module.exports = { upgradeLegacySchema };
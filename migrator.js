@@ -0,0 +1,187 @@
+// migrator.js
+//
+// Versioned schema migrations. Each file in migrations/ named
+// NNN_description.js exports { up, down }, each either a SQL string or a
+// function (db, cb). Applied versions are recorded in schema_migrations.
+//
+// Every migration runs in its own transaction with foreign keys switched
+// off, so tables can be rebuilt (SQLite cannot alter most constraints in
+// place). It only commits if it left no new broken foreign keys behind;
+// ones that were already there before it ran do not block it.
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Migration files on disk, oldest first
+function listMigrations(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .map((file) => {
+      const match = MIGRATION_FILE.exec(file);
+      return match && { version: Number(match[1]), name: match[2], file: path.join(dir, file) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+function runStep(db, step, cb) {
+  if (typeof step === "string") return db.exec(step, cb);
+  if (typeof step === "function") return step(db, cb);
+  cb(new Error("Migration step must be a SQL string or a function (db, cb)"));
+}
+
+function foreignKeyProblems(db, cb) {
+  db.all("PRAGMA foreign_key_check", (err, rows) => {
+    if (err) return cb(err);
+    cb(null, new Set(rows.map((r) => `${r.table}|${r.rowid}|${r.parent}|${r.fkid}`)));
+  });
+}
+
+function createMigrator(db, { dir = MIGRATIONS_DIR } = {}) {
+  function ensureTable(cb) {
+    db.run(
+      `
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version     INTEGER PRIMARY KEY,
+        name        TEXT NOT NULL,
+        applied_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+      cb
+    );
+  }
+
+  // cb(err, { current, applied, pending, missing }). missing lists applied
+  // versions with no file, i.e. a database migrated by newer code.
+  function status(cb) {
+    ensureTable((err) => {
+      if (err) return cb(err);
+      db.all(
+        "SELECT version, name, applied_at FROM schema_migrations ORDER BY version",
+        (readErr, applied) => {
+          if (readErr) return cb(readErr);
+
+          const files = listMigrations(dir);
+          const appliedVersions = new Set(applied.map((m) => m.version));
+          const fileVersions = new Set(files.map((m) => m.version));
+
+          cb(null, {
+            current: applied.length ? applied[applied.length - 1].version : 0,
+            applied,
+            pending: files.filter((m) => !appliedVersions.has(m.version)),
+            missing: applied.filter((m) => !fileVersions.has(m.version))
+          });
+        }
+      );
+    });
+  }
+
+  // Run one migration's up or down step and record the result
+  function apply(migration, direction, cb) {
+    const step = require(migration.file)[direction];
+    const record =
+      direction === "up"
+        ? ["INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [migration.version, migration.name]]
+        : ["DELETE FROM schema_migrations WHERE version = ?", [migration.version]];
+
+    db.get("PRAGMA foreign_keys", (fkErr, fk) => {
+      if (fkErr) return cb(fkErr);
+      const restoreFk = `PRAGMA foreign_keys = ${fk && fk.foreign_keys ? "ON" : "OFF"}`;
+
+      const finish = (err) => {
+        if (err) return db.exec(`ROLLBACK; ${restoreFk}`, () => cb(err));
+        db.exec(`COMMIT; ${restoreFk}`, cb);
+      };
+
+      db.exec("PRAGMA foreign_keys = OFF; BEGIN IMMEDIATE;", (beginErr) => {
+        if (beginErr) return cb(beginErr);
+
+        foreignKeyProblems(db, (beforeErr, before) => {
+          if (beforeErr) return finish(beforeErr);
+
+          runStep(db, step, (stepErr) => {
+            if (stepErr) return finish(stepErr);
+
+            foreignKeyProblems(db, (afterErr, after) => {
+              if (afterErr) return finish(afterErr);
+              const added = [...after].filter((problem) => !before.has(problem));
+              if (added.length) {
+                const tables = [...new Set(added.map((p) => p.split("|")[0]))].join(", ");
+                return finish(
+                  new Error(`${added.length} broken foreign key(s) in ${tables}`)
+                );
+              }
+
+              db.run(record[0], record[1], finish);
+            });
+          });
+        });
+      });
+    });
+  }
+
+  function applyAll(migrations, direction, onApplied, cb) {
+    const done = [];
+    const next = () => {
+      if (!migrations.length) return cb(null, done);
+      const migration = migrations.shift();
+      apply(migration, direction, (err) => {
+        if (err) {
+          err.message = `${String(migration.version).padStart(3, "0")}_${migration.name} ${direction}: ${err.message}`;
+          return cb(err, done);
+        }
+        done.push(migration);
+        onApplied(migration);
+        next();
+      });
+    };
+    next();
+  }
+
+  // Apply pending migrations up to and including `to` (default: all).
+  // cb(err, applied)
+  function migrate({ to = Infinity, onApplied = () => {} } = {}, cb) {
+    status((err, state) => {
+      if (err) return cb(err);
+      if (state.missing.length) {
+        return cb(
+          new Error(
+            `Database has migrations this code does not know about: ${state.missing
+              .map((m) => m.version)
+              .join(", ")}`
+          )
+        );
+      }
+      const pending = state.pending.filter((m) => m.version <= to);
+      applyAll(pending, "up", onApplied, cb);
+    });
+  }
+
+  // Undo the last `steps` migrations, or everything after version `to`.
+  // cb(err, rolledBack)
+  function rollback({ steps = 1, to, onApplied = () => {} } = {}, cb) {
+    status((err, state) => {
+      if (err) return cb(err);
+
+      const newestFirst = [...state.applied].reverse();
+      const targets = to != null
+        ? newestFirst.filter((m) => m.version > to)
+        : newestFirst.slice(0, steps);
+
+      const files = new Map(listMigrations(dir).map((m) => [m.version, m]));
+      const unknown = targets.find((m) => !files.has(m.version));
+      if (unknown) {
+        return cb(new Error(`No migration file for applied version ${unknown.version}`));
+      }
+
+      applyAll(targets.map((m) => files.get(m.version)), "down", onApplied, cb);
+    });
+  }
+
+  return { status, migrate, rollback };
+}
+
+module.exports = { createMigrator, listMigrations, MIGRATIONS_DIR };
@@ -0,0 +1,308 @@
+// payment-gateway.js
+//
+// Every gateway exposes the same five async methods:
+//
+//   tokenize({ cardNumber, expMonth, expYear })
+//     -> { ok, token, brand, last4, code, message }
+//        exchanges a card number for a reusable token, so saved cards never
+//        keep the number itself
+//   authorize({ orderId, amount, cardNumber?, last4?, cardToken? })
+//     -> { result, approved, code, message, reference }
+//        result is one of SUCCESS, INSUFFICIENT_FUNDS, INCORRECT_DETAILS,
+//        EXPIRED_CARD, DO_NOT_HONOR, SERVER_ERROR
+//   capture({ orderId, reference, amount, idempotencyKey? })
+//   void({ orderId, reference, idempotencyKey? })
+//   refund({ orderId, reference, amount, idempotencyKey? })
+//     -> { ok, code, message, reference }
+//        the same idempotencyKey always gets the first answer back, so an
+//        operation that is sent again is never carried out twice
+//
+// Select one with PAYMENT_GATEWAY=simulator (default) or PAYMENT_GATEWAY=http.
+const crypto = require("crypto");
+
+// Detailed authorization results and the gateway code/message for each
+const AUTH_RESULTS = {
+  SUCCESS: { code: "00", message: "Approved" },
+  INSUFFICIENT_FUNDS: { code: "51", message: "Insufficient funds" },
+  INCORRECT_DETAILS: { code: "14", message: "Incorrect card details" },
+  EXPIRED_CARD: { code: "54", message: "Expired card" },
+  DO_NOT_HONOR: { code: "05", message: "Do not honor" },
+  SERVER_ERROR: { code: "XX", message: "Authorization server error" }
+};
+
+// Card network from the number's leading digits
+function cardBrand(digits) {
+  if (/^4/.test(digits)) return "visa";
+  if (/^(5[1-5]|2(2[2-9]|[3-6]\d|7[01]|720))/.test(digits)) return "mastercard";
+  if (/^3[47]/.test(digits)) return "amex";
+  if (/^(6011|65|64[4-9])/.test(digits)) return "discover";
+  return "unknown";
+}
+
+// Luhn checksum, which every real card number passes
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function authResult(result, reference = null) {
+  return {
+    result,
+    approved: result === "SUCCESS",
+    code: AUTH_RESULTS[result].code,
+    message: AUTH_RESULTS[result].message,
+    reference
+  };
+}
+
+// ==================================
+//   Simulator
+// ==================================
+//
+// Deterministic sandbox, modelled on real gateway test modes:
+//
+//   Card number (or just its last4)   Result
+//   4242 4242 4242 4242               SUCCESS
+//   4000 0000 0000 9995               INSUFFICIENT_FUNDS
+//   4000 0000 0000 0127               INCORRECT_DETAILS
+//   4000 0000 0000 0069               EXPIRED_CARD
+//   4000 0000 0000 0002               DO_NOT_HONOR
+//   4000 0000 0000 0119               SERVER_ERROR
+//
+// Amounts 2000.00–2999.99 decline with code (whole dollars - 2000), e.g.
+// 2051.00 -> 51 insufficient funds; 3000.00–3000.99 is a gateway error.
+// Anything else is approved. Tokens are accepted for any number that passes
+// the Luhn check; a saved card is charged by its last4, so the test cards
+// behave the same once saved.
+const SIMULATOR_CARDS = {
+  "4242424242424242": "SUCCESS",
+  "4000000000009995": "INSUFFICIENT_FUNDS",
+  "4000000000000127": "INCORRECT_DETAILS",
+  "4000000000000069": "EXPIRED_CARD",
+  "4000000000000002": "DO_NOT_HONOR",
+  "4000000000000119": "SERVER_ERROR"
+};
+
+const SIMULATOR_LAST4 = Object.fromEntries(
+  Object.entries(SIMULATOR_CARDS).map(([number, result]) => [
+    number.slice(-4),
+    result
+  ])
+);
+
+function simulatedResultFor({ amount, cardNumber, last4 }) {
+  if (cardNumber) {
+    const digits = String(cardNumber).replace(/\D/g, "");
+    if (SIMULATOR_CARDS[digits]) return SIMULATOR_CARDS[digits];
+  } else if (last4 && SIMULATOR_LAST4[String(last4)]) {
+    return SIMULATOR_LAST4[String(last4)];
+  }
+
+  const dollars = Math.floor(Number(amount));
+  if (dollars >= 2000 && dollars <= 2999) {
+    const code = String(dollars - 2000).padStart(2, "0");
+    const match = Object.keys(AUTH_RESULTS).find(
+      (result) => AUTH_RESULTS[result].code === code
+    );
+    return match || "DO_NOT_HONOR";
+  }
+  if (dollars === 3000) return "SERVER_ERROR";
+
+  return "SUCCESS";
+}
+
+function createSimulatorGateway({ maxAnswers = 10000 } = {}) {
+  const reference = () => `SIM-${crypto.randomBytes(6).toString("hex")}`;
+
+  // Answers already given, by idempotency key. Only the latest maxAnswers
+  // are kept; a Map iterates in insertion order, so the oldest goes first.
+  const answered = new Map();
+  const ok = (request, message) => {
+    const key = request && request.idempotencyKey;
+    if (key && answered.has(key)) return answered.get(key);
+    const reply = { ok: true, code: "00", message, reference: reference() };
+    if (key) {
+      answered.set(key, reply);
+      if (answered.size > maxAnswers) answered.delete(answered.keys().next().value);
+    }
+    return reply;
+  };
+
+  return {
+    name: "simulator",
+
+    async tokenize({ cardNumber }) {
+      const digits = String(cardNumber || "").replace(/\D/g, "");
+      if (digits.length < 12 || digits.length > 19 || !passesLuhn(digits)) {
+        return {
+          ok: false,
+          code: AUTH_RESULTS.INCORRECT_DETAILS.code,
+          message: AUTH_RESULTS.INCORRECT_DETAILS.message
+        };
+      }
+      return {
+        ok: true,
+        token: `tok_sim_${crypto.randomBytes(12).toString("hex")}`,
+        brand: cardBrand(digits),
+        last4: digits.slice(-4),
+        code: "00",
+        message: "Tokenized"
+      };
+    },
+
+    async authorize(request) {
+      const result = simulatedResultFor(request);
+      return authResult(result, result === "SUCCESS" ? reference() : null);
+    },
+
+    async capture(request) {
+      return ok(request, "Captured");
+    },
+
+    async void(request) {
+      return ok(request, "Voided");
+    },
+
+    async refund(request) {
+      return ok(request, "Refunded");
+    }
+  };
+}
+
+// ==================================
+//   HTTP gateway
+// ==================================
+//
+// POSTs JSON to `${baseUrl}/tokenize|authorize|capture|void|refund` and
+// expects JSON back: { token, brand, last4 } for tokenize,
+// { result?, code, message, reference } for authorize and
+// { ok, code, message, reference } for the rest. An idempotencyKey goes in
+// the Idempotency-Key header. Network failures, timeouts and non-2xx
+// responses surface as SERVER_ERROR / ok: false.
+function createHttpGateway({ baseUrl, apiKey, timeoutMs = 10000 }) {
+  if (!baseUrl) {
+    throw new Error("HTTP payment gateway needs PAYMENT_GATEWAY_URL");
+  }
+  const root = baseUrl.replace(/\/+$/, "");
+
+  async function call(operation, body, idempotencyKey) {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    if (idempotencyKey) headers["Idempotency-Key"] = idempotencyKey;
+
+    const res = await fetch(`${root}/${operation}`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(data.message || `Gateway responded ${res.status}`);
+      // not err.code: a timeout's DOMException has a numeric one of its own
+      err.gatewayCode = data.code;
+      throw err;
+    }
+    return data;
+  }
+
+  async function operation(name, request) {
+    const { idempotencyKey, ...body } = request;
+    try {
+      const data = await call(name, body, idempotencyKey);
+      return {
+        ok: data.ok !== false,
+        code: data.code || null,
+        message: data.message || null,
+        reference: data.reference || null
+      };
+    } catch (err) {
+      console.error(`Payment gateway ${name} failed:`, err.message);
+      return { ok: false, code: err.gatewayCode || "XX", message: err.message, reference: null };
+    }
+  }
+
+  return {
+    name: "http",
+
+    async tokenize(request) {
+      try {
+        const data = await call("tokenize", {
+          cardNumber: request.cardNumber,
+          expMonth: request.expMonth,
+          expYear: request.expYear
+        });
+        if (!data.token) throw new Error("Gateway returned no token");
+
+        const digits = String(request.cardNumber).replace(/\D/g, "");
+        return {
+          ok: true,
+          token: data.token,
+          brand: data.brand || cardBrand(digits),
+          last4: data.last4 || digits.slice(-4),
+          code: data.code || "00",
+          message: data.message || "Tokenized"
+        };
+      } catch (err) {
+        console.error("Payment gateway tokenize failed:", err.message);
+        return { ok: false, code: err.gatewayCode || "XX", message: err.message };
+      }
+    },
+
+    async authorize(request) {
+      try {
+        const data = await call("authorize", {
+          orderId: request.orderId,
+          amount: request.amount,
+          cardNumber: request.cardNumber,
+          last4: request.last4,
+          cardToken: request.cardToken
+        });
+        const result = AUTH_RESULTS[data.result] ? data.result : "SERVER_ERROR";
+        return {
+          ...authResult(result, data.reference || null),
+          // keep the gateway's own code/message when it sends them
+          code: data.code || AUTH_RESULTS[result].code,
+          message: data.message || AUTH_RESULTS[result].message
+        };
+      } catch (err) {
+        console.error("Payment gateway authorize failed:", err.message);
+        return authResult("SERVER_ERROR");
+      }
+    },
+
+    capture: (request) => operation("capture", request),
+    void: (request) => operation("void", request),
+    refund: (request) => operation("refund", request)
+  };
+}
+
+// Build the gateway selected by the environment
+function createPaymentGateway(env = process.env) {
+  const kind = (env.PAYMENT_GATEWAY || "simulator").toLowerCase();
+
+  if (kind === "simulator") return createSimulatorGateway();
+  if (kind === "http") {
+    return createHttpGateway({
+      baseUrl: env.PAYMENT_GATEWAY_URL,
+      apiKey: env.PAYMENT_GATEWAY_API_KEY,
+      timeoutMs: Number(env.PAYMENT_GATEWAY_TIMEOUT_MS) || undefined
+    });
+  }
+  throw new Error(`Unknown PAYMENT_GATEWAY "${kind}" (use simulator or http)`);
+}
+
+module.exports = {
+  createPaymentGateway,
+  createSimulatorGateway,
+  createHttpGateway,
+  AUTH_RESULTS
+};
@@ -0,0 +1,284 @@
+// payment-operations.js
+//
+// Captures, refunds and voids sent to the payment gateway. The gateway is
+// never called inside a transaction: every request shares one connection,
+// so whatever other requests wrote while we waited on the gateway would be
+// rolled back with us. Instead each tender's operation is written to
+// payment_operations as PENDING and committed, sent to the gateway, and
+// marked DONE (with the row it produced) or FAILED in a transaction of its
+// own. A request that fails part way keeps what the earlier tenders did.
+const crypto = require("crypto");
+const { withTransaction, runSeries, httpError } = require("./db-helpers");
+const { SQL_NOW_ISO, SQL_AUTH_EXPIRES_AT } = require("./tenders");
+
+// kind -> gateway method
+const GATEWAY_METHODS = { CAPTURE: "capture", REFUND: "refund", VOID: "void" };
+
+// Orders with a payment request in flight. Work on an order is spread over
+// several transactions, so a second request for it must not start until
+// the first has answered.
+const busyOrders = new Set();
+
+// Middleware: turn a payment request away with 409 while another request
+// for the same order is running. `orderIdOf(req)` names the order.
+function lockOrder(orderIdOf) {
+  return function orderLock(req, res, next) {
+    const orderId = orderIdOf(req);
+    if (orderId == null || orderId === "") return next();
+
+    const key = String(orderId);
+    if (busyOrders.has(key)) {
+      return res
+        .status(409)
+        .json({ error: `Another payment request for order ${key} is in progress` });
+    }
+    busyOrders.add(key);
+    res.once("close", () => busyOrders.delete(key));
+    next();
+  };
+}
+
+// Key grouping the operations one request plans. Every attempt of a
+// request sent with an Idempotency-Key gets the same one (see
+// idempotency.js), so a retry finds what the first attempt planned.
+function requestKeyFor(req) {
+  return (req && req.requestKey) || crypto.randomBytes(16).toString("hex");
+}
+
+// Idempotency key the gateway gets for an operation. An authorization is
+// only ever voided once, so a void is keyed by its tender.
+function gatewayKeyFor(operation) {
+  return operation.kind === "VOID"
+    ? `${operation.order_id}-void-${operation.auth_id}`
+    : `${operation.order_id}-${operation.kind.toLowerCase()}-${operation.operation_id}`;
+}
+
+function createPaymentOperations(db, gateway) {
+  // Operations with what the gateway needs to know about their tender.
+  // Settlements from before tenders were linked have no authorization and
+  // are card payments.
+  const SELECT_OPERATIONS = `
+    SELECT o.*,
+           a.auth_token,
+           IFNULL(a.tender_type, 'CARD') AS tender_type,
+           IFNULL(a.tender_type <> 'CASH' AND ${SQL_AUTH_EXPIRES_AT} <= ${SQL_NOW_ISO}, 0) AS expired
+    FROM payment_operations o
+    LEFT JOIN authorizations a ON a.auth_id = o.auth_id
+  `;
+
+  // Pick up a request sent again after an attempt that failed part way.
+  // Runs inside the caller's transaction. The operations the earlier
+  // attempt planned are reused, so tenders it finished are skipped and the
+  // rest reach the gateway under the same keys; `stillFits(operation)` says
+  // whether an unfinished one can still be carried out. Calls back with
+  // null when the request has not been seen.
+  // cb(err, operations)
+  function resume(requestKey, kind, stillFits, cb) {
+    db.all(
+      `${SELECT_OPERATIONS}
+       WHERE o.request_key = ? AND o.kind = ?
+       ORDER BY o.operation_id ASC`,
+      [requestKey, kind],
+      (err, earlier) => {
+        if (err) return cb(err);
+        if (!earlier.length) return cb(null, null);
+
+        const unfinished = earlier.filter((operation) => operation.status !== "DONE");
+        if (!unfinished.every(stillFits)) {
+          return cb(
+            httpError(
+              409,
+              "The order has changed since this request was first sent; send it with a new Idempotency-Key"
+            )
+          );
+        }
+        if (!unfinished.length) return cb(null, earlier);
+
+        db.run(
+          `
+          UPDATE payment_operations
+          SET status = 'PENDING',
+              gateway_message = NULL,
+              completed_at = NULL
+          WHERE operation_id IN (${unfinished.map(() => "?").join(", ")})
+        `,
+          unfinished.map((operation) => operation.operation_id),
+          (updateErr) => {
+            if (updateErr) return cb(updateErr);
+            unfinished.forEach((operation) => {
+              operation.status = "PENDING";
+            });
+            cb(null, earlier);
+          }
+        );
+      }
+    );
+  }
+
+  // Write the operations a request plans, as PENDING. Runs inside the
+  // caller's transaction. planned: [{ authId, amount, settlementId? }]
+  // cb(err, operations)
+  function claim(orderId, requestKey, kind, planned, cb) {
+    const ids = [];
+    let index = 0;
+    const next = (err) => {
+      if (err) return cb(err);
+      if (index >= planned.length) {
+        if (ids.length === 0) return cb(null, []);
+        return db.all(
+          `${SELECT_OPERATIONS}
+           WHERE o.operation_id IN (${ids.map(() => "?").join(", ")})
+           ORDER BY o.operation_id ASC`,
+          ids,
+          cb
+        );
+      }
+
+      const op = planned[index++];
+      db.run(
+        `
+        INSERT INTO payment_operations (
+          order_id, auth_id, kind, amount, settlement_id, request_key
+        )
+        VALUES (?, ?, ?, ?, ?, ?)
+      `,
+        [orderId, op.authId, kind, op.amount, op.settlementId || null, requestKey],
+        function (insertErr) {
+          if (!insertErr) ids.push(this.lastID);
+          next(insertErr);
+        }
+      );
+    };
+    next();
+  }
+
+  // Send the operations one after another, outside any transaction, and
+  // stop at the first the gateway rejects. Cash, and card approvals that
+  // have lapsed (nothing is left to void), never reach the gateway.
+  // `record(operation, reply, cb)` writes what a successful operation
+  // produced, in the transaction that marks it DONE, and calls back with
+  // { settlementId?, refundId? }. Operations are updated in place.
+  // cb(err, failure) with failure { operation, message } or null
+  function perform(orderId, operations, record, cb) {
+    let index = 0;
+    const next = (err) => {
+      if (err) return cb(err);
+      if (index >= operations.length) return cb(null, null);
+
+      const operation = operations[index++];
+      if (operation.status === "DONE") return next();
+
+      const skipGateway =
+        operation.tender_type === "CASH" || (operation.kind === "VOID" && operation.expired);
+      const reply = skipGateway
+        ? Promise.resolve({ ok: true, message: null, reference: null })
+        : gateway[GATEWAY_METHODS[operation.kind]]({
+            orderId,
+            reference: operation.auth_token,
+            amount: operation.amount,
+            idempotencyKey: gatewayKeyFor(operation)
+          });
+
+      reply
+        .catch((gatewayErr) => ({ ok: false, message: gatewayErr.message, reference: null }))
+        .then((result) => {
+          if (!result.ok) {
+            return fail(operation, result, (failErr) =>
+              failErr ? cb(failErr) : cb(null, { operation, message: result.message })
+            );
+          }
+          complete(operation, result, next);
+        })
+        .catch(cb);
+    };
+    next();
+
+    function complete(operation, result, done) {
+      withTransaction(
+        db,
+        (finish) =>
+          record(operation, result, (recordErr, produced) => {
+            if (recordErr) return finish(recordErr);
+            const ids = produced || {};
+            db.run(
+              `
+              UPDATE payment_operations
+              SET status = 'DONE',
+                  settlement_id = IFNULL(?, settlement_id),
+                  refund_id = ?,
+                  gateway_reference = ?,
+                  gateway_message = ?,
+                  completed_at = CURRENT_TIMESTAMP
+              WHERE operation_id = ?
+            `,
+              [
+                ids.settlementId || null,
+                ids.refundId || null,
+                result.reference,
+                result.message,
+                operation.operation_id
+              ],
+              (updateErr) => finish(updateErr, ids)
+            );
+          }),
+        (err, ids) => {
+          if (err) return done(err);
+          operation.status = "DONE";
+          if (ids.settlementId) operation.settlement_id = ids.settlementId;
+          operation.refund_id = ids.refundId || null;
+          operation.gateway_reference = result.reference;
+          done();
+        }
+      );
+    }
+
+    // The rejected operation and the ones after it, which were never sent,
+    // are FAILED
+    function fail(operation, result, done) {
+      withTransaction(
+        db,
+        (finish) =>
+          runSeries(
+            db,
+            [
+              [
+                `
+                UPDATE payment_operations
+                SET status = 'FAILED',
+                    gateway_message = ?,
+                    completed_at = CURRENT_TIMESTAMP
+                WHERE operation_id = ?
+              `,
+                [result.message, operation.operation_id]
+              ],
+              [
+                `
+                UPDATE payment_operations
+                SET status = 'FAILED',
+                    gateway_message = 'Not sent: an earlier tender failed',
+                    completed_at = CURRENT_TIMESTAMP
+                WHERE request_key = ? AND kind = ? AND status = 'PENDING'
+                  AND operation_id > ?
+              `,
+                [operation.request_key, operation.kind, operation.operation_id]
+              ]
+            ],
+            finish
+          ),
+        (err) => {
+          if (err) return done(err);
+          operations
+            .filter((op) => op.status !== "DONE")
+            .forEach((op) => {
+              op.status = "FAILED";
+            });
+          done();
+        }
+      );
+    }
+  }
+
+  return { resume, claim, perform };
+}
+
+module.exports = { createPaymentOperations, lockOrder, requestKeyFor };
@@ -0,0 +1,316 @@
+// products.js
+const express = require("express");
+const { runQueued, roundMoney, pageParams } = require("./db-helpers");
+
+function createProductsRouter(db, sessions) {
+  const router = express.Router();
+
+  // catalog changes are for managers and admins; browsing is public
+  const canEditCatalog = sessions.requireRole("manager", "admin");
+
+  // Normalize a product row for API responses
+  function toProduct(row) {
+    return {
+      productId: row.product_id,
+      sku: row.sku,
+      name: row.name,
+      category: row.category,
+      price: Number(row.price),
+      active: !!row.is_active,
+      reorderPoint: row.reorder_point,
+      reorderQuantity: row.reorder_quantity,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  function parsePrice(value) {
+    const price = Number(value);
+    if (!Number.isFinite(price) || price < 0) return null;
+    return roundMoney(price);
+  }
+
+  // Reorder settings: null clears them; undefined when invalid
+  function parseReorder(value, min) {
+    if (value === null) return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) return undefined;
+    return number;
+  }
+
+  // ==================================
+  //        GET /products
+  //  ?q=&category=&includeInactive=&limit=&offset=
+  // ==================================
+  router.get("/", (req, res) => {
+    const { q, category, includeInactive } = req.query;
+    const { limit, offset } = pageParams(req.query, 100, 200);
+
+    const where = [];
+    const params = [];
+
+    if (includeInactive !== "true") {
+      where.push("is_active = 1");
+    }
+    if (q) {
+      where.push("(LOWER(name) LIKE ? OR LOWER(sku) LIKE ?)");
+      const pattern = `%${String(q).trim().toLowerCase()}%`;
+      params.push(pattern, pattern);
+    }
+    if (category) {
+      where.push("LOWER(category) = ?");
+      params.push(String(category).trim().toLowerCase());
+    }
+
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    db.get(
+      `SELECT COUNT(*) AS total FROM products ${whereSql}`,
+      params,
+      (err, countRow) => {
+        if (err) {
+          console.error("DB read error in GET /products:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+
+        db.all(
+          `
+          SELECT *
+          FROM products
+          ${whereSql}
+          ORDER BY name ASC, product_id ASC
+          LIMIT ? OFFSET ?
+        `,
+          [...params, limit, offset],
+          (err2, rows) => {
+            if (err2) {
+              console.error("DB read error in GET /products:", err2);
+              return res.status(500).json({ error: "Database read error" });
+            }
+
+            res.set("X-Total-Count", String(countRow ? countRow.total : 0));
+            res.json(rows.map(toProduct));
+          }
+        );
+      }
+    );
+  });
+
+  // ==================================
+  //        GET /products/:id
+  // ==================================
+  router.get("/:id", (req, res) => {
+    db.get(
+      "SELECT * FROM products WHERE product_id = ?",
+      [req.params.id],
+      (err, row) => {
+        if (err) {
+          console.error("DB read error in GET /products/:id:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        if (!row) return res.status(404).json({ error: "Product not found" });
+
+        res.json(toProduct(row));
+      }
+    );
+  });
+
+  // ==================================
+  //        POST /products
+  // ==================================
+  router.post("/", canEditCatalog, (req, res) => {
+    const { sku, name, category, price, active, reorderPoint, reorderQuantity } =
+      req.body || {};
+
+    if (!sku || !name || price == null) {
+      return res
+        .status(400)
+        .json({ error: "Missing one or more required fields: sku, name, price." });
+    }
+
+    const numericPrice = parsePrice(price);
+    if (numericPrice == null) {
+      return res.status(400).json({ error: "Invalid price" });
+    }
+    if (active != null && typeof active !== "boolean") {
+      return res.status(400).json({ error: "active must be true or false." });
+    }
+
+    const point = reorderPoint == null ? null : parseReorder(reorderPoint, 0);
+    const quantity = reorderQuantity == null ? null : parseReorder(reorderQuantity, 1);
+    if (point === undefined || quantity === undefined) {
+      return res.status(400).json({ error: "Invalid reorderPoint or reorderQuantity" });
+    }
+
+    const cleanSku = String(sku).trim().toUpperCase();
+
+    runQueued(
+      db,
+      `
+      INSERT INTO products (
+        sku, name, category, price, is_active, reorder_point, reorder_quantity
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        cleanSku,
+        String(name).trim(),
+        category ? String(category).trim() : null,
+        numericPrice,
+        active === false ? 0 : 1,
+        point,
+        quantity
+      ],
+      function (err) {
+        if (err) {
+          if (err.code === "SQLITE_CONSTRAINT") {
+            return res
+              .status(409)
+              .json({ error: "A product with that SKU already exists." });
+          }
+          console.error("DB write error in POST /products:", err);
+          return res.status(500).json({ error: "Database write error" });
+        }
+
+        db.get(
+          "SELECT * FROM products WHERE product_id = ?",
+          [this.lastID],
+          (err2, row) => {
+            if (err2) {
+              console.error("DB read error in POST /products:", err2);
+              return res.status(500).json({ error: "Database read error" });
+            }
+            res.status(201).json(toProduct(row));
+          }
+        );
+      }
+    );
+  });
+
+  // ==================================
+  //        PATCH /products/:id
+  // ==================================
+  router.patch("/:id", canEditCatalog, (req, res) => {
+    const { sku, name, category, price, active, reorderPoint, reorderQuantity } =
+      req.body || {};
+
+    if (active != null && typeof active !== "boolean") {
+      return res.status(400).json({ error: "active must be true or false." });
+    }
+
+    const updates = [];
+    const params = [];
+
+    if (sku) {
+      updates.push("sku = ?");
+      params.push(String(sku).trim().toUpperCase());
+    }
+    if (name) {
+      updates.push("name = ?");
+      params.push(String(name).trim());
+    }
+    if (category !== undefined) {
+      updates.push("category = ?");
+      params.push(category ? String(category).trim() : null);
+    }
+    if (price != null) {
+      const numericPrice = parsePrice(price);
+      if (numericPrice == null) {
+        return res.status(400).json({ error: "Invalid price" });
+      }
+      updates.push("price = ?");
+      params.push(numericPrice);
+    }
+    if (active != null) {
+      updates.push("is_active = ?");
+      params.push(active ? 1 : 0);
+    }
+    if (reorderPoint !== undefined) {
+      const point = parseReorder(reorderPoint, 0);
+      if (point === undefined) {
+        return res.status(400).json({ error: "Invalid reorderPoint" });
+      }
+      updates.push("reorder_point = ?");
+      params.push(point);
+    }
+    if (reorderQuantity !== undefined) {
+      const quantity = parseReorder(reorderQuantity, 1);
+      if (quantity === undefined) {
+        return res.status(400).json({ error: "Invalid reorderQuantity" });
+      }
+      updates.push("reorder_quantity = ?");
+      params.push(quantity);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: "No fields to update." });
+    }
+
+    updates.push("updated_at = CURRENT_TIMESTAMP");
+    params.push(req.params.id);
+
+    runQueued(
+      db,
+      `UPDATE products SET ${updates.join(", ")} WHERE product_id = ?`,
+      params,
+      function (err) {
+        if (err) {
+          if (err.code === "SQLITE_CONSTRAINT") {
+            return res
+              .status(409)
+              .json({ error: "A product with that SKU already exists." });
+          }
+          console.error("DB write error in PATCH /products/:id:", err);
+          return res.status(500).json({ error: "Database write error" });
+        }
+        if (this.changes === 0) {
+          return res.status(404).json({ error: "Product not found" });
+        }
+
+        db.get(
+          "SELECT * FROM products WHERE product_id = ?",
+          [req.params.id],
+          (err2, row) => {
+            if (err2) {
+              console.error("DB read error in PATCH /products/:id:", err2);
+              return res.status(500).json({ error: "Database read error" });
+            }
+            res.json(toProduct(row));
+          }
+        );
+      }
+    );
+  });
+
+  // ==================================
+  //        DELETE /products/:id
+  //  Soft delete: product stays for order history
+  // ==================================
+  router.delete("/:id", canEditCatalog, (req, res) => {
+    runQueued(
+      db,
+      `
+      UPDATE products
+      SET is_active = 0,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE product_id = ?
+    `,
+      [req.params.id],
+      function (err) {
+        if (err) {
+          console.error("DB write error in DELETE /products/:id:", err);
+          return res.status(500).json({ error: "Database write error" });
+        }
+        if (this.changes === 0) {
+          return res.status(404).json({ error: "Product not found" });
+        }
+
+        res.json({ ok: true, productId: Number(req.params.id), active: false });
+      }
+    );
+  });
+
+  return router;
+}
+
+module.exports = createProductsRouter;
@@ -0,0 +1,597 @@
+// purchase-orders.js
+//
+// Suppliers and the purchase orders placed with them. Receiving a PO,
+// fully or in parts, posts the units into warehouse bins as RECEIVE
+// movements tagged with the PO, and each receipt is written to the audit
+// log, so every unit that arrived can be traced back to its order.
+const express = require("express");
+const {
+  withTransaction,
+  runQueued,
+  roundMoney,
+  pageParams,
+  httpError,
+  sendError
+} = require("./db-helpers");
+const { createInventory } = require("./inventory");
+const { STAFF_ROLES } = require("./sessions");
+
+const OPEN_STATUSES = ["OPEN", "PARTIALLY_RECEIVED"];
+
+function createSuppliersRouter(db, sessions) {
+  const router = express.Router();
+
+  const staffOnly = sessions.requireRole(...STAFF_ROLES);
+  const canManage = sessions.requireRole("manager", "admin");
+
+  function toSupplier(row) {
+    return {
+      supplierId: row.supplier_id,
+      name: row.name,
+      email: row.email,
+      phone: row.phone,
+      created_at: row.created_at
+    };
+  }
+
+  // ==================================
+  //        GET /suppliers
+  // ==================================
+  router.get("/", staffOnly, (req, res) => {
+    db.all("SELECT * FROM suppliers ORDER BY name ASC", (err, rows) => {
+      if (err) {
+        console.error("DB read error in GET /suppliers:", err);
+        return res.status(500).json({ error: "Database read error" });
+      }
+      res.json(rows.map(toSupplier));
+    });
+  });
+
+  // ==================================
+  //        POST /suppliers
+  // ==================================
+  router.post("/", canManage, (req, res) => {
+    const { name, email, phone } = req.body || {};
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: "Missing name." });
+    }
+
+    runQueued(
+      db,
+      "INSERT INTO suppliers (name, email, phone) VALUES (?, ?, ?)",
+      [
+        String(name).trim(),
+        email ? String(email).trim() : null,
+        phone ? String(phone).trim() : null
+      ],
+      function (err) {
+        if (err) {
+          if (err.code === "SQLITE_CONSTRAINT") {
+            return res
+              .status(409)
+              .json({ error: "A supplier with that name already exists." });
+          }
+          console.error("DB write error in POST /suppliers:", err);
+          return res.status(500).json({ error: "Database write error" });
+        }
+
+        db.get(
+          "SELECT * FROM suppliers WHERE supplier_id = ?",
+          [this.lastID],
+          (err2, row) => {
+            if (err2) {
+              console.error("DB read error in POST /suppliers:", err2);
+              return res.status(500).json({ error: "Database read error" });
+            }
+            res.status(201).json(toSupplier(row));
+          }
+        );
+      }
+    );
+  });
+
+  return router;
+}
+
+function createPurchaseOrdersRouter(db, sessions, audit) {
+  const router = express.Router();
+  const inventory = createInventory(db);
+
+  const staffOnly = sessions.requireRole(...STAFF_ROLES);
+  const canManage = sessions.requireRole("manager", "admin");
+
+  function toLine(row) {
+    return {
+      lineId: row.line_id,
+      productId: row.product_id,
+      sku: row.sku,
+      name: row.name,
+      quantityOrdered: row.quantity_ordered,
+      quantityReceived: row.quantity_received,
+      outstanding: row.quantity_ordered - row.quantity_received,
+      unitCost: row.unit_cost
+    };
+  }
+
+  function toPurchaseOrder(po, lines) {
+    return {
+      purchaseOrderId: po.po_id,
+      supplierId: po.supplier_id,
+      supplierName: po.supplier_name,
+      status: po.status,
+      notes: po.notes,
+      expectedAt: po.expected_at,
+      createdBy: po.created_by,
+      unitsOrdered: po.units_ordered,
+      unitsReceived: po.units_received,
+      totalCost: po.total_cost == null ? null : roundMoney(po.total_cost),
+      created_at: po.created_at,
+      updated_at: po.updated_at,
+      ...(lines && { lines: lines.map(toLine) })
+    };
+  }
+
+  const PO_SELECT = `
+    SELECT po.*, s.name AS supplier_name,
+           (SELECT SUM(l.quantity_ordered) FROM purchase_order_lines l
+            WHERE l.po_id = po.po_id) AS units_ordered,
+           (SELECT SUM(l.quantity_received) FROM purchase_order_lines l
+            WHERE l.po_id = po.po_id) AS units_received,
+           (SELECT SUM(l.quantity_ordered * l.unit_cost) FROM purchase_order_lines l
+            WHERE l.po_id = po.po_id) AS total_cost
+    FROM purchase_orders po
+    JOIN suppliers s ON s.supplier_id = po.supplier_id
+  `;
+
+  // cb(err, po, lines); po is undefined when there is no such PO
+  function loadPurchaseOrder(poId, cb) {
+    db.get(`${PO_SELECT} WHERE po.po_id = ?`, [poId], (err, po) => {
+      if (err || !po) return cb(err);
+      db.all(
+        `
+        SELECT l.*, p.sku, p.name
+        FROM purchase_order_lines l
+        JOIN products p ON p.product_id = l.product_id
+        WHERE l.po_id = ?
+        ORDER BY l.line_id ASC
+      `,
+        [poId],
+        (linesErr, lines) => cb(linesErr, po, lines)
+      );
+    });
+  }
+
+  // ==================================
+  //        GET /purchase-orders
+  //  Newest first. ?status=&supplierId=&limit=&offset=
+  //  status=OPEN,PARTIALLY_RECEIVED or repeated
+  // ==================================
+  router.get("/", staffOnly, (req, res) => {
+    const { limit, offset } = pageParams(req.query, 50, 200);
+
+    const where = [];
+    const params = [];
+
+    if (req.query.status) {
+      const statuses = []
+        .concat(req.query.status)
+        .flatMap((value) => String(value).split(","))
+        .map((value) => value.trim().toUpperCase())
+        .filter(Boolean);
+      where.push(`po.status IN (${statuses.map(() => "?").join(", ")})`);
+      params.push(...statuses);
+    }
+    if (req.query.supplierId) {
+      where.push("po.supplier_id = ?");
+      params.push(Number(req.query.supplierId));
+    }
+
+    db.all(
+      `
+      ${PO_SELECT}
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY po.created_at DESC, po.po_id DESC
+      LIMIT ? OFFSET ?
+    `,
+      [...params, limit, offset],
+      (err, rows) => {
+        if (err) {
+          console.error("DB read error in GET /purchase-orders:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        res.json(rows.map((row) => toPurchaseOrder(row)));
+      }
+    );
+  });
+
+  // ==================================
+  //        GET /purchase-orders/:poId
+  // ==================================
+  router.get("/:poId", staffOnly, (req, res) => {
+    loadPurchaseOrder(Number(req.params.poId), (err, po, lines) => {
+      if (err) {
+        console.error("DB read error in GET /purchase-orders/:poId:", err);
+        return res.status(500).json({ error: "Database read error" });
+      }
+      if (!po) return res.status(404).json({ error: "Purchase order not found." });
+      res.json(toPurchaseOrder(po, lines));
+    });
+  });
+
+  // ==================================
+  //        POST /purchase-orders
+  //  { supplierId, lines: [{ sku | productId, quantity, unitCost }],
+  //    notes, expectedAt }
+  // ==================================
+  router.post("/", canManage, (req, res) => {
+    const { supplierId, lines, notes, expectedAt } = req.body || {};
+
+    if (supplierId == null || !Array.isArray(lines) || lines.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "Missing one or more required fields: supplierId, lines." });
+    }
+    for (const line of lines) {
+      const quantity = Number(line && line.quantity);
+      if (!line || (!line.sku && line.productId == null)) {
+        return res.status(400).json({ error: "Each line needs a sku or productId." });
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        return res
+          .status(400)
+          .json({ error: "Each line needs a positive whole-number quantity." });
+      }
+      if (line.unitCost != null && !(Number(line.unitCost) >= 0)) {
+        return res.status(400).json({ error: "Invalid unitCost." });
+      }
+    }
+    if (expectedAt && Number.isNaN(Date.parse(expectedAt))) {
+      return res.status(400).json({ error: "Invalid expectedAt." });
+    }
+
+    withTransaction(
+      db,
+      (done) => {
+        db.get(
+          "SELECT supplier_id FROM suppliers WHERE supplier_id = ?",
+          [Number(supplierId)],
+          (err, supplier) => {
+            if (err) return done(err);
+            if (!supplier) return done(httpError(404, "Supplier not found."));
+
+            db.run(
+              `
+              INSERT INTO purchase_orders (supplier_id, notes, expected_at, created_by)
+              VALUES (?, ?, ?, ?)
+            `,
+              [
+                supplier.supplier_id,
+                notes ? String(notes).trim() : null,
+                expectedAt ? String(expectedAt).slice(0, 10) : null,
+                req.user.userId
+              ],
+              function (insertErr) {
+                if (insertErr) return done(insertErr);
+                const poId = this.lastID;
+
+                // Repeated products are merged into one line
+                const merged = new Map();
+                let index = 0;
+                const nextLine = (lineErr) => {
+                  if (lineErr) return done(lineErr);
+                  if (index < lines.length) return addLine(lines[index++], nextLine);
+                  finish(poId, merged, done);
+                };
+
+                const addLine = (line, cb) => {
+                  const byId = line.productId != null;
+                  db.get(
+                    `SELECT product_id, sku FROM products WHERE ${byId ? "product_id" : "sku"} = ?`,
+                    [byId ? Number(line.productId) : String(line.sku).trim().toUpperCase()],
+                    (productErr, product) => {
+                      if (productErr) return cb(productErr);
+                      if (!product) {
+                        return cb(
+                          httpError(404, `Product not found: ${line.sku || line.productId}`)
+                        );
+                      }
+
+                      const unitCost = line.unitCost == null ? null : roundMoney(line.unitCost);
+                      const previous = merged.get(product.product_id);
+                      merged.set(product.product_id, {
+                        sku: product.sku,
+                        quantity: (previous ? previous.quantity : 0) + Number(line.quantity)
+                      });
+
+                      db.run(
+                        `
+                        INSERT INTO purchase_order_lines (po_id, product_id, quantity_ordered, unit_cost)
+                        VALUES (?, ?, ?, ?)
+                        ON CONFLICT (po_id, product_id) DO UPDATE
+                        SET quantity_ordered = quantity_ordered + excluded.quantity_ordered,
+                            unit_cost = COALESCE(excluded.unit_cost, unit_cost)
+                      `,
+                        [poId, product.product_id, Number(line.quantity), unitCost],
+                        cb
+                      );
+                    }
+                  );
+                };
+
+                nextLine();
+              }
+            );
+          }
+        );
+
+        function finish(poId, merged, cb) {
+          audit.recordInTransaction(
+            req,
+            {
+              eventType: "PURCHASE_ORDER_CREATED",
+              afterStatus: "OPEN",
+              details: {
+                purchaseOrderId: poId,
+                supplierId: Number(supplierId),
+                lines: [...merged.values()]
+              }
+            },
+            (auditErr) => {
+              if (auditErr) return cb(auditErr);
+              loadPurchaseOrder(poId, (loadErr, po, poLines) =>
+                cb(loadErr, toPurchaseOrder(po, poLines))
+              );
+            }
+          );
+        }
+      },
+      (err, purchaseOrder) => {
+        if (err) return sendError(res, "POST /purchase-orders", err);
+        res.status(201).json(purchaseOrder);
+      }
+    );
+  });
+
+  // ==================================
+  //    POST /purchase-orders/:poId/receive
+  //  { location, lines: [{ lineId | sku, quantity, location }] }
+  //  Without lines, everything still outstanding is received into
+  //  location. A line's own location overrides the default.
+  // ==================================
+  router.post("/:poId/receive", canManage, (req, res) => {
+    const poId = Number(req.params.poId);
+    const body = req.body || {};
+
+    if (body.lines != null && (!Array.isArray(body.lines) || body.lines.length === 0)) {
+      return res.status(400).json({ error: "lines must be a non-empty array." });
+    }
+    for (const line of body.lines || []) {
+      const quantity = Number(line && line.quantity);
+      if (!line || (line.lineId == null && !line.sku)) {
+        return res.status(400).json({ error: "Each line needs a lineId or sku." });
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        return res
+          .status(400)
+          .json({ error: "Each line needs a positive whole-number quantity." });
+      }
+      if (!line.location && !body.location) {
+        return res.status(400).json({ error: "Missing location." });
+      }
+    }
+    if (!body.lines && !body.location) {
+      return res.status(400).json({ error: "Missing location." });
+    }
+
+    withTransaction(
+      db,
+      (done) => {
+        loadPurchaseOrder(poId, (err, po, poLines) => {
+          if (err) return done(err);
+          if (!po) return done(httpError(404, "Purchase order not found."));
+          if (!OPEN_STATUSES.includes(po.status)) {
+            return done(httpError(409, `Purchase order is ${po.status}, cannot receive.`));
+          }
+
+          // What arrives, per PO line
+          let receipts;
+          if (body.lines) {
+            receipts = [];
+            for (const line of body.lines) {
+              const poLine = poLines.find((l) =>
+                line.lineId != null
+                  ? l.line_id === Number(line.lineId)
+                  : l.sku === String(line.sku).trim().toUpperCase()
+              );
+              if (!poLine) {
+                return done(
+                  httpError(404, `Not on this purchase order: ${line.lineId || line.sku}`)
+                );
+              }
+              receipts.push({
+                poLine,
+                quantity: Number(line.quantity),
+                location: line.location || body.location
+              });
+            }
+          } else {
+            receipts = poLines
+              .filter((l) => l.quantity_received < l.quantity_ordered)
+              .map((l) => ({
+                poLine: l,
+                quantity: l.quantity_ordered - l.quantity_received,
+                location: body.location
+              }));
+          }
+
+          // More than is outstanding (across all receipts for a line)
+          const totals = new Map();
+          for (const receipt of receipts) {
+            const line = receipt.poLine;
+            const total = (totals.get(line.line_id) || 0) + receipt.quantity;
+            totals.set(line.line_id, total);
+            if (total > line.quantity_ordered - line.quantity_received) {
+              return done(
+                httpError(
+                  400,
+                  `Receiving ${total} of ${line.sku} but only ${
+                    line.quantity_ordered - line.quantity_received
+                  } outstanding.`
+                )
+              );
+            }
+          }
+
+          let index = 0;
+          const nextReceipt = (stepErr) => {
+            if (stepErr) return done(stepErr);
+            if (index < receipts.length) return receive(receipts[index++], nextReceipt);
+            finish(po);
+          };
+
+          const receive = (receipt, cb) => {
+            inventory.findBin(receipt.location, { create: true }, (binErr, bin) => {
+              if (binErr) return cb(binErr);
+              receipt.location = bin.code;
+
+              inventory.move(
+                {
+                  type: "RECEIVE",
+                  productId: receipt.poLine.product_id,
+                  quantity: receipt.quantity,
+                  toBinId: bin.bin_id,
+                  poId,
+                  reason: `PO ${poId}`,
+                  actorId: req.user.userId
+                },
+                (moveErr) => {
+                  if (moveErr) return cb(moveErr);
+                  db.run(
+                    `
+                    UPDATE purchase_order_lines
+                    SET quantity_received = quantity_received + ?
+                    WHERE line_id = ?
+                  `,
+                    [receipt.quantity, receipt.poLine.line_id],
+                    cb
+                  );
+                }
+              );
+            });
+          };
+
+          const finish = (before) => {
+            db.get(
+              `
+              SELECT SUM(quantity_ordered - quantity_received) AS outstanding
+              FROM purchase_order_lines
+              WHERE po_id = ?
+            `,
+              [poId],
+              (sumErr, row) => {
+                if (sumErr) return done(sumErr);
+                const status = row.outstanding > 0 ? "PARTIALLY_RECEIVED" : "RECEIVED";
+
+                db.run(
+                  "UPDATE purchase_orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE po_id = ?",
+                  [status, poId],
+                  (updateErr) => {
+                    if (updateErr) return done(updateErr);
+                    audit.recordInTransaction(
+                      req,
+                      {
+                        eventType: "PURCHASE_ORDER_RECEIVED",
+                        beforeStatus: before.status,
+                        afterStatus: status,
+                        details: {
+                          purchaseOrderId: poId,
+                          lines: receipts.map((r) => ({
+                            sku: r.poLine.sku,
+                            quantity: r.quantity,
+                            location: r.location
+                          }))
+                        }
+                      },
+                      (auditErr) => {
+                        if (auditErr) return done(auditErr);
+                        loadPurchaseOrder(poId, (loadErr, updated, lines) =>
+                          done(loadErr, toPurchaseOrder(updated, lines))
+                        );
+                      }
+                    );
+                  }
+                );
+              }
+            );
+          };
+
+          if (!receipts.length) return done(httpError(409, "Nothing left to receive."));
+          nextReceipt();
+        });
+      },
+      (err, purchaseOrder) => {
+        if (err) return sendError(res, "POST /purchase-orders/:poId/receive", err);
+        res.json(purchaseOrder);
+      }
+    );
+  });
+
+  // ==================================
+  //    POST /purchase-orders/:poId/cancel
+  //  { reason }. Units already received stay in stock; only the
+  //  outstanding remainder is cancelled.
+  // ==================================
+  router.post("/:poId/cancel", canManage, (req, res) => {
+    const poId = Number(req.params.poId);
+    const reason = req.body && req.body.reason ? String(req.body.reason).trim() : null;
+
+    withTransaction(
+      db,
+      (done) => {
+        loadPurchaseOrder(poId, (err, po) => {
+          if (err) return done(err);
+          if (!po) return done(httpError(404, "Purchase order not found."));
+          if (!OPEN_STATUSES.includes(po.status)) {
+            return done(httpError(409, `Purchase order is ${po.status}, cannot cancel.`));
+          }
+
+          db.run(
+            "UPDATE purchase_orders SET status = 'CANCELLED', updated_at = CURRENT_TIMESTAMP WHERE po_id = ?",
+            [poId],
+            (updateErr) => {
+              if (updateErr) return done(updateErr);
+              audit.recordInTransaction(
+                req,
+                {
+                  eventType: "PURCHASE_ORDER_CANCELLED",
+                  beforeStatus: po.status,
+                  afterStatus: "CANCELLED",
+                  details: {
+                    purchaseOrderId: poId,
+                    unitsReceived: po.units_received,
+                    unitsCancelled: po.units_ordered - po.units_received,
+                    reason
+                  }
+                },
+                (auditErr) => {
+                  if (auditErr) return done(auditErr);
+                  loadPurchaseOrder(poId, (loadErr, updated, lines) =>
+                    done(loadErr, toPurchaseOrder(updated, lines))
+                  );
+                }
+              );
+            }
+          );
+        });
+      },
+      (err, purchaseOrder) => {
+        if (err) return sendError(res, "POST /purchase-orders/:poId/cancel", err);
+        res.json(purchaseOrder);
+      }
+    );
+  });
+
+  return router;
+}
+
+module.exports = { createSuppliersRouter, createPurchaseOrdersRouter };
@@ -0,0 +1,613 @@
+// registers.js
+//
+// Registers (terminals) and the cashier shifts worked on them. A shift is
+// opened with a starting float, and checkouts and settlements made by the
+// cashier while it is open are tagged with it, as are cash tenders taken
+// and refunds given. Cash dropped to the safe or paid out of the drawer is
+// recorded against the shift, and closing it compares the counted drawer
+// with what should be there.
+const express = require("express");
+const {
+  withTransaction,
+  runQueued,
+  roundMoney,
+  pageParams,
+  httpError,
+  sendError
+} = require("./db-helpers");
+const { isStaff, STAFF_ROLES } = require("./sessions");
+
+const CASH_MOVEMENT_TYPES = ["DROP", "PAYOUT"];
+const TERMINAL_CODE = /^[A-Z0-9][A-Z0-9-]{0,15}$/;
+
+// Shift row with its terminal and running totals. Sales are orders checked
+// out on the shift whose authorization went through; cash sales and cash
+// refunds are what went into and out of the drawer.
+const SHIFT_SELECT = `
+  SELECT sh.*, t.code AS terminal_code, t.name AS terminal_name,
+         (SELECT COUNT(*) FROM orders o
+          WHERE o.shift_id = sh.shift_id
+            AND o.status NOT IN ('PENDING','DECLINED','ERROR','VOIDED','EXPIRED')) AS sales_count,
+         (SELECT IFNULL(SUM(o.total_amount), 0) FROM orders o
+          WHERE o.shift_id = sh.shift_id
+            AND o.status NOT IN ('PENDING','DECLINED','ERROR','VOIDED','EXPIRED')) AS sales_total,
+         (SELECT COUNT(*) FROM settlements s WHERE s.shift_id = sh.shift_id) AS settlement_count,
+         (SELECT IFNULL(SUM(s.amount), 0) FROM settlements s
+          WHERE s.shift_id = sh.shift_id) AS settlement_total,
+         (SELECT IFNULL(SUM(c.amount), 0) FROM cash_movements c
+          WHERE c.shift_id = sh.shift_id AND c.movement_type = 'DROP') AS drops,
+         (SELECT IFNULL(SUM(c.amount), 0) FROM cash_movements c
+          WHERE c.shift_id = sh.shift_id AND c.movement_type = 'PAYOUT') AS paid_outs,
+         (SELECT IFNULL(SUM(a.amount), 0) FROM authorizations a
+          WHERE a.shift_id = sh.shift_id AND a.tender_type = 'CASH'
+            AND a.outcome = 'SUCCESS' AND a.voided_at IS NULL) AS cash_sales,
+         (SELECT IFNULL(SUM(r.amount), 0) FROM refunds r
+          JOIN settlements s ON s.settlement_id = r.settlement_id
+          JOIN authorizations a ON a.auth_id = s.auth_id
+          WHERE r.shift_id = sh.shift_id AND a.tender_type = 'CASH') AS cash_refunds
+  FROM shifts sh
+  JOIN terminals t ON t.terminal_id = sh.terminal_id
+`;
+
+// Cash that should be in the drawer: the float plus cash taken for sales
+// (change already given back), less cash refunds and what has been taken out
+function expectedCash(row) {
+  return roundMoney(
+    row.opening_float + row.cash_sales - row.cash_refunds - row.drops - row.paid_outs
+  );
+}
+
+function toShift(row, movements) {
+  const expected = row.status === "CLOSED" ? row.expected_cash : expectedCash(row);
+  return {
+    shiftId: row.shift_id,
+    terminalId: row.terminal_id,
+    terminal: row.terminal_code,
+    terminalName: row.terminal_name,
+    status: row.status,
+    openedBy: row.opened_by,
+    openedAt: row.opened_at,
+    closedBy: row.closed_by,
+    closedAt: row.closed_at,
+    notes: row.notes,
+    sales: { orders: row.sales_count, total: roundMoney(row.sales_total) },
+    settlements: { count: row.settlement_count, total: roundMoney(row.settlement_total) },
+    cash: {
+      openingFloat: row.opening_float,
+      cashSales: roundMoney(row.cash_sales),
+      cashRefunds: roundMoney(row.cash_refunds),
+      drops: roundMoney(row.drops),
+      paidOuts: roundMoney(row.paid_outs),
+      expected,
+      counted: row.counted_cash,
+      variance: row.variance
+    },
+    ...(movements && {
+      cashMovements: movements.map((movement) => ({
+        cashMovementId: movement.cash_movement_id,
+        type: movement.movement_type,
+        amount: movement.amount,
+        reason: movement.reason,
+        actorId: movement.actor_id,
+        created_at: movement.created_at
+      }))
+    })
+  };
+}
+
+function createRegisters(db) {
+  // The shift the signed-in staff member has open, if any.
+  // cb(err, shift); customers never have one.
+  function openShiftFor(user, cb) {
+    if (!isStaff(user)) return cb(null, null);
+    db.get(
+      "SELECT shift_id, terminal_id FROM shifts WHERE opened_by = ? AND status = 'OPEN'",
+      [user.userId],
+      (err, shift) => cb(err, shift || null)
+    );
+  }
+
+  // cb(err, row, movements); row is undefined when there is no such shift
+  function loadShift(shiftId, cb) {
+    db.get(`${SHIFT_SELECT} WHERE sh.shift_id = ?`, [shiftId], (err, row) => {
+      if (err || !row) return cb(err);
+      db.all(
+        "SELECT * FROM cash_movements WHERE shift_id = ? ORDER BY cash_movement_id ASC",
+        [shiftId],
+        (movementsErr, movements) => cb(movementsErr, row, movements)
+      );
+    });
+  }
+
+  return { openShiftFor, loadShift };
+}
+
+function createTerminalsRouter(db, sessions) {
+  const router = express.Router();
+
+  const staffOnly = sessions.requireRole(...STAFF_ROLES);
+  const canManage = sessions.requireRole("manager", "admin");
+
+  function toTerminal(row) {
+    return {
+      terminalId: row.terminal_id,
+      code: row.code,
+      name: row.name,
+      active: !!row.active,
+      openShiftId: row.open_shift_id,
+      openedBy: row.opened_by,
+      created_at: row.created_at
+    };
+  }
+
+  const TERMINAL_SELECT = `
+    SELECT t.*, sh.shift_id AS open_shift_id, sh.opened_by
+    FROM terminals t
+    LEFT JOIN shifts sh ON sh.terminal_id = t.terminal_id AND sh.status = 'OPEN'
+  `;
+
+  function sendTerminal(res, route, terminalId, status = 200) {
+    db.get(`${TERMINAL_SELECT} WHERE t.terminal_id = ?`, [terminalId], (err, row) => {
+      if (err) {
+        console.error(`DB read error in ${route}:`, err);
+        return res.status(500).json({ error: "Database read error" });
+      }
+      if (!row) return res.status(404).json({ error: "Register not found." });
+      res.status(status).json(toTerminal(row));
+    });
+  }
+
+  // ==================================
+  //        GET /terminals
+  //  With the shift open on each, if any
+  // ==================================
+  router.get("/", staffOnly, (req, res) => {
+    db.all(`${TERMINAL_SELECT} ORDER BY t.code ASC`, (err, rows) => {
+      if (err) {
+        console.error("DB read error in GET /terminals:", err);
+        return res.status(500).json({ error: "Database read error" });
+      }
+      res.json(rows.map(toTerminal));
+    });
+  });
+
+  // ==================================
+  //        POST /terminals
+  //  { code, name }
+  // ==================================
+  router.post("/", canManage, (req, res) => {
+    const { code, name } = req.body || {};
+    const clean = String(code || "").trim().toUpperCase();
+    if (!TERMINAL_CODE.test(clean)) {
+      return res.status(400).json({ error: "Invalid code." });
+    }
+
+    runQueued(
+      db,
+      "INSERT INTO terminals (code, name) VALUES (?, ?)",
+      [clean, name ? String(name).trim() : null],
+      function (err) {
+        if (err) {
+          if (err.code === "SQLITE_CONSTRAINT") {
+            return res
+              .status(409)
+              .json({ error: "A register with that code already exists." });
+          }
+          console.error("DB write error in POST /terminals:", err);
+          return res.status(500).json({ error: "Database write error" });
+        }
+        sendTerminal(res, "POST /terminals", this.lastID, 201);
+      }
+    );
+  });
+
+  // ==================================
+  //        PATCH /terminals/:terminalId
+  //  { name, active }. A register with an open shift stays active.
+  // ==================================
+  router.patch("/:terminalId", canManage, (req, res) => {
+    const terminalId = Number(req.params.terminalId);
+    const { name, active } = req.body || {};
+
+    if (active != null && typeof active !== "boolean") {
+      return res.status(400).json({ error: "active must be true or false." });
+    }
+
+    db.get(
+      `${TERMINAL_SELECT} WHERE t.terminal_id = ?`,
+      [terminalId],
+      (err, terminal) => {
+        if (err) {
+          console.error("DB read error in PATCH /terminals/:terminalId:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        if (!terminal) return res.status(404).json({ error: "Register not found." });
+        if (active === false && terminal.open_shift_id) {
+          return res
+            .status(409)
+            .json({ error: `Close shift ${terminal.open_shift_id} before deactivating.` });
+        }
+
+        runQueued(
+          db,
+          "UPDATE terminals SET name = COALESCE(?, name), active = COALESCE(?, active) WHERE terminal_id = ?",
+          [
+            name != null ? String(name).trim() : null,
+            active == null ? null : active ? 1 : 0,
+            terminalId
+          ],
+          (updateErr) => {
+            if (updateErr) {
+              console.error("DB write error in PATCH /terminals/:terminalId:", updateErr);
+              return res.status(500).json({ error: "Database write error" });
+            }
+            sendTerminal(res, "PATCH /terminals/:terminalId", terminalId);
+          }
+        );
+      }
+    );
+  });
+
+  return router;
+}
+
+function createShiftsRouter(db, sessions, audit) {
+  const router = express.Router();
+  const { loadShift } = createRegisters(db);
+
+  const staffOnly = sessions.requireRole(...STAFF_ROLES);
+
+  // Cashiers work their own shifts; managers and admins any shift
+  const seesAllShifts = (user) => user.role === "manager" || user.role === "admin";
+
+  // Loads the shift for a route that changes it. cb(err, row)
+  function loadOwnOpenShift(req, cb) {
+    loadShift(Number(req.params.shiftId), (err, row) => {
+      if (err) return cb(err);
+      if (!row || (row.opened_by !== req.user.userId && !seesAllShifts(req.user))) {
+        return cb(httpError(404, "Shift not found."));
+      }
+      if (row.status !== "OPEN") return cb(httpError(409, "Shift is already closed."));
+      cb(null, row);
+    });
+  }
+
+  function reloadShift(shiftId, cb) {
+    loadShift(shiftId, (err, row, movements) => cb(err, row && toShift(row, movements)));
+  }
+
+  // ==================================
+  //        GET /shifts
+  //  Newest first. ?status=&terminal=&limit=&offset=
+  //  Cashiers only see their own shifts.
+  // ==================================
+  router.get("/", staffOnly, (req, res) => {
+    const { limit, offset } = pageParams(req.query, 50, 200);
+
+    const where = [];
+    const params = [];
+
+    if (!seesAllShifts(req.user)) {
+      where.push("sh.opened_by = ?");
+      params.push(req.user.userId);
+    } else if (req.query.userId) {
+      where.push("sh.opened_by = ?");
+      params.push(Number(req.query.userId));
+    }
+    if (req.query.status) {
+      where.push("sh.status = ?");
+      params.push(String(req.query.status).trim().toUpperCase());
+    }
+    if (req.query.terminal) {
+      where.push("t.code = ?");
+      params.push(String(req.query.terminal).trim().toUpperCase());
+    }
+
+    db.all(
+      `
+      ${SHIFT_SELECT}
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY sh.opened_at DESC, sh.shift_id DESC
+      LIMIT ? OFFSET ?
+    `,
+      [...params, limit, offset],
+      (err, rows) => {
+        if (err) {
+          console.error("DB read error in GET /shifts:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        res.json(rows.map((row) => toShift(row)));
+      }
+    );
+  });
+
+  // ==================================
+  //        GET /shifts/current
+  //  The signed-in user's open shift
+  // ==================================
+  router.get("/current", staffOnly, (req, res) => {
+    db.get(
+      "SELECT shift_id FROM shifts WHERE opened_by = ? AND status = 'OPEN'",
+      [req.user.userId],
+      (err, open) => {
+        if (err) {
+          console.error("DB read error in GET /shifts/current:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        if (!open) return res.status(404).json({ error: "You have no open shift." });
+
+        reloadShift(open.shift_id, (loadErr, shift) => {
+          if (loadErr) {
+            console.error("DB read error in GET /shifts/current:", loadErr);
+            return res.status(500).json({ error: "Database read error" });
+          }
+          res.json(shift);
+        });
+      }
+    );
+  });
+
+  // ==================================
+  //        GET /shifts/:shiftId
+  //  Totals, cash movements and, once closed, the variance
+  // ==================================
+  router.get("/:shiftId", staffOnly, (req, res) => {
+    loadShift(Number(req.params.shiftId), (err, row, movements) => {
+      if (err) {
+        console.error("DB read error in GET /shifts/:shiftId:", err);
+        return res.status(500).json({ error: "Database read error" });
+      }
+      if (!row || (row.opened_by !== req.user.userId && !seesAllShifts(req.user))) {
+        return res.status(404).json({ error: "Shift not found." });
+      }
+      res.json(toShift(row, movements));
+    });
+  });
+
+  // ==================================
+  //        POST /shifts
+  //  { terminal | terminalId, openingFloat }
+  //  Opens a shift for the signed-in user on the register.
+  // ==================================
+  router.post("/", staffOnly, (req, res) => {
+    const { terminal, terminalId } = req.body || {};
+    const openingFloat = Number(req.body && req.body.openingFloat);
+
+    if (!terminal && terminalId == null) {
+      return res.status(400).json({ error: "Missing terminal." });
+    }
+    if (!Number.isFinite(openingFloat) || openingFloat < 0) {
+      return res.status(400).json({ error: "Invalid openingFloat." });
+    }
+
+    withTransaction(
+      db,
+      (done) => {
+        const byId = terminalId != null;
+        db.get(
+          `
+          SELECT t.*, sh.shift_id AS open_shift_id
+          FROM terminals t
+          LEFT JOIN shifts sh ON sh.terminal_id = t.terminal_id AND sh.status = 'OPEN'
+          WHERE ${byId ? "t.terminal_id" : "t.code"} = ?
+        `,
+          [byId ? Number(terminalId) : String(terminal).trim().toUpperCase()],
+          (err, register) => {
+            if (err) return done(err);
+            if (!register) return done(httpError(404, "Register not found."));
+            if (!register.active) {
+              return done(httpError(409, `Register ${register.code} is not active.`));
+            }
+            if (register.open_shift_id) {
+              return done(
+                httpError(409, `Register ${register.code} already has an open shift.`)
+              );
+            }
+
+            db.get(
+              "SELECT shift_id FROM shifts WHERE opened_by = ? AND status = 'OPEN'",
+              [req.user.userId],
+              (openErr, open) => {
+                if (openErr) return done(openErr);
+                if (open) {
+                  return done(
+                    httpError(409, `Close your open shift (${open.shift_id}) first.`)
+                  );
+                }
+
+                db.run(
+                  "INSERT INTO shifts (terminal_id, opened_by, opening_float) VALUES (?, ?, ?)",
+                  [register.terminal_id, req.user.userId, roundMoney(openingFloat)],
+                  function (insertErr) {
+                    if (insertErr) return done(insertErr);
+                    const shiftId = this.lastID;
+
+                    audit.recordInTransaction(
+                      req,
+                      {
+                        eventType: "SHIFT_OPENED",
+                        afterStatus: "OPEN",
+                        details: {
+                          shiftId,
+                          terminal: register.code,
+                          openingFloat: roundMoney(openingFloat)
+                        }
+                      },
+                      (auditErr) => {
+                        if (auditErr) return done(auditErr);
+                        reloadShift(shiftId, done);
+                      }
+                    );
+                  }
+                );
+              }
+            );
+          }
+        );
+      },
+      (err, shift) => {
+        if (err) return sendError(res, "POST /shifts", err);
+        res.status(201).json(shift);
+      }
+    );
+  });
+
+  // ==================================
+  //        POST /shifts/:shiftId/cash
+  //  { type: drop | payout, amount, reason }
+  //  A drop moves cash to the safe; a paid-out pays something from the
+  //  drawer and needs a reason. Neither can take more than the drawer holds.
+  // ==================================
+  router.post("/:shiftId/cash", staffOnly, (req, res) => {
+    const { reason } = req.body || {};
+    const type = String((req.body && req.body.type) || "").trim().toUpperCase();
+    const amount = Number(req.body && req.body.amount);
+
+    if (!CASH_MOVEMENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: "type must be drop or payout." });
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: "Invalid amount." });
+    }
+    if (type === "PAYOUT" && (!reason || !String(reason).trim())) {
+      return res.status(400).json({ error: "A paid-out needs a reason." });
+    }
+
+    withTransaction(
+      db,
+      (done) => {
+        loadOwnOpenShift(req, (err, row) => {
+          if (err) return done(err);
+
+          const inDrawer = expectedCash(row);
+          if (roundMoney(amount) > inDrawer) {
+            return done(httpError(409, `Only ${inDrawer.toFixed(2)} is in the drawer.`));
+          }
+
+          db.run(
+            `
+            INSERT INTO cash_movements (shift_id, movement_type, amount, reason, actor_id)
+            VALUES (?, ?, ?, ?, ?)
+          `,
+            [
+              row.shift_id,
+              type,
+              roundMoney(amount),
+              reason ? String(reason).trim() : null,
+              req.user.userId
+            ],
+            (insertErr) => {
+              if (insertErr) return done(insertErr);
+              audit.recordInTransaction(
+                req,
+                {
+                  eventType: type === "DROP" ? "CASH_DROPPED" : "CASH_PAID_OUT",
+                  details: {
+                    shiftId: row.shift_id,
+                    amount: roundMoney(amount),
+                    reason: reason ? String(reason).trim() : null
+                  }
+                },
+                (auditErr) => {
+                  if (auditErr) return done(auditErr);
+                  reloadShift(row.shift_id, done);
+                }
+              );
+            }
+          );
+        });
+      },
+      (err, shift) => {
+        if (err) return sendError(res, "POST /shifts/:shiftId/cash", err);
+        res.status(201).json(shift);
+      }
+    );
+  });
+
+  // ==================================
+  //        POST /shifts/:shiftId/close
+  //  { countedCash, notes }
+  //  variance = counted - expected: positive is over, negative is short
+  // ==================================
+  router.post("/:shiftId/close", staffOnly, (req, res) => {
+    const { notes } = req.body || {};
+    const countedCash = Number(req.body && req.body.countedCash);
+
+    if (req.body == null || req.body.countedCash == null) {
+      return res.status(400).json({ error: "Missing countedCash." });
+    }
+    if (!Number.isFinite(countedCash) || countedCash < 0) {
+      return res.status(400).json({ error: "Invalid countedCash." });
+    }
+
+    withTransaction(
+      db,
+      (done) => {
+        loadOwnOpenShift(req, (err, row) => {
+          if (err) return done(err);
+
+          const expected = expectedCash(row);
+          const counted = roundMoney(countedCash);
+          const variance = roundMoney(counted - expected);
+
+          db.run(
+            `
+            UPDATE shifts
+            SET status = 'CLOSED',
+                closed_by = ?,
+                closed_at = CURRENT_TIMESTAMP,
+                expected_cash = ?,
+                counted_cash = ?,
+                variance = ?,
+                notes = ?
+            WHERE shift_id = ?
+          `,
+            [
+              req.user.userId,
+              expected,
+              counted,
+              variance,
+              notes ? String(notes).trim() : null,
+              row.shift_id
+            ],
+            (updateErr) => {
+              if (updateErr) return done(updateErr);
+              audit.recordInTransaction(
+                req,
+                {
+                  eventType: "SHIFT_CLOSED",
+                  beforeStatus: "OPEN",
+                  afterStatus: "CLOSED",
+                  details: {
+                    shiftId: row.shift_id,
+                    terminal: row.terminal_code,
+                    expectedCash: expected,
+                    countedCash: counted,
+                    variance
+                  }
+                },
+                (auditErr) => {
+                  if (auditErr) return done(auditErr);
+                  reloadShift(row.shift_id, done);
+                }
+              );
+            }
+          );
+        });
+      },
+      (err, shift) => {
+        if (err) return sendError(res, "POST /shifts/:shiftId/close", err);
+        res.json(shift);
+      }
+    );
+  });
+
+  return router;
+}
+
+module.exports = {
+  createRegisters,
+  createTerminalsRouter,
+  createShiftsRouter,
+  CASH_MOVEMENT_TYPES
+};
@@ -14,7 +14,18 @@ const fs = require("fs");
 const path = require("path");
 const YAML = require("yamljs");
 const swaggerUi = require("swagger-ui-express");
-const crypto = require("crypto");
+const {
+  withTransaction,
+  runQueued,
+  runSeries,
+  roundMoney,
+  pageParams,
+  httpError
+} = require("./db-helpers");
+const { createPaymentGateway } = require("./payment-gateway");
+const { createMailTransport } = require("./mailer");
+const { receiptEmail } = require("./email-templates");
+const { createMigrator } = require("./migrator");
 
 // ---------------------------------
 // Env + Logging
@@ -30,9 +41,24 @@ const log = (...args) => {
 const app = express();
 app.set("trust proxy", 1);
 
+// Requests wait for the start-up checks at the end of this file, so none
+// reaches the database before the audit log has been sealed
+let markStarted;
+const started = new Promise((resolve) => {
+  markStarted = resolve;
+});
+app.use((req, res, next) => {
+  started.then(() => next());
+});
+
 // Middleware
 app.use(express.json());
-app.use(cors());
+app.use(
+  cors({
+    // let the admin UI read paging headers cross-origin
+    exposedHeaders: ["X-Total-Count", "X-Next-Cursor", "Idempotent-Replayed"]
+  })
+);
 app.use(
   helmet({
     // allow inline scripts in admin.html
@@ -54,9 +80,6 @@ app.use(
 // Database Setup
 // ---------------------------------
 const DB_FILE = process.env.DB_FILE || path.join(__dirname, "ecommerce.db");
-const INIT_SQL = path.join(__dirname, "init-sqlite.sql");
-
-const dbExists = fs.existsSync(DB_FILE);
 const db = new sqlite3.Database(DB_FILE, (err) => {
   if (err) {
     console.error("❌ DB Error:", err.message);
@@ -65,84 +88,81 @@ const db = new sqlite3.Database(DB_FILE, (err) => {
   }
 });
 
-// initialize schema from init-sqlite.sql on first run
-if (!dbExists && fs.existsSync(INIT_SQL)) {
-  const schema = fs.readFileSync(INIT_SQL, "utf8");
-  db.exec(schema, (err) => {
-    if (err) {
-      console.error("❌ Schema Error:", err.message);
-    } else {
-      log("✅ Database initialized from init-sqlite.sql");
+// BOOTSTRAP_ADMIN_EMAIL names an existing account to promote to admin, so a
+// fresh deployment has someone who can assign roles
+function promoteBootstrapAdmin() {
+  const email = process.env.BOOTSTRAP_ADMIN_EMAIL;
+  if (!email) return;
+
+  runQueued(
+    db,
+    "UPDATE users SET role = 'admin' WHERE LOWER(email) = ? AND role <> 'admin'",
+    [email.trim().toLowerCase()],
+    function (err) {
+      if (err) {
+        console.error("⚠️ Could not promote bootstrap admin:", err.message);
+      } else if (this.changes) {
+        log(`🔑 Promoted ${email} to admin.`);
+      }
     }
-  });
+  );
 }
 
-// Ensure authorization table has auth_token + auth_expires_at columns
-function ensureAuthorizationTokenColumns() {
-  db.all("PRAGMA table_info(authorizations)", (err, rows) => {
-    if (err) {
-      console.error("⚠️ Unable to inspect authorizations table:", err.message);
-      return;
-    }
-    const names = rows.map((r) => r.name);
-    const tasks = [];
-
-    if (!names.includes("auth_token")) {
-      tasks.push(
-        new Promise((resolve) => {
-          db.run(
-            "ALTER TABLE authorizations ADD COLUMN auth_token TEXT",
-            (e) => {
-              if (e) {
-                console.error("⚠️ Could not add auth_token column:", e.message);
-              } else {
-                log("🗄️ Added auth_token column to authorizations table.");
-              }
-              resolve();
-            }
-          );
-        })
-      );
-    }
+// ---------------------------------
+// Auth Router
+// ---------------------------------
+const { createSessions, isStaff, STAFF_ROLES } = require("./sessions");
+const sessions = createSessions(db);
+const { requireAuth, requireRole } = sessions;
 
-    if (!names.includes("auth_expires_at")) {
-      tasks.push(
-        new Promise((resolve) => {
-          db.run(
-            "ALTER TABLE authorizations ADD COLUMN auth_expires_at DATETIME",
-            (e) => {
-              if (e) {
-                console.error(
-                  "⚠️ Could not add auth_expires_at column:",
-                  e.message
-                );
-              } else {
-                log("🗄️ Added auth_expires_at column to authorizations table.");
-              }
-              resolve();
-            }
-          );
-        })
-      );
-    }
+const { createAuditLog, createAuditRouter } = require("./audit");
+const audit = createAuditLog(db);
 
-    if (tasks.length) {
-      Promise.all(tasks).then(() => {
-        log("✅ Authorization table checked/updated for token columns.");
-      });
-    } else {
-      log("✅ Authorization table already has token columns.");
-    }
-  });
-}
+// MAIL_TRANSPORT=sendgrid|smtp|outbox (outbox when SendGrid is not configured)
+const mailer = createMailTransport(db);
+log(`📧 Mail transport: ${mailer.name}`);
 
-ensureAuthorizationTokenColumns();
+const createAuthRouter = require("./auth");
+app.use("/auth", createAuthRouter(db, sessions, audit, mailer));
 
 // ---------------------------------
-// Auth Router
+// Products Router
 // ---------------------------------
-const createAuthRouter = require("./auth");
-app.use("/auth", createAuthRouter(db));
+const createProductsRouter = require("./products");
+app.use("/products", createProductsRouter(db, sessions));
+
+// ---------------------------------
+// Warehouse Inventory Router
+// ---------------------------------
+const { createInventory, createInventoryRouter } = require("./inventory");
+const inventory = createInventory(db);
+app.use("/inventory", createInventoryRouter(db, sessions));
+
+// ---------------------------------
+// Suppliers + Purchase Orders Routers
+// ---------------------------------
+const { createSuppliersRouter, createPurchaseOrdersRouter } = require("./purchase-orders");
+app.use("/suppliers", createSuppliersRouter(db, sessions));
+app.use("/purchase-orders", createPurchaseOrdersRouter(db, sessions, audit));
+
+// ---------------------------------
+// Registers + Shifts Routers
+// ---------------------------------
+const { createRegisters, createTerminalsRouter, createShiftsRouter } = require("./registers");
+const registers = createRegisters(db);
+app.use("/terminals", createTerminalsRouter(db, sessions));
+app.use("/shifts", createShiftsRouter(db, sessions, audit));
+
+// ---------------------------------
+// Customer Addresses Router
+// ---------------------------------
+const createAddressesRouter = require("./addresses");
+app.use("/customers/:customerId/addresses", createAddressesRouter(db, sessions));
+
+// ---------------------------------
+// Audit Log Router
+// ---------------------------------
+app.use("/audit", createAuditRouter(db, sessions));
 
 // ---------------------------------
 // Swagger Docs
@@ -157,8 +177,29 @@ if (fs.existsSync(swaggerPath)) {
 // ---------------------------------
 // Static Admin UI
 // ---------------------------------
+// Only the UI files are public; the same directory also holds the database,
+// source and .env, so it must not be served wholesale.
 const publicDir = __dirname;
-app.use(express.static(publicDir));
+const PUBLIC_FILES = [
+  "admin.html",
+  "admin.css",
+  "admin.js",
+  "Warehouse Inventory.html"
+];
+
+app.use((req, res, next) => {
+  if (req.method !== "GET" && req.method !== "HEAD") return next();
+
+  let file;
+  try {
+    file = decodeURIComponent(req.path.slice(1));
+  } catch {
+    return next();
+  }
+  if (!PUBLIC_FILES.includes(file)) return next();
+
+  res.sendFile(path.join(publicDir, file));
+});
 
 app.get("/admin", (req, res) => {
   res.sendFile(path.join(publicDir, "admin.html"));
@@ -185,26 +226,139 @@ app.get("/db-health", (req, res) => {
 });
 
 // ---------------------------------
-// Helper: weighted authorization outcome
+// Payment Gateway (PAYMENT_GATEWAY=simulator|http)
+// ---------------------------------
+const gateway = createPaymentGateway();
+log(`💳 Payment gateway: ${gateway.name}`);
+
+// ---------------------------------
+// Idempotency-Key support for money-moving POSTs
+// ---------------------------------
+const createIdempotencyMiddleware = require("./idempotency");
+const idempotent = createIdempotencyMiddleware(db);
+
+// ---------------------------------
+// Saved Cards Router
+// ---------------------------------
+const { createSavedCards, createCardsRouter } = require("./cards");
+const savedCards = createSavedCards(db);
+app.use("/cards", createCardsRouter(db, sessions, audit, gateway));
+
 // ---------------------------------
-function pickAuthOutcomeWeighted() {
-  const r = Math.random();
-  if (r < 0.6) return "SUCCESS";
-  if (r < 0.77) return "INSUFFICIENT_FUNDS";
-  if (r < 0.94) return "INCORRECT_DETAILS";
-  return "SERVER_ERROR";
+// Tenders (card, gift card and cash payments)
+// ---------------------------------
+const {
+  createTenders,
+  parseTenders,
+  allocateTenders,
+  generateAuthToken,
+  toCents,
+  SQL_NOW_ISO,
+  SQL_AUTH_EXPIRES_AT
+} = require("./tenders");
+const { createPaymentOperations, lockOrder, requestKeyFor } = require("./payment-operations");
+const payments = createPaymentOperations(db, gateway);
+const tenders = createTenders(db, gateway, savedCards, payments);
+
+// Payment requests name their order in the body, or in the path
+const lockOrderInBody = lockOrder((req) => (req.body || {}).orderId);
+const lockOrderInPath = lockOrder((req) => req.params.orderId);
+
+// Helper: status of an order whose captures are over, from what was settled
+// and what has been refunded of it
+function capturedStatus(settledCents, refundedCents) {
+  if (refundedCents <= 0) return "SETTLED";
+  return refundedCents >= settledCents ? "REFUNDED" : "PARTIALLY_REFUNDED";
 }
 
-// Helper: generate auth token and expiry (7 days)
-function generateAuthToken(orderId) {
-  const randomPart = crypto.randomBytes(8).toString("hex");
-  const token = `${orderId}_${randomPart}`;
+// Sweep orders with a card tender that lapsed before it was fully
+// captured: AUTHORIZED orders, and PENDING ones still waiting for the rest
+// of their payment, become EXPIRED; PARTIALLY_SETTLED ones keep what was
+// captured and become SETTLED, or (PARTIALLY_)REFUNDED when some of it was
+// refunded (the uncaptured remainder lapses with the authorization).
+function expireLapsedAuthorizations(cb = () => {}) {
+  withTransaction(
+    db,
+    (done) => {
+      db.all(
+        `
+        SELECT order_id, customer_id, status,
+               (SELECT IFNULL(SUM(s.amount), 0) FROM settlements s
+                WHERE s.order_id = orders.order_id) AS settled,
+               (SELECT IFNULL(SUM(r.amount), 0) FROM refunds r
+                WHERE r.order_id = orders.order_id) AS refunded
+        FROM orders
+        WHERE status IN ('PENDING', 'AUTHORIZED', 'PARTIALLY_SETTLED')
+          AND order_id IN (
+            SELECT a.order_id
+            FROM authorizations a
+            WHERE a.outcome = 'SUCCESS'
+              AND a.voided_at IS NULL
+              AND a.tender_type <> 'CASH'
+              AND ROUND(a.amount * 100) > ROUND(IFNULL((SELECT SUM(s.amount) FROM settlements s
+                                                        WHERE s.auth_id = a.auth_id), 0) * 100)
+              AND ${SQL_AUTH_EXPIRES_AT} <= ${SQL_NOW_ISO}
+          )
+      `,
+        (err, lapsed) => {
+          if (err) return done(err);
+
+          let index = 0;
+          const expireNext = (stepErr) => {
+            if (stepErr) return done(stepErr);
+            if (index >= lapsed.length) return done(null, lapsed.length);
 
-  const expires = new Date();
-  expires.setDate(expires.getDate() + 7);
-  const expiresAt = expires.toISOString();
+            const order = lapsed[index++];
+            const newStatus =
+              order.status === "PARTIALLY_SETTLED"
+                ? capturedStatus(toCents(order.settled), toCents(order.refunded))
+                : "EXPIRED";
 
-  return { token, expiresAt };
+            db.run(
+              `
+              UPDATE orders
+              SET status = ?,
+                  updated_at = CURRENT_TIMESTAMP
+              WHERE order_id = ?
+            `,
+              [newStatus, order.order_id],
+              (updateErr) => {
+                if (updateErr) return expireNext(updateErr);
+
+                // Stock held for an unsettled order goes back on sale;
+                // partially settled orders already took theirs
+                inventory.release(order.order_id, (releaseErr) => {
+                  if (releaseErr) return expireNext(releaseErr);
+                  audit.recordInTransaction(
+                    null,
+                    {
+                      eventType: "AUTHORIZATION_EXPIRED",
+                      orderId: order.order_id,
+                      customerId: order.customer_id,
+                      beforeStatus: order.status,
+                      afterStatus: newStatus
+                    },
+                    expireNext
+                  );
+                });
+              }
+            );
+          };
+          expireNext();
+        }
+      );
+    },
+    (err, changes) => {
+      if (err) {
+        console.error("⚠️ Authorization expiry sweep failed:", err.message);
+        return cb(err);
+      }
+      if (changes) {
+        log(`⌛ Expired ${changes} lapsed authorization(s).`);
+      }
+      cb(null, changes);
+    }
+  );
 }
 
 // Helper: ensure there is at least one authorization for an order
@@ -244,18 +398,287 @@ function ensureAuthorizationForOrder(orderId, amount, cb) {
   );
 }
 
+// Sales tax applied to the cart subtotal (e.g. 0.07 for 7%)
+const TAX_RATE = Number(process.env.TAX_RATE || 0.07);
+if (!Number.isFinite(TAX_RATE) || TAX_RATE < 0 || TAX_RATE >= 1) {
+  console.error(
+    `❌ TAX_RATE must be a fraction between 0 and 1 (e.g. 0.07), got "${process.env.TAX_RATE}".`
+  );
+  process.exit(1);
+}
+
+// Helper: price a cart of { sku, quantity } lines from the products table.
+// cb(err, null, clientError) for bad input, cb(null, { lines, subtotal, tax, total }) otherwise.
+function priceCart(items, cb) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return cb(null, null, "Cart must contain at least one item");
+  }
+
+  // merge repeated SKUs into a single line
+  const quantities = new Map();
+  for (const item of items) {
+    const sku = item && item.sku ? String(item.sku).trim().toUpperCase() : "";
+    const quantity = Number(item && item.quantity);
+    if (!sku || !Number.isInteger(quantity) || quantity <= 0) {
+      return cb(null, null, "Each item needs a sku and a positive integer quantity");
+    }
+    quantities.set(sku, (quantities.get(sku) || 0) + quantity);
+  }
+
+  const skus = [...quantities.keys()];
+  db.all(
+    `SELECT product_id, sku, name, price
+     FROM products
+     WHERE is_active = 1 AND sku IN (${skus.map(() => "?").join(", ")})`,
+    skus,
+    (err, rows) => {
+      if (err) return cb(err);
+
+      const bySku = new Map(rows.map((r) => [r.sku, r]));
+      const unknown = skus.filter((sku) => !bySku.has(sku));
+      if (unknown.length) {
+        return cb(null, null, `Unknown or inactive SKU(s): ${unknown.join(", ")}`);
+      }
+
+      const lines = skus.map((sku) => {
+        const product = bySku.get(sku);
+        const quantity = quantities.get(sku);
+        return {
+          productId: product.product_id,
+          sku,
+          name: product.name,
+          unitPrice: Number(product.price),
+          quantity,
+          lineTotal: roundMoney(product.price * quantity)
+        };
+      });
+
+      const subtotal = roundMoney(lines.reduce((sum, l) => sum + l.lineTotal, 0));
+      const tax = roundMoney(subtotal * TAX_RATE);
+
+      cb(null, { lines, subtotal, tax, total: roundMoney(subtotal + tax) });
+    }
+  );
+}
+
+// Email the customer a receipt for an approved checkout. Runs after the
+// response; failures are only logged.
+function sendReceipt(customerId, orderId, cart) {
+  db.get(
+    `
+    SELECT c.full_name, u.email
+    FROM customers c
+    LEFT JOIN users u ON u.customer_id = c.customer_id
+    WHERE c.customer_id = ?
+  `,
+    [customerId],
+    (err, customer) => {
+      if (err) return console.error("DB read error sending receipt:", err);
+      if (!customer || !customer.email) return;
+
+      mailer
+        .send({
+          to: customer.email,
+          ...receiptEmail({
+            customerName: customer.full_name,
+            orderId,
+            items: cart.lines,
+            subtotal: cart.subtotal,
+            tax: cart.tax,
+            total: cart.total
+          })
+        })
+        .catch((mailErr) => {
+          console.error(`Receipt email for order ${orderId} failed:`, mailErr.message);
+        });
+    }
+  );
+}
+
 // ============================================
 // ORDERS
 // ============================================
 
-// List orders (newest first)
-app.get("/orders", (req, res) => {
-  const limit = parseInt(req.query.limit, 10) || 200;
-  const offset = parseInt(req.query.offset, 10) || 0;
+// Sort fields GET /orders accepts (query name -> column)
+const ORDER_SORT_FIELDS = {
+  created_at: "created_at",
+  updated_at: "updated_at",
+  total_amount: "total_amount",
+  order_id: "order_id",
+  status: "status",
+  customer_id: "customer_id"
+};
+
+// Opaque keyset cursor: the last row's sort value + order_id, plus the sort
+// it was issued for, so new orders never shift the next page.
+function encodeOrderCursor(sort, dir, row) {
+  const payload = { s: sort, d: dir, v: row[ORDER_SORT_FIELDS[sort]], id: row.order_id };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeOrderCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!payload || typeof payload.id !== "string" || !("v" in payload)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+// Helper: turn GET /orders query params into a WHERE clause.
+// Returns { where: [], params: [] } or { error }.
+function buildOrderFilters(query) {
+  const where = [];
+  const params = [];
+
+  // status=AUTHORIZED,SETTLED or status=AUTHORIZED&status=SETTLED
+  if (query.status) {
+    const statuses = []
+      .concat(query.status)
+      .flatMap((v) => String(v).split(","))
+      .map((v) => v.trim().toUpperCase())
+      .filter(Boolean);
+    if (statuses.length) {
+      where.push(`status IN (${statuses.map(() => "?").join(", ")})`);
+      params.push(...statuses);
+    }
+  }
+
+  if (query.customerId) {
+    const customerId = Number(query.customerId);
+    if (!Number.isInteger(customerId)) return { error: "Invalid customerId" };
+    where.push("customer_id = ?");
+    params.push(customerId);
+  }
+
+  // created_at is stored as "YYYY-MM-DD HH:MM:SS" (UTC)
+  for (const [key, op] of [["createdFrom", ">="], ["createdTo", "<="]]) {
+    if (!query[key]) continue;
+    const date = new Date(String(query[key]));
+    if (Number.isNaN(date.getTime())) return { error: `Invalid ${key}` };
+    where.push(`created_at ${op} ?`);
+    params.push(date.toISOString().replace("T", " ").slice(0, 19));
+  }
+
+  for (const [key, op] of [["minAmount", ">="], ["maxAmount", "<="]]) {
+    if (query[key] == null || query[key] === "") continue;
+    const amount = Number(query[key]);
+    if (!Number.isFinite(amount)) return { error: `Invalid ${key}` };
+    where.push(`total_amount ${op} ?`);
+    params.push(amount);
+  }
+
+  for (const key of ["terminalId", "shiftId"]) {
+    if (query[key] == null || query[key] === "") continue;
+    const id = Number(query[key]);
+    if (!Number.isInteger(id)) return { error: `Invalid ${key}` };
+    where.push(`${key === "shiftId" ? "shift_id" : "terminal_id"} = ?`);
+    params.push(id);
+  }
+
+  if (query.orderIdPrefix) {
+    const prefix = String(query.orderIdPrefix).replace(/[\\%_]/g, "\\$&");
+    where.push("order_id LIKE ? ESCAPE '\\'");
+    params.push(`${prefix}%`);
+  }
+
+  return { where, params };
+}
+
+// List orders with filters, whitelisted sort and cursor pagination.
+// X-Total-Count carries the filtered count; X-Next-Cursor is set when more
+// rows remain.
+app.get("/orders", requireRole(...STAFF_ROLES), (req, res) => {
+  const { limit, offset } = pageParams(req.query, 100, 200);
+
+  const sort = req.query.sort || "created_at";
+  if (!ORDER_SORT_FIELDS[sort]) {
+    return res.status(400).json({
+      error: `Invalid sort. Use one of: ${Object.keys(ORDER_SORT_FIELDS).join(", ")}`
+    });
+  }
+  const dir = String(req.query.dir || "desc").toLowerCase();
+  if (dir !== "asc" && dir !== "desc") {
+    return res.status(400).json({ error: "Invalid dir. Use asc or desc" });
+  }
+
+  const filters = buildOrderFilters(req.query);
+  if (filters.error) return res.status(400).json({ error: filters.error });
+
+  // A row value comparison with NULL is never true, so rows whose sort
+  // column is NULL (legacy orders without updated_at, say) would drop out
+  // of cursor pages. NULLs are compared as a key of their own, sorting
+  // before every value as SQLite sorts them.
+  const column = ORDER_SORT_FIELDS[sort];
+  const sortKey = `(${column} IS NOT NULL, IFNULL(${column}, 0), order_id)`;
+  const pageWhere = [...filters.where];
+  const pageValues = [...filters.params];
+
+  if (req.query.cursor) {
+    const cursor = decodeOrderCursor(req.query.cursor);
+    if (!cursor || cursor.s !== sort || cursor.d !== dir) {
+      return res.status(400).json({ error: "Invalid cursor for this sort" });
+    }
+    pageWhere.push(`${sortKey} ${dir === "desc" ? "<" : ">"} (? IS NOT NULL, IFNULL(?, 0), ?)`);
+    pageValues.push(cursor.v, cursor.v, cursor.id);
+  }
+
+  const toSql = (where) => (where.length ? `WHERE ${where.join(" AND ")}` : "");
+
+  db.get(
+    `SELECT COUNT(*) AS total FROM orders ${toSql(filters.where)}`,
+    filters.params,
+    (err, countRow) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+
+      // fetch one extra row to know whether another page exists
+      db.all(
+        `
+        SELECT * FROM orders
+        ${toSql(pageWhere)}
+        ORDER BY ${column} IS NOT NULL ${dir}, ${column} ${dir}, order_id ${dir}
+        LIMIT ? OFFSET ?
+      `,
+        [...pageValues, limit + 1, req.query.cursor ? 0 : offset],
+        (err2, rows) => {
+          if (err2) {
+            return res.status(500).json({ error: err2.message });
+          }
+
+          const page = rows.slice(0, limit);
+          res.set("X-Total-Count", String(countRow ? countRow.total : 0));
+          if (rows.length > limit) {
+            res.set("X-Next-Cursor", encodeOrderCursor(sort, dir, page[page.length - 1]));
+          }
+          res.json(page);
+        }
+      );
+    }
+  );
+});
+
+// Order history for the signed-in customer, or any customer for staff
+app.get("/customers/:customerId/orders", requireAuth, (req, res) => {
+  const customerId = Number(req.params.customerId);
+  if (customerId !== req.user.customerId && !isStaff(req.user)) {
+    return res
+      .status(403)
+      .json({ error: "You can only view your own order history." });
+  }
+
+  const { limit, offset } = pageParams(req.query, 50, 200);
 
   db.all(
-    "SELECT * FROM orders ORDER BY created_at DESC LIMIT ? OFFSET ?",
-    [limit, offset],
+    `
+    SELECT * FROM orders
+    WHERE customer_id = ?
+    ORDER BY created_at DESC, order_id DESC
+    LIMIT ? OFFSET ?
+  `,
+    [customerId, limit, offset],
     (err, rows) => {
       if (err) {
         return res.status(500).json({ error: err.message });
@@ -265,16 +688,28 @@ app.get("/orders", (req, res) => {
   );
 });
 
-// Get single order with last auth + last settlement
-app.get("/orders/:id", (req, res) => {
+// Get single order with its line items, last auth + last settlement and
+// its open tenders
+app.get("/orders/:id", requireAuth, (req, res) => {
   const id = req.params.id;
 
   db.get("SELECT * FROM orders WHERE order_id = ?", [id], (err, order) => {
     if (err) return res.status(500).json({ error: err.message });
-    if (!order) return res.status(404).json({ error: "Order not found" });
+    // customers only see their own orders; 404 rather than 403 so order IDs
+    // cannot be probed
+    if (!order || (order.customer_id !== req.user.customerId && !isStaff(req.user))) {
+      return res.status(404).json({ error: "Order not found" });
+    }
 
     db.get(
-      "SELECT * FROM authorizations WHERE order_id = ? ORDER BY created_at DESC LIMIT 1",
+      `
+      SELECT a.*, uc.brand AS card_brand, uc.last4 AS card_last4
+      FROM authorizations a
+      LEFT JOIN user_cards uc ON uc.card_id = a.card_id
+      WHERE a.order_id = ?
+      ORDER BY a.created_at DESC
+      LIMIT 1
+    `,
       [id],
       (err2, auth) => {
         if (err2) return res.status(500).json({ error: err2.message });
@@ -285,11 +720,46 @@ app.get("/orders/:id", (req, res) => {
           (err3, settle) => {
             if (err3) return res.status(500).json({ error: err3.message });
 
-            res.json({
-              order,
-              lastAuthorization: auth || null,
-              lastSettlement: settle || null
-            });
+            db.all(
+              "SELECT * FROM order_items WHERE order_id = ? ORDER BY order_item_id",
+              [id],
+              (err4, items) => {
+                if (err4) return res.status(500).json({ error: err4.message });
+
+                db.all(
+                  "SELECT * FROM refunds WHERE order_id = ? ORDER BY refund_id",
+                  [id],
+                  (err5, refunds) => {
+                    if (err5) return res.status(500).json({ error: err5.message });
+
+                    // Open tenders, with what has been captured from each
+                    tenders.active(id, (err6, open) => {
+                      if (err6) return res.status(500).json({ error: err6.message });
+
+                      res.json({
+                        order,
+                        items: items || [],
+                        lastAuthorization: auth || null,
+                        lastSettlement: settle || null,
+                        refunds: refunds || [],
+                        tenders: open.map((tender) => ({
+                          authId: tender.auth_id,
+                          type: tender.tender_type,
+                          amount: tender.amount,
+                          captured: tender.captured,
+                          cardId: tender.card_id,
+                          cashTendered: tender.cash_tendered,
+                          changeDue: tender.change_due,
+                          authExpiresAt: tender.tender_type === "CASH" ? null : tender.auth_expires_at,
+                          expired: Boolean(tender.expired),
+                          shiftId: tender.shift_id
+                        }))
+                      });
+                    });
+                  }
+                );
+              }
+            );
           }
         );
       }
@@ -300,133 +770,581 @@ app.get("/orders/:id", (req, res) => {
 // ============================================
 // CHECKOUT / AUTHORIZATION
 // ============================================
+//
+// Expects JSON body: { orderId, items, customerId?, tenders? }
+// tenders: [{ type: card | gift_card | cash, amount?, cardNumber?, last4?,
+//             cardId?, tendered? }], tried in the order given. One tender may
+// leave out its amount and take the rest. Without tenders, the body's
+// cardNumber / last4 / cardId pay the whole order by card. The order is
+// AUTHORIZED once approved tenders cover its total; until then it stays
+// PENDING with its stock reserved (see POST /orders/:orderId/tenders).
+
+// Orders that have had money captured cannot be checked out again
+const CAPTURED_STATUSES = ["SETTLED", "PARTIALLY_SETTLED", "PARTIALLY_REFUNDED", "REFUNDED"];
+
+// Helper: sum of what the approved tenders in `results` pay, in cents
+function approvedCents(results) {
+  return results
+    .filter((tender) => tender.approved)
+    .reduce((sum, tender) => sum + toCents(tender.amount), 0);
+}
 
-app.post("/orders/checkout", (req, res) => {
-  const { orderId, customerId, amount, last4 } = req.body || {};
+// Helper: change handed back across the cash tenders in `results`
+function changeDueFor(results) {
+  return roundMoney(results.reduce((sum, tender) => sum + (tender.changeDue || 0), 0));
+}
+
+// Helper: whether any of the tenders is cash. Cash is only taken by staff,
+// into the drawer of their open shift.
+function takesCash(tenderList) {
+  return tenderList.some((tender) => tender.type === "CASH");
+}
+
+// Helper: audit each tender tried, one AUTHORIZATION_* event apiece.
+// Runs inside the caller's transaction.
+function recordTenderAudits(req, order, results, beforeStatus, afterStatus, cb) {
+  let index = 0;
+  const next = (err) => {
+    if (err || index >= results.length) return cb(err || null);
+    const tender = results[index++];
+    audit.recordInTransaction(
+      req,
+      {
+        eventType: `AUTHORIZATION_${tender.outcome === "SUCCESS" ? "APPROVED" : tender.outcome}`,
+        orderId: order.orderId,
+        customerId: order.customerId,
+        beforeStatus,
+        afterStatus,
+        details: {
+          authId: tender.authId,
+          tenderType: tender.type,
+          result: tender.result,
+          gatewayCode: tender.gatewayCode,
+          gatewayMessage: tender.gatewayMessage,
+          amount: tender.amount,
+          authExpiresAt: tender.authExpiresAt,
+          cardId: tender.cardId,
+          cashTendered: tender.cashTendered,
+          changeDue: tender.changeDue
+        }
+      },
+      next
+    );
+  };
+  next();
+}
+
+app.post("/orders/checkout", requireAuth, idempotent, lockOrderInBody, (req, res) => {
+  const { orderId, items } = req.body || {};
 
   // basic validation
-  if (!orderId || !customerId || amount == null) {
+  if (!orderId || !items) {
     return res.status(400).json({ error: "Missing fields" });
   }
-
-  const numericAmount = Number(amount);
-  if (!Number.isFinite(numericAmount) || numericAmount <= 0) {
-    return res.status(400).json({ error: "Invalid amount" });
+  if (typeof orderId !== "string") {
+    return res.status(400).json({ error: "orderId must be a string" });
+  }
+  const parsed = parseTenders(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
   }
 
-  // This is the detailed result that your front-end cares about.
-  // It returns one of:
-  // "SUCCESS", "INSUFFICIENT_FUNDS", "INCORRECT_DETAILS", "SERVER_ERROR"
-  const detailedResult = pickAuthOutcomeWeighted();
-
-  // Map detailed result to ORDER status
-  // (what gets stored in orders.status)
-  const orderStatus =
-    detailedResult === "SUCCESS"
-      ? "AUTHORIZED"
-      : detailedResult === "INSUFFICIENT_FUNDS" ||
-        detailedResult === "INCORRECT_DETAILS"
-      ? "DECLINED"
-      : "ERROR";
-
-  // Map to the limited set allowed by the CHECK constraint on
-  // authorizations.outcome: 'SUCCESS', 'DECLINED', 'ERROR'
-  const authOutcome =
-    orderStatus === "AUTHORIZED"
-      ? "SUCCESS"
-      : orderStatus === "DECLINED"
-      ? "DECLINED"
-      : "ERROR";
-
-  // Use gateway_code / gateway_message to store the specific reason
-  let gatewayCode = "00";
-  let gatewayMessage = "Approved";
-
-  switch (detailedResult) {
-    case "SUCCESS":
-      gatewayCode = "00";
-      gatewayMessage = "Approved";
-      break;
-    case "INSUFFICIENT_FUNDS":
-      gatewayCode = "51";
-      gatewayMessage = "Insufficient funds";
-      break;
-    case "INCORRECT_DETAILS":
-      gatewayCode = "14";
-      gatewayMessage = "Incorrect card details";
-      break;
-    case "SERVER_ERROR":
-    default:
-      gatewayCode = "XX";
-      gatewayMessage = "Authorization server error";
-      break;
+  // Customers check out for themselves; staff at the counter may check out
+  // on a customer's behalf
+  let customerId = req.user.customerId;
+  if (req.body.customerId != null && Number(req.body.customerId) !== customerId) {
+    if (!isStaff(req.user)) {
+      return res
+        .status(403)
+        .json({ error: "You can only check out for your own account." });
+    }
+    customerId = Number(req.body.customerId);
+  }
+  if (takesCash(parsed.tenders) && !isStaff(req.user)) {
+    return res.status(403).json({ error: "Only staff at a register can take cash." });
   }
 
-  // Upsert into orders (matches init-sqlite.sql: status, total_amount)
-  db.run(
-    `
-      INSERT INTO orders (order_id, customer_id, status, total_amount)
-      VALUES (?, ?, ?, ?)
-      ON CONFLICT(order_id) DO UPDATE SET
-        customer_id  = excluded.customer_id,
-        status       = excluded.status,
-        total_amount = excluded.total_amount,
-        updated_at   = CURRENT_TIMESTAMP
-    `,
-    [orderId, customerId, orderStatus, numericAmount],
-    (orderErr) => {
-      if (orderErr) {
-        console.error("DB write error in /orders/checkout (orders):", orderErr);
-        return res.status(500).json({ error: "Database write error (orders)" });
+  // A saved card, named by cardId, is charged through its gateway token
+  tenders.attachSavedCards(req.user.userId, parsed.tenders, (cardErr, cardError) => {
+    if (cardErr) {
+      console.error("DB read error in /orders/checkout (cards):", cardErr);
+      return res.status(500).json({ error: "Database read error (cards)" });
+    }
+    if (cardError) {
+      return res.status(400).json({ error: cardError });
+    }
+
+    // Price the cart server-side; any client-supplied amount is ignored
+    priceCart(items, (priceErr, cart, cartError) => {
+      if (priceErr) {
+        console.error("DB read error in /orders/checkout (products):", priceErr);
+        return res.status(500).json({ error: "Database read error (products)" });
+      }
+      if (cartError) {
+        return res.status(400).json({ error: cartError });
       }
 
-      // Insert into authorizations (matches init-sqlite.sql)
-      db.run(
-        `
-          INSERT INTO authorizations (
-            order_id,
-            outcome,
-            gateway_code,
-            gateway_message,
-            amount
-          )
-          VALUES (?, ?, ?, ?, ?)
-        `,
-        [orderId, authOutcome, gatewayCode, gatewayMessage, numericAmount],
-        (authErr) => {
-          if (authErr) {
-            console.error(
-              "DB write error in /orders/checkout (authorizations):",
-              authErr
-            );
+      const totalCents = toCents(cart.total);
+      const tenderError = allocateTenders(parsed.tenders, totalCents);
+      if (tenderError) {
+        return res.status(400).json({ error: tenderError });
+      }
+
+      // Checking out the same order again replaces its tenders. Voids go to
+      // the gateway, so they are sent before any transaction; an order that
+      // cannot be checked out again is turned away when its stock is
+      // reserved.
+      db.get(
+        "SELECT customer_id, status FROM orders WHERE order_id = ?",
+        [orderId],
+        (readErr, previous) => {
+          if (readErr) {
+            console.error("DB read error in /orders/checkout (orders):", readErr);
+            return res.status(500).json({ error: "Database read error (orders)" });
+          }
+          const replaceable =
+            previous &&
+            previous.customer_id === customerId &&
+            !CAPTURED_STATUSES.includes(previous.status);
+          const voidPrevious = (cb) =>
+            replaceable ? tenders.voidAll(orderId, requestKeyFor(req), cb) : cb(null, [], null);
+
+          voidPrevious((voidErr, voided, failure) => {
+            if (voidErr) {
+              console.error("DB write error in /orders/checkout (void):", voidErr);
+              return res.status(500).json({ error: "Database write error" });
+            }
+            if (failure) {
+              return res.status(502).json({ error: `Gateway rejected void: ${failure.message}` });
+            }
+            reserveAndAuthorize();
+          });
+        }
+      );
+
+      // Stock is reserved and the order written in one transaction, so
+      // concurrent checkouts cannot both take the last unit and a cart that
+      // is out of stock never reaches the payment gateway. The tenders are
+      // authorized once it has committed, and a second transaction settles
+      // the order's status, handing the stock back when nothing was
+      // approved.
+      function reserveAndAuthorize() {
+        withTransaction(db, reserveOrder, (reserveErr, reserved) => {
+          if (reserveErr && reserveErr.outOfStock) {
             return res
-              .status(500)
-              .json({ error: "Database write error (authorizations)" });
+              .status(409)
+              .json({ error: reserveErr.message, outOfStock: reserveErr.outOfStock });
+          }
+          if (reserveErr && reserveErr.status) {
+            return res.status(reserveErr.status).json({ error: reserveErr.message });
+          }
+          if (reserveErr) {
+            console.error("DB write error in /orders/checkout:", reserveErr);
+            return res.status(500).json({ error: "Database write error" });
           }
 
-          // Send detailed result back to the frontend so it can show
-          // SUCCESS / INSUFFICIENT_FUNDS / INCORRECT_DETAILS / SERVER_ERROR
-          return res.json({
-            orderId,
-            result: detailedResult, // what paymentauthorization.html uses
-            status: orderStatus,    // AUTHORIZED / DECLINED / ERROR
-            outcome: authOutcome    // SUCCESS / DECLINED / ERROR (DB-safe)
+          const { existing, shift } = reserved;
+          const shiftId = shift ? shift.shift_id : null;
+          tenders.authorize(orderId, parsed.tenders, shiftId, (authErr, results) => {
+            // The tenders recorded before a failure still decide the status
+            withTransaction(
+              db,
+              (done) => finishCheckout(existing, shift, results, done),
+              (writeErr, outcome) => {
+                if (authErr || writeErr) {
+                  console.error("DB write error in /orders/checkout:", authErr || writeErr);
+                  return res.status(500).json({ error: "Database write error" });
+                }
+                respond(outcome);
+              }
+            );
           });
+        });
+      }
+
+      // Check the order can be checked out, reserve its stock and write it
+      // with its items as PENDING. Runs inside the first transaction.
+      function reserveOrder(done) {
+        db.get(
+          "SELECT customer_id, status FROM orders WHERE order_id = ?",
+          [orderId],
+          (ownerErr, existing) => {
+            if (ownerErr) return done(ownerErr);
+            if (existing && existing.customer_id !== customerId) {
+              return done(httpError(409, "Order ID already belongs to another customer"));
+            }
+            if (existing && CAPTURED_STATUSES.includes(existing.status)) {
+              return done(
+                httpError(
+                  409,
+                  `Order ${orderId} is ${existing.status} and cannot be checked out again`
+                )
+              );
+            }
+
+            // Staff at a register tag the order with their open shift
+            registers.openShiftFor(req.user, (shiftErr, shift) => {
+              if (shiftErr) return done(shiftErr);
+              if (!shift && takesCash(parsed.tenders)) {
+                return done(httpError(409, "Open a shift before taking cash."));
+              }
+
+              // Checking out the same order again replaces its reservation
+              inventory.release(orderId, (releaseErr) => {
+                if (releaseErr) return done(releaseErr);
+                inventory.reserve(orderId, cart.lines, (reserveErr) => {
+                  if (reserveErr) return done(reserveErr);
+                  saveOrder(shift, (saveErr) => done(saveErr, { existing, shift }));
+                });
+              });
+            });
+          }
+        );
+      }
+
+      // Upsert into orders, then replace its line items. The order is
+      // PENDING until its tenders have been tried.
+      function saveOrder(shift, cb) {
+        const statements = [
+          [
+            `
+              INSERT INTO orders (
+                order_id, customer_id, status, subtotal_amount, tax_amount, total_amount,
+                terminal_id, shift_id
+              )
+              VALUES (?, ?, 'PENDING', ?, ?, ?, ?, ?)
+              ON CONFLICT(order_id) DO UPDATE SET
+                customer_id     = excluded.customer_id,
+                status          = excluded.status,
+                subtotal_amount = excluded.subtotal_amount,
+                tax_amount      = excluded.tax_amount,
+                total_amount    = excluded.total_amount,
+                terminal_id     = excluded.terminal_id,
+                shift_id        = excluded.shift_id,
+                updated_at      = CURRENT_TIMESTAMP
+            `,
+            [
+              orderId,
+              customerId,
+              cart.subtotal,
+              cart.tax,
+              cart.total,
+              shift ? shift.terminal_id : null,
+              shift ? shift.shift_id : null
+            ]
+          ],
+          ["DELETE FROM order_items WHERE order_id = ?", [orderId]]
+        ];
+
+        cart.lines.forEach((line) => {
+          statements.push([
+            `
+              INSERT INTO order_items (
+                order_id, product_id, sku, name, unit_price, quantity, line_total
+              )
+              VALUES (?, ?, ?, ?, ?, ?, ?)
+            `,
+            [
+              orderId,
+              line.productId,
+              line.sku,
+              line.name,
+              line.unitPrice,
+              line.quantity,
+              line.lineTotal
+            ]
+          ]);
+        });
+
+        runSeries(db, statements, cb);
+      }
+
+      // Set the order's status from the tenders tried and audit them. Runs
+      // inside the second transaction; when no tender is approved the
+      // reserved stock goes straight back.
+      function finishCheckout(existing, shift, results, done) {
+        const shiftId = shift ? shift.shift_id : null;
+
+        // Paid in full, part paid, or nothing approved at all
+        const paidCents = approvedCents(results);
+        const last = results[results.length - 1];
+        const orderStatus =
+          paidCents >= totalCents
+            ? "AUTHORIZED"
+            : paidCents > 0
+            ? "PENDING"
+            : !last || last.result === "SERVER_ERROR"
+            ? "ERROR"
+            : "DECLINED";
+
+        // Declined or failed: nothing was sold
+        const releaseUnlessPaid = (cb) =>
+          paidCents > 0 ? cb() : inventory.release(orderId, cb);
+
+        const recordAudit = () => {
+          const beforeStatus = existing ? existing.status : null;
+          audit.recordInTransaction(
+            req,
+            {
+              eventType: "ORDER_CHECKOUT",
+              orderId,
+              customerId,
+              beforeStatus,
+              afterStatus: orderStatus,
+              details: {
+                items: cart.lines.map((line) => ({
+                  sku: line.sku,
+                  quantity: line.quantity,
+                  unitPrice: line.unitPrice
+                })),
+                subtotal: cart.subtotal,
+                tax: cart.tax,
+                total: cart.total,
+                shiftId
+              }
+            },
+            (auditErr) => {
+              if (auditErr) return done(auditErr);
+              recordTenderAudits(
+                req,
+                { orderId, customerId },
+                results,
+                beforeStatus,
+                orderStatus,
+                (auditErr2) => done(auditErr2, { orderStatus, results, paidCents, shift })
+              );
+            }
+          );
+        };
+
+        db.run(
+          "UPDATE orders SET status = ? WHERE order_id = ?",
+          [orderStatus, orderId],
+          (updateErr) => {
+            if (updateErr) return done(updateErr);
+            releaseUnlessPaid((releaseErr) => {
+              if (releaseErr) return done(releaseErr);
+              recordAudit();
+            });
+          }
+        );
+      }
+
+      function respond({ orderStatus, results, paidCents, shift }) {
+        const last = results[results.length - 1];
+        const firstCard = results.find((tender) => tender.authExpiresAt);
+        const savedCard = results.find((tender) => tender.cardId != null);
+
+        if (orderStatus === "AUTHORIZED") {
+          sendReceipt(customerId, orderId, cart);
         }
-      );
-    }
-  );
+
+        // Send detailed result back to the frontend so it can show
+        // SUCCESS / INSUFFICIENT_FUNDS / INCORRECT_DETAILS / SERVER_ERROR
+        res.json({
+          orderId,
+          result: last.result,  // last tender tried; what paymentauthorization.html uses
+          status: orderStatus,  // AUTHORIZED / PENDING / DECLINED / ERROR
+          outcome: last.outcome, // SUCCESS / DECLINED / ERROR (DB-safe)
+          authExpiresAt: firstCard ? firstCard.authExpiresAt : null,
+          cardId: savedCard ? savedCard.cardId : null,
+          terminalId: shift ? shift.terminal_id : null,
+          shiftId: shift ? shift.shift_id : null,
+          tenders: results,
+          amountPaid: paidCents / 100,
+          balanceDue: (totalCents - paidCents) / 100,
+          changeDue: changeDueFor(results),
+          items: cart.lines,
+          subtotal: cart.subtotal,
+          tax: cart.tax,
+          total: cart.total
+        });
+      }
+    });
+  });
 });
 
+// ============================================
+// ADD TENDERS TO A PENDING ORDER
+// ============================================
+//
+// Expects JSON body: { tenders } as for checkout
+// Pays some or all of the balance still due on a PENDING order, e.g. after
+// a gift card covered only part of it or a card was declined part way.
+// The order becomes AUTHORIZED once its approved tenders cover the total.
+app.post("/orders/:orderId/tenders", requireAuth, idempotent, lockOrderInPath, (req, res) => {
+  const orderId = req.params.orderId;
+  const parsed = parseTenders({ tenders: (req.body && req.body.tenders) || [] });
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  if (takesCash(parsed.tenders) && !isStaff(req.user)) {
+    return res.status(403).json({ error: "Only staff at a register can take cash." });
+  }
+
+  db.get("SELECT customer_id FROM orders WHERE order_id = ?", [orderId], (err, order) => {
+    if (err) {
+      console.error("DB read error in /orders/:orderId/tenders:", err);
+      return res.status(500).json({ error: "Database read error" });
+    }
+    // customers only pay for their own orders; 404 as for GET /orders/:id
+    if (!order || (order.customer_id !== req.user.customerId && !isStaff(req.user))) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+    const customerId = order.customer_id;
+
+    tenders.attachSavedCards(req.user.userId, parsed.tenders, (cardErr, cardError) => {
+      if (cardErr) {
+        console.error("DB read error in /orders/:orderId/tenders (cards):", cardErr);
+        return res.status(500).json({ error: "Database read error (cards)" });
+      }
+      if (cardError) {
+        return res.status(400).json({ error: cardError });
+      }
+
+      // Work out what is still owed, authorize the tenders once that
+      // transaction has committed, then record the order's new status
+      withTransaction(
+        db,
+        (done) => {
+          db.get(
+            `SELECT status, subtotal_amount, tax_amount, total_amount
+             FROM orders WHERE order_id = ?`,
+            [orderId],
+            (err2, current) => {
+              if (err2) return done(err2);
+              if (current.status !== "PENDING") {
+                return done(
+                  httpError(409, `Order ${orderId} is ${current.status}, not PENDING`)
+                );
+              }
+
+              tenders.active(orderId, (activeErr, open) => {
+                if (activeErr) return done(activeErr);
+
+                const totalCents = toCents(current.total_amount);
+                const paidBeforeCents = open.reduce(
+                  (sum, tender) => sum + toCents(tender.amount),
+                  0
+                );
+                const tenderError = allocateTenders(
+                  parsed.tenders,
+                  totalCents - paidBeforeCents
+                );
+                if (tenderError) return done(httpError(400, tenderError));
+
+                registers.openShiftFor(req.user, (shiftErr, shift) => {
+                  if (shiftErr) return done(shiftErr);
+                  if (!shift && takesCash(parsed.tenders)) {
+                    return done(httpError(409, "Open a shift before taking cash."));
+                  }
+                  done(null, {
+                    current,
+                    totalCents,
+                    paidBeforeCents,
+                    shiftId: shift ? shift.shift_id : null
+                  });
+                });
+              });
+            }
+          );
+        },
+        (checkErr, due) => {
+          if (checkErr && checkErr.status) {
+            return res.status(checkErr.status).json({ error: checkErr.message });
+          }
+          if (checkErr) {
+            console.error("DB write error in /orders/:orderId/tenders:", checkErr);
+            return res.status(500).json({ error: "Database write error" });
+          }
+
+          const { current, totalCents, paidBeforeCents, shiftId } = due;
+          tenders.authorize(orderId, parsed.tenders, shiftId, (authErr, results) => {
+            const paidCents = paidBeforeCents + approvedCents(results);
+            const orderStatus = paidCents >= totalCents ? "AUTHORIZED" : "PENDING";
+
+            // The tenders recorded before a failure still count
+            withTransaction(
+              db,
+              (done) =>
+                db.run(
+                  "UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE order_id = ?",
+                  [orderStatus, orderId],
+                  (updateErr) => {
+                    if (updateErr) return done(updateErr);
+                    recordTenderAudits(
+                      req,
+                      { orderId, customerId },
+                      results,
+                      "PENDING",
+                      orderStatus,
+                      done
+                    );
+                  }
+                ),
+              (writeErr) => {
+                if (authErr || writeErr) {
+                  console.error(
+                    "DB write error in /orders/:orderId/tenders:",
+                    authErr || writeErr
+                  );
+                  return res.status(500).json({ error: "Database write error" });
+                }
+
+                const last = results[results.length - 1];
+
+                if (orderStatus === "AUTHORIZED") {
+                  db.all(
+                    `SELECT sku, name, unit_price AS unitPrice, quantity, line_total AS lineTotal
+                     FROM order_items WHERE order_id = ? ORDER BY order_item_id`,
+                    [orderId],
+                    (itemsErr, lines) => {
+                      if (itemsErr) {
+                        return console.error("DB read error sending receipt:", itemsErr);
+                      }
+                      sendReceipt(customerId, orderId, {
+                        lines,
+                        subtotal: current.subtotal_amount,
+                        tax: current.tax_amount,
+                        total: current.total_amount
+                      });
+                    }
+                  );
+                }
+
+                res.json({
+                  orderId,
+                  result: last.result,
+                  status: orderStatus,
+                  outcome: last.outcome,
+                  tenders: results,
+                  amountPaid: paidCents / 100,
+                  balanceDue: (totalCents - paidCents) / 100,
+                  changeDue: changeDueFor(results),
+                  total: current.total_amount
+                });
+              }
+            );
+          });
+        }
+      );
+    });
+  });
+});
 
 // ============================================
 // PAYMENT SETTLEMENT
 // ============================================
 //
-// Expects JSON body: { orderId, amount }
+// Expects JSON body: { orderId, amount, finalCapture? }
+// Captures up to the authorized amount. Partial captures leave the order
+// PARTIALLY_SETTLED so the remainder can be captured later, unless
+// finalCapture is set or ALLOW_MULTIPLE_CAPTURES=false.
 //
-app.post("/payments/settle", (req, res) => {
-  const { orderId, amount } = req.body;
+const ALLOW_MULTIPLE_CAPTURES = process.env.ALLOW_MULTIPLE_CAPTURES !== "false";
+
+app.post("/payments/settle", requireRole(...STAFF_ROLES), idempotent, lockOrderInBody, (req, res) => {
+  const { orderId, amount, finalCapture } = req.body || {};
 
   if (!orderId || amount == null) {
     return res.status(400).json({ error: "Missing fields" });
@@ -436,53 +1354,610 @@ app.post("/payments/settle", (req, res) => {
   if (!Number.isFinite(numericAmount) || numericAmount <= 0) {
     return res.status(400).json({ error: "Invalid amount" });
   }
+  const captureCents = Math.round(numericAmount * 100);
+  const requestKey = requestKeyFor(req);
+
+  // Plan the captures, one per tender, and write them down before the
+  // gateway is called
+  withTransaction(
+    db,
+    (done) => {
+      db.get(
+        `
+        SELECT order_id, customer_id, status, total_amount,
+               (SELECT IFNULL(SUM(r.amount), 0) FROM refunds r
+                WHERE r.order_id = orders.order_id) AS refunded
+        FROM orders WHERE order_id = ?
+      `,
+        [orderId],
+        (err, order) => {
+          if (err) return done(err);
+          if (!order) return done(httpError(404, "Order not found"));
+
+          if (order.status !== "AUTHORIZED" && order.status !== "PARTIALLY_SETTLED") {
+            return done(httpError(400, "Order not authorized, cannot settle"));
+          }
+
+          // ensure there is at least one authorization (for audit)
+          ensureAuthorizationForOrder(orderId, order.total_amount, (authErr) => {
+            if (authErr) return done(authErr);
+
+            tenders.active(orderId, (err2, open) => {
+              if (err2) return done(err2);
+
+              const authorizedCents = open.reduce(
+                (sum, tender) => sum + toCents(tender.amount),
+                0
+              );
+              const capturedCents = open.reduce(
+                (sum, tender) => sum + toCents(tender.captured),
+                0
+              );
+              const remainingCents = authorizedCents - capturedCents;
+
+              const planned = (claimErr, operations) => {
+                if (claimErr) return done(claimErr);
+                registers.openShiftFor(req.user, (shiftErr, shift) => {
+                  if (shiftErr) return done(shiftErr);
+                  done(null, {
+                    order,
+                    operations,
+                    authorizedCents,
+                    capturedCents,
+                    shiftId: shift ? shift.shift_id : null
+                  });
+                });
+              };
+
+              // A settle sent again after it failed part way captures what
+              // its first attempt did not, from the same tenders
+              const stillFits = (operation) => {
+                const tender = open.find((candidate) => candidate.auth_id === operation.auth_id);
+                return (
+                  !!tender &&
+                  !tender.expired &&
+                  toCents(operation.amount) <= toCents(tender.amount) - toCents(tender.captured)
+                );
+              };
+
+              payments.resume(requestKey, "CAPTURE", stillFits, (resumeErr, earlier) => {
+                if (resumeErr || earlier) return planned(resumeErr, earlier);
+
+                if (captureCents > remainingCents) {
+                  return done(
+                    httpError(
+                      400,
+                      `Settlement exceeds authorized amount (remaining: ${(remainingCents / 100).toFixed(2)})`
+                    )
+                  );
+                }
+
+                // Capture from the tenders in the order they were taken
+                const captures = [];
+                let leftCents = captureCents;
+                for (const tender of open) {
+                  if (leftCents === 0) break;
+                  const takeCents = Math.min(
+                    toCents(tender.amount) - toCents(tender.captured),
+                    leftCents
+                  );
+                  if (takeCents <= 0) continue;
+                  if (tender.expired) {
+                    const expiredErr = httpError(400, "Authorization expired, cannot settle");
+                    expiredErr.authExpired = true;
+                    return done(expiredErr);
+                  }
+                  captures.push({ authId: tender.auth_id, amount: takeCents / 100 });
+                  leftCents -= takeCents;
+                }
+
+                payments.claim(orderId, requestKey, "CAPTURE", captures, planned);
+              });
+            });
+          });
+        }
+      );
+    },
+    (err, plan) => {
+      if (err && err.authExpired) {
+        // the sweeper may not have run yet; record the expiry now
+        return expireLapsedAuthorizations(() => {
+          res.status(400).json({ error: err.message });
+        });
+      }
+      if (err) return res.status(err.status || 500).json({ error: err.message });
+
+      const { order, operations, authorizedCents, capturedCents, shiftId } = plan;
+
+      // One settlement row per tender captured from, tagged with the
+      // settling cashier's open shift. Cash is already in the drawer; cards
+      // are captured at the gateway.
+      const recordSettlement = (operation, captured, cb) =>
+        db.run(
+          "INSERT INTO settlements (order_id, auth_id, amount, shift_id) VALUES (?, ?, ?, ?)",
+          [orderId, operation.auth_id, operation.amount, shiftId],
+          function (insertErr) {
+            cb(insertErr, insertErr ? null : { settlementId: this.lastID });
+          }
+        );
+
+      // Captures an earlier attempt made are already in capturedCents
+      const doneBefore = operations
+        .filter((operation) => operation.status === "DONE")
+        .map((operation) => operation.operation_id);
+
+      payments.perform(orderId, operations, recordSettlement, (sendErr, failure) => {
+        if (sendErr) return res.status(500).json({ error: sendErr.message });
+
+        // Write down what was captured, also when a tender was turned down
+        // part way
+        withTransaction(
+          db,
+          (done) => {
+            const captured = operations.filter((operation) => operation.status === "DONE");
+            const toSettlement = (operation) => ({
+              settlementId: operation.settlement_id,
+              authId: operation.auth_id,
+              tenderType: operation.tender_type,
+              amount: operation.amount,
+              gatewayReference: operation.gateway_reference
+            });
+            const settlements = captured.map(toSettlement);
+            const newSettlements = captured
+              .filter((operation) => !doneBefore.includes(operation.operation_id))
+              .map(toSettlement);
+            const settledCents = captured.reduce(
+              (sum, operation) => sum + toCents(operation.amount),
+              0
+            );
+            const newCents = newSettlements.reduce(
+              (sum, settlement) => sum + toCents(settlement.amount),
+              0
+            );
+            const capturedTotalCents = capturedCents + newCents;
+            if (newCents === 0) {
+              return done(null, { orderId, settlements, paymentStatus: order.status });
+            }
+
+            const isFinal =
+              (!failure && (finalCapture === true || !ALLOW_MULTIPLE_CAPTURES)) ||
+              capturedTotalCents >= authorizedCents;
+            // Refunds taken while the order was PARTIALLY_SETTLED still
+            // count once it is settled
+            const paymentStatus = isFinal
+              ? capturedStatus(capturedTotalCents, toCents(order.refunded))
+              : "PARTIALLY_SETTLED";
+
+            // The first capture ships the goods: the units reserved at
+            // checkout leave their bins as SALE movements
+            const commitStock = (cb) =>
+              order.status === "AUTHORIZED"
+                ? inventory.commit(orderId, req.user.userId, cb)
+                : cb();
+
+            commitStock((stockErr) => {
+              if (stockErr) return done(stockErr);
+
+              db.run(
+                `
+                UPDATE orders
+                SET status = ?,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE order_id = ?
+              `,
+                [paymentStatus, orderId],
+                (updateErr) => {
+                  if (updateErr) return done(updateErr);
+
+                  const result = {
+                    orderId,
+                    settlementId: settlements[0].settlementId,
+                    settlements: settlements.map((settlement) => ({
+                      settlementId: settlement.settlementId,
+                      authId: settlement.authId,
+                      tenderType: settlement.tenderType,
+                      amount: settlement.amount
+                    })),
+                    amount: settledCents / 100,
+                    capturedTotal: capturedTotalCents / 100,
+                    authorizedAmount: authorizedCents / 100,
+                    remaining: isFinal ? 0 : (authorizedCents - capturedTotalCents) / 100,
+                    paymentStatus,
+                    shiftId
+                  };
+
+                  audit.recordInTransaction(
+                    req,
+                    {
+                      eventType: "PAYMENT_SETTLED",
+                      orderId,
+                      customerId: order.customer_id,
+                      beforeStatus: order.status,
+                      afterStatus: paymentStatus,
+                      details: {
+                        settlementId: newSettlements[0].settlementId,
+                        amount: newCents / 100,
+                        capturedTotal: result.capturedTotal,
+                        authorizedAmount: result.authorizedAmount,
+                        settlements: newSettlements,
+                        shiftId
+                      }
+                    },
+                    (auditErr) => done(auditErr, result)
+                  );
+                }
+              );
+            });
+          },
+          (writeErr, result) => {
+            if (writeErr) {
+              return res.status(writeErr.status || 500).json({ error: writeErr.message });
+            }
+            // The tenders captured before the gateway turned one down stay
+            // captured; the rest can be settled again
+            if (failure) {
+              return res
+                .status(502)
+                .json({ error: `Gateway rejected capture: ${failure.message}`, ...result });
+            }
+            res.json(result);
+          }
+        );
+      });
+    }
+  );
+});
+
+// ============================================
+// VOID AUTHORIZATION
+// ============================================
+//
+// Expects JSON body: { orderId }
+// Cancels the tenders of an order that has not been settled: card tenders
+// are voided at the gateway and cash is handed back. A PENDING order that
+// is only part paid can be voided too.
+//
+app.post("/payments/void", requireRole(...STAFF_ROLES), idempotent, lockOrderInBody, (req, res) => {
+  const { orderId } = req.body || {};
+
+  if (!orderId) {
+    return res.status(400).json({ error: "Missing fields" });
+  }
 
   db.get(
-    "SELECT order_id, status, total_amount FROM orders WHERE order_id = ?",
+    "SELECT order_id, customer_id, status FROM orders WHERE order_id = ?",
     [orderId],
     (err, order) => {
       if (err) return res.status(500).json({ error: err.message });
       if (!order) return res.status(404).json({ error: "Order not found" });
 
-      if (order.status !== "AUTHORIZED") {
+      if (order.status !== "AUTHORIZED" && order.status !== "PENDING") {
         return res
           .status(400)
-          .json({ error: "Order not authorized, cannot settle" });
+          .json({ error: "Only authorized, unsettled orders can be voided" });
       }
 
-      // ensure there is at least one authorization (for audit)
-      ensureAuthorizationForOrder(orderId, order.total_amount, (authErr) => {
-        if (authErr) {
-          return res.status(500).json({ error: authErr.message });
+      tenders.voidAll(orderId, requestKeyFor(req), (voidErr, voided, failure) => {
+        if (voidErr) return res.status(500).json({ error: voidErr.message });
+        // Tenders voided before the gateway turned one down stay voided; the
+        // order stays open until the rest are
+        if (failure) {
+          return res.status(502).json({
+            error: `Gateway rejected void: ${failure.message}`,
+            orderId,
+            tenders: voided
+          });
         }
 
-        // Insert settlement row
-        db.run(
-          "INSERT INTO settlements (order_id, amount) VALUES (?, ?)",
-          [orderId, numericAmount],
-          (err2) => {
-            if (err2) return res.status(500).json({ error: err2.message });
-
-            // Update order status to SETTLED
+        withTransaction(
+          db,
+          (done) => {
             db.run(
               `
               UPDATE orders
-              SET status = 'SETTLED',
+              SET status = 'VOIDED',
                   updated_at = CURRENT_TIMESTAMP
               WHERE order_id = ?
             `,
               [orderId],
-              (err3) => {
-                if (err3) {
-                  return res.status(500).json({ error: err3.message });
+              (writeErr) => {
+                if (writeErr) return done(writeErr);
+                inventory.release(orderId, (releaseErr, released) => {
+                  if (releaseErr) return done(releaseErr);
+                  audit.recordInTransaction(
+                    req,
+                    {
+                      eventType: "AUTHORIZATION_VOIDED",
+                      orderId,
+                      customerId: order.customer_id,
+                      beforeStatus: order.status,
+                      afterStatus: "VOIDED",
+                      details: {
+                        tenders: voided,
+                        stockReleased: released > 0
+                      }
+                    },
+                    (auditErr) =>
+                      done(auditErr, { orderId, paymentStatus: "VOIDED", tenders: voided })
+                  );
+                });
+              }
+            );
+          },
+          (writeErr, result) => {
+            if (writeErr) return res.status(500).json({ error: writeErr.message });
+            res.json(result);
+          }
+        );
+      });
+    }
+  );
+});
+
+// ============================================
+// REFUNDS
+// ============================================
+//
+// Expects JSON body: { orderId, amount?, settlementId?, reason? }
+// Omitting amount refunds everything still refundable. Without a
+// settlementId the amount is taken from the newest settlements first.
+//
+app.post("/payments/refund", requireRole(...STAFF_ROLES), idempotent, lockOrderInBody, (req, res) => {
+  const { orderId, amount, settlementId, reason } = req.body || {};
+
+  if (!orderId) {
+    return res.status(400).json({ error: "Missing fields" });
+  }
+
+  let requestedCents = null;
+  if (amount != null) {
+    const numericAmount = Number(amount);
+    if (!Number.isFinite(numericAmount) || numericAmount <= 0) {
+      return res.status(400).json({ error: "Invalid amount" });
+    }
+    requestedCents = Math.round(numericAmount * 100);
+  }
+  const requestKey = requestKeyFor(req);
+
+  // Plan the refunds, one per settlement, and write them down before the
+  // gateway is called
+  withTransaction(
+    db,
+    (done) => {
+      db.get(
+        "SELECT order_id, customer_id, status FROM orders WHERE order_id = ?",
+        [orderId],
+        (err, order) => {
+          if (err) return done(err);
+          if (!order) return done(httpError(404, "Order not found"));
+
+          // Anything captured can be refunded, including the part already
+          // settled on a PARTIALLY_SETTLED order
+          if (!CAPTURED_STATUSES.includes(order.status)) {
+            return done(httpError(400, "Order not settled, cannot refund"));
+          }
+
+          db.all(
+            `
+            SELECT s.settlement_id,
+                   s.auth_id,
+                   s.amount,
+                   IFNULL((SELECT SUM(r.amount) FROM refunds r
+                           WHERE r.settlement_id = s.settlement_id), 0) AS refunded
+            FROM settlements s
+            WHERE s.order_id = ?
+            ORDER BY s.settled_at DESC, s.settlement_id DESC
+          `,
+            [orderId],
+            (err2, settlements) => {
+              if (err2) return done(err2);
+
+              const settledCents = settlements.reduce(
+                (sum, st) => sum + Math.round(st.amount * 100),
+                0
+              );
+              const alreadyRefundedCents = settlements.reduce(
+                (sum, st) => sum + Math.round(st.refunded * 100),
+                0
+              );
+
+              // Refunds are tagged with the refunding cashier's open shift,
+              // whose drawer any cash comes out of
+              const planned = (claimErr, operations) => {
+                if (claimErr) return done(claimErr);
+                registers.openShiftFor(req.user, (shiftErr, shift) => {
+                  if (shiftErr) return done(shiftErr);
+                  done(null, {
+                    order,
+                    operations,
+                    settledCents,
+                    alreadyRefundedCents,
+                    shiftId: shift ? shift.shift_id : null
+                  });
+                });
+              };
+
+              // A refund sent again after it failed part way refunds what
+              // its first attempt did not, from the same settlements
+              const stillFits = (operation) => {
+                const st = settlements.find(
+                  (candidate) => candidate.settlement_id === operation.settlement_id
+                );
+                return (
+                  !!st &&
+                  toCents(operation.amount) <= toCents(st.amount) - toCents(st.refunded)
+                );
+              };
+
+              payments.resume(requestKey, "REFUND", stillFits, (resumeErr, earlier) => {
+                if (resumeErr || earlier) return planned(resumeErr, earlier);
+
+                let candidates = settlements;
+                if (settlementId != null) {
+                  candidates = settlements.filter(
+                    (st) => st.settlement_id === Number(settlementId)
+                  );
+                  if (!candidates.length) {
+                    return done(httpError(404, "Settlement not found for this order"));
+                  }
                 }
 
-                res.json({
+                const refundableCents = candidates.reduce(
+                  (sum, st) =>
+                    sum + Math.round(st.amount * 100) - Math.round(st.refunded * 100),
+                  0
+                );
+                const refundCents =
+                  requestedCents == null ? refundableCents : requestedCents;
+
+                if (refundCents <= 0) {
+                  return done(httpError(400, "Nothing left to refund"));
+                }
+                if (refundCents > refundableCents) {
+                  return done(
+                    httpError(
+                      409,
+                      `Refund exceeds settled amount (refundable: ${(refundableCents / 100).toFixed(2)})`
+                    )
+                  );
+                }
+
+                // allocate across settlements, newest first
+                const allocations = [];
+                let remaining = refundCents;
+                for (const st of candidates) {
+                  if (remaining === 0) break;
+                  const available =
+                    Math.round(st.amount * 100) - Math.round(st.refunded * 100);
+                  const take = Math.min(available, remaining);
+                  if (take > 0) {
+                    allocations.push({
+                      authId: st.auth_id,
+                      settlementId: st.settlement_id,
+                      amount: take / 100
+                    });
+                    remaining -= take;
+                  }
+                }
+
+                payments.claim(orderId, requestKey, "REFUND", allocations, planned);
+              });
+            }
+          );
+        }
+      );
+    },
+    (err, plan) => {
+      if (err) return res.status(err.status || 500).json({ error: err.message });
+
+      const { order, operations, settledCents, alreadyRefundedCents, shiftId } = plan;
+
+      // Cash goes back over the counter; cards are refunded at the gateway
+      const recordRefund = (operation, refunded, cb) =>
+        db.run(
+          `
+          INSERT INTO refunds (order_id, settlement_id, amount, reason, shift_id)
+          VALUES (?, ?, ?, ?, ?)
+        `,
+          [orderId, operation.settlement_id, operation.amount, reason || null, shiftId],
+          function (insertErr) {
+            cb(insertErr, insertErr ? null : { refundId: this.lastID });
+          }
+        );
+
+      // Refunds an earlier attempt made are already in alreadyRefundedCents
+      const doneBefore = operations
+        .filter((operation) => operation.status === "DONE")
+        .map((operation) => operation.operation_id);
+
+      payments.perform(orderId, operations, recordRefund, (sendErr, failure) => {
+        if (sendErr) return res.status(500).json({ error: sendErr.message });
+
+        // Write down what was refunded, also when a tender was turned down
+        // part way
+        withTransaction(
+          db,
+          (done) => {
+            const refunded = operations.filter((operation) => operation.status === "DONE");
+            const toRefund = (operation) => ({
+              refundId: operation.refund_id,
+              settlementId: operation.settlement_id,
+              tenderType: operation.tender_type,
+              amount: operation.amount
+            });
+            const created = refunded.map(toRefund);
+            const newRefunds = refunded
+              .filter((operation) => !doneBefore.includes(operation.operation_id))
+              .map(toRefund);
+            const refundCents = created.reduce(
+              (sum, refund) => sum + toCents(refund.amount),
+              0
+            );
+            const newCents = newRefunds.reduce((sum, refund) => sum + toCents(refund.amount), 0);
+            const refundedCents = alreadyRefundedCents + newCents;
+            if (newCents === 0) {
+              return done(null, { orderId, refunds: created, paymentStatus: order.status });
+            }
+
+            // A PARTIALLY_SETTLED order stays open for the rest of its
+            // captures
+            const paymentStatus =
+              order.status === "PARTIALLY_SETTLED"
+                ? "PARTIALLY_SETTLED"
+                : capturedStatus(settledCents, refundedCents);
+
+            db.run(
+              `
+              UPDATE orders
+              SET status = ?,
+                  updated_at = CURRENT_TIMESTAMP
+              WHERE order_id = ?
+            `,
+              [paymentStatus, orderId],
+              (updateErr) => {
+                if (updateErr) return done(updateErr);
+
+                const result = {
                   orderId,
-                  paymentStatus: "SETTLED"
-                });
+                  amount: refundCents / 100,
+                  refunds: created,
+                  refundedTotal: refundedCents / 100,
+                  settledTotal: settledCents / 100,
+                  paymentStatus
+                };
+
+                audit.recordInTransaction(
+                  req,
+                  {
+                    eventType: "PAYMENT_REFUNDED",
+                    orderId,
+                    customerId: order.customer_id,
+                    beforeStatus: order.status,
+                    afterStatus: paymentStatus,
+                    details: {
+                      amount: newCents / 100,
+                      refunds: newRefunds,
+                      refundedTotal: result.refundedTotal,
+                      reason: reason || null
+                    }
+                  },
+                  (auditErr) => done(auditErr, result)
+                );
               }
             );
+          },
+          (writeErr, result) => {
+            if (writeErr) {
+              return res.status(writeErr.status || 500).json({ error: writeErr.message });
+            }
+            // The tenders refunded before the gateway turned one down stay
+            // refunded; the rest can be refunded again
+            if (failure) {
+              return res
+                .status(502)
+                .json({ error: `Gateway rejected refund: ${failure.message}`, ...result });
+            }
+            res.json(result);
           }
         );
       });
@@ -493,8 +1968,14 @@ app.post("/payments/settle", (req, res) => {
 // ============================================
 // STATS
 // ============================================
-app.get("/stats", (req, res) => {
-  const out = { totals: {}, recentOrders: [], settled_total: 0 };
+app.get("/stats", requireRole("manager", "admin"), (req, res) => {
+  const out = {
+    totals: {},
+    recentOrders: [],
+    settled_total: 0,
+    refunded_total: 0,
+    net_settled_total: 0
+  };
 
   // Orders per status
   db.all(
@@ -509,6 +1990,8 @@ app.get("/stats", (req, res) => {
 
       // Total orders
       db.get("SELECT COUNT(*) AS total FROM orders", [], (e2, row2) => {
+        if (e2) return res.status(500).json({ error: e2.message });
+
         out.totals.ALL = row2 ? row2.total : 0;
 
         // Total settled amount
@@ -518,17 +2001,29 @@ app.get("/stats", (req, res) => {
           (e3, row3) => {
             if (e3) return res.status(500).json({ error: e3.message });
 
-            out.settled_total = Number(row3 ? row3.settled_total : 0);
+            out.settled_total = roundMoney(row3 ? row3.settled_total : 0);
 
-            // Recent orders
-            db.all(
-              "SELECT * FROM orders ORDER BY created_at DESC LIMIT 5",
+            // Total refunded amount (net = settled - refunded)
+            db.get(
+              "SELECT IFNULL(SUM(amount), 0) AS refunded_total FROM refunds",
               [],
-              (e4, rows4) => {
-                if (e4) return res.status(500).json({ error: e4.message });
-
-                out.recentOrders = rows4 || [];
-                res.json(out);
+              (e5, row5) => {
+                if (e5) return res.status(500).json({ error: e5.message });
+
+                out.refunded_total = roundMoney(row5 ? row5.refunded_total : 0);
+                out.net_settled_total = roundMoney(out.settled_total - out.refunded_total);
+
+                // Recent orders
+                db.all(
+                  "SELECT * FROM orders ORDER BY created_at DESC LIMIT 5",
+                  [],
+                  (e4, rows4) => {
+                    if (e4) return res.status(500).json({ error: e4.message });
+
+                    out.recentOrders = rows4 || [];
+                    res.json(out);
+                  }
+                );
               }
             );
           }
@@ -541,7 +2036,7 @@ app.get("/stats", (req, res) => {
 // ============================================
 // SEED ORDERS
 // ============================================
-app.post("/seed-orders", (req, res) => {
+app.post("/seed-orders", requireRole("admin"), (req, res) => {
   const sampleOrders = [
     ["ORD9001", 1, "AUTHORIZED", 45.5],
     ["ORD9002", 2, "DECLINED", 78.2],
@@ -555,32 +2050,75 @@ app.post("/seed-orders", (req, res) => {
     ["ORD9010", 2, "AUTHORIZED", 44.44]
   ];
 
-  const stmt = db.prepare(
-    `
-    INSERT INTO orders (order_id, customer_id, status, total_amount)
-    VALUES (?, ?, ?, ?)
-    ON CONFLICT(order_id) DO UPDATE SET
-      customer_id = excluded.customer_id,
-      status = excluded.status,
-      total_amount = excluded.total_amount,
-      updated_at = CURRENT_TIMESTAMP
-  `
+  sampleOrders.forEach((o) =>
+    runQueued(
+      db,
+      `
+      INSERT INTO orders (order_id, customer_id, status, total_amount)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(order_id) DO UPDATE SET
+        customer_id = excluded.customer_id,
+        status = excluded.status,
+        total_amount = excluded.total_amount,
+        updated_at = CURRENT_TIMESTAMP
+    `,
+      o,
+      (err) => {
+        if (err) console.error(`Seed order ${o[0]} skipped:`, err.message);
+      }
+    )
   );
 
-  sampleOrders.forEach((o) => stmt.run(o));
-  stmt.finalize();
-
   res.json({ message: "10 sample orders added or updated." });
 });
 
 // ============================================
 // Start Server
 // ============================================
-if (!IS_TEST) {
-  const PORT = process.env.PORT || 3000;
-  app.listen(PORT, () => {
-    log(`✅ API running on port ${PORT}`);
+// The schema is owned by migrations/ (npm run migrate); refuse to serve a
+// database that is behind or ahead of this code.
+createMigrator(db).status((err, state) => {
+  if (err || state.pending.length || state.missing.length) {
+    if (err) {
+      console.error("❌ Could not read schema version:", err.message);
+    } else if (state.missing.length) {
+      console.error(
+        `❌ Database has migrations this code does not know about: ${state.missing
+          .map((m) => m.version)
+          .join(", ")}. Deploy newer code or run npm run migrate:rollback.`
+      );
+    } else {
+      console.error(
+        `❌ Database schema is not up to date (pending: ${state.pending
+          .map((m) => `${String(m.version).padStart(3, "0")}_${m.name}`)
+          .join(", ")}). Run npm run migrate.`
+      );
+    }
+    if (!IS_TEST) process.exit(1);
+    return markStarted();
+  }
+
+  log(`🗄️ Schema at version ${state.current}`);
+  promoteBootstrapAdmin();
+
+  // Entries from before the hash chain are sealed before any request can
+  // append to it
+  audit.sealUnhashedEntries((sealErr, sealed) => {
+    if (!sealErr && sealed) log(`🔗 Added ${sealed} audit entries to the hash chain.`);
+    markStarted();
+
+    // Background sweep of lapsed authorizations; under test only when a
+    // test sets the interval
+    const sweepMs = Number(process.env.AUTH_SWEEP_INTERVAL_MS) || (IS_TEST ? 0 : 60 * 1000);
+    if (sweepMs) setInterval(expireLapsedAuthorizations, sweepMs).unref();
+
+    if (IS_TEST) return;
+
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, () => {
+      log(`✅ API running on port ${PORT}`);
+    });
   });
-}
+});
 
 module.exports = app;
@@ -0,0 +1,243 @@
+// sessions.js
+//
+// Opaque, DB-backed session tokens. Login issues a short-lived access token
+// and a longer-lived refresh token; only their SHA-256 hashes are stored, so
+// a leaked database does not leak usable tokens. Refreshing rotates both.
+const crypto = require("crypto");
+const { runQueued } = require("./db-helpers");
+
+// Account roles, least to most privileged
+const ROLES = ["customer", "cashier", "manager", "admin"];
+
+// Roles that work the counter / back office
+const STAFF_ROLES = ["cashier", "manager", "admin"];
+
+// app_settings row holding the staff roles that must sign in with 2FA, as
+// a JSON array. Until an admin sets it, TWO_FACTOR_REQUIRED_ROLES
+// (comma-separated) applies.
+const TWO_FACTOR_POLICY_KEY = "two_factor_required_roles";
+
+const ACCESS_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function newToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+// Roles named by a stored policy value, or by the environment default
+function parseRequiredRoles(value) {
+  let roles;
+  if (value == null) {
+    roles = String(process.env.TWO_FACTOR_REQUIRED_ROLES || "").split(",");
+  } else {
+    try {
+      roles = JSON.parse(value);
+    } catch {
+      roles = [];
+    }
+  }
+  return []
+    .concat(roles)
+    .map((role) => String(role).trim())
+    .filter((role) => STAFF_ROLES.includes(role));
+}
+
+function createSessions(db) {
+  // Create a session for a user; cb(err, { accessToken, refreshToken, ... })
+  function issue(userId, req, cb) {
+    const accessToken = newToken();
+    const refreshToken = newToken();
+
+    runQueued(
+      db,
+      `
+      INSERT INTO sessions (
+        user_id,
+        access_token_hash,
+        refresh_token_hash,
+        access_expires_at,
+        refresh_expires_at,
+        ip_address,
+        user_agent
+      )
+      VALUES (?, ?, ?, datetime('now', ?), datetime('now', ?), ?, ?)
+    `,
+      [
+        userId,
+        hashToken(accessToken),
+        hashToken(refreshToken),
+        `+${ACCESS_TTL_MINUTES} minutes`,
+        `+${REFRESH_TTL_DAYS} days`,
+        req.ip || null,
+        req.get("User-Agent") || null
+      ],
+      function (err) {
+        if (err) return cb(err);
+        cb(null, {
+          tokenType: "Bearer",
+          accessToken,
+          refreshToken,
+          expiresIn: ACCESS_TTL_MINUTES * 60
+        });
+      }
+    );
+  }
+
+  // Trade a refresh token for a new session, revoking the old one.
+  // cb(err, tokens) where tokens is null when the refresh token is not usable.
+  function rotate(refreshToken, req, cb) {
+    db.get(
+      `
+      SELECT session_id, user_id
+      FROM sessions
+      WHERE refresh_token_hash = ?
+        AND revoked_at IS NULL
+        AND refresh_expires_at > datetime('now')
+    `,
+      [hashToken(refreshToken)],
+      (err, session) => {
+        if (err) return cb(err);
+        if (!session) return cb(null, null);
+
+        // the revoked_at guard makes a concurrent second refresh lose
+        runQueued(
+          db,
+          `
+          UPDATE sessions
+          SET revoked_at = CURRENT_TIMESTAMP
+          WHERE session_id = ? AND revoked_at IS NULL
+        `,
+          [session.session_id],
+          function (err2) {
+            if (err2) return cb(err2);
+            if (this.changes === 0) return cb(null, null);
+            issue(session.user_id, req, cb);
+          }
+        );
+      }
+    );
+  }
+
+  // Sign a user out everywhere, e.g. after a password reset. Call inside a
+  // transaction.
+  function revokeAll(userId, cb) {
+    db.run(
+      "UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL",
+      [userId],
+      (err) => cb(err || null)
+    );
+  }
+
+  // Sign a user out of every other session, e.g. after a password change.
+  // Call inside a transaction.
+  function revokeOthers(userId, sessionId, cb) {
+    db.run(
+      `
+      UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND session_id <> ? AND revoked_at IS NULL
+    `,
+      [userId, sessionId],
+      (err) => cb(err || null)
+    );
+  }
+
+  function revoke(sessionId, cb) {
+    runQueued(
+      db,
+      "UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE session_id = ? AND revoked_at IS NULL",
+      [sessionId],
+      (err) => cb(err || null)
+    );
+  }
+
+  // Middleware: require a valid "Authorization: Bearer <accessToken>" and
+  // set req.user = { userId, customerId, sessionId, email, username, role,
+  // twoFactorEnabled, twoFactorSetupRequired }. customerId is the user's
+  // customer profile. twoFactorSetupRequired is
+  // true when the 2FA policy covers the role but the account has not
+  // enrolled yet; such accounts get no staff privileges until it has.
+  function requireAuth(req, res, next) {
+    const header = req.get("Authorization") || "";
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+      return res.status(401).json({ error: "Authentication required." });
+    }
+
+    db.get(
+      `
+      SELECT s.session_id, u.user_id, u.customer_id, u.email, u.username, u.role, u.totp_enabled,
+             (SELECT setting_value FROM app_settings WHERE setting_key = ?) AS two_factor_policy
+      FROM sessions s
+      JOIN users u ON u.user_id = s.user_id
+      WHERE s.access_token_hash = ?
+        AND s.revoked_at IS NULL
+        AND s.access_expires_at > datetime('now')
+    `,
+      [TWO_FACTOR_POLICY_KEY, hashToken(match[1])],
+      (err, row) => {
+        if (err) {
+          console.error("DB read error in requireAuth:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+        if (!row) {
+          return res
+            .status(401)
+            .json({ error: "Invalid or expired access token." });
+        }
+
+        req.user = {
+          userId: row.user_id,
+          customerId: row.customer_id,
+          sessionId: row.session_id,
+          email: row.email,
+          username: row.username,
+          role: row.role,
+          twoFactorEnabled: !!row.totp_enabled,
+          twoFactorSetupRequired:
+            !row.totp_enabled && parseRequiredRoles(row.two_factor_policy).includes(row.role)
+        };
+        next();
+      }
+    );
+  }
+
+  // Middleware: signed in with one of the given roles
+  function requireRole(...roles) {
+    return (req, res, next) => {
+      requireAuth(req, res, () => {
+        if (!roles.includes(req.user.role)) {
+          return res
+            .status(403)
+            .json({ error: "You do not have permission to do that." });
+        }
+        if (req.user.twoFactorSetupRequired) {
+          return res.status(403).json({
+            error: "Your role requires two-factor authentication. Set it up via /auth/2fa/enroll first.",
+            twoFactorSetupRequired: true
+          });
+        }
+        next();
+      });
+    };
+  }
+
+  return { issue, rotate, revoke, revokeAll, revokeOthers, requireAuth, requireRole };
+}
+
+// Staff who still owe a 2FA enrollment are treated like customers
+function isStaff(user) {
+  return !!user && STAFF_ROLES.includes(user.role) && !user.twoFactorSetupRequired;
+}
+
+module.exports = {
+  createSessions,
+  isStaff,
+  parseRequiredRoles,
+  ROLES,
+  STAFF_ROLES,
+  TWO_FACTOR_POLICY_KEY
+};
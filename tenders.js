@@ -0,0 +1,345 @@
+// tenders.js
+//
+// The tenders an order is paid with. Each tender is one authorizations
+// row: card and gift card tenders are authorized through the payment
+// gateway, cash is taken at the counter with change worked out against
+// what was handed over. An order is paid in full once its approved,
+// unvoided tenders add up to its total.
+const crypto = require("crypto");
+const { AUTH_RESULTS } = require("./payment-gateway");
+const { withTransaction } = require("./db-helpers");
+
+// Tender types a checkout accepts -> authorizations.tender_type
+const TENDER_TYPES = { card: "CARD", gift_card: "GIFT_CARD", cash: "CASH" };
+
+// "Now" as ISO-8601, the same format generateAuthToken() stores
+const SQL_NOW_ISO = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// Expiry of authorization row `a`; rows written before auth_expires_at was
+// populated lapse 7 days after they were created
+const SQL_AUTH_EXPIRES_AT =
+  "COALESCE(a.auth_expires_at, strftime('%Y-%m-%dT%H:%M:%fZ', a.created_at, '+7 days'))";
+
+// Helper: generate auth token and expiry (7 days)
+function generateAuthToken(orderId) {
+  const randomPart = crypto.randomBytes(8).toString("hex");
+  const token = `${orderId}_${randomPart}`;
+
+  const expires = new Date();
+  expires.setDate(expires.getDate() + 7);
+  const expiresAt = expires.toISOString();
+
+  return { token, expiresAt };
+}
+
+const toCents = (value) => Math.round(Number(value) * 100);
+const isPositive = (value) => Number.isFinite(Number(value)) && Number(value) > 0;
+
+// Validate the tenders of a checkout body. Without a tenders array the
+// body's own card fields (cardNumber, last4, cardId) are a single card
+// tender for the whole amount. Returns { tenders } or { error }.
+function parseTenders(body) {
+  if (body.tenders == null) {
+    const { cardNumber, last4, cardId } = body;
+    return parseTenders({ tenders: [{ type: "card", cardNumber, last4, cardId }] });
+  }
+  if (body.cardNumber || body.last4 || body.cardId != null) {
+    return { error: "Send card details inside tenders." };
+  }
+  if (!Array.isArray(body.tenders) || body.tenders.length === 0) {
+    return { error: "tenders must be a non-empty array." };
+  }
+
+  const tenders = [];
+  for (const input of body.tenders) {
+    const type = TENDER_TYPES[String((input && input.type) || "").trim().toLowerCase()];
+    if (!type) {
+      return { error: "Each tender needs a type: card, gift_card or cash." };
+    }
+
+    const { amount, tendered, cardNumber, last4, cardId } = input;
+    if (amount != null && !isPositive(amount)) {
+      return { error: "Invalid tender amount." };
+    }
+    if (type === "CARD" && cardId != null && (cardNumber || last4)) {
+      return { error: "Send either cardId or card details, not both." };
+    }
+    if (type === "CARD" && cardId == null && !cardNumber && !last4) {
+      return { error: "A card tender needs its card details or a cardId." };
+    }
+    if (type === "GIFT_CARD" && !cardNumber && !last4) {
+      return { error: "A gift card tender needs its cardNumber." };
+    }
+    if (type === "CASH") {
+      if (tendered != null && !isPositive(tendered)) {
+        return { error: "Invalid cash tendered." };
+      }
+      if (amount == null && tendered == null) {
+        return { error: "A cash tender needs an amount or the cash tendered." };
+      }
+      if (amount != null && tendered != null && toCents(tendered) < toCents(amount)) {
+        return { error: "Cash tendered is less than the tender amount." };
+      }
+    }
+
+    tenders.push({
+      type,
+      amountCents: amount == null ? null : toCents(amount),
+      tenderedCents: type === "CASH" && tendered != null ? toCents(tendered) : null,
+      cardNumber: type === "CASH" ? undefined : cardNumber,
+      last4: type === "CASH" ? undefined : last4,
+      cardId: type === "CARD" ? cardId : undefined
+    });
+  }
+
+  if (tenders.filter((tender) => tender.amountCents == null).length > 1) {
+    return { error: "Only one tender can leave out its amount." };
+  }
+  return { tenders };
+}
+
+// Fix each tender's amount against the balance due. The tender without an
+// amount takes whatever is left; for cash, only up to what was handed
+// over. Returns an error message, or null.
+function allocateTenders(tenders, balanceCents) {
+  const fixedCents = tenders.reduce((sum, tender) => sum + (tender.amountCents || 0), 0);
+  if (fixedCents > balanceCents) {
+    return `Tenders add up to more than the balance due (${(balanceCents / 100).toFixed(2)}).`;
+  }
+
+  for (const tender of tenders) {
+    if (tender.amountCents == null) {
+      const leftCents = balanceCents - fixedCents;
+      tender.amountCents =
+        tender.type === "CASH" ? Math.min(tender.tenderedCents, leftCents) : leftCents;
+      if (tender.amountCents <= 0) {
+        return "Nothing is left to pay with the tender that has no amount.";
+      }
+    }
+    if (tender.type === "CASH") {
+      if (tender.tenderedCents == null) tender.tenderedCents = tender.amountCents;
+      tender.changeCents = tender.tenderedCents - tender.amountCents;
+    }
+  }
+  return null;
+}
+
+function createTenders(db, gateway, savedCards, operations) {
+  // Find the saved card each card tender names by cardId; it must belong
+  // to the signed-in user. cb(err, cardError)
+  function attachSavedCards(userId, tenders, cb) {
+    const lookups = tenders.filter((tender) => tender.type === "CARD" && tender.cardId != null);
+
+    let index = 0;
+    const next = () => {
+      if (index >= lookups.length) return cb(null, null);
+      const tender = lookups[index++];
+      savedCards.forCheckout(userId, tender.cardId, (err, card, cardError) => {
+        if (err || cardError) return cb(err, cardError);
+        tender.card = card;
+        next();
+      });
+    };
+    next();
+  }
+
+  function authorizeOne(orderId, tender, shiftId, cb) {
+    const amount = tender.amountCents / 100;
+
+    // The detailed result is what the front-end cares about: SUCCESS,
+    // INSUFFICIENT_FUNDS, INCORRECT_DETAILS, EXPIRED_CARD, DO_NOT_HONOR
+    // or SERVER_ERROR
+    const authorization =
+      tender.type === "CASH"
+        ? Promise.resolve({
+            result: "SUCCESS",
+            approved: true,
+            code: AUTH_RESULTS.SUCCESS.code,
+            message: "Cash received",
+            reference: null
+          })
+        : gateway
+            .authorize({
+              orderId,
+              amount,
+              cardNumber: tender.cardNumber,
+              last4: tender.card ? tender.card.last4 : tender.last4,
+              cardToken: tender.card ? tender.card.gateway_token : undefined
+            })
+            .catch((gatewayErr) => {
+              console.error("Gateway error authorizing a tender:", gatewayErr);
+              return {
+                result: "SERVER_ERROR",
+                approved: false,
+                code: AUTH_RESULTS.SERVER_ERROR.code,
+                message: AUTH_RESULTS.SERVER_ERROR.message,
+                reference: null
+              };
+            });
+
+    authorization
+      .then((auth) => {
+        // Map to the limited set allowed by the CHECK constraint on
+        // authorizations.outcome: 'SUCCESS', 'DECLINED', 'ERROR'
+        const outcome = auth.approved
+          ? "SUCCESS"
+          : auth.result === "SERVER_ERROR"
+          ? "ERROR"
+          : "DECLINED";
+
+        // Approved card tenders get a token and an expiry; the gateway's
+        // reference, when it sends one, is the token
+        let authToken = null;
+        if (auth.approved && tender.type !== "CASH") {
+          authToken = generateAuthToken(orderId);
+          if (auth.reference) authToken.token = auth.reference;
+        }
+
+        const cash = tender.type === "CASH";
+        const insert = (done) =>
+          db.run(
+            `
+            INSERT INTO authorizations (
+              order_id, outcome, gateway_code, gateway_message, amount,
+              auth_token, auth_expires_at, card_id,
+              tender_type, cash_tendered, change_due, shift_id
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `,
+            [
+              orderId,
+              outcome,
+              auth.code,
+              auth.message,
+              amount,
+              authToken ? authToken.token : null,
+              authToken ? authToken.expiresAt : null,
+              tender.card ? tender.card.card_id : null,
+              tender.type,
+              cash ? tender.tenderedCents / 100 : null,
+              cash ? tender.changeCents / 100 : null,
+              shiftId
+            ],
+            function (err) {
+              done(err, this.lastID);
+            }
+          );
+
+        withTransaction(db, insert, (err, authId) => {
+          if (err) return cb(err);
+          cb(null, {
+            authId,
+            type: tender.type,
+            amount,
+            approved: auth.approved,
+            result: auth.result,
+            outcome,
+            gatewayCode: auth.code,
+            gatewayMessage: auth.message,
+            authExpiresAt: authToken ? authToken.expiresAt : null,
+            cardId: tender.card ? tender.card.card_id : null,
+            cashTendered: cash ? tender.tenderedCents / 100 : null,
+            changeDue: cash ? tender.changeCents / 100 : null
+          });
+        });
+      })
+      .catch(cb);
+  }
+
+  // Authorize the tenders in the order given, writing an authorizations
+  // row for each in its own transaction once the gateway has answered, so
+  // this must not be called inside one. The first tender that is not
+  // approved stops the rest, so the customer can be asked for another way
+  // to pay. cb(err, results), with the tenders recorded so far on error
+  // too.
+  function authorize(orderId, tenders, shiftId, cb) {
+    const results = [];
+    let index = 0;
+    const next = () => {
+      const last = results[results.length - 1];
+      if (index >= tenders.length || (last && !last.approved)) return cb(null, results);
+      authorizeOne(orderId, tenders[index++], shiftId, (err, result) => {
+        if (err) return cb(err, results);
+        results.push(result);
+        next();
+      });
+    };
+    next();
+  }
+
+  // Approved tenders that have not been voided, oldest first, with what
+  // has been captured from each. Cash never lapses. cb(err, rows)
+  function active(orderId, cb) {
+    db.all(
+      `
+      SELECT a.*,
+             IFNULL((SELECT SUM(s.amount) FROM settlements s
+                     WHERE s.auth_id = a.auth_id), 0) AS captured,
+             a.tender_type <> 'CASH' AND ${SQL_AUTH_EXPIRES_AT} <= ${SQL_NOW_ISO} AS expired
+      FROM authorizations a
+      WHERE a.order_id = ? AND a.outcome = 'SUCCESS' AND a.voided_at IS NULL
+      ORDER BY a.auth_id ASC
+    `,
+      [orderId],
+      cb
+    );
+  }
+
+  // Void every open tender of an order: card tenders at the gateway, cash
+  // by handing it back. A lapsed card approval has nothing left to void at
+  // the gateway and is only closed here. Each void is recorded in its own
+  // transaction, so this must not be called inside one.
+  // cb(err, voided, failure), failure as for operations.perform
+  function voidAll(orderId, requestKey, cb) {
+    withTransaction(
+      db,
+      (done) =>
+        active(orderId, (err, open) => {
+          if (err) return done(err);
+          operations.claim(
+            orderId,
+            requestKey,
+            "VOID",
+            open.map((tender) => ({ authId: tender.auth_id, amount: tender.amount })),
+            done
+          );
+        }),
+      (claimErr, voids) => {
+        if (claimErr) return cb(claimErr);
+
+        const closeTender = (operation, reply, done) =>
+          db.run(
+            "UPDATE authorizations SET voided_at = CURRENT_TIMESTAMP WHERE auth_id = ?",
+            [operation.auth_id],
+            (err) => done(err, null)
+          );
+
+        operations.perform(orderId, voids, closeTender, (err, failure) => {
+          if (err) return cb(err);
+          const voided = voids
+            .filter((operation) => operation.status === "DONE")
+            .map((operation) => ({
+              authId: operation.auth_id,
+              tenderType: operation.tender_type,
+              amount: operation.amount,
+              gatewayReference: operation.gateway_reference
+            }));
+          cb(null, voided, failure);
+        });
+      }
+    );
+  }
+
+  return { attachSavedCards, authorize, active, voidAll };
+}
+
+module.exports = {
+  createTenders,
+  parseTenders,
+  allocateTenders,
+  generateAuthToken,
+  toCents,
+  TENDER_TYPES,
+  SQL_NOW_ISO,
+  SQL_AUTH_EXPIRES_AT
+};
@@ -0,0 +1,163 @@
+// tests/addresses.test.js
+//
+// The account model: a login (users) with a customer profile and any number
+// of shipping addresses, one of them the default.
+const { startApp, signIn, PASSWORD } = require("./helpers");
+
+let api;
+let sql;
+let customer;
+let other;
+let cashier;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  customer = await signIn(api, sql, "addr_customer");
+  other = await signIn(api, sql, "addr_other");
+  cashier = await signIn(api, sql, "addr_cashier", "cashier");
+});
+
+afterAll(() => sql.close());
+
+const path = (user, addressId) =>
+  `/customers/${user.customerId}/addresses${addressId ? `/${addressId}` : ""}`;
+
+const as = (user) => ({
+  get: (url) => api.get(url).set("Authorization", user.token),
+  post: (url, body) => api.post(url).set("Authorization", user.token).send(body),
+  patch: (url, body) => api.patch(url).set("Authorization", user.token).send(body),
+  delete: (url) => api.delete(url).set("Authorization", user.token)
+});
+
+const defaults = async (user) =>
+  (await as(user).get(path(user))).body.filter((address) => address.isDefault);
+
+test("registering creates a login, a profile and a default address", async () => {
+  const user = await sql.get(
+    "SELECT user_id, customer_id, email, role FROM users WHERE username = 'addr_customer'"
+  );
+  expect(user).toEqual({
+    user_id: customer.userId,
+    customer_id: customer.customerId,
+    email: "addr_customer@example.test",
+    role: "customer"
+  });
+
+  const me = await as(customer).get("/auth/me");
+  expect(me.body.user).toEqual(
+    expect.objectContaining({
+      userId: customer.userId,
+      customerId: customer.customerId,
+      full_name: "addr_customer",
+      address_line1: "1 Main St",
+      zip_code: "30301"
+    })
+  );
+
+  const addresses = await as(customer).get(path(customer));
+  expect(addresses.body).toHaveLength(1);
+  expect(addresses.body[0].isDefault).toBe(true);
+});
+
+test("/auth/update edits the profile and the default address", async () => {
+  const res = await as(customer).post("/auth/update", {
+    full_name: "Addr Customer",
+    address_line1: "2 Side St",
+    city: "Decatur"
+  });
+  expect(res.status).toBe(200);
+
+  const me = await as(customer).get("/auth/me");
+  expect(me.body.user).toEqual(
+    expect.objectContaining({
+      full_name: "Addr Customer",
+      address_line1: "2 Side St",
+      city: "Decatur"
+    })
+  );
+});
+
+describe("addresses", () => {
+  let second;
+  let third;
+
+  test("a new address is not the default unless asked", async () => {
+    const res = await as(customer).post(path(customer), {
+      label: "Work",
+      address_line1: "10 Office Park",
+      city: "Atlanta",
+      zip_code: "30303"
+    });
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual(
+      expect.objectContaining({ label: "Work", address_line1: "10 Office Park", isDefault: false })
+    );
+    second = res.body.addressId;
+
+    const missing = await as(customer).post(path(customer), { address_line1: "No zip" });
+    expect(missing.status).toBe(400);
+  });
+
+  test("a new default replaces the old one", async () => {
+    const res = await as(customer).post(path(customer), {
+      label: "Cabin",
+      address_line1: "1 Lake Rd",
+      zip_code: "30501",
+      isDefault: true
+    });
+    third = res.body.addressId;
+
+    const listed = (await as(customer).get(path(customer))).body;
+    expect(listed.map((address) => address.addressId)[0]).toBe(third);
+    expect(await defaults(customer)).toHaveLength(1);
+    expect((await as(customer).get("/auth/me")).body.user.address_line1).toBe("1 Lake Rd");
+  });
+
+  test("the default can be moved but not cleared", async () => {
+    const cleared = await as(customer).patch(path(customer, third), { isDefault: false });
+    expect(cleared.status).toBe(400);
+
+    const moved = await as(customer).patch(path(customer, second), {
+      isDefault: true,
+      label: "Office"
+    });
+    expect(moved.status).toBe(200);
+    expect(moved.body).toEqual(expect.objectContaining({ label: "Office", isDefault: true }));
+    expect((await defaults(customer)).map((address) => address.addressId)).toEqual([second]);
+
+    const emptied = await as(customer).patch(path(customer, second), { zip_code: "" });
+    expect(emptied.status).toBe(400);
+  });
+
+  test("deleting the default promotes the newest remaining address", async () => {
+    const res = await as(customer).delete(path(customer, second));
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ ok: true, addressId: second, defaultAddressId: third });
+
+    expect((await as(customer).delete(path(customer, second))).status).toBe(404);
+  });
+
+  test("customers manage only their own addresses; staff manage anyone's", async () => {
+    expect((await as(other).get(path(customer))).status).toBe(403);
+    expect((await as(other).patch(path(customer, third), { label: "Mine" })).status).toBe(403);
+    // someone else's address is not found through one's own profile
+    expect((await as(other).patch(path(other, third), { label: "Mine" })).status).toBe(404);
+
+    const asStaff = await as(cashier).get(path(customer));
+    expect(asStaff.status).toBe(200);
+    expect(asStaff.body.length).toBeGreaterThan(0);
+
+    const unknown = await as(cashier).get("/customers/999999/addresses");
+    expect(unknown.status).toBe(404);
+  });
+});
+
+test("signing in by email reaches the same login and profile", async () => {
+  const res = await api
+    .post("/auth/login")
+    .send({ usernameOrEmail: "ADDR_CUSTOMER@example.test", password: PASSWORD });
+  expect(res.status).toBe(200);
+  expect(res.body.user).toEqual(
+    expect.objectContaining({ userId: customer.userId, customerId: customer.customerId })
+  );
+});
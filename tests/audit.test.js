@@ -0,0 +1,168 @@
+// tests/audit.test.js
+//
+// The audit log: GET /audit and its filters, and the hash chain. Entries
+// from before the chain existed are sealed at start-up, new entries link
+// onto it, and GET /audit/verify finds the first one that was changed.
+const { startApp, signIn } = require("./helpers");
+
+const SHIRT = [{ sku: "CLTH-SHIRT", quantity: 1 }];
+const APPROVED = "4242424242424242";
+
+let api;
+let sql;
+let admin;
+let customer;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  // the first requests arrive while the server is still starting up
+  [admin, customer] = await Promise.all([
+    signIn(api, sql, "audit_admin", "admin"),
+    signIn(api, sql, "audit_customer")
+  ]);
+});
+
+afterAll(() => sql.close());
+
+const verify = async () =>
+  (await api.get("/audit/verify").set("Authorization", admin.token)).body;
+
+test("seed entries are sealed before the first request appends to the chain", async () => {
+  const seeded = await sql.get(
+    "SELECT COUNT(*) AS n FROM audit_logs WHERE event_type LIKE 'ORDER_%'"
+  );
+  expect(seeded.n).toBeGreaterThan(0);
+
+  const report = await verify();
+  expect(report.ok).toBe(true);
+  const total = await sql.get("SELECT COUNT(*) AS n FROM audit_logs");
+  expect(report.checked).toBe(total.n);
+});
+
+test("checkout only takes a string orderId", async () => {
+  const res = await api
+    .post("/orders/checkout")
+    .set("Authorization", customer.token)
+    .send({ orderId: 777, items: SHIRT, cardNumber: APPROVED });
+  expect(res.status).toBe(400);
+  expect(res.body.error).toMatch(/orderId/);
+});
+
+test("entries stay verifiable when SQLite converts a value on the way in", async () => {
+  const checkout = await api
+    .post("/orders/checkout")
+    .set("Authorization", customer.token)
+    .send({ orderId: "777", items: SHIRT, cardNumber: APPROVED });
+  expect(checkout.body.status).toBe("AUTHORIZED");
+
+  // a number here is stored in the TEXT order_id column as "777"
+  const settled = await api
+    .post("/payments/settle")
+    .set("Authorization", admin.token)
+    .send({ orderId: 777, amount: 5 });
+  expect(settled.status).toBe(200);
+
+  const entry = await sql.get(
+    "SELECT order_id FROM audit_logs WHERE event_type = 'PAYMENT_SETTLED' ORDER BY audit_id DESC"
+  );
+  expect(entry.order_id).toBe("777");
+  expect((await verify()).ok).toBe(true);
+});
+
+describe("GET /audit", () => {
+  const list = (query) => api.get("/audit").set("Authorization", admin.token).query(query);
+  const types = (res) => res.body.map((entry) => entry.eventType);
+
+  test("filters by order, newest first", async () => {
+    const res = await list({ orderId: "777" });
+    expect(res.status).toBe(200);
+    expect(types(res)).toEqual(["PAYMENT_SETTLED", "AUTHORIZATION_APPROVED", "ORDER_CHECKOUT"]);
+    expect(res.headers["x-total-count"]).toBe("3");
+
+    const [settled, , checkout] = res.body;
+    expect(settled).toEqual(
+      expect.objectContaining({
+        orderId: "777",
+        customerId: customer.customerId,
+        actorId: admin.userId,
+        actorRole: "admin",
+        beforeStatus: "AUTHORIZED",
+        afterStatus: "PARTIALLY_SETTLED",
+        details: expect.objectContaining({ amount: 5 })
+      })
+    );
+    expect(settled.ipAddress).toEqual(expect.any(String));
+    expect(checkout.actorId).toBe(customer.userId);
+  });
+
+  test("filters by one or more event types", async () => {
+    const one = await list({ eventType: "payment_settled" });
+    expect(new Set(types(one))).toEqual(new Set(["PAYMENT_SETTLED"]));
+
+    const both = await list({ eventType: "PAYMENT_SETTLED,ORDER_CHECKOUT", orderId: "777" });
+    expect(both.body).toHaveLength(2);
+  });
+
+  test("filters by actor and customer", async () => {
+    const byAdmin = await list({ actorId: admin.userId, eventType: "PAYMENT_SETTLED" });
+    expect(byAdmin.body.length).toBeGreaterThan(0);
+    expect(byAdmin.body.every((entry) => entry.actorId === admin.userId)).toBe(true);
+
+    const byCustomer = await list({ customerId: customer.customerId });
+    expect(byCustomer.body.every((entry) => entry.customerId === customer.customerId)).toBe(true);
+    expect(types(byCustomer)).toEqual(expect.arrayContaining(["ORDER_CHECKOUT"]));
+  });
+
+  test("filters by date range", async () => {
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const recent = await list({ orderId: "777", from: hourAgo });
+    expect(recent.body).toHaveLength(3);
+
+    const future = await list({ from: "2999-01-01T00:00:00Z" });
+    expect(future.body).toEqual([]);
+    expect(future.headers["x-total-count"]).toBe("0");
+
+    const past = await list({ orderId: "777", to: "2000-01-01T00:00:00Z" });
+    expect(past.body).toEqual([]);
+  });
+
+  test("pages with limit and offset", async () => {
+    const all = await list({ limit: 200 });
+    const second = await list({ limit: 1, offset: 1 });
+    expect(second.body).toHaveLength(1);
+    expect(second.body[0].auditId).toBe(all.body[1].auditId);
+    expect(second.headers["x-total-count"]).toBe(String(all.body.length));
+  });
+
+  test("rejects filters it cannot read", async () => {
+    expect((await list({ actorId: "abc" })).status).toBe(400);
+    expect((await list({ customerId: "1.5" })).status).toBe(400);
+    expect((await list({ from: "not a date" })).body.error).toBe("Invalid from");
+  });
+
+  test("records failed sign-ins", async () => {
+    await api.post("/auth/login").send({ usernameOrEmail: "audit_customer", password: "wrong" });
+
+    let entries = [];
+    for (let attempt = 0; attempt < 20 && !entries.length; attempt++) {
+      entries = (await list({ eventType: "LOGIN_FAILED", customerId: customer.customerId })).body;
+      if (!entries.length) await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+    expect(entries).toHaveLength(1);
+  });
+});
+
+test("an edited entry breaks the chain from that entry on", async () => {
+  const entry = await sql.get(
+    "SELECT audit_id FROM audit_logs WHERE event_type = 'ORDER_CHECKOUT' ORDER BY audit_id DESC"
+  );
+  await sql.run("UPDATE audit_logs SET after_status = 'DECLINED' WHERE audit_id = ?", [
+    entry.audit_id
+  ]);
+
+  const report = await verify();
+  expect(report.ok).toBe(false);
+  expect(report.firstBrokenLink).toEqual(
+    expect.objectContaining({ auditId: entry.audit_id, reason: "Entry contents were changed" })
+  );
+});
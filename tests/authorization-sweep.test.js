@@ -0,0 +1,83 @@
+// tests/authorization-sweep.test.js
+//
+// The background sweep of lapsed authorizations, run every 50ms here.
+const { startApp, signIn } = require("./helpers");
+
+const APPROVED = "4242424242424242";
+const LAPSED = "2000-01-01T00:00:00.000Z";
+
+let api;
+let sql;
+let customer;
+let manager;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp({ AUTH_SWEEP_INTERVAL_MS: "50" }));
+  customer = await signIn(api, sql, "auth_customer");
+  manager = await signIn(api, sql, "auth_manager", "manager");
+});
+
+afterAll(() => sql.close());
+
+const asManager = (path, body) => api.post(path).set("Authorization", manager.token).send(body);
+
+const checkout = async (orderId, quantity = 1) => {
+  const res = await api
+    .post("/orders/checkout")
+    .set("Authorization", customer.token)
+    .send({ orderId, items: [{ sku: "FURN-SOFA", quantity }], cardNumber: APPROVED });
+  expect(res.body.status).toBe("AUTHORIZED");
+  return res.body;
+};
+
+const lapse = (orderId) =>
+  sql.run("UPDATE authorizations SET auth_expires_at = ? WHERE order_id = ?", [LAPSED, orderId]);
+
+const orderStatus = async (orderId) =>
+  (await sql.get("SELECT status FROM orders WHERE order_id = ?", [orderId])).status;
+
+const reservations = async (orderId) =>
+  (
+    await sql.all("SELECT status FROM stock_reservations WHERE order_id = ?", [orderId])
+  ).map((row) => row.status);
+
+// The sweep runs every 50ms; give it a few rounds
+async function statusAfterSweep(orderId, from) {
+  for (let attempt = 0; attempt < 40; attempt++) {
+    const status = await orderStatus(orderId);
+    if (status !== from) return status;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  return orderStatus(orderId);
+}
+
+test("the sweep expires lapsed authorizations and releases their stock", async () => {
+  await checkout("AUTH-SWEPT", 1);
+  expect(await reservations("AUTH-SWEPT")).toEqual(["HELD"]);
+  await lapse("AUTH-SWEPT");
+
+  expect(await statusAfterSweep("AUTH-SWEPT", "AUTHORIZED")).toBe("EXPIRED");
+  expect(await reservations("AUTH-SWEPT")).toEqual(["RELEASED"]);
+
+  const entry = await sql.get(
+    `SELECT before_status, after_status FROM audit_logs
+     WHERE event_type = 'AUTHORIZATION_EXPIRED' AND order_id = 'AUTH-SWEPT'`
+  );
+  expect(entry).toEqual({ before_status: "AUTHORIZED", after_status: "EXPIRED" });
+});
+
+test("the sweep leaves a partly captured order SETTLED with what was captured", async () => {
+  await checkout("AUTH-PART");
+  const settled = await asManager("/payments/settle", { orderId: "AUTH-PART", amount: 100 });
+  expect(settled.body.paymentStatus).toBe("PARTIALLY_SETTLED");
+  await lapse("AUTH-PART");
+
+  expect(await statusAfterSweep("AUTH-PART", "PARTIALLY_SETTLED")).toBe("SETTLED");
+  expect(await reservations("AUTH-PART")).toEqual(["COMMITTED"]);
+});
+
+test("an authorization still in date is left alone", async () => {
+  await checkout("AUTH-FRESH");
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  expect(await orderStatus("AUTH-FRESH")).toBe("AUTHORIZED");
+});
@@ -0,0 +1,86 @@
+// tests/authorizations.test.js
+//
+// A card authorization after checkout: voided by staff, and refused for
+// settlement once it has lapsed. The sweep is in authorization-sweep.test.js.
+const { startApp, signIn } = require("./helpers");
+
+const APPROVED = "4242424242424242";
+const LAPSED = "2000-01-01T00:00:00.000Z";
+
+let api;
+let sql;
+let customer;
+let manager;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  customer = await signIn(api, sql, "auth_customer");
+  manager = await signIn(api, sql, "auth_manager", "manager");
+});
+
+afterAll(() => sql.close());
+
+const asManager = (path, body) => api.post(path).set("Authorization", manager.token).send(body);
+
+const checkout = async (orderId, quantity = 1) => {
+  const res = await api
+    .post("/orders/checkout")
+    .set("Authorization", customer.token)
+    .send({ orderId, items: [{ sku: "FURN-SOFA", quantity }], cardNumber: APPROVED });
+  expect(res.body.status).toBe("AUTHORIZED");
+  return res.body;
+};
+
+const lapse = (orderId) =>
+  sql.run("UPDATE authorizations SET auth_expires_at = ? WHERE order_id = ?", [LAPSED, orderId]);
+
+const orderStatus = async (orderId) =>
+  (await sql.get("SELECT status FROM orders WHERE order_id = ?", [orderId])).status;
+
+const reservations = async (orderId) =>
+  (
+    await sql.all("SELECT status FROM stock_reservations WHERE order_id = ?", [orderId])
+  ).map((row) => row.status);
+
+test("voiding an authorization closes it and releases its stock", async () => {
+  await checkout("AUTH-VOID", 2);
+
+  const res = await asManager("/payments/void", { orderId: "AUTH-VOID" });
+  expect(res.status).toBe(200);
+  expect(res.body.paymentStatus).toBe("VOIDED");
+
+  const auth = await sql.get(
+    "SELECT voided_at FROM authorizations WHERE order_id = 'AUTH-VOID' AND outcome = 'SUCCESS'"
+  );
+  expect(auth.voided_at).not.toBeNull();
+  expect(await reservations("AUTH-VOID")).toEqual(["RELEASED"]);
+
+  const again = await asManager("/payments/void", { orderId: "AUTH-VOID" });
+  expect(again.status).toBe(400);
+  expect(again.body.error).toBe("Only authorized, unsettled orders can be voided");
+});
+
+test("a settled order cannot be voided", async () => {
+  await checkout("AUTH-SETTLED");
+  expect((await asManager("/payments/settle", { orderId: "AUTH-SETTLED", amount: 1 })).status).toBe(
+    200
+  );
+
+  const res = await asManager("/payments/void", { orderId: "AUTH-SETTLED" });
+  expect(res.status).toBe(400);
+});
+
+test("a lapsed authorization cannot be settled", async () => {
+  await checkout("AUTH-LAPSED");
+  await lapse("AUTH-LAPSED");
+
+  const res = await asManager("/payments/settle", { orderId: "AUTH-LAPSED", amount: 1 });
+  expect(res.status).toBe(400);
+  expect(res.body.error).toBe("Authorization expired, cannot settle");
+
+  const settlements = await sql.get(
+    "SELECT COUNT(*) AS n FROM settlements WHERE order_id = 'AUTH-LAPSED'"
+  );
+  expect(settlements.n).toBe(0);
+  expect(await orderStatus("AUTH-LAPSED")).toBe("EXPIRED");
+});
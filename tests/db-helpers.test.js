@@ -0,0 +1,72 @@
+// tests/db-helpers.test.js
+//
+// The per-connection queue: writes sent while another request's
+// transaction is open wait for it rather than joining it.
+const sqlite3 = require("sqlite3");
+const { withTransaction, runQueued } = require("../db-helpers");
+
+let db;
+
+beforeEach((ready) => {
+  db = new sqlite3.Database(":memory:");
+  db.run("CREATE TABLE notes (note TEXT NOT NULL)", () => ready());
+});
+
+afterEach((closed) => {
+  db.close(() => closed());
+});
+
+const notes = () =>
+  new Promise((resolve, reject) =>
+    db.all("SELECT note FROM notes ORDER BY rowid", (err, rows) =>
+      err ? reject(err) : resolve(rows.map((row) => row.note))
+    )
+  );
+
+test("a queued write is not rolled back with a transaction open when it was sent", async () => {
+  let written;
+  const rolledBack = new Promise((resolve) => {
+    withTransaction(
+      db,
+      (done) =>
+        db.run("INSERT INTO notes VALUES ('in the transaction')", () => {
+          // another request's write, sent while the transaction is open
+          written = new Promise((resolveWrite, reject) =>
+            runQueued(db, "INSERT INTO notes VALUES ('on its own')", [], function (err) {
+              if (err) return reject(err);
+              resolveWrite(this.changes);
+            })
+          );
+          setTimeout(() => done(new Error("roll back")), 20);
+        }),
+      resolve
+    );
+  });
+
+  expect((await rolledBack).message).toBe("roll back");
+  expect(await written).toBe(1);
+  expect(await notes()).toEqual(["on its own"]);
+});
+
+test("transactions and queued writes run in the order they were sent", async () => {
+  const order = [];
+  await new Promise((resolve) => {
+    withTransaction(
+      db,
+      (done) => setTimeout(() => db.run("INSERT INTO notes VALUES ('first')", done), 10),
+      () => order.push("first")
+    );
+    runQueued(db, "INSERT INTO notes VALUES ('second')", [], () => order.push("second"));
+    withTransaction(
+      db,
+      (done) => db.run("INSERT INTO notes VALUES ('third')", done),
+      () => {
+        order.push("third");
+        resolve();
+      }
+    );
+  });
+
+  expect(order).toEqual(["first", "second", "third"]);
+  expect(await notes()).toEqual(["first", "second", "third"]);
+});
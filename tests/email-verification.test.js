@@ -0,0 +1,137 @@
+// tests/email-verification.test.js
+//
+// Email verification tokens: stored hashed, expiring, replaced by a resend
+// (which has its own rate limit), and verified by redirect or as JSON.
+const crypto = require("crypto");
+const { startApp, nextEmail, PASSWORD } = require("./helpers");
+
+const REDIRECT = "https://shop.example.test/verified";
+
+let api;
+let sql;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp({
+    VERIFY_REDIRECT_URL: REDIRECT,
+    RESEND_VERIFICATION_MAX: "4"
+  }));
+});
+
+afterAll(() => sql.close());
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const tokenFrom = (email) =>
+  new URL(email.text_body.match(/https?:\/\/\S+/)[0]).searchParams.get("token");
+
+async function register(username) {
+  const res = await api.post("/auth/register").send({
+    email: `${username}@example.test`,
+    username,
+    password: PASSWORD,
+    full_name: username,
+    address_line1: "1 Main St",
+    city: "Atlanta",
+    state: "GA",
+    zip_code: "30301"
+  });
+  expect(res.status).toBe(201);
+  return nextEmail(sql, `${username}@example.test`, "verification");
+}
+
+const resend = (username) =>
+  api.post("/auth/resend-verification").send({ email: `${username}@example.test` });
+
+const verify = (token, query = { format: "json" }) =>
+  api.get("/auth/verify-email").query({ token, ...query });
+
+const login = (username) =>
+  api.post("/auth/login").send({ usernameOrEmail: username, password: PASSWORD });
+
+test("the token is stored hashed and expires a day after it was sent", async () => {
+  const token = tokenFrom(await register("verify_hashed"));
+
+  const row = await sql.get(
+    `SELECT verification_token,
+            (julianday(verification_token_expires_at) - julianday('now')) * 24 AS hours_left
+     FROM users WHERE username = 'verify_hashed'`
+  );
+  expect(row.verification_token).toBe(sha256(token));
+  expect(row.hours_left).toBeGreaterThan(23.9);
+  expect(row.hours_left).toBeLessThanOrEqual(24);
+});
+
+test("an unverified account cannot sign in until the link is followed", async () => {
+  const token = tokenFrom(await register("verify_json"));
+
+  const before = await login("verify_json");
+  expect(before.status).toBe(403);
+  expect(before.body.needsVerification).toBe(true);
+
+  const res = await verify(token);
+  expect(res.status).toBe(200);
+  expect(res.body).toEqual(expect.objectContaining({ ok: true }));
+  expect((await login("verify_json")).status).toBe(200);
+
+  const again = await verify(token);
+  expect(again.status).toBe(400);
+});
+
+test("a browser is redirected to the configured page", async () => {
+  const token = tokenFrom(await register("verify_redirect"));
+
+  const res = await verify(token, {}).set("Accept", "text/html");
+  expect(res.status).toBe(302);
+  expect(res.headers.location).toBe(REDIRECT);
+});
+
+test("an expired token is refused", async () => {
+  const token = tokenFrom(await register("verify_expired"));
+  await sql.run(
+    `UPDATE users SET verification_token_expires_at = datetime('now', '-1 minute')
+     WHERE username = 'verify_expired'`
+  );
+
+  const res = await verify(token);
+  expect(res.status).toBe(400);
+  expect(res.body.error).toBe("Invalid or expired verification token.");
+});
+
+describe("resending", () => {
+  test("a new link replaces the old one", async () => {
+    const first = await register("verify_resend");
+    expect((await resend("verify_resend")).status).toBe(200);
+    const second = await nextEmail(
+      sql,
+      "verify_resend@example.test",
+      "verification",
+      first.email_id
+    );
+
+    expect((await verify(tokenFrom(first))).status).toBe(400);
+    expect((await verify(tokenFrom(second))).status).toBe(200);
+  });
+
+  test("verified and unknown accounts get the same answer and no email", async () => {
+    const before = await sql.get("SELECT COUNT(*) AS n FROM email_outbox");
+
+    const verified = await resend("verify_resend");
+    const unknown = await resend("verify_nobody");
+    expect(verified.body).toEqual(unknown.body);
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(await sql.get("SELECT COUNT(*) AS n FROM email_outbox")).toEqual(before);
+  });
+
+  test("is rate limited on its own", async () => {
+    // three resends so far against a limit of four
+    expect((await resend("verify_nobody")).status).toBe(200);
+
+    const limited = await resend("verify_nobody");
+    expect(limited.status).toBe(429);
+    expect(limited.body.error).toMatch(/Too many verification emails/);
+
+    const token = tokenFrom(await register("verify_after_limit"));
+    expect((await verify(token)).status).toBe(200);
+  });
+});
@@ -0,0 +1,112 @@
+// tests/helpers.js
+//
+// Shared set-up for the API tests. Each test file gets its own migrated
+// database in a temp directory and its own copy of the app (jest loads
+// modules afresh per file), so files never see each other's data.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const request = require("supertest");
+const { createMigrator } = require("../migrator");
+
+const PASSWORD = "password123";
+
+function tempDbFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "capstone-test-"));
+  return path.join(dir, "test.db");
+}
+
+// Promise wrappers around one sqlite3 connection
+function openDb(file) {
+  const db = new sqlite3.Database(file);
+  db.configure("busyTimeout", 5000);
+
+  const call = (method) => (sql, params = []) =>
+    new Promise((resolve, reject) =>
+      db[method](sql, params, function (err, result) {
+        if (err) return reject(err);
+        resolve(method === "run" ? { lastID: this.lastID, changes: this.changes } : result);
+      })
+    );
+
+  return {
+    db,
+    all: call("all"),
+    get: call("get"),
+    run: call("run"),
+    close: () => new Promise((resolve) => db.close(() => resolve()))
+  };
+}
+
+// Apply every migration to the database at `file`. cb-style migrator,
+// promise here.
+function migrate(file, options = {}) {
+  const conn = openDb(file);
+  return new Promise((resolve, reject) =>
+    createMigrator(conn.db).migrate(options, (err, applied) =>
+      conn.close().then(() => (err ? reject(err) : resolve(applied)))
+    )
+  );
+}
+
+// A migrated database and the app serving it. `env` is applied before the
+// server is loaded, for settings read at start-up. Call it once per test
+// file: later calls would get the app already loaded.
+async function startApp(env = {}) {
+  const dbFile = tempDbFile();
+  await migrate(dbFile);
+
+  process.env.DB_FILE = dbFile;
+  Object.assign(process.env, env);
+  const app = require("../server");
+
+  return { api: request(app), sql: openDb(dbFile), dbFile };
+}
+
+// Register and sign in an account, verified, with `role` if given.
+// Resolves to { token, userId, customerId }.
+async function signIn(api, sql, username, role) {
+  await api.post("/auth/register").send({
+    email: `${username}@example.test`,
+    username,
+    password: PASSWORD,
+    full_name: username,
+    address_line1: "1 Main St",
+    city: "Atlanta",
+    state: "GA",
+    zip_code: "30301"
+  });
+  await sql.run("UPDATE users SET email_verified = 1, role = IFNULL(?, role) WHERE username = ?", [
+    role || null,
+    username
+  ]);
+
+  const res = await api.post("/auth/login").send({ usernameOrEmail: username, password: PASSWORD });
+  if (res.status !== 200) {
+    throw new Error(`Sign-in for ${username} failed: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+  return {
+    token: `Bearer ${res.body.accessToken}`,
+    userId: res.body.user.userId,
+    customerId: res.body.user.customerId
+  };
+}
+
+// The first outbox message to `to` from `template` newer than `afterId`.
+// Some mail is sent after the response, so wait a little for it.
+async function nextEmail(sql, to, template, afterId = 0) {
+  for (let attempt = 0; attempt < 40; attempt++) {
+    const email = await sql.get(
+      `SELECT * FROM email_outbox
+       WHERE to_address = ? AND template = ? AND email_id > ?
+       ORDER BY email_id LIMIT 1`,
+      [to, template, afterId]
+    );
+    if (email) return email;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  throw new Error(`No ${template} email to ${to}`);
+}
+
+module.exports = { PASSWORD, tempDbFile, openDb, migrate, startApp, signIn, nextEmail };
@@ -0,0 +1,101 @@
+// tests/idempotency.test.js
+//
+// Idempotency-Key on checkout and settle: retries are replayed, a key reused
+// with another body is refused.
+const { startApp, signIn } = require("./helpers");
+
+const ITEMS = [{ sku: "CLTH-SHIRT", quantity: 1 }];
+
+let api;
+let sql;
+let customer;
+let manager;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  customer = await signIn(api, sql, "idem_customer");
+  manager = await signIn(api, sql, "idem_manager", "manager");
+});
+
+afterAll(() => sql.close());
+
+const checkout = (key, body) =>
+  api
+    .post("/orders/checkout")
+    .set("Authorization", customer.token)
+    .set("Idempotency-Key", key)
+    .send(body);
+
+test("a retried checkout gets the first response back without charging again", async () => {
+  const body = { orderId: "IDEM-1", items: ITEMS, cardNumber: "4242424242424242" };
+
+  const first = await checkout("checkout-1", body);
+  expect(first.status).toBe(200);
+  expect(first.body.status).toBe("AUTHORIZED");
+  expect(first.headers["idempotent-replayed"]).toBeUndefined();
+
+  const retry = await checkout("checkout-1", { ...body });
+  expect(retry.status).toBe(200);
+  expect(retry.headers["idempotent-replayed"]).toBe("true");
+  expect(retry.body).toEqual(first.body);
+
+  const auths = await sql.get(
+    "SELECT COUNT(*) AS n FROM authorizations WHERE order_id = 'IDEM-1'"
+  );
+  expect(auths.n).toBe(1);
+});
+
+test("reusing a key with a different body is refused with 422", async () => {
+  const body = { orderId: "IDEM-2", items: ITEMS, cardNumber: "4242424242424242" };
+  expect((await checkout("checkout-2", body)).status).toBe(200);
+
+  const changed = await checkout("checkout-2", {
+    ...body,
+    items: [{ sku: "CLTH-SHIRT", quantity: 2 }]
+  });
+  expect(changed.status).toBe(422);
+  expect(changed.body.error).toMatch(/different request/);
+
+  const order = await sql.get("SELECT total_amount FROM orders WHERE order_id = 'IDEM-2'");
+  expect(order.total_amount).toBeCloseTo(26.74, 2);
+});
+
+test("a retried settle captures once", async () => {
+  await checkout("checkout-3", {
+    orderId: "IDEM-3",
+    items: ITEMS,
+    cardNumber: "4242424242424242"
+  });
+
+  const settle = () =>
+    api
+      .post("/payments/settle")
+      .set("Authorization", manager.token)
+      .set("Idempotency-Key", "settle-3")
+      .send({ orderId: "IDEM-3", amount: 5 });
+
+  const first = await settle();
+  expect(first.status).toBe(200);
+  const retry = await settle();
+  expect(retry.status).toBe(200);
+  expect(retry.headers["idempotent-replayed"]).toBe("true");
+  expect(retry.body.settlementId).toBe(first.body.settlementId);
+
+  const settled = await sql.get(
+    "SELECT COUNT(*) AS n, SUM(amount) AS total FROM settlements WHERE order_id = 'IDEM-3'"
+  );
+  expect(settled).toEqual({ n: 1, total: 5 });
+});
+
+test("the same key from another customer is a separate request", async () => {
+  const other = await signIn(api, sql, "idem_other");
+  const res = await api
+    .post("/orders/checkout")
+    .set("Authorization", other.token)
+    .set("Idempotency-Key", "checkout-1")
+    .send({ orderId: "IDEM-4", items: ITEMS, cardNumber: "4242424242424242" });
+
+  expect(res.status).toBe(200);
+  expect(res.headers["idempotent-replayed"]).toBeUndefined();
+  expect(res.body.orderId).toBe("IDEM-4");
+});
@@ -0,0 +1,228 @@
+// tests/inventory.test.js
+//
+// Warehouse stock per product per bin: the GET /inventory listing, bins,
+// and the movements that are the only way stock changes.
+const { startApp, signIn } = require("./helpers");
+
+let api;
+let sql;
+let manager;
+let cashier;
+let customer;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  manager = await signIn(api, sql, "stock_manager", "manager");
+  cashier = await signIn(api, sql, "stock_cashier", "cashier");
+  customer = await signIn(api, sql, "stock_customer");
+});
+
+afterAll(() => sql.close());
+
+const inventory = (query, user = cashier) =>
+  api.get("/inventory").set("Authorization", user.token).query(query);
+
+const move = (body) =>
+  api.post("/inventory/movements").set("Authorization", manager.token).send(body);
+
+// "BIN:quantity" for each bin holding the product
+const stockOf = async (sku) =>
+  (
+    await sql.all(
+      `SELECT b.code, s.quantity FROM inventory_stock s
+       JOIN products p ON p.product_id = s.product_id
+       JOIN warehouse_bins b ON b.bin_id = s.bin_id
+       WHERE p.sku = ? AND s.quantity > 0
+       ORDER BY b.code`,
+      [sku]
+    )
+  )
+    .map((row) => `${row.code}:${row.quantity}`)
+    .join(",");
+
+describe("GET /inventory", () => {
+  test("searches by name, SKU or bin", async () => {
+    const byName = await inventory({ q: "lap" });
+    expect(byName.status).toBe(200);
+    expect(byName.body).toEqual([
+      expect.objectContaining({ sku: "ELEC-LAPTOP", location: "A1", quantity: 25 })
+    ]);
+
+    const byBin = await inventory({ location: "a2" });
+    expect(byBin.body.map((row) => row.sku).sort()).toEqual(["ELEC-MONITOR", "SONY-PS5-STD"]);
+  });
+
+  test("filters by category and reports the total", async () => {
+    const res = await inventory({ category: "electronics", limit: 2 });
+    expect(res.body).toHaveLength(2);
+    expect(res.headers["x-total-count"]).toBe("3");
+    expect(res.body.every((row) => row.category === "Electronics")).toBe(true);
+  });
+
+  test("sorts on the server", async () => {
+    const byQuantity = await inventory({ sort: "quantity", order: "desc" });
+    expect(byQuantity.body.map((row) => row.quantity)).toEqual([50, 40, 25, 15, 12, 10]);
+
+    const byLocation = await inventory({ sort: "location" });
+    expect(byLocation.body.map((row) => row.location)).toEqual(
+      [...byLocation.body.map((row) => row.location)].sort()
+    );
+
+    // an unknown sort falls back to the item name
+    const fallback = await inventory({ sort: "price" });
+    expect(fallback.body[0].name).toBe("Laptop");
+  });
+
+  test("is for staff only", async () => {
+    expect((await inventory({}, customer)).status).toBe(403);
+    expect((await api.get("/inventory")).status).toBe(401);
+  });
+});
+
+describe("movements", () => {
+  test("receiving into a new bin creates it", async () => {
+    const res = await move({ type: "receive", sku: "elec-laptop", quantity: 5, location: "d4" });
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual(
+      expect.objectContaining({
+        type: "RECEIVE",
+        sku: "ELEC-LAPTOP",
+        quantity: 5,
+        fromLocation: null,
+        toLocation: "D4",
+        actorId: manager.userId
+      })
+    );
+    expect(await stockOf("ELEC-LAPTOP")).toBe("A1:25,D4:5");
+
+    const bins = await api.get("/inventory/bins").set("Authorization", cashier.token);
+    expect(bins.body.find((bin) => bin.location === "D4")).toEqual(
+      expect.objectContaining({ products: 1, units: 5 })
+    );
+  });
+
+  test("a transfer moves units between bins, never more than are there", async () => {
+    const res = await move({
+      type: "transfer",
+      sku: "ELEC-LAPTOP",
+      quantity: 10,
+      fromLocation: "A1",
+      toLocation: "D4"
+    });
+    expect(res.status).toBe(201);
+    expect(await stockOf("ELEC-LAPTOP")).toBe("A1:15,D4:15");
+
+    const tooMany = await move({
+      type: "transfer",
+      sku: "ELEC-LAPTOP",
+      quantity: 16,
+      fromLocation: "A1",
+      toLocation: "D4"
+    });
+    expect(tooMany.status).toBe(409);
+    expect(await stockOf("ELEC-LAPTOP")).toBe("A1:15,D4:15");
+  });
+
+  test("adjustments need a reason and may take stock away", async () => {
+    const noReason = await move({
+      type: "adjust",
+      sku: "ELEC-LAPTOP",
+      quantity: -1,
+      location: "A1"
+    });
+    expect(noReason.status).toBe(400);
+
+    const res = await move({
+      type: "adjust",
+      sku: "ELEC-LAPTOP",
+      quantity: -2,
+      location: "A1",
+      reason: "Damaged in storage"
+    });
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual(
+      expect.objectContaining({
+        type: "ADJUST",
+        quantity: 2,
+        fromLocation: "A1",
+        toLocation: null
+      })
+    );
+    expect(await stockOf("ELEC-LAPTOP")).toBe("A1:13,D4:15");
+  });
+
+  test("a manual sale cannot take units reserved for open orders", async () => {
+    const checkout = await api
+      .post("/orders/checkout")
+      .set("Authorization", customer.token)
+      .send({
+        orderId: "STOCK-1",
+        items: [{ sku: "FURN-SOFA", quantity: 9 }],
+        cardNumber: "4242424242424242"
+      });
+    expect(checkout.body.status).toBe("AUTHORIZED");
+
+    const res = await move({ type: "sale", sku: "FURN-SOFA", quantity: 2, location: "B2" });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe("Only 1 unit(s) are not reserved for open orders.");
+
+    const lastOne = await move({ type: "sale", sku: "FURN-SOFA", quantity: 1, location: "B2" });
+    expect(lastOne.status).toBe(201);
+    expect(await stockOf("FURN-SOFA")).toBe("B2:9");
+  });
+
+  test("bad requests are refused before anything moves", async () => {
+    const laptop = { sku: "ELEC-LAPTOP", quantity: 1 };
+    const cases = [
+      [{ ...laptop, type: "borrow", location: "A1" }, 400],
+      [{ type: "receive", quantity: 1, location: "A1" }, 400],
+      [{ ...laptop, type: "receive", quantity: 1.5, location: "A1" }, 400],
+      [{ ...laptop, type: "sale", quantity: -1, location: "A1" }, 400],
+      [{ ...laptop, type: "transfer", fromLocation: "A1", toLocation: "a1" }, 400],
+      [{ ...laptop, type: "receive", location: "bad bin!" }, 400],
+      [{ ...laptop, type: "receive", sku: "NO-SUCH-SKU", location: "A1" }, 404],
+      [{ ...laptop, type: "sale", location: "Z9" }, 404]
+    ];
+    const before = await sql.get("SELECT COUNT(*) AS n FROM stock_movements");
+
+    for (const [body, status] of cases) {
+      expect([body, (await move(body)).status]).toEqual([body, status]);
+    }
+    expect(await sql.get("SELECT COUNT(*) AS n FROM stock_movements")).toEqual(before);
+  });
+
+  test("only managers and admins move stock by hand", async () => {
+    const res = await api
+      .post("/inventory/movements")
+      .set("Authorization", cashier.token)
+      .send({ type: "receive", sku: "ELEC-LAPTOP", quantity: 1, location: "A1" });
+    expect(res.status).toBe(403);
+  });
+
+  test("the movement log is filtered and explains what is on hand", async () => {
+    const res = await api
+      .get("/inventory/movements")
+      .set("Authorization", cashier.token)
+      .query({ sku: "ELEC-LAPTOP", limit: 200 });
+    expect(res.body.map((movement) => movement.type)).toEqual([
+      "ADJUST",
+      "TRANSFER",
+      "RECEIVE",
+      "RECEIVE"
+    ]);
+
+    const net = res.body.reduce(
+      (sum, movement) =>
+        sum + (movement.toLocation ? movement.quantity : 0) -
+        (movement.fromLocation ? movement.quantity : 0),
+      0
+    );
+    expect(net).toBe(28);
+
+    const byBin = await api
+      .get("/inventory/movements")
+      .set("Authorization", cashier.token)
+      .query({ location: "D4" });
+    expect(byBin.body.map((movement) => movement.type)).toEqual(["TRANSFER", "RECEIVE"]);
+  });
+});
@@ -0,0 +1,69 @@
+// tests/login-throttle.test.js
+//
+// Failed sign-ins lock an account out after LOGIN_MAX_FAILURES; a correct
+// password resets the count and an admin can lift a lockout early. The
+// back-off delay is switched off so the tests do not wait on it.
+const { startApp, signIn, PASSWORD } = require("./helpers");
+
+let api;
+let sql;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp({ LOGIN_DELAY_BASE_MS: "0", LOGIN_MAX_FAILURES: "3" }));
+});
+
+afterAll(() => sql.close());
+
+const login = (usernameOrEmail, password) =>
+  api.post("/auth/login").send({ usernameOrEmail, password });
+
+test("a correct password clears earlier failures", async () => {
+  await signIn(api, sql, "throttle_reset");
+
+  expect((await login("throttle_reset", "wrong-1")).status).toBe(401);
+  expect((await login("throttle_reset", "wrong-2")).status).toBe(401);
+  expect((await login("throttle_reset", PASSWORD)).status).toBe(200);
+
+  // two more failures are not enough to lock the account
+  expect((await login("throttle_reset", "wrong-3")).status).toBe(401);
+  expect((await login("throttle_reset", "wrong-4")).status).toBe(401);
+  expect((await login("throttle_reset", PASSWORD)).status).toBe(200);
+});
+
+test("too many failures lock the account, even for the right password", async () => {
+  const { userId } = await signIn(api, sql, "throttle_lock");
+
+  for (let i = 0; i < 3; i++) {
+    expect((await login("throttle_lock", `wrong-${i}`)).status).toBe(401);
+  }
+
+  const locked = await login("throttle_lock", PASSWORD);
+  expect(locked.status).toBe(429);
+  expect(Number(locked.headers["retry-after"])).toBeGreaterThan(0);
+  expect(locked.body.retryAfterSeconds).toBeGreaterThan(0);
+
+  const admin = await signIn(api, sql, "throttle_admin", "admin");
+  const events = await api
+    .get("/audit?eventType=LOGIN_LOCKED")
+    .set("Authorization", admin.token);
+  expect(events.status).toBe(200);
+  expect(events.body.filter((e) => e.details.identifier === "throttle_lock")).toHaveLength(1);
+
+  // an admin can lift the lockout
+  const unlock = await api
+    .post(`/auth/accounts/${userId}/unlock`)
+    .set("Authorization", admin.token);
+  expect(unlock.status).toBe(200);
+  expect(unlock.body.cleared).toBe(true);
+
+  expect((await login("throttle_lock", PASSWORD)).status).toBe(200);
+});
+
+test("unknown accounts are answered like wrong passwords and locked the same way", async () => {
+  for (let i = 0; i < 3; i++) {
+    const res = await login("nobody_here", "whatever");
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe("Invalid credentials.");
+  }
+  expect((await login("nobody_here", "whatever")).status).toBe(429);
+});
@@ -0,0 +1,183 @@
+// tests/mailer.test.js
+//
+// Mail transports: which one the environment selects, SMTP against a local
+// stub server, and the outbox the app writes to under test.
+const net = require("net");
+const { startApp, signIn, nextEmail } = require("./helpers");
+const { createMailTransport, createSmtpTransport } = require("../mailer");
+
+describe("transport selection", () => {
+  test("the outbox is used unless SendGrid is configured", () => {
+    expect(createMailTransport(null, {}).name).toBe("outbox");
+    expect(createMailTransport(null, { SENDGRID_API_KEY: "SG.test" }).name).toBe("sendgrid");
+    expect(createMailTransport(null, { MAIL_TRANSPORT: "SMTP", SMTP_HOST: "localhost" }).name).toBe(
+      "smtp"
+    );
+  });
+
+  test("a transport without its settings, or an unknown one, is a configuration error", () => {
+    expect(() => createMailTransport(null, { MAIL_TRANSPORT: "sendgrid" })).toThrow(
+      /SENDGRID_API_KEY/
+    );
+    expect(() => createMailTransport(null, { MAIL_TRANSPORT: "smtp" })).toThrow(/SMTP_HOST/);
+    expect(() => createMailTransport(null, { MAIL_TRANSPORT: "pigeon" })).toThrow(
+      /Unknown MAIL_TRANSPORT/
+    );
+  });
+});
+
+describe("SMTP", () => {
+  let server;
+  let port;
+  const received = [];
+
+  // Just enough SMTP to accept one message per connection
+  beforeAll((ready) => {
+    server = net.createServer((socket) => {
+      const message = { commands: [], data: "" };
+      let buffer = "";
+      let inData = false;
+
+      socket.write("220 stub ESMTP\r\n");
+      socket.on("data", (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf("\r\n")) >= 0) {
+          const line = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+
+          if (inData) {
+            if (line === ".") {
+              inData = false;
+              received.push(message);
+              socket.write("250 queued\r\n");
+            } else {
+              message.data += `${line}\n`;
+            }
+            continue;
+          }
+
+          message.commands.push(line);
+          const verb = line.split(" ")[0].toUpperCase();
+          if (verb === "DATA") {
+            inData = true;
+            socket.write("354 go ahead\r\n");
+          } else if (verb === "QUIT") {
+            socket.end("221 bye\r\n");
+          } else {
+            socket.write("250 ok\r\n");
+          }
+        }
+      });
+    });
+    server.listen(0, "127.0.0.1", () => {
+      port = server.address().port;
+      ready();
+    });
+  });
+
+  afterAll((closed) => {
+    server.close(() => closed());
+  });
+
+  test("sends the message with both parts from the configured address", async () => {
+    const smtp = createSmtpTransport({
+      host: "127.0.0.1",
+      port,
+      secure: false,
+      fromEmail: "shop@example.test"
+    });
+
+    await smtp.send({
+      to: "buyer@example.test",
+      subject: "Hello",
+      text: "Plain hello",
+      html: "<p>HTML hello</p>"
+    });
+
+    expect(received).toHaveLength(1);
+    const [message] = received;
+    expect(message.commands).toEqual(
+      expect.arrayContaining(["MAIL FROM:<shop@example.test>", "RCPT TO:<buyer@example.test>"])
+    );
+    expect(message.data).toMatch(/^Subject: Hello$/m);
+    expect(message.data).toMatch(/^From: Storefront Solutions <shop@example.test>$/m);
+    expect(message.data).toMatch(/Plain hello/);
+    expect(message.data).toMatch(/<p>HTML hello<\/p>/);
+  });
+});
+
+describe("outbox", () => {
+  let api;
+  let sql;
+
+  beforeAll(async () => {
+    ({ api, sql } = await startApp());
+  });
+
+  afterAll(() => sql.close());
+
+  test("registering writes a verification email with text and HTML parts", async () => {
+    const res = await api.post("/auth/register").send({
+      email: "mail_new@example.test",
+      username: "mail_new",
+      password: "password123",
+      full_name: "Mail <New>",
+      address_line1: "1 Main St",
+      city: "Atlanta",
+      state: "GA",
+      zip_code: "30301"
+    });
+    expect(res.status).toBe(201);
+
+    const email = await nextEmail(sql, "mail_new@example.test", "verification");
+    expect(email).toEqual(
+      expect.objectContaining({
+        from_address: "no-reply@storefrontsolutions.shop",
+        subject: "Verify your email address"
+      })
+    );
+    expect(email.text_body).toMatch(/\/auth\/verify-email\?token=\S+/);
+    expect(email.html_body).toMatch(/<a href="[^"]*\/auth\/verify-email\?token=/);
+  });
+
+  test("an approved checkout writes a receipt listing what was bought", async () => {
+    const customer = await signIn(api, sql, "mail_buyer");
+    await sql.run(
+      "UPDATE customers SET full_name = '<b>Buyer</b>' WHERE customer_id = ?",
+      [customer.customerId]
+    );
+
+    const checkout = await api
+      .post("/orders/checkout")
+      .set("Authorization", customer.token)
+      .send({
+        orderId: "MAIL-1",
+        items: [{ sku: "CLTH-SHIRT", quantity: 2 }],
+        cardNumber: "4242424242424242"
+      });
+    expect(checkout.body.status).toBe("AUTHORIZED");
+
+    const email = await nextEmail(sql, "mail_buyer@example.test", "receipt");
+    expect(email.subject).toBe("Your receipt for order MAIL-1");
+    expect(email.text_body).toMatch(/2 x .* \(CLTH-SHIRT\)/);
+    expect(email.text_body).toMatch(/Total: {4}\$53\.48/);
+    expect(email.html_body).toContain("Hi &lt;b&gt;Buyer&lt;/b&gt;,");
+  });
+
+  test("a declined checkout sends no receipt", async () => {
+    const customer = await signIn(api, sql, "mail_declined");
+    await api
+      .post("/orders/checkout")
+      .set("Authorization", customer.token)
+      .send({
+        orderId: "MAIL-2",
+        items: [{ sku: "CLTH-SHIRT", quantity: 1 }],
+        cardNumber: "4000000000009995"
+      });
+
+    await expect(nextEmail(sql, "mail_declined@example.test", "receipt")).rejects.toThrow(
+      /No receipt email/
+    );
+  });
+});
@@ -0,0 +1,219 @@
+// tests/migrations.test.js
+//
+// The migrator against a database from before versioned migrations (the
+// ecommerce.db checked into the repo, copied), and its bookkeeping on
+// failure.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { createMigrator, listMigrations } = require("../migrator");
+const { tempDbFile, openDb } = require("./helpers");
+
+const LEGACY_DB = path.join(__dirname, "..", "ecommerce.db");
+const LATEST = listMigrations().pop().version;
+
+// Promise versions of the migrator's calls
+function migrator(conn, options) {
+  const m = createMigrator(conn.db, options);
+  const wrap = (fn) => (args) =>
+    new Promise((resolve, reject) =>
+      fn(args, (err, result) => (err ? reject(err) : resolve(result)))
+    );
+  return {
+    migrate: wrap(m.migrate),
+    rollback: wrap(m.rollback),
+    status: () =>
+      new Promise((resolve, reject) =>
+        m.status((err, state) => (err ? reject(err) : resolve(state)))
+      )
+  };
+}
+
+const tableNames = async (conn) =>
+  (await conn.all("SELECT name FROM sqlite_master WHERE type = 'table'")).map((t) => t.name);
+
+const columnNames = async (conn, table) =>
+  (await conn.all(`PRAGMA table_info(${table})`)).map((c) => c.name);
+
+describe("a legacy database", () => {
+  let conn;
+  let m;
+
+  beforeAll(async () => {
+    const file = tempDbFile();
+    fs.copyFileSync(LEGACY_DB, file);
+    conn = openDb(file);
+
+    // an account whose verification link went out before tokens were hashed
+    await conn.run(
+      `INSERT INTO users (email, username, password_hash, email_verified, verification_token)
+       VALUES ('legacy@example.test', 'legacy', 'x', 0, 'plain-token')`
+    );
+    // and one who signed up when the login lived on customers
+    await conn.run(
+      `UPDATE customers
+       SET email = 'alice@example.test', username = 'alice', password_hash = 'alice-hash',
+           is_verified = 1
+       WHERE customer_id = 1`
+    );
+    m = migrator(conn);
+  });
+
+  afterAll(() => conn.close());
+
+  test("is brought up to the latest version with its data", async () => {
+    const applied = await m.migrate({});
+    expect(applied.map((migration) => migration.version)).toEqual(
+      listMigrations().map((migration) => migration.version)
+    );
+    expect((await m.status()).current).toBe(LATEST);
+
+    const orders = await conn.all("SELECT order_id, status FROM orders ORDER BY order_id");
+    expect(orders).toEqual([
+      { order_id: "ORD1001", status: "PENDING" },
+      { order_id: "ORD1002", status: "AUTHORIZED" },
+      { order_id: "ORD1003", status: "DECLINED" },
+      { order_id: "ORD1004", status: "SETTLED" }
+    ]);
+    expect(await conn.get("SELECT SUM(amount) AS total FROM settlements")).toEqual({ total: 200 });
+
+    const tables = await tableNames(conn);
+    expect(tables).toEqual(
+      expect.arrayContaining([
+        "stock_reservations",
+        "purchase_orders",
+        "shifts",
+        "payment_operations"
+      ])
+    );
+    expect(await columnNames(conn, "authorizations")).toEqual(
+      expect.arrayContaining(["tender_type", "cash_tendered", "change_due", "shift_id"])
+    );
+    expect(await conn.all("PRAGMA foreign_key_check")).toEqual([]);
+  });
+
+  test("has its plaintext verification token hashed with an expiry", async () => {
+    const user = await conn.get(
+      `SELECT verification_token, verification_token_expires_at
+       FROM users WHERE username = 'legacy'`
+    );
+    expect(user.verification_token).toBe(
+      crypto.createHash("sha256").update("plain-token").digest("hex")
+    );
+    expect(user.verification_token_expires_at).toBeTruthy();
+  });
+
+  test("has logins moved off customers, with profiles and addresses kept", async () => {
+    const alice = await conn.get(
+      `SELECT user_id, customer_id, email, username, password_hash, email_verified, role
+       FROM users WHERE username = 'alice'`
+    );
+    expect(alice).toEqual({
+      user_id: 1,
+      customer_id: 1,
+      email: "alice@example.test",
+      username: "alice",
+      password_hash: "alice-hash",
+      email_verified: 1,
+      role: "customer"
+    });
+
+    expect(await columnNames(conn, "customers")).toEqual(
+      expect.not.arrayContaining(["email", "password_hash", "address_line1"])
+    );
+    expect(await conn.get("SELECT full_name FROM customers WHERE customer_id = 1")).toEqual({
+      full_name: "Alice Johnson"
+    });
+
+    const addresses = await conn.all(
+      `SELECT label, address_line1, address_line2, city, zip_code, is_default
+       FROM customer_addresses WHERE customer_id = 1`
+    );
+    expect(addresses).toEqual([
+      {
+        label: "Primary",
+        address_line1: "123 Main St",
+        address_line2: "Apt 4B",
+        city: "Atlanta",
+        zip_code: "30301",
+        is_default: 1
+      }
+    ]);
+
+    // the unused users table's row gets an account id after the moved ones
+    // and a profile of its own
+    const legacy = await conn.get(
+      `SELECT u.user_id, c.full_name
+       FROM users u JOIN customers c ON c.customer_id = u.customer_id
+       WHERE u.username = 'legacy'`
+    );
+    expect(legacy.user_id).toBeGreaterThan(1);
+    expect(legacy.full_name).toBe("legacy");
+  });
+
+  test("rolls back to the baseline and migrates up again", async () => {
+    const rolledBack = await m.rollback({ to: 1 });
+    expect(rolledBack.map((migration) => migration.version)).toEqual(
+      listMigrations()
+        .map((migration) => migration.version)
+        .filter((version) => version > 1)
+        .reverse()
+    );
+    expect((await m.status()).current).toBe(1);
+
+    const tables = await tableNames(conn);
+    ["warehouse_bins", "stock_reservations", "purchase_orders", "shifts", "payment_operations"]
+      .forEach((table) => expect(tables).not.toContain(table));
+    expect(await columnNames(conn, "authorizations")).not.toContain("tender_type");
+    expect(await columnNames(conn, "orders")).not.toContain("shift_id");
+    expect((await conn.get("SELECT COUNT(*) AS n FROM orders")).n).toBe(4);
+
+    await m.migrate({});
+    expect((await m.status()).current).toBe(LATEST);
+    expect(await conn.all("PRAGMA foreign_key_check")).toEqual([]);
+  });
+
+  test("refuses to migrate a database newer than the code", async () => {
+    await conn.run("INSERT INTO schema_migrations (version, name) VALUES (999, 'from_the_future')");
+    await expect(m.migrate({})).rejects.toThrow(/does not know about: 999/);
+    await conn.run("DELETE FROM schema_migrations WHERE version = 999");
+  });
+});
+
+describe("a failing migration", () => {
+  let conn;
+  let m;
+
+  beforeAll(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "capstone-migrations-"));
+    fs.writeFileSync(
+      path.join(dir, "001_first.js"),
+      "module.exports = { up: 'CREATE TABLE first (id INTEGER);', down: 'DROP TABLE first;' };"
+    );
+    fs.writeFileSync(
+      path.join(dir, "002_broken.js"),
+      `module.exports = {
+        up: "CREATE TABLE second (id INTEGER); INSERT INTO nowhere VALUES (1);",
+        down: ""
+      };`
+    );
+
+    conn = openDb(tempDbFile());
+    m = migrator(conn, { dir });
+  });
+
+  afterAll(() => conn.close());
+
+  test("is rolled back and leaves the earlier ones applied", async () => {
+    await expect(m.migrate({})).rejects.toThrow(/^002_broken up: .*no such table: nowhere/);
+
+    const state = await m.status();
+    expect(state.current).toBe(1);
+    expect(state.pending.map((migration) => migration.name)).toEqual(["broken"]);
+
+    const tables = await tableNames(conn);
+    expect(tables).toContain("first");
+    expect(tables).not.toContain("second");
+  });
+});
@@ -0,0 +1,71 @@
+// tests/orders-paging.test.js
+//
+// Cursor paging through GET /orders reaches every row exactly once, also
+// when the sort column is NULL for some of them.
+const { startApp, signIn } = require("./helpers");
+
+let api;
+let sql;
+let manager;
+
+// [order_id, total_amount, updated_at]
+const ORDERS = [
+  ["PAGE-1", 10, null],
+  ["PAGE-2", 20, "2024-01-02 10:00:00"],
+  ["PAGE-3", 20, null],
+  ["PAGE-4", 30, "2024-01-01 10:00:00"],
+  ["PAGE-5", 10, "2024-01-02 10:00:00"],
+  ["PAGE-6", 40, null],
+  ["PAGE-7", 50, "2024-01-03 10:00:00"]
+];
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  const customer = await signIn(api, sql, "paging_customer");
+  manager = await signIn(api, sql, "paging_manager", "manager");
+
+  for (const [orderId, total, updatedAt] of ORDERS) {
+    await sql.run(
+      `INSERT INTO orders (order_id, customer_id, status, total_amount, updated_at)
+       VALUES (?, ?, 'SETTLED', ?, ?)`,
+      [orderId, customer.customerId, total, updatedAt]
+    );
+  }
+});
+
+afterAll(() => sql.close());
+
+const list = (query) =>
+  api
+    .get("/orders")
+    .set("Authorization", manager.token)
+    .query({ orderIdPrefix: "PAGE-", ...query });
+
+async function pageThrough(sort, dir) {
+  const seen = [];
+  let cursor;
+  for (let page = 0; page < ORDERS.length; page++) {
+    const res = await list({ sort, dir, limit: 2, ...(cursor ? { cursor } : {}) });
+    expect(res.status).toBe(200);
+    seen.push(...res.body.map((order) => order.order_id));
+    cursor = res.headers["x-next-cursor"];
+    if (!cursor) break;
+  }
+  return seen;
+}
+
+describe.each(["updated_at", "total_amount", "created_at", "order_id"])("sorted by %s", (sort) => {
+  test.each(["asc", "desc"])("%s pages match the unpaged list", async (dir) => {
+    const all = await list({ sort, dir, limit: 200 });
+    expect(all.body).toHaveLength(ORDERS.length);
+
+    expect(await pageThrough(sort, dir)).toEqual(all.body.map((order) => order.order_id));
+  });
+});
+
+test("NULLs sort first ascending and last descending", async () => {
+  const asc = await pageThrough("updated_at", "asc");
+  expect(asc.slice(0, 3)).toEqual(["PAGE-1", "PAGE-3", "PAGE-6"]);
+  const desc = await pageThrough("updated_at", "desc");
+  expect(desc.slice(-3)).toEqual(["PAGE-6", "PAGE-3", "PAGE-1"]);
+});
@@ -0,0 +1,109 @@
+// tests/partial-capture.test.js
+//
+// Settling less than was authorized: captures up to the authorized amount,
+// several of them, and a final capture that lets the rest go.
+const { startApp, signIn } = require("./helpers");
+
+// CLTH-SHIRT x2 comes to 53.48 with tax
+const SHIRTS = [{ sku: "CLTH-SHIRT", quantity: 2 }];
+
+let api;
+let sql;
+let customer;
+let manager;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  customer = await signIn(api, sql, "capture_customer");
+  manager = await signIn(api, sql, "capture_manager", "manager");
+});
+
+afterAll(() => sql.close());
+
+const settle = (body) =>
+  api.post("/payments/settle").set("Authorization", manager.token).send(body);
+
+const checkout = async (orderId) => {
+  const res = await api
+    .post("/orders/checkout")
+    .set("Authorization", customer.token)
+    .send({ orderId, items: SHIRTS, cardNumber: "4242424242424242" });
+  expect(res.body.status).toBe("AUTHORIZED");
+};
+
+const captured = async (orderId) =>
+  (
+    await sql.get("SELECT IFNULL(SUM(amount), 0) AS total FROM settlements WHERE order_id = ?", [
+      orderId
+    ])
+  ).total;
+
+test("capturing more than was authorized is rejected", async () => {
+  await checkout("CAPTURE-OVER");
+
+  const res = await settle({ orderId: "CAPTURE-OVER", amount: 53.49 });
+  expect(res.status).toBe(400);
+  expect(res.body.error).toBe("Settlement exceeds authorized amount (remaining: 53.48)");
+  expect(await captured("CAPTURE-OVER")).toBe(0);
+
+  const order = await sql.get("SELECT status FROM orders WHERE order_id = 'CAPTURE-OVER'");
+  expect(order.status).toBe("AUTHORIZED");
+});
+
+test("partial captures add up to the authorized amount", async () => {
+  await checkout("CAPTURE-PART");
+
+  const first = await settle({ orderId: "CAPTURE-PART", amount: 20 });
+  expect(first.status).toBe(200);
+  expect(first.body).toEqual(
+    expect.objectContaining({
+      amount: 20,
+      capturedTotal: 20,
+      authorizedAmount: 53.48,
+      remaining: 33.48,
+      paymentStatus: "PARTIALLY_SETTLED"
+    })
+  );
+
+  const tooMuch = await settle({ orderId: "CAPTURE-PART", amount: 40 });
+  expect(tooMuch.status).toBe(400);
+  expect(tooMuch.body.error).toMatch(/remaining: 33.48/);
+
+  const rest = await settle({ orderId: "CAPTURE-PART", amount: 33.48 });
+  expect(rest.body).toEqual(
+    expect.objectContaining({ capturedTotal: 53.48, remaining: 0, paymentStatus: "SETTLED" })
+  );
+  expect(await captured("CAPTURE-PART")).toBe(53.48);
+});
+
+test("a final capture releases the remainder", async () => {
+  await checkout("CAPTURE-FINAL");
+
+  const res = await settle({ orderId: "CAPTURE-FINAL", amount: 30, finalCapture: true });
+  expect(res.status).toBe(200);
+  expect(res.body).toEqual(
+    expect.objectContaining({
+      capturedTotal: 30,
+      authorizedAmount: 53.48,
+      remaining: 0,
+      paymentStatus: "SETTLED"
+    })
+  );
+
+  const more = await settle({ orderId: "CAPTURE-FINAL", amount: 5 });
+  expect(more.status).toBe(400);
+  expect(more.body.error).toBe("Order not authorized, cannot settle");
+  expect(await captured("CAPTURE-FINAL")).toBe(30);
+});
+
+test("stats count what was captured, not what was authorized", async () => {
+  const stats = await api.get("/stats").set("Authorization", manager.token);
+  expect(stats.status).toBe(200);
+
+  const total = await sql.get(
+    "SELECT SUM(amount) AS total FROM settlements WHERE order_id LIKE 'CAPTURE-%'"
+  );
+  expect(total.total).toBeCloseTo(83.48, 2);
+  const all = await sql.get("SELECT SUM(amount) AS total FROM settlements");
+  expect(stats.body.settled_total).toBeCloseTo(all.total, 2);
+});
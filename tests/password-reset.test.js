@@ -0,0 +1,93 @@
+// tests/password-reset.test.js
+//
+// Forgotten passwords: the emailed link works once, lapses, is replaced by
+// a newer one, and signs the account out everywhere when it is used.
+const { startApp, signIn, nextEmail, PASSWORD } = require("./helpers");
+
+const EMAIL = "reset_user@example.test";
+const NEW_PASSWORD = "a-new-password";
+
+let api;
+let sql;
+let lastEmailId = 0;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+});
+
+afterAll(() => sql.close());
+
+// Ask for a reset link and read its token from the outbox
+async function requestReset() {
+  const res = await api.post("/auth/forgot-password").send({ email: EMAIL });
+  expect(res.status).toBe(200);
+
+  const email = await nextEmail(sql, EMAIL, "password_reset", lastEmailId);
+  lastEmailId = email.email_id;
+  return new URL(email.text_body.match(/https:\/\/\S+/)[0]).searchParams.get("token");
+}
+
+const reset = (token, password = NEW_PASSWORD) =>
+  api.post("/auth/reset-password").send({ token, password });
+
+const login = (password) =>
+  api.post("/auth/login").send({ usernameOrEmail: "reset_user", password });
+
+test("a reset signs out every session and the token works only once", async () => {
+  const user = await signIn(api, sql, "reset_user");
+  const token = await requestReset();
+
+  const stored = await sql.get("SELECT token_hash FROM password_resets ORDER BY reset_id DESC");
+  expect(stored.token_hash).not.toBe(token);
+
+  const me = () => api.get("/auth/me").set("Authorization", user.token);
+  expect((await me()).status).toBe(200);
+  expect((await reset(token)).status).toBe(200);
+
+  expect((await me()).status).toBe(401);
+  expect((await login(PASSWORD)).status).toBe(401);
+  expect((await login(NEW_PASSWORD)).status).toBe(200);
+
+  const again = await reset(token, "yet-another-password");
+  expect(again.status).toBe(400);
+  expect(again.body.error).toBe("Invalid or expired reset token.");
+  expect((await login(NEW_PASSWORD)).status).toBe(200);
+});
+
+test("an expired token is refused", async () => {
+  const token = await requestReset();
+  await sql.run("UPDATE password_resets SET expires_at = datetime('now', '-1 minute')");
+
+  const res = await reset(token, "expired-password");
+  expect(res.status).toBe(400);
+  expect(res.body.error).toBe("Invalid or expired reset token.");
+  expect((await login(NEW_PASSWORD)).status).toBe(200);
+});
+
+test("only the newest link works", async () => {
+  const older = await requestReset();
+  const newer = await requestReset();
+
+  expect((await reset(older)).status).toBe(400);
+  expect((await reset(newer)).status).toBe(200);
+});
+
+test("an unknown email gets the same answer and no mail", async () => {
+  const before = await sql.get("SELECT COUNT(*) AS n FROM email_outbox");
+  const res = await api.post("/auth/forgot-password").send({ email: "nobody@example.test" });
+  expect(res.status).toBe(200);
+  expect(res.body.message).toMatch(/If an account exists/);
+
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  expect(await sql.get("SELECT COUNT(*) AS n FROM email_outbox")).toEqual(before);
+});
+
+test("changing the password needs a string", async () => {
+  const other = await signIn(api, sql, "reset_other");
+  const res = await api
+    .post("/auth/update")
+    .set("Authorization", other.token)
+    .send({ password: 123456789, currentPassword: PASSWORD });
+  expect(res.status).toBe(400);
+  expect(res.body.error).toBe("password must be a string.");
+});
@@ -0,0 +1,170 @@
+// tests/payment-gateway.test.js
+//
+// The simulator's test cards and amounts, and the HTTP gateway against a
+// local stub server.
+const http = require("http");
+const {
+  createSimulatorGateway,
+  createHttpGateway,
+  AUTH_RESULTS
+} = require("../payment-gateway");
+
+describe("simulator", () => {
+  const gateway = createSimulatorGateway({ maxAnswers: 2 });
+
+  test.each([
+    ["4242424242424242", "SUCCESS"],
+    ["4000000000009995", "INSUFFICIENT_FUNDS"],
+    ["4000000000000127", "INCORRECT_DETAILS"],
+    ["4000000000000069", "EXPIRED_CARD"],
+    ["4000000000000002", "DO_NOT_HONOR"],
+    ["4000000000000119", "SERVER_ERROR"]
+  ])("card %s gives %s", async (cardNumber, result) => {
+    const reply = await gateway.authorize({ orderId: "SIM-1", amount: 10, cardNumber });
+    expect(reply).toEqual(
+      expect.objectContaining({
+        result,
+        approved: result === "SUCCESS",
+        code: AUTH_RESULTS[result].code
+      })
+    );
+    expect(reply.reference === null).toBe(result !== "SUCCESS");
+  });
+
+  test("a saved card is matched by its last4", async () => {
+    const reply = await gateway.authorize({ orderId: "SIM-2", amount: 10, last4: "9995" });
+    expect(reply.result).toBe("INSUFFICIENT_FUNDS");
+  });
+
+  test.each([
+    [2051, "INSUFFICIENT_FUNDS"],
+    [2054.5, "EXPIRED_CARD"],
+    [2099, "DO_NOT_HONOR"],
+    [3000.99, "SERVER_ERROR"],
+    [3001, "SUCCESS"]
+  ])("amount %s gives %s", async (amount, result) => {
+    const reply = await gateway.authorize({ orderId: "SIM-3", amount, last4: "1111" });
+    expect(reply.result).toBe(result);
+  });
+
+  test("tokenize refuses a number that fails the Luhn check", async () => {
+    expect(await gateway.tokenize({ cardNumber: "4242424242424241" })).toEqual(
+      expect.objectContaining({ ok: false, code: AUTH_RESULTS.INCORRECT_DETAILS.code })
+    );
+    expect(await gateway.tokenize({ cardNumber: "4242 4242 4242 4242" })).toEqual(
+      expect.objectContaining({ ok: true, brand: "visa", last4: "4242" })
+    );
+  });
+
+  test("a repeated idempotency key gets the first answer, for the latest keys only", async () => {
+    const first = await gateway.capture({ orderId: "SIM-4", amount: 5, idempotencyKey: "a" });
+    expect(await gateway.capture({ orderId: "SIM-4", amount: 5, idempotencyKey: "a" })).toBe(
+      first
+    );
+
+    await gateway.void({ orderId: "SIM-4", idempotencyKey: "b" });
+    await gateway.refund({ orderId: "SIM-4", amount: 5, idempotencyKey: "c" });
+    // "a" was the oldest of three answers kept two at a time
+    const again = await gateway.capture({ orderId: "SIM-4", amount: 5, idempotencyKey: "a" });
+    expect(again.reference).not.toBe(first.reference);
+  });
+});
+
+describe("HTTP gateway", () => {
+  let server;
+  let baseUrl;
+  let handle;
+  let received;
+
+  beforeAll((ready) => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+        handle(req, res);
+      });
+    });
+    server.listen(0, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/`;
+      ready();
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterAll((closed) => {
+    console.error.mockRestore();
+    server.closeAllConnections();
+    server.close(() => closed());
+  });
+
+  const reply = (status, data) => (req, res) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(data));
+  };
+
+  const gateway = () => createHttpGateway({ baseUrl, apiKey: "test-key", timeoutMs: 100 });
+
+  test("authorize posts the request and maps the gateway's answer", async () => {
+    handle = reply(200, { result: "SUCCESS", code: "00", reference: "GW-1" });
+    const result = await gateway().authorize({ orderId: "HTTP-1", amount: 12.5, last4: "4242" });
+
+    expect(result).toEqual(
+      expect.objectContaining({ result: "SUCCESS", approved: true, reference: "GW-1" })
+    );
+    expect(received.url).toBe("/authorize");
+    expect(received.headers.authorization).toBe("Bearer test-key");
+    expect(received.body).toEqual({ orderId: "HTTP-1", amount: 12.5, last4: "4242" });
+  });
+
+  test("an unknown result is treated as a server error", async () => {
+    handle = reply(200, { result: "MAYBE" });
+    const result = await gateway().authorize({ orderId: "HTTP-2", amount: 1 });
+    expect(result).toEqual(expect.objectContaining({ result: "SERVER_ERROR", approved: false }));
+  });
+
+  test("capture sends its idempotency key as a header", async () => {
+    handle = reply(200, { ok: true, code: "00", message: "Captured", reference: "GW-2" });
+    const result = await gateway().capture({
+      orderId: "HTTP-3",
+      reference: "GW-1",
+      amount: 5,
+      idempotencyKey: "capture-1"
+    });
+
+    expect(result).toEqual({ ok: true, code: "00", message: "Captured", reference: "GW-2" });
+    expect(received.headers["idempotency-key"]).toBe("capture-1");
+    expect(received.body).toEqual({ orderId: "HTTP-3", reference: "GW-1", amount: 5 });
+  });
+
+  test("a 5xx response becomes a failed operation and a server error", async () => {
+    handle = reply(503, { code: "96", message: "Try again later" });
+
+    expect(await gateway().refund({ orderId: "HTTP-4", reference: "GW-1", amount: 5 })).toEqual({
+      ok: false,
+      code: "96",
+      message: "Try again later",
+      reference: null
+    });
+    expect((await gateway().authorize({ orderId: "HTTP-4", amount: 5 })).result).toBe(
+      "SERVER_ERROR"
+    );
+    expect((await gateway().tokenize({ cardNumber: "4242424242424242" })).ok).toBe(false);
+  });
+
+  test("a gateway that does not answer in time is a server error", async () => {
+    handle = (req, res) => setTimeout(reply(200, { result: "SUCCESS" }).bind(null, req, res), 500);
+
+    const started = Date.now();
+    const result = await gateway().authorize({ orderId: "HTTP-5", amount: 5 });
+    expect(result.result).toBe("SERVER_ERROR");
+    expect(Date.now() - started).toBeLessThan(450);
+
+    const voided = await gateway().void({ orderId: "HTTP-5", reference: "GW-1" });
+    expect(voided).toEqual(expect.objectContaining({ ok: false, code: "XX" }));
+  });
+
+  test("a missing baseUrl is a configuration error", () => {
+    expect(() => createHttpGateway({})).toThrow(/PAYMENT_GATEWAY_URL/);
+  });
+});
@@ -0,0 +1,142 @@
+// tests/products.test.js
+//
+// Catalog CRUD: public browsing, manager-only edits, and soft deletes.
+const { startApp, signIn } = require("./helpers");
+
+let api;
+let sql;
+let manager;
+let customer;
+let product;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  manager = await signIn(api, sql, "catalog_manager", "manager");
+  customer = await signIn(api, sql, "catalog_customer");
+});
+
+afterAll(() => sql.close());
+
+const asManager = (method, path, body) =>
+  api[method](path).set("Authorization", manager.token).send(body);
+
+const search = (query) => api.get("/products").query({ q: "test lamp", ...query });
+
+test("a manager adds a product", async () => {
+  const res = await asManager("post", "/products", {
+    sku: " test-lamp ",
+    name: "Test Lamp",
+    category: "Lighting",
+    price: "19.999",
+    reorderPoint: 2,
+    reorderQuantity: 5
+  });
+  expect(res.status).toBe(201);
+  expect(res.body).toEqual(
+    expect.objectContaining({
+      sku: "TEST-LAMP",
+      name: "Test Lamp",
+      price: 20,
+      active: true,
+      reorderPoint: 2,
+      reorderQuantity: 5
+    })
+  );
+  product = res.body;
+
+  const fetched = await api.get(`/products/${product.productId}`);
+  expect(fetched.body).toEqual(product);
+  expect((await search()).body.map((row) => row.sku)).toEqual(["TEST-LAMP"]);
+});
+
+test("new products are checked before they are saved", async () => {
+  const base = { sku: "TEST-BAD", name: "Bad", price: 1 };
+
+  expect((await asManager("post", "/products", { ...base, name: "" })).status).toBe(400);
+  expect((await asManager("post", "/products", { ...base, price: -1 })).status).toBe(400);
+  expect((await asManager("post", "/products", { ...base, reorderQuantity: 0 })).status).toBe(
+    400
+  );
+
+  const duplicate = await asManager("post", "/products", { ...base, sku: "test-lamp" });
+  expect(duplicate.status).toBe(409);
+
+  const count = await sql.get("SELECT COUNT(*) AS n FROM products WHERE sku = 'TEST-BAD'");
+  expect(count.n).toBe(0);
+});
+
+test.each(["false", 0, "0", "no"])("active %p is not taken as a boolean", async (active) => {
+  const created = await asManager("post", "/products", {
+    sku: "TEST-FLAG",
+    name: "Flag",
+    price: 1,
+    active
+  });
+  expect(created.status).toBe(400);
+  expect(created.body.error).toBe("active must be true or false.");
+
+  const patched = await asManager("patch", `/products/${product.productId}`, { active });
+  expect(patched.status).toBe(400);
+  expect((await api.get(`/products/${product.productId}`)).body.active).toBe(true);
+});
+
+test("a manager updates a product", async () => {
+  const res = await asManager("patch", `/products/${product.productId}`, {
+    price: 24.5,
+    category: null,
+    reorderPoint: null
+  });
+  expect(res.status).toBe(200);
+  expect(res.body).toEqual(
+    expect.objectContaining({ price: 24.5, category: null, reorderPoint: null, active: true })
+  );
+
+  expect((await asManager("patch", `/products/${product.productId}`, {})).status).toBe(400);
+  expect((await asManager("patch", "/products/999999", { price: 1 })).status).toBe(404);
+});
+
+test("an inactive product is hidden from the catalog unless asked for", async () => {
+  const res = await asManager("patch", `/products/${product.productId}`, { active: false });
+  expect(res.body.active).toBe(false);
+
+  expect((await search()).body).toEqual([]);
+  expect((await search({ includeInactive: "true" })).body).toHaveLength(1);
+
+  const back = await asManager("patch", `/products/${product.productId}`, { active: true });
+  expect(back.body.active).toBe(true);
+});
+
+test("deleting a product keeps it for order history", async () => {
+  const res = await asManager("delete", `/products/${product.productId}`);
+  expect(res.status).toBe(200);
+  expect(res.body).toEqual({ ok: true, productId: product.productId, active: false });
+
+  const row = await sql.get("SELECT is_active FROM products WHERE product_id = ?", [
+    product.productId
+  ]);
+  expect(row.is_active).toBe(0);
+  expect((await api.get(`/products/${product.productId}`)).body.active).toBe(false);
+  expect((await asManager("delete", "/products/999999")).status).toBe(404);
+});
+
+test("only managers and admins edit the catalog", async () => {
+  const attempts = [
+    api.post("/products").send({ sku: "TEST-ANON", name: "Anon", price: 1 }),
+    api
+      .post("/products")
+      .set("Authorization", customer.token)
+      .send({ sku: "TEST-CUST", name: "Customer", price: 1 }),
+    api
+      .patch(`/products/${product.productId}`)
+      .set("Authorization", customer.token)
+      .send({ price: 0 }),
+    api.delete(`/products/${product.productId}`).set("Authorization", customer.token)
+  ];
+  expect((await Promise.all(attempts)).map((res) => res.status)).toEqual([401, 403, 403, 403]);
+});
+
+test("an unknown product is a 404", async () => {
+  const res = await api.get("/products/999999");
+  expect(res.status).toBe(404);
+  expect(res.body.error).toBe("Product not found");
+});
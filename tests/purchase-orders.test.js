@@ -0,0 +1,135 @@
+// tests/purchase-orders.test.js
+//
+// Receiving purchase orders in parts: stock lands in the bins named,
+// outstanding quantities shrink, and the order closes once all of it is in.
+const { startApp, signIn } = require("./helpers");
+
+let api;
+let sql;
+let manager;
+let supplierId;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  manager = await signIn(api, sql, "po_manager", "manager");
+
+  const supplier = await api
+    .post("/suppliers")
+    .set("Authorization", manager.token)
+    .send({ name: "Acme Furniture", email: "orders@acme.test" });
+  supplierId = supplier.body.supplierId;
+});
+
+afterAll(() => sql.close());
+
+const createOrder = (lines) =>
+  api
+    .post("/purchase-orders")
+    .set("Authorization", manager.token)
+    .send({ supplierId, lines });
+
+const receive = (purchaseOrderId, body) =>
+  api
+    .post(`/purchase-orders/${purchaseOrderId}/receive`)
+    .set("Authorization", manager.token)
+    .send(body);
+
+const onHand = async (sku) =>
+  (
+    await sql.all(
+      `SELECT b.code, s.quantity FROM inventory_stock s
+       JOIN products p ON p.product_id = s.product_id
+       JOIN warehouse_bins b ON b.bin_id = s.bin_id
+       WHERE p.sku = ? AND s.quantity > 0 ORDER BY b.code`,
+      [sku]
+    )
+  ).map((row) => `${row.code}:${row.quantity}`);
+
+test("an order is received in parts until nothing is outstanding", async () => {
+  const created = await createOrder([
+    { sku: "FURN-SOFA", quantity: 10, unitCost: 300 },
+    { sku: "ELEC-LAPTOP", quantity: 4, unitCost: 500 },
+    { sku: "FURN-SOFA", quantity: 5 }
+  ]);
+  expect(created.status).toBe(201);
+  expect(created.body.status).toBe("OPEN");
+  // lines for the same product are merged
+  expect(created.body.lines.map((line) => [line.sku, line.quantityOrdered])).toEqual([
+    ["FURN-SOFA", 15],
+    ["ELEC-LAPTOP", 4]
+  ]);
+  const po = created.body.purchaseOrderId;
+  expect(await onHand("FURN-SOFA")).toEqual(["B2:10"]);
+
+  const over = await receive(po, { lines: [{ sku: "FURN-SOFA", quantity: 16 }], location: "B2" });
+  expect(over.status).toBe(400);
+  expect(over.body.error).toMatch(/only 15 outstanding/);
+
+  const partial = await receive(po, {
+    lines: [
+      { sku: "FURN-SOFA", quantity: 6 },
+      { sku: "FURN-SOFA", quantity: 4, location: "e5" }
+    ],
+    location: "B2"
+  });
+  expect(partial.status).toBe(200);
+  expect(partial.body.status).toBe("PARTIALLY_RECEIVED");
+  expect(
+    partial.body.lines.map((line) => [line.sku, line.quantityReceived, line.outstanding])
+  ).toEqual([
+    ["FURN-SOFA", 10, 5],
+    ["ELEC-LAPTOP", 0, 4]
+  ]);
+  expect(await onHand("FURN-SOFA")).toEqual(["B2:16", "E5:4"]);
+
+  // without lines, everything still outstanding arrives
+  const rest = await receive(po, { location: "C3" });
+  expect(rest.status).toBe(200);
+  expect(rest.body.status).toBe("RECEIVED");
+  expect(rest.body.unitsReceived).toBe(19);
+  expect(rest.body.lines.every((line) => line.outstanding === 0)).toBe(true);
+  expect(await onHand("FURN-SOFA")).toEqual(["B2:16", "C3:5", "E5:4"]);
+
+  const again = await receive(po, { location: "C3" });
+  expect(again.status).toBe(409);
+
+  const receipts = await sql.all(
+    "SELECT movement_type, quantity FROM stock_movements WHERE po_id = ? ORDER BY movement_id",
+    [po]
+  );
+  expect(receipts.map((m) => `${m.movement_type}:${m.quantity}`)).toEqual([
+    "RECEIVE:6",
+    "RECEIVE:4",
+    "RECEIVE:5",
+    "RECEIVE:4"
+  ]);
+});
+
+test("what is on order counts towards low stock until it arrives", async () => {
+  const lowStock = async () =>
+    (await api.get("/inventory/low-stock").set("Authorization", manager.token)).body.find(
+      (row) => row.sku === "CLTH-SHIRT"
+    );
+
+  const shirt = await sql.get("SELECT product_id FROM products WHERE sku = 'CLTH-SHIRT'");
+  await api
+    .patch(`/products/${shirt.product_id}`)
+    .set("Authorization", manager.token)
+    .send({ reorderPoint: 1000, reorderQuantity: 50 });
+  const created = await createOrder([{ sku: "CLTH-SHIRT", quantity: 10 }]);
+  expect((await lowStock()).onOrder).toBe(10);
+
+  await receive(created.body.purchaseOrderId, {
+    lines: [{ lineId: created.body.lines[0].lineId, quantity: 3 }],
+    location: "A1"
+  });
+  expect((await lowStock()).onOrder).toBe(7);
+
+  const cancelled = await api
+    .post(`/purchase-orders/${created.body.purchaseOrderId}/cancel`)
+    .set("Authorization", manager.token)
+    .send({ reason: "Supplier out of stock" });
+  expect(cancelled.status).toBe(200);
+  expect(cancelled.body.status).toBe("CANCELLED");
+  expect((await lowStock()).onOrder).toBe(0);
+});
@@ -0,0 +1,102 @@
+// tests/refunds.test.js
+//
+// Refunds of a settled card order: partial, the rest in full, and the
+// amounts and orders that cannot be refunded.
+const { startApp, signIn } = require("./helpers");
+
+const SHIRT = [{ sku: "CLTH-SHIRT", quantity: 1 }];
+const APPROVED = "4242424242424242";
+
+let api;
+let sql;
+let customer;
+let manager;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  customer = await signIn(api, sql, "refund_customer");
+  manager = await signIn(api, sql, "refund_manager", "manager");
+});
+
+afterAll(() => sql.close());
+
+const asManager = (path, body) => api.post(path).set("Authorization", manager.token).send(body);
+
+const checkout = (orderId) =>
+  api
+    .post("/orders/checkout")
+    .set("Authorization", customer.token)
+    .send({ orderId, items: SHIRT, cardNumber: APPROVED });
+
+const refunded = async (orderId) =>
+  (
+    await sql.get("SELECT IFNULL(SUM(amount), 0) AS total FROM refunds WHERE order_id = ?", [
+      orderId
+    ])
+  ).total;
+
+describe("a settled order", () => {
+  beforeAll(async () => {
+    expect((await checkout("REFUND-1")).body.status).toBe("AUTHORIZED");
+    const settled = await asManager("/payments/settle", { orderId: "REFUND-1", amount: 26.74 });
+    expect(settled.body.paymentStatus).toBe("SETTLED");
+  });
+
+  test("a partial refund leaves it PARTIALLY_REFUNDED", async () => {
+    const res = await asManager("/payments/refund", {
+      orderId: "REFUND-1",
+      amount: 10,
+      reason: "Damaged item"
+    });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(
+      expect.objectContaining({
+        amount: 10,
+        refundedTotal: 10,
+        settledTotal: 26.74,
+        paymentStatus: "PARTIALLY_REFUNDED"
+      })
+    );
+  });
+
+  test("refunding more than is left is a conflict and refunds nothing", async () => {
+    const res = await asManager("/payments/refund", { orderId: "REFUND-1", amount: 20 });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/refundable: 16.74/);
+    expect(await refunded("REFUND-1")).toBe(10);
+  });
+
+  test("leaving out the amount refunds the rest", async () => {
+    const res = await asManager("/payments/refund", { orderId: "REFUND-1" });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(
+      expect.objectContaining({ amount: 16.74, refundedTotal: 26.74, paymentStatus: "REFUNDED" })
+    );
+
+    const order = await sql.get("SELECT status FROM orders WHERE order_id = 'REFUND-1'");
+    expect(order.status).toBe("REFUNDED");
+  });
+
+  test("a fully refunded order has nothing left to refund", async () => {
+    const res = await asManager("/payments/refund", { orderId: "REFUND-1" });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("Nothing left to refund");
+  });
+});
+
+test("an order that is not settled cannot be refunded", async () => {
+  expect((await checkout("REFUND-2")).body.status).toBe("AUTHORIZED");
+
+  const res = await asManager("/payments/refund", { orderId: "REFUND-2", amount: 5 });
+  expect(res.status).toBe(400);
+  expect(res.body.error).toBe("Order not settled, cannot refund");
+  expect(await refunded("REFUND-2")).toBe(0);
+});
+
+test("customers cannot refund", async () => {
+  const res = await api
+    .post("/payments/refund")
+    .set("Authorization", customer.token)
+    .send({ orderId: "REFUND-2", amount: 5 });
+  expect(res.status).toBe(403);
+});
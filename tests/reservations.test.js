@@ -0,0 +1,115 @@
+// tests/reservations.test.js
+//
+// Stock reserved at checkout: released when the card is declined, the
+// order voided or its authorization lapses, and taken out of the bins by
+// the first capture.
+const { startApp, signIn } = require("./helpers");
+
+let api;
+let sql;
+let customer;
+let manager;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  customer = await signIn(api, sql, "stock_customer");
+  manager = await signIn(api, sql, "stock_manager", "manager");
+});
+
+afterAll(() => sql.close());
+
+const checkout = (orderId, quantity, cardNumber = "4242424242424242") =>
+  api
+    .post("/orders/checkout")
+    .set("Authorization", customer.token)
+    .send({ orderId, items: [{ sku: "FURN-SOFA", quantity }], cardNumber });
+
+// "STATUS:quantity" for each of an order's reservations
+const held = async (orderId) =>
+  (
+    await sql.all(
+      `SELECT status, quantity FROM stock_reservations
+       WHERE order_id = ? ORDER BY reservation_id`,
+      [orderId]
+    )
+  )
+    .map((row) => `${row.status}:${row.quantity}`)
+    .join(",");
+
+const sofasOnHand = async () =>
+  (
+    await sql.get(
+      `SELECT SUM(s.quantity) AS n FROM inventory_stock s
+       JOIN products p ON p.product_id = s.product_id
+       WHERE p.sku = 'FURN-SOFA'`
+    )
+  ).n;
+
+test("a declined checkout releases what it reserved", async () => {
+  const res = await checkout("RES-DECLINED", 2, "4000000000009995");
+  expect(res.status).toBe(200);
+  expect(res.body.status).toBe("DECLINED");
+  expect(await held("RES-DECLINED")).toBe("RELEASED:2");
+});
+
+test("a void releases the reservation", async () => {
+  expect((await checkout("RES-VOID", 3)).body.status).toBe("AUTHORIZED");
+  expect(await held("RES-VOID")).toBe("HELD:3");
+
+  const res = await api
+    .post("/payments/void")
+    .set("Authorization", manager.token)
+    .send({ orderId: "RES-VOID" });
+  expect(res.status).toBe(200);
+  expect(res.body.paymentStatus).toBe("VOIDED");
+  expect(await held("RES-VOID")).toBe("RELEASED:3");
+});
+
+test("a lapsed authorization releases the reservation when it is found", async () => {
+  expect((await checkout("RES-EXPIRED", 1)).body.status).toBe("AUTHORIZED");
+  await sql.run(
+    "UPDATE authorizations SET auth_expires_at = '2000-01-01T00:00:00.000Z' WHERE order_id = ?",
+    ["RES-EXPIRED"]
+  );
+
+  const res = await api
+    .post("/payments/settle")
+    .set("Authorization", manager.token)
+    .send({ orderId: "RES-EXPIRED", amount: 1 });
+  expect(res.status).toBe(400);
+  expect(res.body.error).toMatch(/expired/);
+  expect(await held("RES-EXPIRED")).toBe("RELEASED:1");
+
+  const order = await sql.get("SELECT status FROM orders WHERE order_id = 'RES-EXPIRED'");
+  expect(order.status).toBe("EXPIRED");
+});
+
+test("units held for other orders cannot be sold again", async () => {
+  const onHand = await sofasOnHand();
+  expect((await checkout("RES-MOST", onHand - 1)).body.status).toBe("AUTHORIZED");
+
+  const res = await checkout("RES-SHORT", 2);
+  expect(res.status).toBe(409);
+  expect(res.body.outOfStock).toEqual([
+    expect.objectContaining({ sku: "FURN-SOFA", requested: 2, available: 1 })
+  ]);
+  expect(await held("RES-SHORT")).toBe("");
+
+  // re-checking out an order swaps its reservation for the new one
+  expect((await checkout("RES-MOST", 1)).body.status).toBe("AUTHORIZED");
+  expect(await held("RES-MOST")).toBe(`RELEASED:${onHand - 1},HELD:1`);
+});
+
+test("the first capture takes the reserved units out of the bins", async () => {
+  const before = await sofasOnHand();
+  expect((await checkout("RES-SETTLE", 2)).body.status).toBe("AUTHORIZED");
+
+  const res = await api
+    .post("/payments/settle")
+    .set("Authorization", manager.token)
+    .send({ orderId: "RES-SETTLE", amount: 10 });
+  expect(res.status).toBe(200);
+  expect(res.body.paymentStatus).toBe("PARTIALLY_SETTLED");
+  expect(await held("RES-SETTLE")).toBe("COMMITTED:2");
+  expect(await sofasOnHand()).toBe(before - 2);
+});
@@ -0,0 +1,124 @@
+// tests/roles.test.js
+//
+// Role-based access: which roles reach the staff and admin routes, customers
+// seeing only their own orders, and admins assigning roles.
+const { startApp, signIn } = require("./helpers");
+
+let api;
+let sql;
+const users = {};
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  for (const role of ["customer", "cashier", "manager", "admin"]) {
+    users[role] = await signIn(api, sql, `rbac_${role}`, role);
+  }
+  users.other = await signIn(api, sql, "rbac_other");
+
+  const checkout = await api
+    .post("/orders/checkout")
+    .set("Authorization", users.customer.token)
+    .send({
+      orderId: "RBAC-1",
+      items: [{ sku: "CLTH-SHIRT", quantity: 1 }],
+      cardNumber: "4242424242424242"
+    });
+  expect(checkout.body.status).toBe("AUTHORIZED");
+});
+
+afterAll(() => sql.close());
+
+// Status code each caller gets, in the order anonymous, customer, cashier,
+// manager, admin
+async function statuses(method, path, body) {
+  const results = [];
+  for (const caller of [null, "customer", "cashier", "manager", "admin"]) {
+    const req = api[method](path);
+    if (caller) req.set("Authorization", users[caller].token);
+    results.push((await req.send(body)).status);
+  }
+  return results;
+}
+
+test("only staff list orders", async () => {
+  expect(await statuses("get", "/orders")).toEqual([401, 403, 200, 200, 200]);
+});
+
+test("only managers and admins read the stats", async () => {
+  expect(await statuses("get", "/stats")).toEqual([401, 403, 403, 200, 200]);
+});
+
+test("only managers and admins read the audit log", async () => {
+  expect(await statuses("get", "/audit")).toEqual([401, 403, 403, 200, 200]);
+});
+
+test("only staff settle and refund", async () => {
+  // an unknown order: staff get as far as looking it up
+  expect(
+    await statuses("post", "/payments/settle", { orderId: "RBAC-NONE", amount: 1 })
+  ).toEqual([401, 403, 404, 404, 404]);
+  expect(
+    await statuses("post", "/payments/refund", { orderId: "RBAC-NONE", amount: 1 })
+  ).toEqual([401, 403, 404, 404, 404]);
+});
+
+test("seeding is for admins only", async () => {
+  const denied = await Promise.all(
+    ["customer", "cashier", "manager"].map((role) =>
+      api.post("/seed-orders").set("Authorization", users[role].token)
+    )
+  );
+  expect(denied.map((res) => res.status)).toEqual([403, 403, 403]);
+});
+
+test("customers see only their own orders", async () => {
+  const own = await api.get("/orders/RBAC-1").set("Authorization", users.customer.token);
+  expect(own.status).toBe(200);
+
+  const other = await api.get("/orders/RBAC-1").set("Authorization", users.other.token);
+  expect(other.status).toBe(404);
+
+  const history = await api
+    .get(`/customers/${users.customer.customerId}/orders`)
+    .set("Authorization", users.other.token);
+  expect(history.status).toBe(403);
+
+  const asStaff = await api.get("/orders/RBAC-1").set("Authorization", users.cashier.token);
+  expect(asStaff.status).toBe(200);
+});
+
+describe("assigning roles", () => {
+  const assign = (caller, userId, role) =>
+    api
+      .put(`/auth/accounts/${userId}/role`)
+      .set("Authorization", users[caller].token)
+      .send({ role });
+
+  test("an admin promotes an account and the new role applies at once", async () => {
+    const res = await assign("admin", users.other.userId, "cashier");
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ ok: true, userId: users.other.userId, role: "cashier" });
+
+    const orders = await api.get("/orders").set("Authorization", users.other.token);
+    expect(orders.status).toBe(200);
+
+    const entry = await sql.get(
+      "SELECT before_status, after_status FROM audit_logs WHERE event_type = 'ROLE_CHANGED'"
+    );
+    expect(entry).toEqual({ before_status: "customer", after_status: "cashier" });
+  });
+
+  test("only admins assign roles", async () => {
+    const res = await assign("manager", users.customer.userId, "admin");
+    expect(res.status).toBe(403);
+  });
+
+  test("the role must be known, the account must exist and not be the admin's own", async () => {
+    expect((await assign("admin", users.customer.userId, "owner")).status).toBe(400);
+    expect((await assign("admin", 999999, "cashier")).status).toBe(404);
+
+    const self = await assign("admin", users.admin.userId, "customer");
+    expect(self.status).toBe(400);
+    expect(self.body.error).toBe("Admins cannot change their own role.");
+  });
+});
@@ -0,0 +1,76 @@
+// tests/saved-cards.test.js
+//
+// Checkout charges a saved card only when it is named by cardId and belongs
+// to the signed-in user; nothing falls back to the default card.
+const { startApp, signIn } = require("./helpers");
+
+const SHIRT = [{ sku: "CLTH-SHIRT", quantity: 1 }];
+
+let api;
+let sql;
+let customer;
+let other;
+let cashier;
+let cardId;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  customer = await signIn(api, sql, "cards_customer");
+  other = await signIn(api, sql, "cards_other");
+  cashier = await signIn(api, sql, "cards_cashier", "cashier");
+
+  const saved = await api
+    .post("/cards")
+    .set("Authorization", customer.token)
+    .send({ cardNumber: "4242424242424242", expMonth: 12, expYear: 2099, isDefault: true });
+  expect(saved.status).toBe(201);
+  cardId = saved.body.cardId;
+});
+
+afterAll(() => sql.close());
+
+const checkout = (user, body) =>
+  api.post("/orders/checkout").set("Authorization", user.token).send(body);
+
+const authorizations = async (orderId) =>
+  (await sql.get("SELECT COUNT(*) AS n FROM authorizations WHERE order_id = ?", [orderId])).n;
+
+test("a customer can charge their own saved card by cardId", async () => {
+  const res = await checkout(customer, { orderId: "CARDS-1", items: SHIRT, cardId });
+  expect(res.status).toBe(200);
+  expect(res.body.status).toBe("AUTHORIZED");
+});
+
+test("a checkout without card details does not charge the default card", async () => {
+  const res = await checkout(customer, { orderId: "CARDS-2", items: SHIRT });
+  expect(res.status).toBe(400);
+  expect(res.body.error).toMatch(/card details or a cardId/);
+  expect(await authorizations("CARDS-2")).toBe(0);
+});
+
+test("staff checking out for a customer cannot charge the customer's cards", async () => {
+  const byId = await checkout(cashier, {
+    orderId: "CARDS-3",
+    customerId: customer.customerId,
+    items: SHIRT,
+    cardId
+  });
+  expect(byId.status).toBe(400);
+  expect(byId.body.error).toBe("Card not found.");
+
+  const byDefault = await checkout(cashier, {
+    orderId: "CARDS-3",
+    customerId: customer.customerId,
+    items: SHIRT,
+    tenders: [{ type: "card" }]
+  });
+  expect(byDefault.status).toBe(400);
+  expect(await authorizations("CARDS-3")).toBe(0);
+});
+
+test("another customer's cardId is refused", async () => {
+  const res = await checkout(other, { orderId: "CARDS-4", items: SHIRT, cardId });
+  expect(res.status).toBe(400);
+  expect(res.body.error).toBe("Card not found.");
+  expect(await authorizations("CARDS-4")).toBe(0);
+});
@@ -0,0 +1,114 @@
+// tests/sessions.test.js
+//
+// DB-backed sessions: login, refresh-token rotation, logout and the routes
+// an access token opens.
+const { startApp, signIn, PASSWORD } = require("./helpers");
+
+let api;
+let sql;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  await signIn(api, sql, "session_user");
+});
+
+afterAll(() => sql.close());
+
+const login = async () => {
+  const res = await api
+    .post("/auth/login")
+    .send({ usernameOrEmail: "session_user", password: PASSWORD });
+  expect(res.status).toBe(200);
+  return res.body;
+};
+
+const me = (accessToken) => api.get("/auth/me").set("Authorization", `Bearer ${accessToken}`);
+
+const refresh = (refreshToken) => api.post("/auth/refresh").send({ refreshToken });
+
+test("login issues tokens that are stored only as hashes", async () => {
+  const { accessToken, refreshToken } = await login();
+  expect(accessToken).toEqual(expect.any(String));
+  expect(refreshToken).toEqual(expect.any(String));
+
+  const stored = await sql.all(
+    "SELECT session_id FROM sessions WHERE access_token_hash = ? OR refresh_token_hash = ?",
+    [accessToken, refreshToken]
+  );
+  expect(stored).toEqual([]);
+
+  const res = await me(accessToken);
+  expect(res.status).toBe(200);
+  expect(res.body.user.username).toBe("session_user");
+});
+
+test("protected routes need a live access token", async () => {
+  expect((await api.get("/auth/me")).status).toBe(401);
+  expect((await api.get("/auth/me").set("Authorization", "Token abc")).status).toBe(401);
+  expect((await me("not-a-token")).status).toBe(401);
+
+  const { accessToken } = await login();
+  await sql.run(
+    "UPDATE sessions SET access_expires_at = datetime('now', '-1 minute') WHERE revoked_at IS NULL"
+  );
+  const expired = await me(accessToken);
+  expect(expired.status).toBe(401);
+  expect(expired.body.error).toBe("Invalid or expired access token.");
+});
+
+test("a refresh rotates both tokens and the old ones stop working", async () => {
+  const first = await login();
+
+  const res = await refresh(first.refreshToken);
+  expect(res.status).toBe(200);
+  expect(res.body.accessToken).not.toBe(first.accessToken);
+  expect(res.body.refreshToken).not.toBe(first.refreshToken);
+
+  expect((await me(res.body.accessToken)).status).toBe(200);
+  expect((await me(first.accessToken)).status).toBe(401);
+
+  const reused = await refresh(first.refreshToken);
+  expect(reused.status).toBe(401);
+  expect(reused.body.error).toBe("Invalid or expired refresh token.");
+  expect((await api.post("/auth/refresh").send({})).status).toBe(400);
+});
+
+test("a refresh token used twice at once rotates only once", async () => {
+  const { refreshToken } = await login();
+  const results = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+  expect(results.map((res) => res.status).sort()).toEqual([200, 401]);
+});
+
+test("an expired refresh token cannot be rotated", async () => {
+  const { refreshToken } = await login();
+  await sql.run(
+    "UPDATE sessions SET refresh_expires_at = datetime('now', '-1 minute') WHERE revoked_at IS NULL"
+  );
+  expect((await refresh(refreshToken)).status).toBe(401);
+});
+
+test("logout ends only the session it is sent from", async () => {
+  const kept = await login();
+  const ended = await login();
+
+  const res = await api.post("/auth/logout").set("Authorization", `Bearer ${ended.accessToken}`);
+  expect(res.status).toBe(200);
+
+  expect((await me(ended.accessToken)).status).toBe(401);
+  expect((await refresh(ended.refreshToken)).status).toBe(401);
+  expect((await me(kept.accessToken)).status).toBe(200);
+});
+
+test("changing the password signs out every other session", async () => {
+  const current = await login();
+  const other = await login();
+
+  const res = await api
+    .post("/auth/update")
+    .set("Authorization", `Bearer ${current.accessToken}`)
+    .send({ password: "a-new-password", currentPassword: PASSWORD });
+  expect(res.status).toBe(200);
+
+  expect((await me(current.accessToken)).status).toBe(200);
+  expect((await me(other.accessToken)).status).toBe(401);
+});
@@ -0,0 +1,96 @@
+// tests/shifts.test.js
+//
+// A register shift from opening float to close-out: cash sales, refunds,
+// drops and paid-outs make up the expected drawer, and the count at close
+// is compared against it.
+const { startApp, signIn } = require("./helpers");
+
+let api;
+let sql;
+let cashier;
+let customer;
+let shiftId;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  cashier = await signIn(api, sql, "shift_cashier", "cashier");
+  customer = await signIn(api, sql, "shift_customer");
+
+  const opened = await api
+    .post("/shifts")
+    .set("Authorization", cashier.token)
+    .send({ terminal: "POS1", openingFloat: 100 });
+  expect(opened.status).toBe(201);
+  shiftId = opened.body.shiftId;
+});
+
+afterAll(() => sql.close());
+
+const post = (path, body) => api.post(path).set("Authorization", cashier.token).send(body);
+
+const cashCheckout = (orderId, quantity, cash) =>
+  post("/orders/checkout", {
+    orderId,
+    customerId: customer.customerId,
+    items: [{ sku: "CLTH-SHIRT", quantity }],
+    tenders: [{ type: "cash", ...cash }]
+  });
+
+test("a register cannot have two open shifts", async () => {
+  const other = await signIn(api, sql, "shift_cashier2", "cashier");
+  const res = await api
+    .post("/shifts")
+    .set("Authorization", other.token)
+    .send({ terminal: "POS1", openingFloat: 50 });
+  expect(res.status).toBe(409);
+});
+
+test("the drawer is reconciled at close-out", async () => {
+  // 53.48 due, 60 handed over: the drawer keeps 53.48
+  const sale = await cashCheckout("SHIFT-1", 2, { tendered: 60 });
+  expect(sale.body.status).toBe("AUTHORIZED");
+  expect(sale.body.changeDue).toBe(6.52);
+  expect(sale.body.shiftId).toBe(shiftId);
+
+  // a voided cash sale hands the cash back
+  await cashCheckout("SHIFT-2", 1, { amount: 26.74 });
+  expect((await post("/payments/void", { orderId: "SHIFT-2" })).status).toBe(200);
+
+  expect((await post("/payments/settle", { orderId: "SHIFT-1", amount: 53.48 })).status).toBe(200);
+  expect((await post("/payments/refund", { orderId: "SHIFT-1", amount: 10 })).status).toBe(200);
+
+  expect((await post(`/shifts/${shiftId}/cash`, { type: "drop", amount: 50 })).status).toBe(201);
+  const payout = await post(`/shifts/${shiftId}/cash`, {
+    type: "payout",
+    amount: 5.25,
+    reason: "Milk"
+  });
+  expect(payout.status).toBe(201);
+  expect(payout.body.cash).toEqual({
+    openingFloat: 100,
+    cashSales: 53.48,
+    cashRefunds: 10,
+    drops: 50,
+    paidOuts: 5.25,
+    expected: 88.23,
+    counted: null,
+    variance: null
+  });
+
+  const closed = await post(`/shifts/${shiftId}/close`, { countedCash: 87, notes: "Short" });
+  expect(closed.status).toBe(200);
+  expect(closed.body.status).toBe("CLOSED");
+  expect(closed.body.cash).toEqual(
+    expect.objectContaining({ expected: 88.23, counted: 87, variance: -1.23 })
+  );
+  expect(closed.body.notes).toBe("Short");
+});
+
+test("a closed shift takes no more cash movements and cannot be closed again", async () => {
+  expect((await post(`/shifts/${shiftId}/close`, { countedCash: 87 })).status).toBe(409);
+  expect((await post(`/shifts/${shiftId}/cash`, { type: "drop", amount: 1 })).status).toBe(409);
+
+  // nor cash sales: the cashier has no open shift now
+  const res = await cashCheckout("SHIFT-3", 1, { amount: 26.74 });
+  expect(res.status).toBe(409);
+});
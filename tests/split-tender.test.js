@@ -0,0 +1,212 @@
+// tests/split-tender.test.js
+//
+// Orders paid with several tenders: cash with change, cards and gift cards
+// together, topping up a part-paid order, and captures and refunds that the
+// gateway turns down part way and are sent again under the same
+// Idempotency-Key.
+const paymentGateway = require("../payment-gateway");
+const { startApp, signIn } = require("./helpers");
+
+// The simulator, with a record of the captures and refunds sent to it and
+// a way to have the next ones turned down
+const sent = [];
+const declineNext = { capture: 0, refund: 0 };
+const createSimulator = paymentGateway.createPaymentGateway;
+paymentGateway.createPaymentGateway = (env) => {
+  const gateway = createSimulator(env);
+  ["capture", "refund"].forEach((operation) => {
+    const send = gateway[operation].bind(gateway);
+    gateway[operation] = async (request) => {
+      sent.push({ operation, amount: request.amount, idempotencyKey: request.idempotencyKey });
+      if (declineNext[operation] > 0) {
+        declineNext[operation]--;
+        return { ok: false, code: "05", message: "Do not honor", reference: null };
+      }
+      return send(request);
+    };
+  });
+  return gateway;
+};
+
+const SHIRTS = [{ sku: "CLTH-SHIRT", quantity: 2 }]; // 53.48 with tax
+const APPROVED = "4111111111111111";
+const APPROVED_GIFT_CARD = "4242424242424242";
+const DECLINED = "4000000000009995";
+
+let api;
+let sql;
+let cashier;
+let customer;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp());
+  cashier = await signIn(api, sql, "split_cashier", "cashier");
+  customer = await signIn(api, sql, "split_customer");
+});
+
+afterAll(() => sql.close());
+
+const asCashier = (path, body, idempotencyKey) => {
+  const req = api.post(path).set("Authorization", cashier.token);
+  if (idempotencyKey) req.set("Idempotency-Key", idempotencyKey);
+  return req.send(body);
+};
+
+const checkout = (orderId, tenders) =>
+  asCashier("/orders/checkout", {
+    orderId,
+    items: SHIRTS,
+    customerId: customer.customerId,
+    tenders
+  });
+
+describe("cash", () => {
+  test("is only taken by staff with an open shift", async () => {
+    const online = await api
+      .post("/orders/checkout")
+      .set("Authorization", customer.token)
+      .send({ orderId: "CASH-ONLINE", items: SHIRTS, tenders: [{ type: "cash", amount: 10 }] });
+    expect(online.status).toBe(403);
+
+    const noShift = await checkout("CASH-NO-SHIFT", [{ type: "cash", tendered: 60 }]);
+    expect(noShift.status).toBe(409);
+
+    const opened = await asCashier("/shifts", { terminal: "POS1", openingFloat: 100 });
+    expect(opened.status).toBe(201);
+  });
+});
+
+describe("checkout", () => {
+  test("splits the total between cash, with change, and a card", async () => {
+    const res = await checkout("SPLIT-1", [
+      { type: "cash", amount: 20, tendered: 50 },
+      { type: "card", cardNumber: APPROVED }
+    ]);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(
+      expect.objectContaining({
+        status: "AUTHORIZED",
+        total: 53.48,
+        amountPaid: 53.48,
+        balanceDue: 0,
+        changeDue: 30
+      })
+    );
+    expect(res.body.tenders.map((t) => [t.type, t.amount, t.cashTendered, t.changeDue])).toEqual([
+      ["CASH", 20, 50, 30],
+      ["CARD", 33.48, null, null]
+    ]);
+  });
+
+  test("refuses tenders that cannot be allocated", async () => {
+    const twoOpen = await checkout("SPLIT-BAD", [
+      { type: "card", cardNumber: APPROVED },
+      { type: "gift_card", cardNumber: APPROVED_GIFT_CARD }
+    ]);
+    expect(twoOpen.status).toBe(400);
+
+    const tooMuch = await checkout("SPLIT-BAD", [{ type: "cash", amount: 100 }]);
+    expect(tooMuch.status).toBe(400);
+    expect(tooMuch.body.error).toMatch(/more than the balance due \(53\.48\)/);
+  });
+
+  test("leaves the order PENDING when a tender is declined, to be topped up", async () => {
+    const res = await checkout("SPLIT-2", [
+      { type: "cash", amount: 10 },
+      { type: "gift_card", cardNumber: DECLINED }
+    ]);
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("PENDING");
+    expect(res.body.amountPaid).toBe(10);
+    expect(res.body.balanceDue).toBe(43.48);
+
+    const topUp = await asCashier("/orders/SPLIT-2/tenders", {
+      tenders: [{ type: "cash", tendered: 100 }]
+    });
+    expect(topUp.status).toBe(200);
+    expect(topUp.body.status).toBe("AUTHORIZED");
+    expect(topUp.body.balanceDue).toBe(0);
+    expect(topUp.body.changeDue).toBe(56.52);
+  });
+});
+
+describe("a capture the gateway turns down part way", () => {
+  beforeAll(async () => {
+    const res = await checkout("SPLIT-3", [
+      { type: "cash", amount: 20 },
+      { type: "gift_card", amount: 10, cardNumber: APPROVED_GIFT_CARD },
+      { type: "card", cardNumber: APPROVED }
+    ]);
+    expect(res.body.status).toBe("AUTHORIZED");
+  });
+
+  const settle = () =>
+    asCashier("/payments/settle", { orderId: "SPLIT-3", amount: 53.48 }, "settle-split-3");
+  const refund = () => asCashier("/payments/refund", { orderId: "SPLIT-3" }, "refund-split-3");
+
+  test("keeps what was captured and resumes under the same key", async () => {
+    sent.length = 0;
+    declineNext.capture = 1;
+
+    const failed = await settle();
+    expect(failed.status).toBe(502);
+    expect(failed.body.paymentStatus).toBe("PARTIALLY_SETTLED");
+    expect(failed.body.settlements.map((s) => [s.tenderType, s.amount])).toEqual([["CASH", 20]]);
+
+    const retried = await settle();
+    expect(retried.status).toBe(200);
+    expect(retried.body.paymentStatus).toBe("SETTLED");
+    expect(retried.body.amount).toBe(53.48);
+    expect(retried.body.settlements.map((s) => [s.tenderType, s.amount])).toEqual([
+      ["CASH", 20],
+      ["GIFT_CARD", 10],
+      ["CARD", 23.48]
+    ]);
+
+    // cash never reaches the gateway; the gift card was sent again under
+    // its first key
+    const captures = sent.filter((call) => call.operation === "capture");
+    expect(captures.map((call) => call.amount)).toEqual([10, 10, 23.48]);
+    expect(captures[1].idempotencyKey).toBe(captures[0].idempotencyKey);
+    expect(captures[2].idempotencyKey).not.toBe(captures[0].idempotencyKey);
+
+    const settled = await sql.get(
+      "SELECT COUNT(*) AS n, SUM(amount) AS total FROM settlements WHERE order_id = 'SPLIT-3'"
+    );
+    expect(settled.n).toBe(3);
+    expect(settled.total).toBeCloseTo(53.48, 2);
+  });
+
+  test("refunds resume the same way", async () => {
+    sent.length = 0;
+    declineNext.refund = 1;
+
+    const failed = await refund();
+    expect(failed.status).toBe(502);
+    expect(failed.body.refunds).toEqual([]);
+
+    const retried = await refund();
+    expect(retried.status).toBe(200);
+    expect(retried.body.paymentStatus).toBe("REFUNDED");
+    expect(retried.body.refundedTotal).toBe(53.48);
+
+    const refunds = sent.filter((call) => call.operation === "refund");
+    expect(refunds).toHaveLength(3);
+    expect(refunds[1].idempotencyKey).toBe(refunds[0].idempotencyKey);
+
+    const refunded = await sql.get(
+      "SELECT COUNT(*) AS n, SUM(amount) AS total FROM refunds WHERE order_id = 'SPLIT-3'"
+    );
+    expect(refunded.n).toBe(3);
+    expect(refunded.total).toBeCloseTo(53.48, 2);
+  });
+
+  test("a finished request is replayed, not sent again", async () => {
+    sent.length = 0;
+    const replayed = await settle();
+    expect(replayed.status).toBe(200);
+    expect(replayed.headers["idempotent-replayed"]).toBe("true");
+    expect(sent).toEqual([]);
+  });
+});
@@ -0,0 +1,172 @@
+// tests/two-factor.test.js
+//
+// TOTP codes, two-step sign-in with a code or a recovery code, and the
+// policy that makes staff roles enroll.
+const { startApp, signIn, PASSWORD } = require("./helpers");
+const { codeAt, currentStep, verifyCode } = require("../totp");
+
+let api;
+let sql;
+
+beforeAll(async () => {
+  ({ api, sql } = await startApp({ LOGIN_DELAY_BASE_MS: "0" }));
+});
+
+afterAll(() => sql.close());
+
+describe("totp", () => {
+  // RFC 6238 appendix B, SHA-1 key "12345678901234567890", last 6 digits
+  const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+  test("matches the RFC 6238 test vectors", () => {
+    expect(codeAt(RFC_SECRET, currentStep(59 * 1000))).toBe("287082");
+    expect(codeAt(RFC_SECRET, currentStep(1111111109 * 1000))).toBe("081804");
+    expect(codeAt(RFC_SECRET, currentStep(2000000000 * 1000))).toBe("279037");
+  });
+
+  test("accepts one step of clock drift and nothing more", () => {
+    const now = 1111111109 * 1000;
+    const step = currentStep(now);
+
+    expect(verifyCode(RFC_SECRET, codeAt(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, codeAt(RFC_SECRET, step + 1), { now })).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, codeAt(RFC_SECRET, step + 2), { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, "12345", { now })).toBeNull();
+  });
+});
+
+describe("two-step sign-in", () => {
+  let secret;
+  let enrolledStep;
+  let recoveryCodes;
+
+  beforeAll(async () => {
+    const { token } = await signIn(api, sql, "totp_user");
+
+    const enroll = await api.post("/auth/2fa/enroll").set("Authorization", token);
+    expect(enroll.status).toBe(200);
+    secret = enroll.body.secret;
+    enrolledStep = currentStep();
+
+    const confirm = await api
+      .post("/auth/2fa/confirm")
+      .set("Authorization", token)
+      .send({ code: codeAt(secret, enrolledStep) });
+    expect(confirm.status).toBe(200);
+    recoveryCodes = confirm.body.recoveryCodes;
+  });
+
+  const startLogin = async () => {
+    const res = await api
+      .post("/auth/login")
+      .send({ usernameOrEmail: "totp_user", password: PASSWORD });
+    expect(res.status).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body.accessToken).toBeUndefined();
+    return res.body.challengeToken;
+  };
+
+  test("the password alone only earns a challenge; a fresh code completes it", async () => {
+    const challengeToken = await startLogin();
+
+    // the code used to confirm enrollment cannot be replayed
+    const replayed = await api
+      .post("/auth/login/2fa")
+      .send({ challengeToken, code: codeAt(secret, enrolledStep) });
+    expect(replayed.status).toBe(401);
+
+    const res = await api
+      .post("/auth/login/2fa")
+      .send({ challengeToken, code: codeAt(secret, enrolledStep + 1) });
+    expect(res.status).toBe(200);
+    expect(res.body.accessToken).toBeTruthy();
+
+    // a challenge is single-use
+    const again = await api
+      .post("/auth/login/2fa")
+      .send({ challengeToken, code: codeAt(secret, enrolledStep + 1) });
+    expect(again.status).toBe(401);
+  });
+
+  test("a recovery code signs in once", async () => {
+    const first = await api
+      .post("/auth/login/2fa")
+      .send({ challengeToken: await startLogin(), recoveryCode: recoveryCodes[0] });
+    expect(first.status).toBe(200);
+    const unused = await sql.get(
+      `SELECT COUNT(*) AS n FROM two_factor_recovery_codes c
+       JOIN users u ON u.user_id = c.user_id
+       WHERE u.username = 'totp_user' AND c.used_at IS NULL`
+    );
+    expect(unused.n).toBe(recoveryCodes.length - 1);
+
+    const reused = await api
+      .post("/auth/login/2fa")
+      .send({ challengeToken: await startLogin(), recoveryCode: recoveryCodes[0] });
+    expect(reused.status).toBe(401);
+  });
+});
+
+describe("bad codes", () => {
+  beforeAll(async () => {
+    const { token } = await signIn(api, sql, "totp_guesser");
+    const enroll = await api.post("/auth/2fa/enroll").set("Authorization", token);
+    await api
+      .post("/auth/2fa/confirm")
+      .set("Authorization", token)
+      .send({ code: codeAt(enroll.body.secret, currentStep()) });
+  });
+
+  test("lock the account even when each guess follows a correct password", async () => {
+    const login = () =>
+      api.post("/auth/login").send({ usernameOrEmail: "totp_guesser", password: PASSWORD });
+
+    // LOGIN_MAX_FAILURES is 5 by default
+    for (let guess = 0; guess < 5; guess++) {
+      const started = await login();
+      expect(started.status).toBe(200);
+      const res = await api
+        .post("/auth/login/2fa")
+        .send({ challengeToken: started.body.challengeToken, code: "000000" });
+      expect(res.status).toBe(401);
+    }
+
+    const locked = await login();
+    expect(locked.status).toBe(429);
+    expect(locked.body.challengeToken).toBeUndefined();
+  });
+});
+
+describe("2FA policy", () => {
+  test("staff in a covered role must enroll before using it", async () => {
+    const admin = await signIn(api, sql, "policy_admin", "admin");
+    const policy = await api
+      .put("/auth/2fa/policy")
+      .set("Authorization", admin.token)
+      .send({ requiredRoles: ["manager"] });
+    expect(policy.status).toBe(200);
+
+    const manager = await signIn(api, sql, "policy_manager", "manager");
+    const blocked = await api.get("/inventory/low-stock").set("Authorization", manager.token);
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.twoFactorSetupRequired).toBe(true);
+
+    const enroll = await api.post("/auth/2fa/enroll").set("Authorization", manager.token);
+    await api
+      .post("/auth/2fa/confirm")
+      .set("Authorization", manager.token)
+      .send({ code: codeAt(enroll.body.secret, currentStep()) });
+
+    const allowed = await api.get("/inventory/low-stock").set("Authorization", manager.token);
+    expect(allowed.status).toBe(200);
+  });
+
+  test("an admin cannot require 2FA for admins without having it", async () => {
+    const admin = await signIn(api, sql, "policy_admin2", "admin");
+    const res = await api
+      .put("/auth/2fa/policy")
+      .set("Authorization", admin.token)
+      .send({ requiredRoles: ["admin"] });
+    expect(res.status).toBe(409);
+  });
+});
@@ -0,0 +1,587 @@
+// two-factor.js
+//
+// TOTP two-factor sign-in. An account enrolls by generating a secret (shown
+// as an otpauth:// URI for authenticator apps) and confirming it with a first
+// code, which also issues single-use recovery codes. From then on
+// /auth/login answers a correct password with a short-lived challenge token
+// instead of a session, and /auth/login/2fa trades that token plus a code
+// for the session.
+//
+// Admins choose which staff roles must use it (stored in app_settings, see
+// sessions.js); staff covered by the policy keep their customer-level
+// access only until they enroll.
+const crypto = require("crypto");
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const {
+  parseRequiredRoles,
+  STAFF_ROLES,
+  TWO_FACTOR_POLICY_KEY
+} = require("./sessions");
+const { generateSecret, verifyCode, otpauthUri } = require("./totp");
+const { withTransaction, runQueued, runSeries, httpError, sendError } = require("./db-helpers");
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Storefront Solutions";
+
+// A challenge must be answered within a few minutes, in a few tries
+const CHALLENGE_TTL_MINUTES =
+  Number(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES) || 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+const RECOVERY_CODE_COUNT = 10;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Recovery codes are shown as "abcde-12345"; spacing, dashes and case do
+// not matter when one is typed back in
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^0-9a-z]/g, "");
+}
+
+function newRecoveryCode() {
+  const hex = crypto.randomBytes(5).toString("hex");
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+// Time step of a valid, not yet used TOTP code for the account, or null
+function acceptedStep(account, code) {
+  if (!account.totp_secret) return null;
+  const step = verifyCode(account.totp_secret, code);
+  if (step == null) return null;
+  if (account.totp_last_step != null && step <= account.totp_last_step) return null;
+  return step;
+}
+
+function createTwoFactor(db) {
+  // cb(err, roles) with the staff roles that must use 2FA
+  function requiredRoles(cb) {
+    db.get(
+      "SELECT setting_value FROM app_settings WHERE setting_key = ?",
+      [TWO_FACTOR_POLICY_KEY],
+      (err, row) => {
+        if (err) return cb(err);
+        cb(null, parseRequiredRoles(row ? row.setting_value : null));
+      }
+    );
+  }
+
+  // Mark a TOTP step as used. The guard makes a replayed code lose even
+  // when two requests race; cb(err, accepted).
+  function consumeStep(userId, step, cb) {
+    db.run(
+      `
+      UPDATE users
+      SET totp_last_step = ?
+      WHERE user_id = ?
+        AND (totp_last_step IS NULL OR totp_last_step < ?)
+    `,
+      [step, userId, step],
+      function (err) {
+        cb(err || null, !err && this.changes > 0);
+      }
+    );
+  }
+
+  // Replace an account's recovery codes; cb(err, codes) with the plain
+  // codes, which are never stored. Call inside a transaction.
+  function replaceRecoveryCodes(userId, cb) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+
+    runSeries(
+      db,
+      [
+        ["DELETE FROM two_factor_recovery_codes WHERE user_id = ?", [userId]],
+        ...codes.map((code) => [
+          "INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)",
+          [userId, hashToken(normalizeRecoveryCode(code))]
+        ])
+      ],
+      (err) => cb(err || null, err ? null : codes)
+    );
+  }
+
+  // Turn 2FA off and forget the secret and recovery codes. Call inside a
+  // transaction.
+  function removeInTransaction(userId, cb) {
+    runSeries(
+      db,
+      [
+        [
+          `
+          UPDATE users
+          SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL
+          WHERE user_id = ?
+        `,
+          [userId]
+        ],
+        ["DELETE FROM two_factor_recovery_codes WHERE user_id = ?", [userId]],
+        [
+          "UPDATE two_factor_challenges SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL",
+          [userId]
+        ]
+      ],
+      cb
+    );
+  }
+
+  // After a correct password: cb(err, { challengeToken, expiresIn })
+  function startChallenge(userId, cb) {
+    const challengeToken = crypto.randomBytes(32).toString("base64url");
+
+    runQueued(
+      db,
+      `
+      INSERT INTO two_factor_challenges (user_id, token_hash, expires_at)
+      VALUES (?, ?, datetime('now', ?))
+    `,
+      [userId, hashToken(challengeToken), `+${CHALLENGE_TTL_MINUTES} minutes`],
+      (err) => {
+        if (err) return cb(err);
+        cb(null, { challengeToken, expiresIn: CHALLENGE_TTL_MINUTES * 60 });
+      }
+    );
+  }
+
+  // Answer a challenge with a TOTP code or a recovery code.
+  // cb(err, outcome) where outcome is one of
+  //   { userId, customerId, method: "totp" | "recovery_code", recoveryCodesRemaining }
+  //   { userId, customerId, failure: "BAD_CODE" }
+  //   { userId: null, customerId: null, failure: "INVALID_CHALLENGE" }
+  // A challenge is single-use and stops working after too many bad codes.
+  function answerChallenge(challengeToken, { code, recoveryCode }, cb) {
+    withTransaction(
+      db,
+      (done) => {
+        db.get(
+          `
+          SELECT ch.challenge_id,
+                 ch.attempts,
+                 u.user_id,
+                 u.customer_id,
+                 u.totp_secret,
+                 u.totp_last_step
+          FROM two_factor_challenges ch
+          JOIN users u ON u.user_id = ch.user_id
+          WHERE ch.token_hash = ?
+            AND ch.used_at IS NULL
+            AND ch.expires_at > datetime('now')
+            AND ch.attempts < ?
+            AND u.totp_enabled = 1
+        `,
+          [hashToken(challengeToken), CHALLENGE_MAX_ATTEMPTS],
+          (err, row) => {
+            if (err) return done(err);
+            if (!row) {
+              return done(null, { userId: null, customerId: null, failure: "INVALID_CHALLENGE" });
+            }
+
+            const userId = row.user_id;
+            const customerId = row.customer_id;
+
+            const succeed = (method) => {
+              db.run(
+                "UPDATE two_factor_challenges SET used_at = CURRENT_TIMESTAMP WHERE challenge_id = ?",
+                [row.challenge_id],
+                (useErr) => {
+                  if (useErr) return done(useErr);
+                  db.get(
+                    "SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL",
+                    [userId],
+                    (countErr, count) => {
+                      if (countErr) return done(countErr);
+                      done(null, {
+                        userId,
+                        customerId,
+                        method,
+                        recoveryCodesRemaining: count.remaining
+                      });
+                    }
+                  );
+                }
+              );
+            };
+
+            const fail = () => {
+              db.run(
+                "UPDATE two_factor_challenges SET attempts = attempts + 1 WHERE challenge_id = ?",
+                [row.challenge_id],
+                (failErr) => done(failErr || null, { userId, customerId, failure: "BAD_CODE" })
+              );
+            };
+
+            if (recoveryCode) {
+              return db.run(
+                `
+                UPDATE two_factor_recovery_codes
+                SET used_at = CURRENT_TIMESTAMP
+                WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+              `,
+                [userId, hashToken(normalizeRecoveryCode(recoveryCode))],
+                function (codeErr) {
+                  if (codeErr) return done(codeErr);
+                  return this.changes ? succeed("recovery_code") : fail();
+                }
+              );
+            }
+
+            const step = acceptedStep(row, code);
+            if (step == null) return fail();
+
+            consumeStep(userId, step, (stepErr, accepted) => {
+              if (stepErr) return done(stepErr);
+              return accepted ? succeed("totp") : fail();
+            });
+          }
+        );
+      },
+      cb
+    );
+  }
+
+  return {
+    requiredRoles,
+    consumeStep,
+    replaceRecoveryCodes,
+    removeInTransaction,
+    startChallenge,
+    answerChallenge
+  };
+}
+
+function createTwoFactorRouter(db, sessions, audit, twoFactor) {
+  const router = express.Router();
+  const { requireAuth, requireRole } = sessions;
+
+  // Signed-in account's 2FA columns
+  function loadAccount(userId, cb) {
+    db.get(
+      `
+      SELECT user_id, customer_id, email, role, password_hash, totp_secret, totp_enabled, totp_last_step
+      FROM users
+      WHERE user_id = ?
+    `,
+      [userId],
+      cb
+    );
+  }
+
+  // ==================================
+  //        GET /auth/2fa
+  //  2FA status of the signed-in account
+  // ==================================
+  router.get("/", requireAuth, (req, res) => {
+    db.get(
+      "SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL",
+      [req.user.userId],
+      (err, count) => {
+        if (err) {
+          console.error("DB read error in /auth/2fa:", err);
+          return res.status(500).json({ error: "Database read error" });
+        }
+
+        return res.json({
+          ok: true,
+          enabled: req.user.twoFactorEnabled,
+          setupRequired: req.user.twoFactorSetupRequired,
+          recoveryCodesRemaining: count.remaining
+        });
+      }
+    );
+  });
+
+  // ==================================
+  //        POST /auth/2fa/enroll
+  //  Generate a new secret. 2FA is not on until /confirm accepts a code
+  //  from it; enrolling again before then replaces the secret.
+  // ==================================
+  router.post("/enroll", requireAuth, (req, res) => {
+    if (req.user.twoFactorEnabled) {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is already enabled." });
+    }
+
+    const secret = generateSecret();
+
+    runQueued(
+      db,
+      `
+      UPDATE users
+      SET totp_secret = ?, totp_last_step = NULL
+      WHERE user_id = ? AND totp_enabled = 0
+    `,
+      [secret, req.user.userId],
+      function (err) {
+        if (err) {
+          console.error("DB write error in /auth/2fa/enroll:", err);
+          return res.status(500).json({ error: "Database write error" });
+        }
+        if (this.changes === 0) {
+          return res
+            .status(409)
+            .json({ error: "Two-factor authentication is already enabled." });
+        }
+
+        return res.json({
+          ok: true,
+          secret,
+          otpauthUri: otpauthUri({
+            secret,
+            accountName: req.user.email || req.user.username,
+            issuer: TOTP_ISSUER
+          })
+        });
+      }
+    );
+  });
+
+  // ==================================
+  //        POST /auth/2fa/confirm
+  //  Turn 2FA on with a first code and return the recovery codes. They are
+  //  shown this once.
+  // ==================================
+  router.post("/confirm", requireAuth, (req, res) => {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ error: "Missing code." });
+    }
+
+    withTransaction(
+      db,
+      (done) => {
+        loadAccount(req.user.userId, (err, account) => {
+          if (err) return done(err);
+          if (account.totp_enabled) {
+            return done(httpError(409, "Two-factor authentication is already enabled."));
+          }
+          if (!account.totp_secret) {
+            return done(httpError(400, "Start with POST /auth/2fa/enroll."));
+          }
+
+          const step = acceptedStep(account, code);
+          if (step == null) return done(httpError(400, "Invalid code."));
+
+          db.run(
+            "UPDATE users SET totp_enabled = 1, totp_last_step = ? WHERE user_id = ?",
+            [step, account.user_id],
+            (updateErr) => {
+              if (updateErr) return done(updateErr);
+
+              twoFactor.replaceRecoveryCodes(account.user_id, (codesErr, codes) => {
+                if (codesErr) return done(codesErr);
+
+                audit.recordInTransaction(
+                  req,
+                  {
+                    eventType: "TWO_FACTOR_ENABLED",
+                    customerId: account.customer_id,
+                    afterStatus: "ENABLED"
+                  },
+                  (auditErr) => done(auditErr, codes)
+                );
+              });
+            }
+          );
+        });
+      },
+      (err, codes) => {
+        if (err) return sendError(res, "/auth/2fa/confirm", err);
+        return res.json({ ok: true, enabled: true, recoveryCodes: codes });
+      }
+    );
+  });
+
+  // ==================================
+  //    POST /auth/2fa/recovery-codes
+  //    Replace the recovery codes (needs a current code)
+  // ==================================
+  router.post("/recovery-codes", requireAuth, (req, res) => {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ error: "Missing code." });
+    }
+
+    withTransaction(
+      db,
+      (done) => {
+        loadAccount(req.user.userId, (err, account) => {
+          if (err) return done(err);
+          if (!account.totp_enabled) {
+            return done(httpError(409, "Two-factor authentication is not enabled."));
+          }
+
+          const step = acceptedStep(account, code);
+          if (step == null) return done(httpError(400, "Invalid code."));
+
+          twoFactor.consumeStep(account.user_id, step, (stepErr, accepted) => {
+            if (stepErr) return done(stepErr);
+            if (!accepted) return done(httpError(400, "Invalid code."));
+
+            twoFactor.replaceRecoveryCodes(account.user_id, (codesErr, codes) => {
+              if (codesErr) return done(codesErr);
+
+              audit.recordInTransaction(
+                req,
+                {
+                  eventType: "TWO_FACTOR_RECOVERY_CODES_REPLACED",
+                  customerId: account.customer_id
+                },
+                (auditErr) => done(auditErr, codes)
+              );
+            });
+          });
+        });
+      },
+      (err, codes) => {
+        if (err) return sendError(res, "/auth/2fa/recovery-codes", err);
+        return res.json({ ok: true, recoveryCodes: codes });
+      }
+    );
+  });
+
+  // ==================================
+  //        POST /auth/2fa/disable
+  //  Needs the password and a current code. Not allowed while the policy
+  //  requires 2FA for the account's role.
+  // ==================================
+  router.post("/disable", requireAuth, (req, res) => {
+    const { password, code } = req.body || {};
+    if (!password || !code) {
+      return res.status(400).json({ error: "Missing password or code." });
+    }
+
+    twoFactor.requiredRoles((policyErr, roles) => {
+      if (policyErr) {
+        console.error("DB read error in /auth/2fa/disable:", policyErr);
+        return res.status(500).json({ error: "Database read error" });
+      }
+      if (roles.includes(req.user.role)) {
+        return res.status(403).json({
+          error: "Two-factor authentication is required for your role and cannot be turned off."
+        });
+      }
+
+      withTransaction(
+        db,
+        (done) => {
+          loadAccount(req.user.userId, (err, account) => {
+            if (err) return done(err);
+            if (!account.totp_enabled) {
+              return done(httpError(409, "Two-factor authentication is not enabled."));
+            }
+            if (!bcrypt.compareSync(String(password), account.password_hash || "")) {
+              return done(httpError(401, "Invalid credentials."));
+            }
+            if (acceptedStep(account, code) == null) {
+              return done(httpError(400, "Invalid code."));
+            }
+
+            twoFactor.removeInTransaction(account.user_id, (removeErr) => {
+              if (removeErr) return done(removeErr);
+              audit.recordInTransaction(
+                req,
+                {
+                  eventType: "TWO_FACTOR_DISABLED",
+                  customerId: account.customer_id,
+                  beforeStatus: "ENABLED",
+                  afterStatus: "DISABLED"
+                },
+                done
+              );
+            });
+          });
+        },
+        (err) => {
+          if (err) return sendError(res, "/auth/2fa/disable", err);
+          return res.json({ ok: true, enabled: false });
+        }
+      );
+    });
+  });
+
+  // ==================================
+  //        GET /auth/2fa/policy
+  //  Admin only: roles that must use 2FA
+  // ==================================
+  router.get("/policy", requireRole("admin"), (req, res) => {
+    twoFactor.requiredRoles((err, roles) => {
+      if (err) {
+        console.error("DB read error in /auth/2fa/policy:", err);
+        return res.status(500).json({ error: "Database read error" });
+      }
+      return res.json({ ok: true, requiredRoles: roles });
+    });
+  });
+
+  // ==================================
+  //        PUT /auth/2fa/policy
+  //  Admin only: { requiredRoles: ["manager", "admin"] }
+  // ==================================
+  router.put("/policy", requireRole("admin"), (req, res) => {
+    const { requiredRoles } = req.body || {};
+
+    if (
+      !Array.isArray(requiredRoles) ||
+      requiredRoles.some((role) => !STAFF_ROLES.includes(role))
+    ) {
+      return res.status(400).json({
+        error: `requiredRoles must be a list of: ${STAFF_ROLES.join(", ")}.`
+      });
+    }
+
+    // an admin without 2FA requiring it for admins would lock every such
+    // admin, including themselves, out of this very endpoint
+    if (requiredRoles.includes(req.user.role) && !req.user.twoFactorEnabled) {
+      return res.status(409).json({
+        error: "Enable two-factor authentication on your own account before requiring it for your role."
+      });
+    }
+
+    const roles = STAFF_ROLES.filter((role) => requiredRoles.includes(role));
+
+    twoFactor.requiredRoles((readErr, previous) => {
+      if (readErr) {
+        console.error("DB read error in /auth/2fa/policy:", readErr);
+        return res.status(500).json({ error: "Database read error" });
+      }
+
+      withTransaction(
+        db,
+        (done) => {
+          db.run(
+            `
+            INSERT INTO app_settings (setting_key, setting_value, updated_by, updated_at)
+            VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(setting_key) DO UPDATE SET
+              setting_value = excluded.setting_value,
+              updated_by = excluded.updated_by,
+              updated_at = excluded.updated_at
+          `,
+            [TWO_FACTOR_POLICY_KEY, JSON.stringify(roles), req.user.userId],
+            (err) => {
+              if (err) return done(err);
+              audit.recordInTransaction(
+                req,
+                {
+                  eventType: "TWO_FACTOR_POLICY_CHANGED",
+                  details: { before: previous, after: roles }
+                },
+                done
+              );
+            }
+          );
+        },
+        (err) => {
+          if (err) return sendError(res, "/auth/2fa/policy", err);
+          return res.json({ ok: true, requiredRoles: roles });
+        }
+      );
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createTwoFactor, createTwoFactorRouter };